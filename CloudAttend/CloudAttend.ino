@@ -2,6 +2,7 @@
 #include <ESP8266WiFi.h>
 #include <ESP8266HTTPClient.h>
 #include <WiFiClientSecureBearSSL.h>
+#include <bearssl/bearssl_hmac.h>
 #include <SPI.h>
 #include <MFRC522.h>
 #include <Wire.h>
@@ -19,20 +20,16 @@
 #define LOG_ERROR(fmt, ...) Serial.printf("[ERROR] " fmt "\n", ##__VA_ARGS__)
 
 // ----- CloudAttend configuration -----
-#define K_APPS_SCRIPT_DEPLOYMENT_ID \
-    "AKfycbz0F26gZ5EX5VNtZYW2Tr_gyGVgcEMX0LkXSdf4Q64apiLkEBvbplifFICe1TgEHtTo"
-
-constexpr char kAppsScriptUrl[] =
-    "https://script.google.com/macros/s/" K_APPS_SCRIPT_DEPLOYMENT_ID "/exec";
-
-// Wi-Fi hotspots attempted in priority order (shared password).
-constexpr char kWifiPassword[] = "Admin@12345";
-constexpr const char *kWifiSsids[] = {
-    "Darshans-Phone",
-    "Shreys-Phone",
-    "Sumits-Phone",
-    "Vaibhavs-Phone",
-    "Someones-Phone"};
+// Deployment URL, reader identity, Wi-Fi and UTC offset live in config.h
+// (copied from config.example.h) so the sketch itself stays school-neutral.
+#if __has_include("config.h")
+#include "config.h"
+#else
+#include "config.example.h"
+#endif
+
+// Reported to the Devices sheet on health checks and roster syncs.
+constexpr char kFirmwareVersion[] = "0.2.0";
 constexpr size_t kWifiNetworkCount =
     sizeof(kWifiSsids) / sizeof(kWifiSsids[0]);
 
@@ -44,8 +41,6 @@ constexpr int kBuzzerPin = D0; // Set to -1 if no buzzer is attached.
 // ----- Wi-Fi and time configuration -----
 constexpr unsigned long kWifiRetryDelayMs = 3000;
 constexpr uint8_t kWifiMaxRetries = 10;
-constexpr long kGmtOffsetSec = 19800; // UTC+5:30 for India.
-constexpr int kDaylightOffsetSec = 0;
 constexpr char kNtpPrimary[] = "pool.ntp.org";
 constexpr char kNtpBackup[] = "time.google.com";
 constexpr char kNtpTertiary[] = "time1.google.com";
@@ -53,6 +48,8 @@ constexpr char kNtpTertiary[] = "time1.google.com";
 // ----- HTTP configuration -----
 constexpr uint8_t kMaxPostRetries = 3;
 constexpr uint16_t kHttpTimeoutMs = 8000;
+// The roster version answer is tiny and cached, so its poll gives up sooner.
+constexpr uint16_t kRosterVersionTimeoutMs = 3000;
 
 // ----- LCD layout configuration -----
 constexpr uint8_t kLcdColumns = 16;
@@ -85,12 +82,16 @@ struct StudentRecord
 };
 
 std::vector<StudentRecord> studentRegistry;
+// Version of studentRegistry as the server reported it; empty until a roster loads.
+String rosterVersion;
 
 // Forward declarations.
 bool connectToWiFi();
 void ensureTimeSync();
 String buildIsoTimestamp();
-String buildPayload(const String &uid, const String &isoTimestamp);
+String buildPayload(const String &uid, const String &isoTimestamp,
+                    const String &scanId);
+String generateScanId();
 String readUidHex(const MFRC522::Uid &uidStruct);
 void displayStatus(const String &line1, const String &line2 = "");
 void displayBootTitle();
@@ -123,13 +124,19 @@ bool verifyAppsScriptEndpoint();
 String buildHealthCheckUrl();
 bool loadStudentRegistry();
 bool parseStudentRegistry(const String &body);
+void syncRosterIfChanged();
 const StudentRecord *findStudentByUid(const String &uid);
 String buildRegistryUrl();
+String buildRosterVersionUrl();
+String buildSignedScanUrl(const String &payload);
+String computeHmacHex(const String &message);
 bool tryConnectToNetwork(const char *ssid);
 void upsertStudentCacheRecord(const String &uid, const String &firstName,
                               const String &lastName = "");
+void removeStudentCacheRecord(const String &uid);
 String deriveLastNameFromFullName(const String &fullName,
                                   const String &firstName);
+String extractJsonStringField(const String &body, const char *key);
 
 struct ApiResponse
 {
@@ -138,22 +145,38 @@ struct ApiResponse
     int httpCode = 0;
     String message;
     unsigned long elapsedMs = 0;
+    long serverMs = -1; // Apps Script's own time for the request, when reported.
     String firstName;
     String fullName;
+    String originalAction;
+    String linkedSuid;
 };
 
 constexpr unsigned long kClockUpdateInterval = 1000;
 unsigned long lastClockUpdate = 0;
 constexpr unsigned long kGraphUpdateInterval = 200;
 unsigned long lastGraphUpdate = 0;
+// Signed health checks keep the reader's LastSeen fresh on the dashboard.
+constexpr unsigned long kHeartbeatInterval = 10UL * 60UL * 1000UL;
+unsigned long lastHeartbeat = 0;
+// Cheap version checks pick up cards registered after boot.
+constexpr unsigned long kRosterCheckInterval = 2UL * 60UL * 1000UL;
+unsigned long lastRosterCheck = 0;
+// The heartbeat and roster checks block the reader, so they wait until no
+// card has been seen for this long.
+constexpr unsigned long kBackgroundQuietMs = 30UL * 1000UL;
+unsigned long lastCardSeen = 0;
 unsigned long bootStartMs = 0;
 bool bootSequenceComplete = false;
 bool rosterAvailable = false;
 bool servicesAvailable = false;
 // Tracks whether the time/graph overlay should update the LCD.
 bool operationalDisplayActive = false;
+// Monotonic counter mixed into scan IDs so retries can be deduplicated.
+uint32_t scanSequence = 0;
 
-ApiResponse postScanEvent(const String &uidHex, const String &isoTimestamp);
+ApiResponse postScanEvent(const String &uidHex, const String &isoTimestamp,
+                          const String &scanId);
 ApiResponse parseApiResponse(int httpCode, const String &body);
 
 void setup()
@@ -248,12 +271,24 @@ void loop()
                       healthy ? "" : "Check logs");
     }
 
+    const bool readerQuiet = millis() - lastCardSeen >= kBackgroundQuietMs;
+    if (readerQuiet && millis() - lastHeartbeat >= kHeartbeatInterval)
+    {
+        servicesAvailable = verifyAppsScriptEndpoint();
+    }
+
+    if (readerQuiet && millis() - lastRosterCheck >= kRosterCheckInterval)
+    {
+        syncRosterIfChanged();
+    }
+
     if (!rfid.PICC_IsNewCardPresent() || !rfid.PICC_ReadCardSerial())
     {
         delay(50);
         return;
     }
 
+    lastCardSeen = millis();
     const String uidHex = readUidHex(rfid.uid);
     const StudentRecord *student = findStudentByUid(uidHex);
     const String personLabel = student ? student->firstName : String("");
@@ -270,9 +305,11 @@ void loop()
 
     ensureTimeSync();
     const String isoTimestamp = buildIsoTimestamp();
-    LOG_INFO("UTC timestamp %s", isoTimestamp.c_str());
-    const ApiResponse response = postScanEvent(uidHex, isoTimestamp);
-    LOG_INFO("Scan submission completed in %lu ms", response.elapsedMs);
+    const String scanId = generateScanId();
+    LOG_INFO("UTC timestamp %s (scan %s)", isoTimestamp.c_str(), scanId.c_str());
+    const ApiResponse response = postScanEvent(uidHex, isoTimestamp, scanId);
+    LOG_INFO("Scan submission completed in %lu ms (server %ld ms)",
+             response.elapsedMs, response.serverMs);
 
     String resolvedFirstName = response.firstName.length() ? response.firstName : personLabel;
     String trimmedFullName = response.fullName;
@@ -292,8 +329,14 @@ void loop()
     }
     resolvedLastName.trim();
 
-    if (response.success && response.action != "unregistered" &&
-        resolvedFirstName.length())
+    const bool cardRejected = response.action == "unregistered" ||
+                              response.action == "revoked" ||
+                              response.action == "inactive";
+    if (response.success && cardRejected)
+    {
+        removeStudentCacheRecord(uidHex);
+    }
+    else if (response.success && resolvedFirstName.length())
     {
         upsertStudentCacheRecord(uidHex, resolvedFirstName, resolvedLastName);
     }
@@ -327,6 +370,25 @@ void loop()
             showFullscreenStatus("Already out", statusDetail);
             playAlreadyOutTone();
         }
+        else if (response.action == "alreadyCheckedIn")
+        {
+            LOG_INFO("Check-in only mode; extra tap ignored for %s", uidHex.c_str());
+            showFullscreenStatus("Already in", statusDetail);
+            playGenericConfirmationTone();
+        }
+        else if (response.action == "tooSoon")
+        {
+            LOG_INFO("Check-out refused for %s; session too short", uidHex.c_str());
+            showFullscreenStatus("Too soon", statusDetail);
+            playAlreadyOutTone();
+        }
+        else if (response.action == "duplicate")
+        {
+            LOG_INFO("Repeat tap for %s ignored (earlier action '%s')",
+                     uidHex.c_str(), response.originalAction.c_str());
+            showFullscreenStatus("Already noted", statusDetail);
+            playGenericConfirmationTone();
+        }
         else if (response.action == "unregistered")
         {
             LOG_WARN("Unregistered card %s", uidHex.c_str());
@@ -334,6 +396,35 @@ void loop()
             showFullscreenStatus("Unknown card", uidHex);
             playUnregisteredChime();
         }
+        else if (response.action == "revoked")
+        {
+            LOG_WARN("Revoked card %s", uidHex.c_str());
+            showFullscreenStatus("Card revoked", "See the office");
+            playErrorTone();
+        }
+        else if (response.action == "inactive")
+        {
+            LOG_WARN("Card %s belongs to an inactive student", uidHex.c_str());
+            showFullscreenStatus("Not active", statusDetail);
+            playErrorTone();
+        }
+        else if (response.action == "enroll")
+        {
+            // Enroll mode: the dashboard links the card, attendance is untouched.
+            if (response.linkedSuid.length())
+            {
+                LOG_INFO("Enroll tap of %s, already linked to %s", uidHex.c_str(),
+                         response.linkedSuid.c_str());
+                showFullscreenStatus("Card in use", response.linkedSuid);
+                playAlreadyOutTone();
+            }
+            else
+            {
+                LOG_INFO("Card %s held for enrollment", uidHex.c_str());
+                showFullscreenStatus("Card held", uidHex);
+                playGenericConfirmationTone();
+            }
+        }
         else
         {
             LOG_WARN("Unexpected action token '%s'", response.action.c_str());
@@ -509,17 +600,35 @@ String buildIsoTimestamp()
     return String(buffer);
 }
 
-String buildPayload(const String &uid, const String &isoTimestamp)
+String buildPayload(const String &uid, const String &isoTimestamp,
+                    const String &scanId)
 {
     String payload = "{\"uid\":\"";
     payload += uid;
     payload += "\",\"action\":\"scan\",\"timestamp\":\"";
     payload += isoTimestamp;
-    payload += "\"}";
+    payload += "\",\"scanId\":\"";
+    payload += scanId;
+    // Signed send time; the server rejects a captured body once it is stale.
+    payload += "\",\"sentAt\":";
+    payload += String(static_cast<unsigned long>(time(nullptr)));
+    payload += "}";
     LOG_INFO("Payload %s", payload.c_str());
     return payload;
 }
 
+String generateScanId()
+{
+    // Chip ID + epoch + sequence stays unique across reboots once NTP is synced.
+    scanSequence++;
+    String scanId = String(ESP.getChipId(), HEX);
+    scanId += '-';
+    scanId += String(static_cast<unsigned long>(time(nullptr)));
+    scanId += '-';
+    scanId += String(scanSequence);
+    return scanId;
+}
+
 String readUidHex(const MFRC522::Uid &uidStruct)
 {
     String hex = "";
@@ -903,16 +1012,26 @@ bool loadStudentRegistry()
     return parsed;
 }
 
+// Applies a roster from buildRegistryUrl(). Leading "#" lines carry the
+// version and say whether the body is the full roster, a delta (rows to add
+// or update, "-<uid>" rows to drop) or unchanged. A body that does not start
+// with "#version", such as the JSON error Apps Script answers with HTTP 200,
+// leaves the current roster alone.
 bool parseStudentRegistry(const String &body)
 {
-    studentRegistry.clear();
-    if (body.length() == 0)
+    if (!body.startsWith("#version "))
     {
-        LOG_WARN("Roster payload empty");
+        LOG_WARN("Roster response rejected: %s", body.substring(0, 80).c_str());
         return false;
     }
 
+    String version;
+    bool delta = false;
+    bool unchanged = false;
+    // A full roster is built aside and swapped in once the whole body is read.
+    std::vector<StudentRecord> incoming;
     uint16_t imported = 0;
+    uint16_t removed = 0;
     int start = 0;
     while (start < body.length())
     {
@@ -925,16 +1044,44 @@ bool parseStudentRegistry(const String &body)
         line.trim();
         start = end + 1;
 
-        if (!line.length() || line.startsWith("#"))
+        if (!line.length())
         {
             continue;
         }
 
+        if (line.startsWith("#"))
+        {
+            if (line.startsWith("#version "))
+            {
+                version = line.substring(9);
+                version.trim();
+            }
+            else if (line == "#delta")
+            {
+                delta = true;
+            }
+            else if (line == "#unchanged")
+            {
+                unchanged = true;
+            }
+            continue;
+        }
+
         if (line.startsWith("uid") || line.startsWith("UID") || line.startsWith("CARD_UID"))
         {
             continue; // Skip header rows.
         }
 
+        if (delta && line.startsWith("-"))
+        {
+            String uid = line.substring(1);
+            uid.trim();
+            uid.toUpperCase();
+            removeStudentCacheRecord(uid);
+            removed++;
+            continue;
+        }
+
         const int firstComma = line.indexOf(',');
         if (firstComma == -1)
         {
@@ -970,13 +1117,77 @@ bool parseStudentRegistry(const String &body)
             continue;
         }
 
-        studentRegistry.push_back(StudentRecord{uid, firstName, lastName});
+        if (delta)
+        {
+            removeStudentCacheRecord(uid); // A changed row replaces the old one.
+            studentRegistry.push_back(StudentRecord{uid, firstName, lastName});
+        }
+        else
+        {
+            incoming.push_back(StudentRecord{uid, firstName, lastName});
+        }
         imported++;
     }
 
+    if (version.length())
+    {
+        rosterVersion = version;
+    }
+    if (unchanged || delta)
+    {
+        LOG_INFO("Roster %s: %u updated, %u removed",
+                 unchanged ? "unchanged" : "delta",
+                 static_cast<unsigned>(imported), static_cast<unsigned>(removed));
+        return true;
+    }
+    studentRegistry.swap(incoming);
     return imported > 0;
 }
 
+void syncRosterIfChanged()
+{
+    lastRosterCheck = millis();
+    if (WiFi.status() != WL_CONNECTED)
+    {
+        return;
+    }
+
+    std::unique_ptr<BearSSL::WiFiClientSecure> client(new BearSSL::WiFiClientSecure());
+    client->setInsecure();
+
+    HTTPClient http;
+    http.setTimeout(kRosterVersionTimeoutMs);
+    http.setFollowRedirects(HTTPC_STRICT_FOLLOW_REDIRECTS);
+    if (!http.begin(*client, buildRosterVersionUrl()))
+    {
+        LOG_ERROR("Roster version request initialisation failed");
+        http.end();
+        return;
+    }
+
+    const int httpCode = http.GET();
+    const String body = httpCode == HTTP_CODE_OK ? http.getString() : String("");
+    http.end();
+
+    const String version = extractJsonStringField(body, "version");
+    if (!version.length())
+    {
+        LOG_WARN("Roster version check failed (HTTP %d): %s", httpCode, body.c_str());
+        return;
+    }
+    if (version == rosterVersion)
+    {
+        return;
+    }
+
+    LOG_INFO("Roster version %s differs from %s; syncing", version.c_str(),
+             rosterVersion.c_str());
+    if (loadStudentRegistry())
+    {
+        rosterAvailable = true;
+    }
+}
+
 const StudentRecord *findStudentByUid(const String &uid)
 {
     for (size_t idx = 0; idx < studentRegistry.size(); idx++)
@@ -1016,6 +1227,18 @@ void upsertStudentCacheRecord(const String &uid, const String &firstName,
     studentRegistry.push_back(StudentRecord{uid, firstName, lastName});
 }
 
+void removeStudentCacheRecord(const String &uid)
+{
+    for (size_t idx = 0; idx < studentRegistry.size(); idx++)
+    {
+        if (studentRegistry[idx].uid == uid)
+        {
+            studentRegistry.erase(studentRegistry.begin() + idx);
+            return;
+        }
+    }
+}
+
 String deriveLastNameFromFullName(const String &fullName,
                                   const String &firstName)
 {
@@ -1057,11 +1280,74 @@ String deriveLastNameFromFullName(const String &fullName,
 
 String buildRegistryUrl()
 {
+    // The roster is signed over "registry|<epoch seconds>" so old URLs expire.
+    const String ts = String(static_cast<unsigned long>(time(nullptr)));
     String url(kAppsScriptUrl);
     url += (url.indexOf('?') == -1) ? "?registry=1" : "&registry=1";
+    url += "&deviceId=";
+    url += kDeviceId;
+    url += "&fw=";
+    url += kFirmwareVersion;
+    url += "&ts=";
+    url += ts;
+    url += "&signature=";
+    url += computeHmacHex(String("registry|") + ts);
+    if (rosterVersion.length())
+    {
+        // Lets the server answer with only what changed since this version.
+        url += "&since=";
+        url += rosterVersion;
+    }
+    return url;
+}
+
+String buildRosterVersionUrl()
+{
+    const String ts = String(static_cast<unsigned long>(time(nullptr)));
+    String url(kAppsScriptUrl);
+    url += (url.indexOf('?') == -1) ? "?rosterVersion=1" : "&rosterVersion=1";
+    url += "&deviceId=";
+    url += kDeviceId;
+    url += "&ts=";
+    url += ts;
+    url += "&signature=";
+    url += computeHmacHex(String("rosterVersion|") + ts);
     return url;
 }
 
+String buildSignedScanUrl(const String &payload)
+{
+    String url(kAppsScriptUrl);
+    url += (url.indexOf('?') == -1) ? "?deviceId=" : "&deviceId=";
+    url += kDeviceId;
+    url += "&signature=";
+    url += computeHmacHex(payload);
+    return url;
+}
+
+String computeHmacHex(const String &message)
+{
+    br_hmac_key_context keyContext;
+    br_hmac_context context;
+    uint8_t digest[32];
+
+    br_hmac_key_init(&keyContext, &br_sha256_vtable, kDeviceSecret,
+                     strlen(kDeviceSecret));
+    br_hmac_init(&context, &keyContext, 0);
+    br_hmac_update(&context, message.c_str(), message.length());
+    br_hmac_out(&context, digest);
+
+    static const char kHexDigits[] = "0123456789abcdef";
+    String hex;
+    hex.reserve(sizeof(digest) * 2);
+    for (size_t i = 0; i < sizeof(digest); i++)
+    {
+        hex += kHexDigits[digest[i] >> 4];
+        hex += kHexDigits[digest[i] & 0x0F];
+    }
+    return hex;
+}
+
 bool performSanityChecks()
 {
     displayStatusHold("Starting");
@@ -1091,6 +1377,7 @@ bool verifyAppsScriptEndpoint()
     http.setTimeout(kHttpTimeoutMs);
     http.setFollowRedirects(HTTPC_STRICT_FOLLOW_REDIRECTS);
     const String url = buildHealthCheckUrl();
+    lastHeartbeat = millis();
     LOG_INFO("Performing Apps Script health check");
     if (!http.begin(*client, url))
     {
@@ -1103,22 +1390,46 @@ bool verifyAppsScriptEndpoint()
     const int httpCode = http.GET();
     const unsigned long elapsed = millis() - start;
     LOG_INFO("Health check HTTP %d (%lu ms)", httpCode, elapsed);
+    const String body = httpCode == HTTP_CODE_OK ? http.getString() : String("");
     http.end();
 
-    return httpCode >= 200 && httpCode < 400;
+    if (httpCode < 200 || httpCode >= 400)
+    {
+        return false;
+    }
+    // Apps Script answers 200 even when it rejects the device signature.
+    if (body.length() && body.indexOf("\"status\":\"ok\"") == -1)
+    {
+        LOG_WARN("Health check rejected: %s", body.c_str());
+        return false;
+    }
+    return true;
 }
 
 String buildHealthCheckUrl()
 {
+    // Signed like the roster so the server can record which reader called.
+    const String ts = String(static_cast<unsigned long>(time(nullptr)));
     String url(kAppsScriptUrl);
     url += (url.indexOf('?') == -1) ? "?health=1" : "&health=1";
+    url += "&deviceId=";
+    url += kDeviceId;
+    url += "&fw=";
+    url += kFirmwareVersion;
+    url += "&ts=";
+    url += ts;
+    url += "&signature=";
+    url += computeHmacHex(String("health|") + ts);
     return url;
 }
 
-ApiResponse postScanEvent(const String &uidHex, const String &isoTimestamp)
+ApiResponse postScanEvent(const String &uidHex, const String &isoTimestamp,
+                          const String &scanId)
 {
     ApiResponse response;
-    const String payload = buildPayload(uidHex, isoTimestamp);
+    // Every retry reuses the same payload so the server can recognise the scanId.
+    const String payload = buildPayload(uidHex, isoTimestamp, scanId);
+    const String url = buildSignedScanUrl(payload);
     const unsigned long overallStart = millis();
 
     for (uint8_t attempt = 0; attempt < kMaxPostRetries; attempt++)
@@ -1142,7 +1453,7 @@ ApiResponse postScanEvent(const String &uidHex, const String &isoTimestamp)
         HTTPClient http;
         http.setTimeout(kHttpTimeoutMs);
         http.setFollowRedirects(HTTPC_STRICT_FOLLOW_REDIRECTS);
-        if (!http.begin(*client, kAppsScriptUrl))
+        if (!http.begin(*client, url))
         {
             response.message = "Bad URL";
             response.httpCode = 0;
@@ -1212,7 +1523,12 @@ ApiResponse parseApiResponse(int httpCode, const String &body)
     {
         res.success = true;
 
-        if (contains(body, "\"action\":\"checkin\""))
+        if (contains(body, "\"action\":\"duplicate\""))
+        {
+            res.action = "duplicate";
+            res.originalAction = extractJsonStringField(body, "originalAction");
+        }
+        else if (contains(body, "\"action\":\"checkin\""))
         {
             res.action = "checkin";
         }
@@ -1224,10 +1540,31 @@ ApiResponse parseApiResponse(int httpCode, const String &body)
         {
             res.action = "alreadyCheckedOut";
         }
+        else if (contains(body, "\"action\":\"alreadyCheckedIn\""))
+        {
+            res.action = "alreadyCheckedIn";
+        }
+        else if (contains(body, "\"action\":\"tooSoon\""))
+        {
+            res.action = "tooSoon";
+        }
         else if (contains(body, "\"action\":\"unregistered\""))
         {
             res.action = "unregistered";
         }
+        else if (contains(body, "\"action\":\"revoked\""))
+        {
+            res.action = "revoked";
+        }
+        else if (contains(body, "\"action\":\"inactive\""))
+        {
+            res.action = "inactive";
+        }
+        else if (contains(body, "\"action\":\"enroll\""))
+        {
+            res.action = "enroll";
+            res.linkedSuid = extractJsonStringField(body, "linkedSuid");
+        }
         else
         {
             res.action = "acknowledged";
@@ -1257,6 +1594,12 @@ ApiResponse parseApiResponse(int httpCode, const String &body)
             }
         }
 
+        const int totalKeyPos = body.indexOf("\"totalMs\":");
+        if (totalKeyPos != -1)
+        {
+            res.serverMs = body.substring(totalKeyPos + 10).toInt();
+        }
+
         return res;
     }
 
@@ -1288,3 +1631,22 @@ ApiResponse parseApiResponse(int httpCode, const String &body)
     LOG_WARN("Unexpected response payload: %s", body.c_str());
     return res;
 }
+
+String extractJsonStringField(const String &body, const char *key)
+{
+    String token = "\"";
+    token += key;
+    token += "\":";
+    const int keyPos = body.indexOf(token);
+    if (keyPos == -1)
+    {
+        return String("");
+    }
+    const int quoteStart = body.indexOf('"', keyPos + token.length());
+    const int quoteEnd = quoteStart != -1 ? body.indexOf('"', quoteStart + 1) : -1;
+    if (quoteStart == -1 || quoteEnd == -1 || quoteEnd <= quoteStart)
+    {
+        return String("");
+    }
+    return body.substring(quoteStart + 1, quoteEnd);
+}
@@ -0,0 +1,30 @@
+// CloudAttend reader settings for one school and one reader.
+// Copy this file to config.h in the same folder and edit the copy; config.h
+// is ignored by git and takes precedence over this file when present.
+#pragma once
+
+#include <stddef.h>
+
+// Apps Script web app deployment (the ID between /s/ and /exec).
+#define K_APPS_SCRIPT_DEPLOYMENT_ID \
+    "AKfycbz0F26gZ5EX5VNtZYW2Tr_gyGVgcEMX0LkXSdf4Q64apiLkEBvbplifFICe1TgEHtTo"
+
+constexpr char kAppsScriptUrl[] =
+    "https://script.google.com/macros/s/" K_APPS_SCRIPT_DEPLOYMENT_ID "/exec";
+
+// Reader identity; the secret comes from createDeviceSecret() in the Apps Script editor.
+constexpr char kDeviceId[] = "reader-01";
+constexpr char kDeviceSecret[] = "replace-with-device-secret";
+
+// Wi-Fi networks attempted in priority order (shared password).
+constexpr char kWifiPassword[] = "Admin@12345";
+constexpr const char *kWifiSsids[] = {
+    "Darshans-Phone",
+    "Shreys-Phone",
+    "Sumits-Phone",
+    "Vaibhavs-Phone",
+    "Someones-Phone"};
+
+// Local clock shown on the LCD; keep in step with the TimeZone setting.
+constexpr long kGmtOffsetSec = 19800; // UTC+5:30 for India.
+constexpr int kDaylightOffsetSec = 0;
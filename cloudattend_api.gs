@@ -4,16 +4,250 @@
  */
 
 // Sheet configuration constants.
-const CLOUDATTEND_DB_ID = "19jgGjDbxysLfbNrPufEvPOo9BJFK8-grxzY7VpW01WY";
+// Script property holding the CloudAttend_DB spreadsheet ID. Scripts bound to
+// the spreadsheet can leave it unset.
+const DB_ID_PROPERTY = "CLOUDATTEND_DB_ID";
 const STUDENTS_SHEET_NAME = "Students";
 const ATTENDANCE_SHEET_NAME = "Attendance";
 const UNREGISTERED_SHEET_NAME = "Unregistered_CARDs";
-const TIME_ZONE = "Asia/Kolkata";
-const CORS_ALLOW_ORIGIN = "*";
-const CORS_ALLOW_METHODS = "GET,POST,OPTIONS";
-const CORS_ALLOW_HEADERS = "Content-Type";
-const HUMAN_DATE_FORMAT = "d MMMM yyyy"; // e.g., 17 October 2025
-const HUMAN_TIME_FORMAT = "h:mm a"; // e.g., 1:45 PM
+const SCAN_LOG_SHEET_NAME = "Scan_Log";
+const CORRECTIONS_SHEET_NAME = "Attendance_Corrections";
+const USERS_SHEET_NAME = "Users";
+const CARDS_SHEET_NAME = "Cards";
+const DEVICES_SHEET_NAME = "Devices";
+const COURSES_SHEET_NAME = "Courses";
+const TIMETABLE_SHEET_NAME = "Timetable";
+const ENROLLMENTS_SHEET_NAME = "Enrollments";
+const CALENDAR_SHEET_NAME = "Calendar";
+const AUDIT_LOG_SHEET_NAME = "AuditLog";
+const ISO_TIMESTAMP_FORMAT = "yyyy-MM-dd'T'HH:mm:ssXXX";
+// Values memoised for the current request or trigger run. Apps Script starts
+// every execution with fresh globals, so edits to settings apply on the next.
+let executionCache = {};
+
+// Scan timing limits.
+const MAX_CLIENT_CLOCK_SKEW_MS = 2 * 60 * 1000; // Live scans older/newer than this use server time.
+const MAX_BATCH_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Oldest offline scan accepted in a batch.
+const MAX_SCAN_BATCH_SIZE = 100;
+const DEFAULT_SCAN_DEBOUNCE_SECONDS = 30; // When the ScanDebounceSeconds setting is blank.
+const SCAN_LOG_LOOKBACK_ROWS = 500; // Recent Scan_Log rows checked for scan IDs and debounce.
+const CARD_INDEX_CACHE_KEY = "card-index"; // Card UID → Cards status and student.
+const ATTENDANCE_DAYS_CACHE_KEY = "attendance-days"; // DateKey → first Attendance row of the day.
+const SCAN_INDEX_CACHE_SECONDS = 10 * 60; // Hand edits to the sheets show up within this time.
+const MAX_CACHED_ATTENDANCE_DAYS = 10;
+const CACHE_CHUNK_CHARS = 24000; // CacheService values are capped at 100 KB.
+const ROSTER_VERSION_CHARS = 16; // Hex digits of the roster's SHA-256 used as its version.
+const ROSTER_CSV_HEADER = "CARD_UID,FirstName,LastName";
+const ROSTER_SNAPSHOT_SECONDS = 6 * 60 * 60; // CacheService maximum; older versions get the full roster.
+// Authentication configuration.
+const ROLE_ADMIN = "admin";
+const ROLE_TEACHER = "teacher";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const PASSWORD_HASH_ROUNDS = 500;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_SECONDS = 15 * 60;
+const DEVICE_REQUEST_MAX_AGE_MS = 5 * 60 * 1000; // Signed device requests older than this are rejected.
+const DEVICE_CONTACT_LOCK_MS = 2000; // Longest a device GET waits to record LastSeen.
+const SESSION_SECRET_PROPERTY = "SESSION_SECRET";
+const DEVICE_SECRETS_PROPERTY = "DEVICE_SECRETS"; // JSON map of deviceId → shared secret.
+const ENROLL_SESSIONS_PROPERTY = "ENROLL_SESSIONS"; // JSON map of deviceId → enroll session.
+const ENROLL_IDLE_MINUTES = 15; // Enroll mode ends after this long without a tap.
+const MAX_ENROLL_CANDIDATES = 20;
+const ATTENDANCE_REVISION_PROPERTY = "ATTENDANCE_REVISION";
+const ATTENDANCE_DELETIONS_PROPERTY = "ATTENDANCE_DELETIONS"; // Recent deleted RowIds for delta clients.
+const MAX_ATTENDANCE_DELETIONS = 500;
+const MAX_ATTENDANCE_PAGE_SIZE = 500;
+const SETTINGS_SHEET_NAME = "Settings";
+const DASHBOARD_FEATURES = ["reports", "courses", "calendar", "audit"];
+const SETTINGS_HEADERS = ["Key", "Value", "Description"];
+// Seeded into the Settings sheet by seedSettings; edit values there, not here.
+// A script property with the same key overrides the sheet.
+const SETTINGS_DEFAULTS = [
+  ["LateAfter", "09:00", "A first check-in after this time (HH:mm) is late."],
+  [
+    "AbsentAfter",
+    "10:30",
+    "Students with no check-in by this time (HH:mm) are absent.",
+  ],
+  [
+    "AutoCheckoutAt",
+    "18:00",
+    "Open sessions are checked out at this time (HH:mm). Leave blank to disable.",
+  ],
+  ["DigestAt", "18:30", "Time (HH:mm) the daily digest is sent."],
+  [
+    "WorkingDays",
+    "Mon,Tue,Wed,Thu,Fri",
+    "Days on which attendance is expected.",
+  ],
+  [
+    "NotifyMode",
+    "digest",
+    "digest, events (alert per late/absent student), both, or off.",
+  ],
+  ["NotifyEmails", "", "Comma-separated recipients for notifications."],
+  ["WebhookUrl", "", "Receives each notification as a JSON POST."],
+  [
+    "SessionPolicy",
+    "single",
+    "single (one check-in and check-out a day), multi (a new session after each check-out) or checkinOnly (taps only check in).",
+  ],
+  [
+    "MinSessionMinutes",
+    "0",
+    "A check-out tap sooner than this many minutes after check-in is refused. 0 disables the check.",
+  ],
+  [
+    "ScanDebounceSeconds",
+    String(DEFAULT_SCAN_DEBOUNCE_SECONDS),
+    "Another tap of the same card within this many seconds is answered as a duplicate. 0 disables the check.",
+  ],
+  [
+    "TimeZone",
+    "Asia/Kolkata",
+    "IANA time zone for dates, times and rules. Blank uses the Apps Script project's time zone.",
+  ],
+  [
+    "Locale",
+    "",
+    "BCP 47 locale the dashboard formats dates with, e.g. en-IN. Blank uses each browser's locale.",
+  ],
+  [
+    "DateFormat",
+    "d MMMM yyyy",
+    "Format of the Date column in new rows (SimpleDateFormat pattern).",
+  ],
+  [
+    "TimeFormat",
+    "h:mm a",
+    "Format of check-in and check-out times in new rows (SimpleDateFormat pattern).",
+  ],
+  [
+    "Features",
+    DASHBOARD_FEATURES.join(","),
+    `Dashboard features to show: ${DASHBOARD_FEATURES.join(", ")}.`,
+  ],
+  [
+    "ArchiveAfterDays",
+    "0",
+    "Closed attendance rows older than this many days move to monthly Attendance_YYYY_MM sheets each night. 0 disables archiving.",
+  ],
+  [
+    "ArchiveSpreadsheetId",
+    "",
+    "Spreadsheet that receives the monthly archive sheets. Blank keeps them in this spreadsheet.",
+  ],
+];
+const SESSION_POLICIES = ["single", "multi", "checkinOnly"];
+const RULES_STATE_PROPERTY = "RULES_STATE"; // What the scheduled rules already did today.
+const RULES_TRIGGER_MINUTES = 15;
+const AUTO_CHECKOUT_EDITOR = "auto-checkout";
+const ARCHIVE_EDITOR = "archive";
+const ARCHIVE_SHEET_PREFIX = "Attendance_"; // Followed by yyyy_MM.
+const ARCHIVE_SHEET_PATTERN = /^Attendance_\d{4}_\d{2}$/;
+const ARCHIVE_TRIGGER_HOUR = 2; // Local hour the nightly archive runs.
+const USERS_HEADERS = ["Username", "Role", "PasswordHash", "Salt", "Active"];
+const STUDENTS_HEADERS = [
+  "CARD_UID",
+  "SUID",
+  "FirstName",
+  "LastName",
+  "Active",
+];
+// Every card a student has held; the newest row for a CARD_UID decides what a tap does.
+const CARDS_HEADERS = [
+  "CARD_UID",
+  "SUID",
+  "Status",
+  "LinkedAt",
+  "ReleasedAt",
+  "ReleasedBy",
+];
+// One row per unknown card. Date and Time are its first tap as shown to
+// people; FirstSeen and LastSeen are ISO timestamps.
+const UNREGISTERED_HEADERS = [
+  "CARD_UID",
+  "Date",
+  "Time",
+  "Status",
+  "FirstSeen",
+  "LastSeen",
+  "TapCount",
+  "DeviceId",
+];
+const CARD_STATUS_ACTIVE = "active";
+const CARD_STATUS_REVOKED = "revoked"; // Lost or stolen; taps answer "revoked".
+const CARD_STATUS_REASSIGNED = "reassigned"; // Moved to another student.
+const CARD_STATUS_UNLINKED = "unlinked"; // Student deleted; taps count as unknown again.
+const MAX_BULK_REGISTER_ROWS = 500;
+// One row per reader; scans, roster syncs and health checks refresh LastSeen.
+const DEVICES_HEADERS = [
+  "DeviceId",
+  "Name",
+  "Location",
+  "LastSeen",
+  "FirmwareVersion",
+  "LastHealthCheck",
+];
+const COURSES_HEADERS = ["CourseId", "Name"];
+// Room matches a reader's Location or DeviceId; blank matches every reader.
+const TIMETABLE_HEADERS = ["CourseId", "Room", "Weekday", "Start", "End"];
+const ENROLLMENTS_HEADERS = ["CourseId", "SUID"];
+const COURSE_EARLY_MINUTES = 10; // Scans this long before Start count for the course.
+// Start is a date (End optional, inclusive) or a weekday such as "Sun" that
+// repeats every week. A CourseId limits the entry to that course.
+const CALENDAR_HEADERS = [
+  "EntryId",
+  "Start",
+  "End",
+  "Type",
+  "CourseId",
+  "Note",
+];
+const CALENDAR_TYPES = ["holiday", "halfDay", "working"];
+const DAY_TYPE_LABELS = {
+  working: "Working day",
+  halfDay: "Half day",
+  holiday: "Holiday",
+  off: "Non-working day",
+};
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const CORRECTIONS_HEADERS = [
+  "CorrectedAt",
+  "CorrectedBy",
+  "CARD_UID",
+  "SUID",
+  "DateKey",
+  "Field",
+  "OriginalValue",
+  "NewValue",
+];
+const SCAN_LOG_HEADERS = [
+  "ScanId",
+  "CARD_UID",
+  "ScanTimeMs",
+  "Timestamp",
+  "Action",
+  "OriginalAction",
+  "FirstName",
+  "FullName",
+  "LoggedAt",
+];
+// Append-only history of writes to Students, Attendance and Unregistered_CARDs.
+// Before/After are JSON: whole rows for additions and deletions, only the
+// changed fields for edits.
+const AUDIT_LOG_HEADERS = [
+  "AuditId",
+  "Timestamp",
+  "Actor",
+  "Action",
+  "Sheet",
+  "TargetKey",
+  "Before",
+  "After",
+];
+const MAX_AUDIT_PAGE_SIZE = 500;
 
 /**
  * Handles POST requests from the RFID scanner.
@@ -21,9 +255,11 @@ const HUMAN_TIME_FORMAT = "h:mm a"; // e.g., 1:45 PM
  * @return {GoogleAppsScript.Content.TextOutput}
  */
 function doPost(e) {
+  const receivedMs = Date.now();
   const lock = LockService.getScriptLock();
   try {
     lock.waitLock(10000); // Prevent concurrent writes from overlapping.
+    executionCache.timing = { lockMs: Date.now() - receivedMs };
 
     const request = parseRequest(e);
     if (!request.valid) {
@@ -32,6 +268,39 @@ function doPost(e) {
 
     const action = (request.data.action || "").toString().toLowerCase();
 
+    if (action === "login") {
+      const loginResult = handleLogin(request.data);
+      if (!loginResult.success) {
+        return jsonResponse(
+          {
+            status: "error",
+            code: loginResult.statusCode,
+            message: loginResult.message,
+          },
+          loginResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "login",
+          token: loginResult.token,
+          expiresAt: loginResult.expiresAt,
+          user: loginResult.user,
+        },
+        200
+      );
+    }
+
+    // Readers sign their requests; every other action needs an admin session.
+    const isDeviceAction = action === "scan" || action === "scanbatch";
+    const auth = isDeviceAction
+      ? verifySignedDevicePost(e, request.data)
+      : authenticateSession(request.data.token, ROLE_ADMIN);
+    if (!auth.ok) {
+      return authErrorResponse(auth);
+    }
+
     if (action === "scan") {
       const uid = (request.data.uid || "").toString().trim();
       if (!uid) {
@@ -41,81 +310,52 @@ function doPost(e) {
         );
       }
 
+      // Prefer the device clock so retried scans keep their original time.
       const now = new Date();
-      const timeZone = TIME_ZONE;
-      const isoTimestamp = Utilities.formatDate(
-        now,
-        timeZone,
-        "yyyy-MM-dd'T'HH:mm:ssXXX"
-      );
-      const dateKey = Utilities.formatDate(now, timeZone, "yyyy-MM-dd");
-      const humanDate = Utilities.formatDate(now, timeZone, HUMAN_DATE_FORMAT);
-      const humanTime = Utilities.formatDate(now, timeZone, HUMAN_TIME_FORMAT);
-
-      const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
-      const attendanceSheet = getSheet(ATTENDANCE_SHEET_NAME);
-      const unregisteredSheet = getSheet(UNREGISTERED_SHEET_NAME);
-
-      const student = findStudentByUid(studentsSheet, uid);
-      if (!student) {
-        appendUnregistered(unregisteredSheet, uid, humanDate, humanTime);
-        return jsonResponse({
-          status: "ok",
-          action: "unregistered",
-          timestamp: isoTimestamp,
-        });
-      }
-
-      const fullName = `${student.FirstName} ${student.LastName}`.trim();
-      // Ensure headers exist and include a machine-usable DateKey plus human-readable Date/Time
-      const attendanceHeaders = ensureAttendanceHeaders(attendanceSheet);
-      const headerMap = attendanceHeaders.reduce((acc, header, idx) => {
-        acc[header] = idx + 1; // 1-based for Range ops
-        return acc;
-      }, {});
+      const clientDate = parseClientTimestamp(request.data.timestamp);
+      const useClientTime =
+        !!clientDate &&
+        isWithinScanWindow(clientDate, now, MAX_CLIENT_CLOCK_SKEW_MS);
+      const scanDate = useClientTime ? clientDate : now;
 
-      // Find latest open attendance row (today, same UID, without checkout)
-      const openRow = findOpenAttendanceRowForDate(
-        attendanceSheet,
+      const scanId = (request.data.scanId || "").toString().trim();
+      const sheets = timed("setupMs", () => {
+        const scanSheets = getScanSheets(auth.deviceId);
+        // Only live taps are held; queued offline scans were meant as attendance.
+        scanSheets.enrollment = getActiveEnrollment(auth.deviceId);
+        return scanSheets;
+      });
+      const result = recordScan(sheets, {
         uid,
-        dateKey
-      );
-
-      if (!openRow) {
-        // No open session for today → create new check-in row
-        const rowValues = [];
-        rowValues[headerMap.CARD_UID - 1] = uid;
-        rowValues[headerMap.SUID - 1] = student.SUID;
-        rowValues[headerMap.Date - 1] = humanDate;
-        rowValues[headerMap.DateKey - 1] = dateKey;
-        rowValues[headerMap.CheckInTime - 1] = humanTime;
-        rowValues[headerMap.CheckOutTime - 1] = "";
-        rowValues[headerMap.Name - 1] = fullName;
-        attendanceSheet.appendRow(rowValues);
-        return jsonResponse({
-          status: "ok",
-          action: "checkin",
-          timestamp: isoTimestamp,
-          firstName: student.FirstName || "",
-          fullName,
-        });
-      }
+        scanId,
+        scanDate,
+      });
+      result.timestampSource = useClientTime ? "device" : "server";
+      result.timing = getRequestTiming(receivedMs);
+      return jsonResponse(result);
+    }
 
-      // Open session exists → set checkout time
-      const checkoutCol = openRow.headers.CheckOutTime;
-      if (!checkoutCol) {
-        throw new Error(
-          "Attendance sheet headers must include CheckOutTime column"
+    if (action === "scanbatch") {
+      const batchResult = timed("setupMs", () =>
+        handleScanBatch(request.data.events, auth.deviceId)
+      );
+      if (!batchResult.success) {
+        return jsonResponse(
+          { status: "error", message: batchResult.message },
+          batchResult.statusCode || 400
         );
       }
-      attendanceSheet.getRange(openRow.row, checkoutCol).setValue(humanTime);
-      return jsonResponse({
-        status: "ok",
-        action: "checkout",
-        timestamp: isoTimestamp,
-        firstName: student.FirstName || "",
-        fullName,
-      });
+
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "scanBatch",
+          processed: batchResult.results.length,
+          results: batchResult.results,
+          timing: getRequestTiming(receivedMs),
+        },
+        200
+      );
     }
 
     if (action === "register") {
@@ -123,7 +363,10 @@ function doPost(e) {
         request.data.data && typeof request.data.data === "object"
           ? request.data.data
           : request.data;
-      const registrationResult = handleRegistration(registrationPayload);
+      const registrationResult = handleRegistration(
+        registrationPayload,
+        auth.user.username
+      );
       if (!registrationResult.success) {
         return jsonResponse(
           {
@@ -144,6 +387,106 @@ function doPost(e) {
       );
     }
 
+    if (action === "bulkregister") {
+      const bulkResult = handleBulkRegistration(
+        request.data,
+        auth.user.username
+      );
+      if (!bulkResult.success) {
+        return jsonResponse(
+          { status: "error", message: bulkResult.message },
+          bulkResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "bulkRegister",
+          dryRun: bulkResult.dryRun,
+          results: bulkResult.results,
+        },
+        200
+      );
+    }
+
+    if (action === "reassigncard" || action === "revokecard") {
+      const cardResult =
+        action === "reassigncard"
+          ? handleCardReassign(request.data, auth.user.username)
+          : handleCardRevoke(request.data, auth.user.username);
+      if (!cardResult.success) {
+        return jsonResponse(
+          { status: "error", message: cardResult.message },
+          cardResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: action === "reassigncard" ? "reassignCard" : "revokeCard",
+          card: cardResult.card,
+        },
+        200
+      );
+    }
+
+    if (action === "setstudentactive") {
+      const activeResult = handleStudentActive(
+        request.data,
+        auth.user.username
+      );
+      if (!activeResult.success) {
+        return jsonResponse(
+          { status: "error", message: activeResult.message },
+          activeResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "setStudentActive",
+          student: activeResult.student,
+        },
+        200
+      );
+    }
+
+    if (action === "enrollmode") {
+      const enrollResult = handleEnrollMode(request.data, auth.user.username);
+      if (!enrollResult.success) {
+        return jsonResponse(
+          { status: "error", message: enrollResult.message },
+          enrollResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "enrollMode",
+          session: enrollResult.session,
+        },
+        200
+      );
+    }
+
+    if (action === "addcalendarentry") {
+      const calendarResult = handleCalendarEntryAdd(request.data);
+      if (!calendarResult.success) {
+        return jsonResponse(
+          { status: "error", message: calendarResult.message },
+          calendarResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "addCalendarEntry",
+          entry: calendarResult.entry,
+        },
+        200
+      );
+    }
+
     if (action === "delete") {
       const type = (
         (request.data.type || request.data.kind || "").toString() || ""
@@ -159,24 +502,48 @@ function doPost(e) {
             400
           );
         }
-        const sheet = getSheet(UNREGISTERED_SHEET_NAME);
-        const deleted = deleteUnregisteredByUid(sheet, uid);
+        const sheet = getUnregisteredSheet();
+        const deleted = deleteUnregisteredByUid(sheet, uid, auth.user.username);
         return jsonResponse({ status: "ok", action: "delete", deleted }, 200);
       }
+      if (type === "student") {
+        const deleteResult = handleStudentDelete(
+          request.data,
+          auth.user.username
+        );
+        if (!deleteResult.success) {
+          return jsonResponse(
+            { status: "error", message: deleteResult.message },
+            deleteResult.statusCode || 400
+          );
+        }
+        return jsonResponse(
+          {
+            status: "ok",
+            action: "delete",
+            removed: true,
+            releasedCards: deleteResult.releasedCards,
+          },
+          200
+        );
+      }
+      if (type === "calendar") {
+        const entryId = (request.data.entryId || "").toString().trim();
+        if (!entryId) {
+          return jsonResponse(
+            { status: "error", message: "entryId is required" },
+            400
+          );
+        }
+        const removed = deleteCalendarEntry(entryId);
+        return jsonResponse(
+          { status: removed ? "ok" : "error", action: "delete", removed },
+          removed ? 200 : 404
+        );
+      }
       if (type === "attendance") {
-        const uid = (request.data.uid || request.data.cardUid || "")
-          .toString()
-          .trim()
-          .toUpperCase();
-        const dateKey = (request.data.dateKey || "").toString().trim();
-        const checkInTime = (
-          request.data.checkInTime ||
-          request.data.checkin ||
-          ""
-        )
-          .toString()
-          .trim();
-        if (!uid || !dateKey || !checkInTime) {
+        const rowKey = parseAttendanceRowKey(request.data);
+        if (!rowKey) {
           return jsonResponse(
             {
               status: "error",
@@ -185,9 +552,12 @@ function doPost(e) {
             400
           );
         }
-        const sheet = getSheet(ATTENDANCE_SHEET_NAME);
-        ensureAttendanceHeaders(sheet);
-        const removed = deleteAttendanceRow(sheet, uid, dateKey, checkInTime);
+        const removed = deleteAttendanceRow(
+          rowKey.uid,
+          rowKey.dateKey,
+          rowKey.checkInTime,
+          auth.user.username
+        );
         return jsonResponse(
           { status: removed ? "ok" : "error", action: "delete", removed },
           removed ? 200 : 404
@@ -199,6 +569,91 @@ function doPost(e) {
       );
     }
 
+    if (action === "update") {
+      const type = (request.data.type || "").toString().toLowerCase();
+      if (type === "student") {
+        const studentResult = handleStudentUpdate(
+          request.data,
+          auth.user.username
+        );
+        if (!studentResult.success) {
+          return jsonResponse(
+            { status: "error", message: studentResult.message },
+            studentResult.statusCode || 400
+          );
+        }
+        return jsonResponse(
+          { status: "ok", action: "update", student: studentResult.student },
+          200
+        );
+      }
+      if (type !== "attendance") {
+        return jsonResponse(
+          { status: "error", message: "Unsupported update type" },
+          400
+        );
+      }
+      const updateResult = handleAttendanceUpdate(
+        request.data,
+        auth.user.username
+      );
+      if (!updateResult.success) {
+        return jsonResponse(
+          { status: "error", message: updateResult.message },
+          updateResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "update",
+          record: updateResult.record,
+          changed: updateResult.changed,
+        },
+        200
+      );
+    }
+
+    if (action === "restoreattendance") {
+      const restoreResult = handleAttendanceRestore(
+        request.data,
+        auth.user.username
+      );
+      if (!restoreResult.success) {
+        return jsonResponse(
+          { status: "error", message: restoreResult.message },
+          restoreResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "restoreAttendance",
+          record: restoreResult.record,
+        },
+        200
+      );
+    }
+
+    if (action === "closeoverdue") {
+      const closeResult = handleCloseOverdue(request.data, auth.user.username);
+      if (!closeResult.success) {
+        return jsonResponse(
+          { status: "error", message: closeResult.message },
+          closeResult.statusCode || 400
+        );
+      }
+      return jsonResponse(
+        {
+          status: "ok",
+          action: "closeOverdue",
+          closed: closeResult.closed,
+          skipped: closeResult.skipped,
+        },
+        200
+      );
+    }
+
     return jsonResponse(
       { status: "error", message: "Unsupported action" },
       400
@@ -211,763 +666,5670 @@ function doPost(e) {
 }
 
 /**
- * Handles GET requests for health checks, roster exports, or dashboard data.
- * @param {GoogleAppsScript.Events.DoGet} e
- * @return {GoogleAppsScript.Content.TextOutput}
+ * Runs fn and adds its duration to the request's timing under label.
+ * @param {string} label
+ * @param {function(): *} fn
+ * @return {*} What fn returned.
  */
-function doGet(e) {
-  const params = (e && e.parameter) || {};
-
-  if (params.health === "1") {
-    return handleHealthCheck();
-  }
-
-  if (params.registry === "1") {
-    return handleRosterExport();
+function timed(label, fn) {
+  const startedMs = Date.now();
+  try {
+    return fn();
+  } finally {
+    const timing = executionCache.timing || (executionCache.timing = {});
+    timing[label] = (timing[label] || 0) + Date.now() - startedMs;
   }
+}
 
-  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
-  const attendanceSheet = getSheet(ATTENDANCE_SHEET_NAME);
-  const unregisteredSheet = getSheet(UNREGISTERED_SHEET_NAME);
-
-  // Ensure attendance headers and DateKey column exist so clients can filter today reliably
-  ensureAttendanceHeaders(attendanceSheet);
+/**
+ * Milliseconds spent so far on this request, for the scan responses:
+ * `lockMs` waiting for the script lock, `setupMs` opening sheets (a batch
+ * counts all its events here), `cardMs` and `attendanceMs` in the scan
+ * lookups, and `totalMs` since doPost started. `cardIndex` says whether the
+ * card index came from the cache or was rebuilt.
+ * @param {number} receivedMs
+ * @return {Object<string, number|string>}
+ */
+function getRequestTiming(receivedMs) {
+  return Object.assign({}, executionCache.timing, {
+    totalMs: Date.now() - receivedMs,
+  });
+}
 
-  const response = {
-    status: "ok",
-    data: {
-      students: sheetToObjects(studentsSheet),
-      attendance: sheetToObjects(attendanceSheet),
-      unregisteredCards: sheetToObjects(unregisteredSheet),
+/**
+ * Opens the sheets touched by the scan flow once per request.
+ * The recent Scan_Log tail is loaded here so batch events can see each other,
+ * and the reader's Devices row is refreshed once for the whole request.
+ * @param {string} deviceId
+ * @return {{ studentsSheet: GoogleAppsScript.Spreadsheet.Sheet, cardsSheet: GoogleAppsScript.Spreadsheet.Sheet, attendanceSheet: GoogleAppsScript.Spreadsheet.Sheet, unregisteredSheet: GoogleAppsScript.Spreadsheet.Sheet, scanLog: { sheet: GoogleAppsScript.Spreadsheet.Sheet, entries: Array<Object> }, settings: Object, device: Object }}
+ */
+function getScanSheets(deviceId) {
+  const scanLogSheet = getOrCreateSheet(SCAN_LOG_SHEET_NAME, SCAN_LOG_HEADERS);
+  return {
+    studentsSheet: getSheet(STUDENTS_SHEET_NAME),
+    cardsSheet: getCardsSheet(),
+    attendanceSheet: getSheet(ATTENDANCE_SHEET_NAME),
+    unregisteredSheet: getUnregisteredSheet(),
+    scanLog: {
+      sheet: scanLogSheet,
+      entries: loadRecentScanLog(scanLogSheet),
     },
+    settings: getSettings(),
+    device: touchDevice(deviceId),
+    schedule: loadCourseSchedule(),
   };
-
-  return jsonResponse(response, 200);
 }
 
 /**
- * Handles CORS preflight requests.
- * @param {GoogleAppsScript.Events.DoPost} _e
- * @return {GoogleAppsScript.Content.TextOutput}
+ * Applies a scan once. A retry carrying a known scanId gets the original
+ * response back; a different tap of the same card within the
+ * ScanDebounceSeconds setting returns `duplicate` with the earlier action. With
+ * `sheets.enrollment` set the tap is held for the link form instead.
+ * @param {{ scanLog: { sheet: GoogleAppsScript.Spreadsheet.Sheet, entries: Array<Object> }, settings: Object, enrollment?: Object|null }} sheets
+ * @param {{ uid: string, scanId: string, scanDate: Date }} event
+ * @return {Object} Response payload for the device.
  */
-function doOptions(_e) {
-  return applyCorsHeaders(ContentService.createTextOutput(""));
+function recordScan(sheets, event) {
+  const scanLog = sheets.scanLog;
+
+  if (event.scanId) {
+    const retried = findLoggedScanById(scanLog.entries, event.scanId);
+    if (retried) {
+      return {
+        status: "ok",
+        action: retried.Action,
+        originalAction: retried.OriginalAction || undefined,
+        timestamp: retried.Timestamp,
+        firstName: retried.FirstName || "",
+        fullName: retried.FullName || "",
+        scanId: event.scanId,
+        replayed: true,
+      };
+    }
+  }
+
+  if (sheets.enrollment) {
+    const held = holdEnrollCandidate(sheets, event);
+    appendScanLog(scanLog, event, held);
+    return event.scanId ? Object.assign({ scanId: event.scanId }, held) : held;
+  }
+
+  const previous = findDebouncedScan(
+    scanLog.entries,
+    event,
+    sheets.settings.scanDebounceSeconds
+  );
+  if (previous) {
+    const duplicate = {
+      status: "ok",
+      action: "duplicate",
+      originalAction: previous.Action,
+      timestamp: previous.Timestamp,
+      firstName: previous.FirstName || "",
+      fullName: previous.FullName || "",
+    };
+    appendScanLog(scanLog, event, duplicate);
+    return event.scanId
+      ? Object.assign({ scanId: event.scanId }, duplicate)
+      : duplicate;
+  }
+
+  const result = processScanEvent(sheets, event.uid, event.scanDate);
+  appendScanLog(scanLog, event, result);
+  return event.scanId
+    ? Object.assign({ scanId: event.scanId }, result)
+    : result;
 }
 
 /**
- * Lightweight endpoint for device health verification.
- * @return {GoogleAppsScript.Content.TextOutput}
+ * Finds a logged scan by its client-generated ID.
+ * @param {Array<Object>} entries
+ * @param {string} scanId
+ * @return {Object|null}
  */
-function handleHealthCheck() {
-  try {
-    getSheet(STUDENTS_SHEET_NAME);
-    getSheet(ATTENDANCE_SHEET_NAME);
-    getSheet(UNREGISTERED_SHEET_NAME);
-    return jsonResponse({ status: "ok" }, 200);
-  } catch (error) {
-    return jsonResponse({ status: "error", message: error.message }, 500);
+function findLoggedScanById(entries, scanId) {
+  for (let i = entries.length - 1; i >= 0; i -= 1) {
+    if (entries[i].ScanId === scanId) {
+      return entries[i];
+    }
   }
+  return null;
 }
 
 /**
- * Streams the student roster as a CSV payload.
- * @return {GoogleAppsScript.Content.TextOutput}
+ * Finds the latest applied scan of the same card within the debounce window.
+ * Entries that were themselves duplicates or enroll taps are skipped so the
+ * window is measured from the tap that changed attendance.
+ * @param {Array<Object>} entries
+ * @param {{ uid: string, scanDate: Date }} event
+ * @param {number} windowSeconds 0 turns debouncing off.
+ * @return {Object|null}
  */
-function handleRosterExport() {
-  try {
-    const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
-    const csv = buildRosterCsv(studentsSheet);
-    const output = ContentService.createTextOutput(csv).setMimeType(
-      ContentService.MimeType.CSV
-    );
-    return applyCorsHeaders(output);
-  } catch (error) {
-    return jsonResponse({ status: "error", message: error.message }, 500);
+function findDebouncedScan(entries, event, windowSeconds) {
+  if (windowSeconds <= 0) {
+    return null;
+  }
+
+  const uid = event.uid.toUpperCase();
+  const scanTimeMs = event.scanDate.getTime();
+  const windowMs = windowSeconds * 1000;
+  for (let i = entries.length - 1; i >= 0; i -= 1) {
+    const entry = entries[i];
+    if (
+      entry.CARD_UID !== uid ||
+      entry.Action === "duplicate" ||
+      entry.Action === "enroll"
+    ) {
+      continue;
+    }
+    if (Math.abs(scanTimeMs - Number(entry.ScanTimeMs)) <= windowMs) {
+      return entry;
+    }
   }
+  return null;
 }
 
 /**
- * Converts the Students sheet into a minimal CSV feed.
+ * Reads the most recent Scan_Log rows as objects keyed by header.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @return {string}
+ * @return {Array<Object>}
  */
-function buildRosterCsv(sheet) {
-  const values = sheet.getDataRange().getValues();
-  const headerLine = "CARD_UID,FirstName,LastName";
-  if (!values.length) {
-    return `${headerLine}\n`;
+function loadRecentScanLog(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return [];
   }
 
-  const headers = values.shift();
-  const uidIndex = headers.indexOf("CARD_UID");
-  const firstIndex = headers.indexOf("FirstName");
-  const lastIndex = headers.indexOf("LastName");
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const firstRow = Math.max(2, lastRow - SCAN_LOG_LOOKBACK_ROWS + 1);
+  const values = sheet
+    .getRange(firstRow, 1, lastRow - firstRow + 1, headers.length)
+    .getValues();
 
-  if (uidIndex === -1 || firstIndex === -1 || lastIndex === -1) {
-    throw new Error(
-      "Students sheet missing CARD_UID/FirstName/LastName headers"
-    );
-  }
-
-  const lines = [headerLine];
-  for (let i = 0; i < values.length; i += 1) {
-    const row = values[i];
-    const rawUid = (row[uidIndex] || "").toString().trim();
-    const rawFirst = (row[firstIndex] || "").toString().trim();
-    const rawLast = (row[lastIndex] || "").toString().trim();
-
-    if (!rawUid || !rawFirst) {
-      continue;
-    }
-
-    const uid = rawUid.toUpperCase();
-    lines.push(
-      `${escapeCsv(uid)},${escapeCsv(rawFirst)},${escapeCsv(rawLast)}`
-    );
-  }
-
-  return `${lines.join("\n")}\n`;
-}
+  return values.map((row) =>
+    headers.reduce((acc, header, idx) => {
+      const cell = row[idx];
+      // Sheets may coerce the ISO Timestamp column into a Date on append.
+      const text =
+        cell instanceof Date
+          ? Utilities.formatDate(cell, getTimeZone(), ISO_TIMESTAMP_FORMAT)
+          : (cell === null || cell === undefined ? "" : cell).toString().trim();
+      acc[header] = header === "CARD_UID" ? text.toUpperCase() : text;
+      return acc;
+    }, {})
+  );
+}
 
 /**
- * Escapes CSV fields when needed.
- * @param {string} value
- * @return {string}
+ * Appends a processed scan to the Scan_Log sheet and the in-memory tail.
+ * @param {{ sheet: GoogleAppsScript.Spreadsheet.Sheet, entries: Array<Object> }} scanLog
+ * @param {{ uid: string, scanId: string, scanDate: Date }} event
+ * @param {Object} result
  */
-function escapeCsv(value) {
-  const str = (value || "").toString();
-  if (/[",\n]/.test(str)) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  return str;
+function appendScanLog(scanLog, event, result) {
+  const entry = {
+    ScanId: event.scanId || "",
+    CARD_UID: event.uid.toUpperCase(),
+    ScanTimeMs: String(event.scanDate.getTime()),
+    Timestamp: result.timestamp || "",
+    Action: result.action || "",
+    OriginalAction: result.originalAction || "",
+    FirstName: result.firstName || "",
+    FullName: result.fullName || "",
+    LoggedAt: Utilities.formatDate(
+      new Date(),
+      getTimeZone(),
+      ISO_TIMESTAMP_FORMAT
+    ),
+  };
+  scanLog.sheet.appendRow(SCAN_LOG_HEADERS.map((header) => entry[header]));
+  scanLog.entries.push(entry);
 }
 
 /**
- * Parses the incoming POST payload into an object.
- * @param {GoogleAppsScript.Events.DoPost} e
- * @return {{ valid: boolean, data?: Object, message?: string }}
+ * Applies check-in/check-out logic for a single card tap at scanDate.
+ * Revoked cards and cards of deactivated students are answered without
+ * touching attendance. The SessionPolicy setting decides what a tap after
+ * the day's session does:
+ * - single: `alreadyCheckedOut` once the day's session is closed.
+ * - multi: a new session opens after each check-out.
+ * - checkinOnly: taps never check out; later taps answer `alreadyCheckedIn`.
+ * A check-out within MinSessionMinutes of check-in answers `tooSoon`.
+ * New sessions record the reader's Location.
+ * @param {{ studentsSheet: GoogleAppsScript.Spreadsheet.Sheet, cardsSheet: GoogleAppsScript.Spreadsheet.Sheet, attendanceSheet: GoogleAppsScript.Spreadsheet.Sheet, unregisteredSheet: GoogleAppsScript.Spreadsheet.Sheet, settings: Object, device: Object }} sheets
+ * @param {string} uid
+ * @param {Date} scanDate
+ * @return {Object} Response payload for the device.
  */
-function parseRequest(e) {
-  if (!e || !e.postData || !e.postData.contents) {
-    return { valid: false, message: "Missing request body" };
+function processScanEvent(sheets, uid, scanDate) {
+  const config = getConfig();
+  const timeZone = config.timeZone;
+  const isoTimestamp = Utilities.formatDate(
+    scanDate,
+    timeZone,
+    ISO_TIMESTAMP_FORMAT
+  );
+  const dateKey = Utilities.formatDate(scanDate, timeZone, "yyyy-MM-dd");
+  const humanDate = Utilities.formatDate(scanDate, timeZone, config.dateFormat);
+  const humanTime = Utilities.formatDate(scanDate, timeZone, config.timeFormat);
+  const actor = `device:${sheets.device ? sheets.device.DeviceId : ""}`;
+
+  const card = timed("cardMs", () =>
+    resolveCard(sheets.studentsSheet, sheets.cardsSheet, uid)
+  );
+  if (card.state === CARD_STATUS_REVOKED) {
+    return { status: "ok", action: "revoked", timestamp: isoTimestamp };
+  }
+  if (!card.student) {
+    recordUnknownCardTap(
+      sheets.unregisteredSheet,
+      {
+        uid: uid.toUpperCase(),
+        timestamp: isoTimestamp,
+        date: humanDate,
+        time: humanTime,
+        deviceId: sheets.device ? sheets.device.DeviceId : "",
+      },
+      actor
+    );
+    return {
+      status: "ok",
+      action: "unregistered",
+      timestamp: isoTimestamp,
+    };
   }
 
-  try {
-    const data = JSON.parse(e.postData.contents);
-    if (!data || typeof data !== "object") {
-      return { valid: false, message: "Invalid JSON payload" };
+  const student = card.student;
+  if (!isStudentActive(student)) {
+    return {
+      status: "ok",
+      action: "inactive",
+      timestamp: isoTimestamp,
+      firstName: student.FirstName || "",
+      fullName: `${student.FirstName} ${student.LastName}`.trim(),
+    };
+  }
+
+  const attendanceSheet = sheets.attendanceSheet;
+  const fullName = `${student.FirstName} ${student.LastName}`.trim();
+  // Ensure headers exist and include a machine-usable DateKey plus human-readable Date/Time
+  const attendanceHeaders = ensureAttendanceHeaders(attendanceSheet);
+  const headerMap = attendanceHeaders.reduce((acc, header, idx) => {
+    acc[header] = idx + 1; // 1-based for Range ops
+    return acc;
+  }, {});
+
+  // The session policy applies per course: with a course running on this
+  // reader only that course's rows count, otherwise every row of the day does.
+  const suid = (student.SUID || "").toString().trim();
+  const dayRows = timed("attendanceMs", () =>
+    findAttendanceRowsForDate(attendanceSheet, uid, dateKey, suid)
+  );
+  const courseId = findRunningCourse(
+    sheets.schedule,
+    sheets.device,
+    scanDate,
+    suid
+  );
+  const policy = sheets.settings.sessionPolicy;
+  let scopedRows = dayRows;
+  if (courseId) {
+    // Walking into the next course closes the session left open in the last one.
+    const strayRow = dayRows.filter((entry) => entry.open).pop();
+    if (
+      strayRow &&
+      strayRow.courseId !== courseId &&
+      policy !== "checkinOnly"
+    ) {
+      closeAttendanceRow(attendanceSheet, strayRow, humanTime, headerMap, {
+        actor,
+        action: "closeStray",
+      });
     }
-    if (!data.action) {
-      return { valid: false, message: "Action is required" };
+    scopedRows = dayRows.filter((entry) => entry.courseId === courseId);
+  }
+  const latestRow = scopedRows.length
+    ? scopedRows[scopedRows.length - 1]
+    : null;
+  const refusal = (action, extra) =>
+    Object.assign(
+      {
+        status: "ok",
+        action,
+        timestamp: isoTimestamp,
+        firstName: student.FirstName || "",
+        fullName,
+      },
+      extra || {}
+    );
+
+  const openRow = latestRow && latestRow.open ? latestRow : null;
+  if (latestRow && policy === "checkinOnly") {
+    return refusal("alreadyCheckedIn");
+  }
+  if (latestRow && !openRow && policy === "single") {
+    return refusal("alreadyCheckedOut");
+  }
+  const checkInKey = openRow ? normalizeTimeKeyValue(openRow.checkInTime) : "";
+  const minMinutes = sheets.settings.minSessionMinutes;
+  if (checkInKey && minMinutes > 0) {
+    const elapsed =
+      timeKeyToMinutes(Utilities.formatDate(scanDate, timeZone, "HH:mm")) -
+      timeKeyToMinutes(checkInKey);
+    if (elapsed < minMinutes) {
+      return refusal("tooSoon", { minutesLeft: minMinutes - elapsed });
     }
-    return { valid: true, data };
-  } catch (_err) {
-    return { valid: false, message: "Invalid JSON payload" };
   }
-}
 
-/**
- * Retrieves the sheet by name within the CloudAttend_DB spreadsheet.
- * @param {string} name
- * @return {GoogleAppsScript.Spreadsheet.Sheet}
- */
-function getSheet(name) {
-  const spreadsheet = SpreadsheetApp.openById(CLOUDATTEND_DB_ID);
-  const sheet = spreadsheet.getSheetByName(name);
-  if (!sheet) {
-    throw new Error(`Sheet not found: ${name}`);
+  if (!openRow) {
+    // No open session for that day → create new check-in row
+    const rowValues = [];
+    rowValues[headerMap.CARD_UID - 1] = uid;
+    rowValues[headerMap.SUID - 1] = suid;
+    rowValues[headerMap.Date - 1] = humanDate;
+    rowValues[headerMap.DateKey - 1] = dateKey;
+    rowValues[headerMap.CheckInTime - 1] = humanTime;
+    rowValues[headerMap.CheckOutTime - 1] = "";
+    rowValues[headerMap.Name - 1] = fullName;
+    rowValues[headerMap.RowId - 1] = Utilities.getUuid();
+    rowValues[headerMap.Revision - 1] = nextAttendanceRevision();
+    rowValues[headerMap.Location - 1] = sheets.device
+      ? sheets.device.Location
+      : "";
+    rowValues[headerMap.CourseId - 1] = courseId;
+    attendanceSheet.appendRow(rowValues);
+    appendAuditLog(
+      actor,
+      "checkin",
+      ATTENDANCE_SHEET_NAME,
+      rowValues[headerMap.RowId - 1],
+      null,
+      rowToObject(attendanceHeaders, rowValues)
+    );
+    return {
+      status: "ok",
+      action: "checkin",
+      timestamp: isoTimestamp,
+      firstName: student.FirstName || "",
+      fullName,
+    };
   }
-  return sheet;
+
+  // Open session exists → set checkout time
+  closeAttendanceRow(attendanceSheet, openRow, humanTime, headerMap, {
+    actor,
+    action: "checkout",
+  });
+  return {
+    status: "ok",
+    action: "checkout",
+    timestamp: isoTimestamp,
+    firstName: student.FirstName || "",
+    fullName,
+  };
 }
 
 /**
- * Finds a student record by CARD_UID.
+ * Writes the checkout time on an open attendance row and bumps its revision.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @param {string} uid
- * @return {Object|null}
+ * @param {{ row: number, headers: Object, rowId: string }} entry From findAttendanceRowsForDate.
+ * @param {string} humanTime
+ * @param {Object} headerMap 1-based column indexes by header.
+ * @param {{ actor: string, action: string }} audit How the AuditLog records the write.
  */
-function findStudentByUid(sheet, uid) {
-  const values = sheet.getDataRange().getValues();
-  if (values.length <= 1) {
-    return null; // No data rows available.
+function closeAttendanceRow(sheet, entry, humanTime, headerMap, audit) {
+  const checkoutCol = entry.headers.CheckOutTime;
+  if (!checkoutCol) {
+    throw new Error(
+      "Attendance sheet headers must include CheckOutTime column"
+    );
   }
+  sheet.getRange(entry.row, checkoutCol).setValue(humanTime);
+  sheet
+    .getRange(entry.row, headerMap.Revision)
+    .setValue(nextAttendanceRevision());
+  appendAuditLog(
+    audit.actor,
+    audit.action,
+    ATTENDANCE_SHEET_NAME,
+    entry.rowId,
+    { CheckOutTime: "" },
+    { CheckOutTime: humanTime }
+  );
+}
 
-  const headers = values.shift();
-  const uidIndex = headers.indexOf("CARD_UID");
-  if (uidIndex === -1) {
-    throw new Error("CARD_UID column missing in Students sheet");
+/**
+ * Replays a batch of offline scans in chronological order.
+ * Results are returned in the order the events were submitted.
+ * @param {Array<{ uid?: string, timestamp?: string, scanId?: string }>} events
+ * @param {string} deviceId Reader that sent the batch.
+ * @return {{ success: boolean, message?: string, statusCode?: number, results?: Array<Object> }}
+ */
+function handleScanBatch(events, deviceId) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return {
+      success: false,
+      message: "events must be a non-empty array",
+      statusCode: 400,
+    };
   }
 
-  for (let i = 0; i < values.length; i += 1) {
-    if (values[i][uidIndex] && values[i][uidIndex].toString() === uid) {
-      return headers.reduce((acc, header, idx) => {
-        acc[header] = values[i][idx];
-        return acc;
-      }, {});
-    }
+  if (events.length > MAX_SCAN_BATCH_SIZE) {
+    return {
+      success: false,
+      message: `A batch can contain at most ${MAX_SCAN_BATCH_SIZE} events`,
+      statusCode: 400,
+    };
   }
 
-  return null;
-}
+  const now = new Date();
+  const results = new Array(events.length);
+  const accepted = [];
 
-/**
- * Finds the first attendance row for a UID on the given date.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @param {string} uid
- * @param {string} dateKey
- * @return {{ row: number, headers: Object }|null}
- */
-function findAttendanceRow(sheet, uid, dateKey) {
-  const values = sheet.getDataRange().getValues();
-  if (values.length <= 1) {
-    return null;
-  }
+  events.forEach((rawEvent, index) => {
+    const event = rawEvent && typeof rawEvent === "object" ? rawEvent : {};
+    const scanId = (event.scanId || "").toString().trim();
+    const uid = (event.uid || "").toString().trim();
+    if (!uid) {
+      results[index] = { scanId, status: "error", message: "UID is required" };
+      return;
+    }
 
-  const headers = values.shift();
-  const headerMap = headers.reduce((acc, header, idx) => {
-    acc[header] = idx + 1; // Store 1-based column indices for later use.
-    return acc;
-  }, {});
+    const scanDate = parseClientTimestamp(event.timestamp);
+    if (!scanDate) {
+      results[index] = {
+        scanId,
+        uid,
+        status: "error",
+        message: "A valid timestamp is required",
+      };
+      return;
+    }
 
-  const uidCol = headerMap.CARD_UID;
-  const dateCol = headerMap.Date;
+    if (!isWithinScanWindow(scanDate, now, MAX_BATCH_EVENT_AGE_MS)) {
+      results[index] = {
+        scanId,
+        uid,
+        status: "error",
+        message: "Timestamp outside the accepted window",
+      };
+      return;
+    }
 
-  if (!uidCol || !dateCol) {
-    throw new Error("Attendance sheet headers must include CARD_UID and Date");
-  }
+    accepted.push({ index, scanId, uid, scanDate });
+  });
 
-  for (let i = 0; i < values.length; i += 1) {
-    const rowValues = values[i];
-    const rowUid = rowValues[uidCol - 1];
-    const rowDate = rowValues[dateCol - 1];
+  // Replay oldest first so check-in/check-out pairs line up; ties keep submission order.
+  accepted.sort((a, b) => {
+    const diff = a.scanDate.getTime() - b.scanDate.getTime();
+    return diff !== 0 ? diff : a.index - b.index;
+  });
 
-    if (rowUid && rowUid.toString() === uid && rowDate === dateKey) {
-      return { row: i + 2, headers: headerMap }; // +2 accounts for header row and 1-based indexing.
+  const sheets = accepted.length ? getScanSheets(deviceId) : null;
+  accepted.forEach((event) => {
+    try {
+      const outcome = recordScan(sheets, event);
+      results[event.index] = Object.assign(
+        { scanId: event.scanId, uid: event.uid },
+        outcome
+      );
+    } catch (error) {
+      results[event.index] = {
+        scanId: event.scanId,
+        uid: event.uid,
+        status: "error",
+        message: error.message,
+      };
     }
-  }
+  });
 
-  return null;
+  return { success: true, results };
 }
 
 /**
- * Finds the latest open (no checkout) attendance row for a UID on the dateKey.
- * Falls back to matching by Date column if legacy rows lack DateKey.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @param {string} uid
- * @param {string} dateKey
- * @return {{ row: number, headers: Object }|null}
+ * Parses an ISO 8601 timestamp sent by a device.
+ * @param {any} value
+ * @return {Date|null}
  */
-function findOpenAttendanceRowForDate(sheet, uid, dateKey) {
-  const values = sheet.getDataRange().getValues();
-  if (values.length <= 1) {
+function parseClientTimestamp(value) {
+  if (value === null || value === undefined) {
     return null;
   }
 
-  const headers = values.shift();
-  const headerMap = headers.reduce((acc, header, idx) => {
-    acc[header] = idx + 1; // 1-based
-    return acc;
-  }, {});
+  const str = value.toString().trim();
+  // Require an explicit date and time so bare dates are not read as midnight UTC.
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(str)) {
+    return null;
+  }
 
-  const uidCol = headerMap.CARD_UID;
-  const dateKeyCol = headerMap.DateKey;
-  const dateCol = headerMap.Date;
-  const checkoutCol = headerMap.CheckOutTime;
+  const parsed = new Date(str);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
 
-  if (!uidCol || !dateCol || !checkoutCol) {
-    throw new Error(
-      "Attendance sheet headers must include CARD_UID, Date, and CheckOutTime"
-    );
-  }
+/**
+ * Checks that a scan time is no older than maxPastMs and not further in the
+ * future than the allowed clock skew.
+ * @param {Date} scanDate
+ * @param {Date} now
+ * @param {number} maxPastMs
+ * @return {boolean}
+ */
+function isWithinScanWindow(scanDate, now, maxPastMs) {
+  const ageMs = now.getTime() - scanDate.getTime();
+  return ageMs <= maxPastMs && ageMs >= -MAX_CLIENT_CLOCK_SKEW_MS;
+}
 
-  // Iterate from bottom (latest) upwards
-  for (let i = values.length - 1; i >= 0; i -= 1) {
-    const rowValues = values[i];
-    const rowUid = (rowValues[uidCol - 1] || "").toString().trim();
-    if (!rowUid || rowUid !== uid) {
-      continue;
-    }
+/**
+ * Handles GET requests for health checks, roster exports, or dashboard data.
+ * @param {GoogleAppsScript.Events.DoGet} e
+ * @return {GoogleAppsScript.Content.TextOutput}
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
 
-    const primaryKey = dateKeyCol
-      ? normalizeDateKeyValue(rowValues[dateKeyCol - 1])
-      : "";
-    let matchesDate = false;
-    if (primaryKey) {
-      matchesDate = primaryKey === dateKey;
-    }
+  if (params.health === "1") {
+    return handleHealthCheck(params);
+  }
 
-    if (!matchesDate) {
-      const fallbackKey = normalizeDateKeyValue(rowValues[dateCol - 1]);
-      matchesDate = fallbackKey === dateKey;
-    }
+  // Public: the dashboard needs its time zone and features before sign-in.
+  if (params.config === "1") {
+    return jsonResponse({ status: "ok", config: getConfig() }, 200);
+  }
 
-    if (!matchesDate) {
-      continue;
+  if (params.registry === "1") {
+    const deviceAuth = verifySignedDeviceGet(params, "registry");
+    if (!deviceAuth.ok) {
+      return authErrorResponse(deviceAuth);
     }
+    recordDeviceContact(deviceAuth.deviceId, {
+      FirmwareVersion: params.fw,
+    });
+    return handleRosterExport(params);
+  }
 
-    const checkoutValue = (rowValues[checkoutCol - 1] || "").toString().trim();
-    if (!checkoutValue) {
-      return { row: i + 2, headers: headerMap };
+  // Polled by readers between roster downloads, so it records nothing.
+  if (params.rosterVersion === "1") {
+    const deviceAuth = verifySignedDeviceGet(params, "rosterVersion");
+    if (!deviceAuth.ok) {
+      return authErrorResponse(deviceAuth);
+    }
+    try {
+      const roster = buildRoster(
+        getSheet(STUDENTS_SHEET_NAME),
+        getCardsSheet()
+      );
+      return jsonResponse({ status: "ok", version: roster.version }, 200);
+    } catch (error) {
+      return jsonResponse({ status: "error", message: error.message }, 500);
     }
-    // If the latest matching row already has checkout, treat as no open row
-    // and allow a new check-in by returning null.
-    return null;
   }
-  return null;
-}
 
-/**
- * Normalizes spreadsheet date-like values into ISO yyyy-MM-dd strings.
- * @param {any} value
- * @return {string}
- */
-function normalizeDateKeyValue(value) {
-  if (value === null || value === undefined) {
-    return "";
+  if (params.audit === "1") {
+    const adminAuth = authenticateSession(params.token, ROLE_ADMIN);
+    if (!adminAuth.ok) {
+      return authErrorResponse(adminAuth);
+    }
+    return handleAuditRequest(params);
   }
 
-  if (value instanceof Date) {
-    return Utilities.formatDate(value, TIME_ZONE, "yyyy-MM-dd");
+  if (params.enroll === "1") {
+    const adminAuth = authenticateSession(params.token, ROLE_ADMIN);
+    if (!adminAuth.ok) {
+      return authErrorResponse(adminAuth);
+    }
+    const sessions = readEnrollSessions();
+    return jsonResponse(
+      {
+        status: "ok",
+        sessions: Object.keys(sessions).map((deviceId) => sessions[deviceId]),
+      },
+      200
+    );
   }
 
-  const str = value.toString().trim();
-  if (!str) {
-    return "";
+  const auth = authenticateSession(params.token, ROLE_TEACHER);
+  if (!auth.ok) {
+    return authErrorResponse(auth);
   }
 
-  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
-    return str;
+  const query = parseAttendanceQuery(params);
+  if (!query.valid) {
+    return jsonResponse(
+      { status: "error", code: 400, message: query.message },
+      400
+    );
   }
 
-  const parsed = new Date(str);
-  if (!isNaN(parsed.getTime())) {
-    return Utilities.formatDate(parsed, TIME_ZONE, "yyyy-MM-dd");
+  if (params.report === "1") {
+    return handleReportRequest(params, query);
   }
 
-  return "";
+  const response = handleDashboardData(query);
+  response.user = auth.user;
+  return jsonResponse(response, 200);
 }
 
 /**
- * Appends an entry to the Unregistered_CARDs sheet, adding a Status column if present.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @param {string} uid
- * @param {string} dateKey
- * @param {string} timeKey
+ * Builds the dashboard payload. Students, card history and unknown cards are
+ * always sent in full; attendance honours the query filters and, with `since`, only carries
+ * rows whose Revision is newer plus the RowIds that left the result set.
+ * @param {{ from: string, to: string, suid: string, status: string, limit: number, cursor: number, since: number|null }} query
+ * @return {Object}
  */
-function appendUnregistered(sheet, uid, dateKey, timeKey) {
-  const statusColumn = ensureStatusColumn(sheet);
-  const row = [uid, dateKey, timeKey];
+function handleDashboardData(query) {
+  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
+  const attendanceSheet = getSheet(ATTENDANCE_SHEET_NAME);
+  const unregisteredSheet = getUnregisteredSheet();
 
-  if (statusColumn) {
-    row.push("Pending");
-  }
+  // Ensure attendance headers and DateKey column exist so clients can filter today reliably
+  ensureAttendanceHeaders(attendanceSheet);
+  ensureAttendanceRowIds(attendanceSheet);
 
-  sheet.appendRow(row);
-}
+  // Read the revision before the rows: a write landing in between is simply
+  // sent again on the next delta instead of being missed.
+  const revision = getAttendanceRevision();
+  const deletions = readAttendanceDeletions();
+  // A revision from before the deletions log or from the future needs a full reload.
+  const isDelta =
+    query.since !== null &&
+    query.since >= deletions.floor &&
+    query.since <= revision;
 
-/**
- * Handles registration requests coming from the dashboard.
- * @param {Object} data
- * @return {{ success: boolean, message?: string, statusCode?: number, student?: Object }}
- */
-function handleRegistration(data) {
-  if (!data || typeof data !== "object") {
-    return {
-      success: false,
-      message: "Invalid registration payload",
-      statusCode: 400,
-    };
-  }
+  const records = loadAttendanceRecords(attendanceSheet, query.from, query.to);
+  const matching = [];
+  const removedIds = [];
+  records.forEach((record) => {
+    const changed = !isDelta || (Number(record.Revision) || 0) > query.since;
+    if (!changed) {
+      return;
+    }
+    if (matchesAttendanceQuery(record, query)) {
+      matching.push(record);
+    } else if (isDelta && record.RowId) {
+      removedIds.push(record.RowId.toString());
+    }
+  });
 
-  const cardUid = (data.cardUid || data.uid || "")
-    .toString()
-    .trim()
-    .toUpperCase();
-  const suid = (data.suid || "").toString().trim();
-  const firstName = (data.firstName || "").toString().trim();
-  const lastName = (data.lastName || "").toString().trim();
+  // Newest first so a limited page holds the most recent sessions.
+  const ordered = matching
+    .map((record, index) => ({ record, index }))
+    .sort((a, b) => {
+      const aKey = getAttendanceRecordDateKey(a.record);
+      const bKey = getAttendanceRecordDateKey(b.record);
+      if (aKey !== bKey) {
+        return aKey < bKey ? 1 : -1;
+      }
+      return b.index - a.index;
+    })
+    .map((item) => item.record);
 
-  const missing = [];
-  if (!cardUid) missing.push("cardUid");
-  if (!suid) missing.push("suid");
-  if (!firstName) missing.push("firstName");
-  if (!lastName) missing.push("lastName");
+  const response = {
+    status: "ok",
+    revision: String(revision),
+    delta: isDelta,
+    data: {
+      students: sheetToObjects(studentsSheet),
+      cards: sheetToObjects(getCardsSheet()),
+      devices: sheetToObjects(getDevicesSheet()),
+      courses: loadCourseSchedule().courses,
+      calendar: loadCalendar(),
+      attendance: ordered,
+      unregisteredCards: sheetToObjects(unregisteredSheet),
+    },
+  };
 
-  if (missing.length) {
-    return {
-      success: false,
-      message: `Missing fields: ${missing.join(", ")}`,
-      statusCode: 400,
+  if (isDelta) {
+    deletions.entries.forEach((entry) => {
+      if (entry[1] > query.since) {
+        removedIds.push(entry[0]);
+      }
+    });
+    response.data.removedAttendanceIds = removedIds;
+  } else if (query.limit) {
+    const end = query.cursor + query.limit;
+    response.data.attendance = ordered.slice(query.cursor, end);
+    response.page = {
+      total: ordered.length,
+      nextCursor: end < ordered.length ? String(end) : null,
     };
   }
 
-  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
-  const unregisteredSheet = getSheet(UNREGISTERED_SHEET_NAME);
-
-  const normalizedStudent = {
-    CARD_UID: cardUid,
-    SUID: suid,
-    FirstName: firstName,
-    LastName: lastName,
-  };
-
-  const upsertResult = upsertStudent(studentsSheet, normalizedStudent);
-  markCardAsRegistered(unregisteredSheet, cardUid);
+  return response;
+}
 
-  return {
-    success: true,
-    student: upsertResult.student,
-  };
+/**
+ * Whether the text is a real calendar date in yyyy-MM-dd form. The parsed
+ * date must format back to the same text, so 2024-02-31 is rejected.
+ * @param {string} text
+ * @return {boolean}
+ */
+function isValidDateKey(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(
+    Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+  );
+  return date.toISOString().slice(0, 10) === text;
 }
 
 /**
- * Inserts or updates a student in the Students sheet.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @param {Object} record
- * @return {{ created: boolean, student: Object }}
+ * Validates the attendance filters accepted by doGet.
+ * @param {Object} params
+ * @return {{ valid: boolean, message?: string, from?: string, to?: string, suid?: string, status?: string, limit?: number, cursor?: number, since?: number|null }}
  */
-function upsertStudent(sheet, record) {
-  const headers = ensureStudentHeaders(sheet);
-  const headerMap = headers.reduce((acc, header, idx) => {
-    if (header) {
-      acc[header] = idx;
-    }
-    return acc;
-  }, {});
+function parseAttendanceQuery(params) {
+  const from = (params.from || "").toString().trim();
+  const to = (params.to || "").toString().trim();
+  if ((from && !isValidDateKey(from)) || (to && !isValidDateKey(to))) {
+    return { valid: false, message: "from and to must be yyyy-MM-dd" };
+  }
 
-  if (headerMap.CARD_UID === undefined) {
-    throw new Error("Students sheet missing CARD_UID header");
+  const status = (params.status || "").toString().trim().toLowerCase();
+  if (status && status !== "open" && status !== "closed") {
+    return { valid: false, message: "status must be open or closed" };
   }
 
-  const lastColumn = headers.length;
-  const rowValues = headers.map((header) => record[header] || "");
-  const lastRow = sheet.getLastRow();
+  const limit = params.limit === undefined ? 0 : Number(params.limit);
+  if (
+    !Number.isInteger(limit) ||
+    limit < 0 ||
+    limit > MAX_ATTENDANCE_PAGE_SIZE
+  ) {
+    return {
+      valid: false,
+      message: `limit must be between 0 (unpaged) and ${MAX_ATTENDANCE_PAGE_SIZE}`,
+    };
+  }
 
-  if (lastRow > 1) {
-    const dataRange = sheet.getRange(2, 1, lastRow - 1, lastColumn);
-    const values = dataRange.getValues();
-    for (let i = 0; i < values.length; i += 1) {
-      const rowUid = values[i][headerMap.CARD_UID];
-      if (
-        rowUid &&
-        rowUid.toString().trim().toUpperCase() === record.CARD_UID.toUpperCase()
-      ) {
-        sheet.getRange(i + 2, 1, 1, lastColumn).setValues([rowValues]);
-        return { created: false, student: record };
-      }
+  const cursor = params.cursor ? Number(params.cursor) : 0;
+  if (!Number.isInteger(cursor) || cursor < 0) {
+    return { valid: false, message: "Invalid cursor" };
+  }
+
+  let since = null;
+  if (params.since !== undefined && params.since !== "") {
+    since = Number(params.since);
+    if (!Number.isInteger(since) || since < 0) {
+      return { valid: false, message: "Invalid since revision" };
     }
   }
 
-  sheet.appendRow(rowValues);
-  return { created: true, student: record };
+  return {
+    valid: true,
+    from,
+    to,
+    suid: (params.suid || "").toString().trim().toLowerCase(),
+    status,
+    limit,
+    cursor,
+    since,
+  };
 }
 
 /**
- * Ensures the Students sheet has the expected headers and returns them.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @return {Array<string>}
+ * @param {Object} record Attendance row keyed by header.
+ * @param {{ from: string, to: string, suid: string, status: string }} query
+ * @return {boolean}
  */
-function ensureStudentHeaders(sheet) {
-  const expectedHeaders = ["CARD_UID", "SUID", "FirstName", "LastName"];
-
-  const lastRow = sheet.getLastRow();
-  if (lastRow === 0) {
-    sheet
-      .getRange(1, 1, 1, expectedHeaders.length)
-      .setValues([expectedHeaders]);
-    return expectedHeaders;
+function matchesAttendanceQuery(record, query) {
+  const dateKey = getAttendanceRecordDateKey(record);
+  if (query.from && (!dateKey || dateKey < query.from)) {
+    return false;
   }
-
-  const lastColumn = Math.max(sheet.getLastColumn(), expectedHeaders.length);
-  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
-
-  for (let i = 0; i < expectedHeaders.length; i += 1) {
-    if (headers[i] !== expectedHeaders[i]) {
-      sheet.getRange(1, i + 1).setValue(expectedHeaders[i]);
-      headers[i] = expectedHeaders[i];
+  if (query.to && (!dateKey || dateKey > query.to)) {
+    return false;
+  }
+  if (
+    query.suid &&
+    (record.SUID || "").toString().trim().toLowerCase() !== query.suid
+  ) {
+    return false;
+  }
+  if (query.status) {
+    const isOpen = !(record.CheckOutTime || "").toString().trim();
+    if (isOpen !== (query.status === "open")) {
+      return false;
     }
   }
+  return true;
+}
 
-  return headers.slice(0, expectedHeaders.length);
+/**
+ * @param {Object} record Attendance row keyed by header.
+ * @return {string} yyyy-MM-dd, or "" when neither DateKey nor Date parse.
+ */
+function getAttendanceRecordDateKey(record) {
+  return (
+    normalizeDateKeyValue(record.DateKey) || normalizeDateKeyValue(record.Date)
+  );
 }
 
 /**
- * Ensures the Unregistered_CARDs sheet contains a Status column.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @return {number} 1-based column index of Status
+ * Serves the attendance report as JSON, CSV (`format=csv`) or an Excel
+ * SpreadsheetML workbook (`format=xls`).
+ * @param {Object} params Raw query parameters (`q`, `lateAfter`, `format`, `course`).
+ * @param {{ from: string, to: string, suid: string }} query Parsed filters.
+ * @return {GoogleAppsScript.Content.TextOutput}
  */
-function ensureStatusColumn(sheet) {
-  if (sheet.getLastRow() === 0) {
-    sheet
-      .getRange(1, 1, 1, 4)
-      .setValues([["CARD_UID", "Date", "Time", "Status"]]);
-    return 4;
+function handleReportRequest(params, query) {
+  const lateAfter = params.lateAfter
+    ? normalizeTimeKeyValue(params.lateAfter)
+    : getSettings().lateAfter;
+  if (!lateAfter) {
+    return jsonResponse(
+      { status: "error", code: 400, message: "lateAfter must be HH:mm" },
+      400
+    );
   }
-
-  const lastColumn = Math.max(sheet.getLastColumn(), 1);
-  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
-  let statusIndex = headers.indexOf("Status");
-  if (statusIndex !== -1) {
-    return statusIndex + 1;
+  const format = (params.format || "json").toString().toLowerCase();
+  if (format !== "json" && format !== "csv" && format !== "xls") {
+    return jsonResponse(
+      {
+        status: "error",
+        code: 400,
+        message: "format must be json, csv or xls",
+      },
+      400
+    );
   }
 
-  const newColumn = lastColumn + 1;
-  sheet.getRange(1, newColumn).setValue("Status");
-  return newColumn;
+  const course = (params.course || "").toString().trim();
+
+  try {
+    const schedule = loadCourseSchedule();
+    if (
+      course &&
+      !schedule.courses.some((entry) => entry.courseId === course)
+    ) {
+      return jsonResponse(
+        { status: "error", code: 400, message: `Unknown course ${course}` },
+        400
+      );
+    }
+    const report = buildAttendanceReport({
+      from: query.from,
+      to: query.to,
+      suid: query.suid,
+      q: (params.q || "").toString().trim().toLowerCase(),
+      lateAfter,
+      course,
+      schedule,
+      calendar: loadCalendar(),
+    });
+    if (format === "csv") {
+      return applyCorsHeaders(
+        ContentService.createTextOutput(buildReportCsv(report)).setMimeType(
+          ContentService.MimeType.CSV
+        )
+      );
+    }
+    if (format === "xls") {
+      return applyCorsHeaders(
+        ContentService.createTextOutput(
+          buildReportSpreadsheetXml(report)
+        ).setMimeType(ContentService.MimeType.XML)
+      );
+    }
+    return jsonResponse({ status: "ok", report }, 200);
+  } catch (error) {
+    return jsonResponse({ status: "error", message: error.message }, 500);
+  }
 }
 
 /**
- * Updates the Unregistered_CARDs sheet to mark a card as registered.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @param {string} cardUid
- * @return {boolean}
+ * Summarises attendance per student, per day and per course. Class days are
+ * the expected days from listExpectedDays, up to today; students are absent
+ * on class days they have no row for, between joining and leaving. Scans on other days still add hours
+ * and appear in the daily totals but never count as presence or absence.
+ * Hours only count sessions with a check-out, and the average is over the
+ * days that have one. With `course` set, only that
+ * course's rows and enrolled students count, and class days follow its
+ * timetable.
+ * @param {{ from: string, to: string, suid: string, q: string, lateAfter: string, course: string, schedule: Object, calendar: Object }} options
+ * @return {Object}
  */
-function markCardAsRegistered(sheet, cardUid) {
-  const statusColumn = ensureStatusColumn(sheet);
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) {
-    return false;
-  }
+function buildAttendanceReport(options) {
+  // Students who left only show up through attendance in the range.
+  const activeRoster = sheetToObjects(getSheet(STUDENTS_SHEET_NAME)).filter(
+    isStudentActive
+  );
+  const schedule = options.schedule;
+  const calendar = options.calendar;
+  const rowSuid = (row) => (row.SUID || "").toString().trim();
+  const rowCourse = (row) => (row.CourseId || "").toString().trim();
+  const members = options.course ? schedule.enrollments[options.course] : null;
+  const roster = members
+    ? activeRoster.filter((row) => members.includes(rowSuid(row)))
+    : activeRoster;
+  const attendanceSheet = getSheet(ATTENDANCE_SHEET_NAME);
+  ensureAttendanceHeaders(attendanceSheet);
+  const todayKey = Utilities.formatDate(
+    new Date(),
+    getTimeZone(),
+    "yyyy-MM-dd"
+  );
+  const to = options.to || todayKey;
+  // The "all" range has no start date, so it reads every archived month.
+  const records = loadAttendanceRecords(
+    attendanceSheet,
+    options.from,
+    to,
+    true
+  );
 
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const uidIndex = headers.indexOf("CARD_UID");
-  if (uidIndex === -1) {
-    return false;
-  }
+  // Keyed by SUID; attendance for SUIDs no longer on the roster is kept too.
+  const students = new Map();
+  const addStudent = (suid, name, onRoster) => {
+    if (!suid || students.has(suid)) return;
+    students.set(suid, { suid, name, onRoster, days: new Map() });
+  };
+  roster.forEach((row) => {
+    addStudent(
+      (row.SUID || "").toString().trim(),
+      `${row.FirstName || ""} ${row.LastName || ""}`.trim(),
+      true
+    );
+  });
 
-  const dataRange = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
-  const values = dataRange.getValues();
-  for (let i = 0; i < values.length; i += 1) {
-    const rowUid = values[i][uidIndex];
-    if (rowUid && rowUid.toString().trim().toUpperCase() === cardUid) {
-      sheet.getRange(i + 2, statusColumn).setValue("Registered");
-      return true;
+  const scannedDays = new Set();
+  const courseRecords = new Map();
+  let from = options.from;
+  records.forEach((record) => {
+    const dateKey = getAttendanceRecordDateKey(record);
+    const suid = (record.SUID || "").toString().trim();
+    if (!dateKey || !suid || dateKey > to) return;
+    if (options.from && dateKey < options.from) return;
+    if (rowCourse(record)) {
+      const list = courseRecords.get(rowCourse(record)) || [];
+      list.push({ suid, dateKey, name: (record.Name || "").toString() });
+      courseRecords.set(rowCourse(record), list);
     }
-  }
+    if (options.course && rowCourse(record) !== options.course) return;
+    if (!from || dateKey < from) from = dateKey;
 
-  return false;
+    scannedDays.add(dateKey);
+    addStudent(suid, (record.Name || "").toString().trim(), false);
+    const days = students.get(suid).days;
+    const day = days.get(dateKey) || {
+      firstCheckIn: "",
+      minutes: 0,
+      closed: false,
+    };
+    const checkIn = normalizeTimeKeyValue(record.CheckInTime);
+    const checkOut = normalizeTimeKeyValue(record.CheckOutTime);
+    if (checkIn && (!day.firstCheckIn || checkIn < day.firstCheckIn)) {
+      day.firstCheckIn = checkIn;
+    }
+    if (checkIn && checkOut && checkOut >= checkIn) {
+      day.minutes += timeKeyToMinutes(checkOut) - timeKeyToMinutes(checkIn);
+      day.closed = true;
+    }
+    days.set(dateKey, day);
+  });
+
+  const expectedTo = to < todayKey ? to : todayKey;
+  const expectedDays = (courseId) =>
+    from
+      ? listExpectedDays(calendar, schedule, from, expectedTo, courseId)
+      : [];
+  const classDays = new Set(expectedDays(options.course));
+
+  const matchesQuery = (suid, name) => {
+    if (options.suid && suid.toLowerCase() !== options.suid) {
+      return false;
+    }
+    if (!options.q) return true;
+    return (
+      suid.toLowerCase().includes(options.q) ||
+      name.toLowerCase().includes(options.q)
+    );
+  };
+  // A student is only expected from the day they joined, the earlier of
+  // their first card link and first scan, and a departed student only up to
+  // the last day they were seen.
+  const linkedFrom = new Map();
+  sheetToObjects(getCardsSheet()).forEach((card) => {
+    const suid = rowSuid(card);
+    const dateKey = normalizeDateKeyValue(card.LinkedAt);
+    const known = linkedFrom.get(suid);
+    if (suid && dateKey && (!known || dateKey < known)) {
+      linkedFrom.set(suid, dateKey);
+    }
+  });
+  const included = Array.from(students.values()).filter((student) =>
+    matchesQuery(student.suid, student.name)
+  );
+  included.forEach((student) => {
+    const seen = Array.from(student.days.keys()).sort();
+    const linked = linkedFrom.get(student.suid) || "";
+    const first = seen.length ? seen[0] : "";
+    student.expectedFrom =
+      linked && (!first || linked < first) ? linked : first;
+    student.expectedTo = student.onRoster ? "" : seen[seen.length - 1];
+  });
+  const isExpected = (student, dateKey) =>
+    (!student.expectedFrom || dateKey >= student.expectedFrom) &&
+    (!student.expectedTo || dateKey <= student.expectedTo);
+  const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+  const toPercent = (part, whole) =>
+    whole ? Math.min(100, Math.round((part / whole) * 1000) / 10) : 0;
+  const isLate = (day) =>
+    !!day.firstCheckIn && day.firstCheckIn > options.lateAfter;
+
+  const studentRows = included
+    .map((student) => {
+      let minutes = 0;
+      let late = 0;
+      let daysPresent = 0;
+      // Days with only an open session have no hours to average over.
+      let closedDays = 0;
+      student.days.forEach((day, dateKey) => {
+        minutes += day.minutes;
+        if (day.closed) {
+          closedDays += 1;
+        }
+        if (!classDays.has(dateKey)) return;
+        daysPresent += 1;
+        if (isLate(day)) {
+          late += 1;
+        }
+      });
+      const expectedCount = Array.from(classDays).filter((dateKey) =>
+        isExpected(student, dateKey)
+      ).length;
+      return {
+        suid: student.suid,
+        name: student.name,
+        daysPresent,
+        daysAbsent: expectedCount - daysPresent,
+        lateArrivals: late,
+        totalHours: toHours(minutes),
+        averageHours: closedDays ? toHours(minutes / closedDays) : 0,
+        attendancePercent: toPercent(daysPresent, expectedCount),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const reportDays = Array.from(
+    new Set(Array.from(classDays).concat(Array.from(scannedDays)))
+  ).sort();
+  const dayRows = reportDays.map((dateKey) => {
+    const isClassDay = classDays.has(dateKey);
+    let present = 0;
+    let presentOnRoster = 0;
+    let late = 0;
+    let minutes = 0;
+    included.forEach((student) => {
+      const day = student.days.get(dateKey);
+      if (!day) return;
+      present += 1;
+      if (student.onRoster) {
+        presentOnRoster += 1;
+      }
+      minutes += day.minutes;
+      if (isClassDay && isLate(day)) {
+        late += 1;
+      }
+    });
+    return {
+      date: dateKey,
+      dayType: getDayType(calendar, schedule, dateKey, options.course).type,
+      present,
+      // Departed students still count as present, but are never absent.
+      absent: isClassDay
+        ? included.filter(
+            (student) => student.onRoster && isExpected(student, dateKey)
+          ).length - presentOnRoster
+        : 0,
+      late,
+      totalHours: toHours(minutes),
+    };
+  });
+
+  // Per course: meetings are the course's expected days in range, and
+  // attendance is student-meetings attended over meetings × enrolled.
+  const courseRows = schedule.courses
+    .filter((course) => !options.course || course.courseId === options.course)
+    .map((course) => {
+      const meetings = new Set(expectedDays(course.courseId));
+      const attended = new Set();
+      (courseRecords.get(course.courseId) || []).forEach((entry) => {
+        if (
+          meetings.has(entry.dateKey) &&
+          matchesQuery(entry.suid, entry.name)
+        ) {
+          attended.add(`${entry.suid}|${entry.dateKey}`);
+        }
+      });
+      const enrolledSuids = schedule.enrollments[course.courseId];
+      const enrolled = activeRoster.filter(
+        (row) =>
+          (!enrolledSuids || enrolledSuids.includes(rowSuid(row))) &&
+          matchesQuery(
+            rowSuid(row),
+            `${row.FirstName || ""} ${row.LastName || ""}`.trim()
+          )
+      ).length;
+      return {
+        courseId: course.courseId,
+        name: course.name,
+        meetings: meetings.size,
+        enrolled,
+        attended: attended.size,
+        attendancePercent: toPercent(attended.size, meetings.size * enrolled),
+      };
+    });
+
+  return {
+    from: from || to,
+    to,
+    course: options.course || "",
+    lateAfter: options.lateAfter,
+    classDays: classDays.size,
+    generatedAt: Utilities.formatDate(
+      new Date(),
+      getTimeZone(),
+      ISO_TIMESTAMP_FORMAT
+    ),
+    students: studentRows,
+    days: dayRows,
+    courses: courseRows,
+  };
 }
 
 /**
- * Converts a sheet into an array of objects keyed by header names.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @return {Array<Object>}
+ * @param {string} timeKey HH:mm
+ * @return {number}
  */
-function sheetToObjects(sheet) {
-  const values = sheet.getDataRange().getValues();
-  if (values.length <= 1) {
-    return [];
+function timeKeyToMinutes(timeKey) {
+  const parts = timeKey.split(":");
+  return Number(parts[0]) * 60 + Number(parts[1]);
+}
+
+/**
+ * Column layout shared by the CSV and SpreadsheetML exports.
+ * @param {Object} report
+ * @return {{ students: Array<Array<any>>, days: Array<Array<any>>, courses: Array<Array<any>> }}
+ */
+function getReportTables(report) {
+  return {
+    students: [
+      [
+        "SUID",
+        "Name",
+        "Days present",
+        "Days absent",
+        "Late arrivals",
+        "Total hours",
+        "Average hours",
+        "Attendance %",
+      ],
+    ].concat(
+      report.students.map((row) => [
+        row.suid,
+        row.name,
+        row.daysPresent,
+        row.daysAbsent,
+        row.lateArrivals,
+        row.totalHours,
+        row.averageHours,
+        row.attendancePercent,
+      ])
+    ),
+    days: [["Date", "Day", "Present", "Absent", "Late", "Total hours"]].concat(
+      report.days.map((row) => [
+        row.date,
+        DAY_TYPE_LABELS[row.dayType] || "",
+        row.present,
+        row.absent,
+        row.late,
+        row.totalHours,
+      ])
+    ),
+    courses: [
+      ["Course", "Name", "Meetings", "Enrolled", "Attended", "Attendance %"],
+    ].concat(
+      report.courses.map((row) => [
+        row.courseId,
+        row.name,
+        row.meetings,
+        row.enrolled,
+        row.attended,
+        row.attendancePercent,
+      ])
+    ),
+  };
+}
+
+/**
+ * Per-student summary followed by daily totals and, when courses exist, the
+ * per-course summary, separated by blank lines.
+ * @param {Object} report
+ * @return {string}
+ */
+function buildReportCsv(report) {
+  const tables = getReportTables(report);
+  const toLine = (row) => row.map((cell) => escapeCsv(String(cell))).join(",");
+  let lines = tables.students
+    .map(toLine)
+    .concat([""])
+    .concat(tables.days.map(toLine));
+  if (report.courses.length) {
+    lines = lines.concat([""]).concat(tables.courses.map(toLine));
   }
+  return `${lines.join("\n")}\n`;
+}
 
-  const headers = values.shift();
-  return values
-    .filter((row) => row.some((cell) => cell !== ""))
-    .map((row) =>
-      headers.reduce((acc, header, idx) => {
-        acc[header] = row[idx];
-        return acc;
-      }, {})
-    );
+/**
+ * Builds an Excel 2003 XML workbook with one worksheet per report table.
+ * @param {Object} report
+ * @return {string}
+ */
+function buildReportSpreadsheetXml(report) {
+  const tables = getReportTables(report);
+  const toRow = (row) =>
+    `<Row>${row
+      .map((cell) => {
+        const type = typeof cell === "number" ? "Number" : "String";
+        return `<Cell><Data ss:Type="${type}">${escapeXml(cell)}</Data></Cell>`;
+      })
+      .join("")}</Row>`;
+  const toSheet = (name, rows) =>
+    `<Worksheet ss:Name="${escapeXml(name)}"><Table>${rows
+      .map(toRow)
+      .join("")}</Table></Worksheet>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    toSheet("Students", tables.students),
+    toSheet("Daily totals", tables.days),
+    report.courses.length ? toSheet("Courses", tables.courses) : "",
+    "</Workbook>",
+  ]
+    .filter((part) => part)
+    .join("\n");
 }
 
 /**
- * Builds a JSON HTTP response.
- * @param {Object} payload
- * @param {number} statusCode
- * @return {GoogleAppsScript.Content.TextOutput}
+ * @param {any} value
+ * @return {string}
  */
-function jsonResponse(payload, statusCode) {
-  const output = ContentService.createTextOutput(JSON.stringify(payload));
-  output.setMimeType(ContentService.MimeType.JSON);
-  // Apps Script Web Apps do not support setting HTTP status codes on TextOutput.
-  // We encode status in the JSON payload instead.
-  return applyCorsHeaders(output);
+function escapeXml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 /**
- * Adds CORS headers to the outgoing response.
- * @param {GoogleAppsScript.Content.TextOutput} output
+ * Handles CORS preflight requests.
+ * @param {GoogleAppsScript.Events.DoPost} _e
  * @return {GoogleAppsScript.Content.TextOutput}
  */
-function applyCorsHeaders(output) {
-  // Note: Apps Script ContentService.TextOutput doesn't support setting headers.
-  // For Web Apps, responses are same-origin to the web app URL, so CORS headers are not required.
-  // If you need CORS for external origins, consider using HtmlService and returning a templated HTML that fetches internally.
-  return output;
+function doOptions(_e) {
+  return applyCorsHeaders(ContentService.createTextOutput(""));
 }
 
 /**
- * Ensures the Attendance sheet has the expected headers and returns them.
- * Expected columns (order enforced for new sheets):
- * CARD_UID | SUID | Date | DateKey | CheckInTime | CheckOutTime | Name
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @return {Array<string>}
+ * Lightweight endpoint for device health verification. Readers sign it over
+ * `health|<ts>` so the check is recorded against their Devices row; unsigned
+ * checks are still answered but not recorded.
+ * @param {Object} params
+ * @return {GoogleAppsScript.Content.TextOutput}
+ */
+function handleHealthCheck(params) {
+  let deviceId = "";
+  if (params.deviceId) {
+    const deviceAuth = verifySignedDeviceGet(params, "health");
+    if (!deviceAuth.ok) {
+      return authErrorResponse(deviceAuth);
+    }
+    deviceId = deviceAuth.deviceId;
+  }
+
+  try {
+    getSheet(STUDENTS_SHEET_NAME);
+    getSheet(ATTENDANCE_SHEET_NAME);
+    getSheet(UNREGISTERED_SHEET_NAME);
+    if (!deviceId) {
+      return jsonResponse({ status: "ok" }, 200);
+    }
+    const device =
+      recordDeviceContact(deviceId, {
+        FirmwareVersion: params.fw,
+        LastHealthCheck: Utilities.formatDate(
+          new Date(),
+          getTimeZone(),
+          ISO_TIMESTAMP_FORMAT
+        ),
+      }) ||
+      sheetToObjects(getDevicesSheet()).find(
+        (row) => (row.DeviceId || "").toString().trim() === deviceId
+      ) ||
+      {};
+    return jsonResponse(
+      {
+        status: "ok",
+        device: {
+          deviceId,
+          name: device.Name,
+          location: device.Location,
+        },
+      },
+      200
+    );
+  } catch (error) {
+    return jsonResponse({ status: "error", message: error.message }, 500);
+  }
+}
+
+/**
+ * Streams the student roster as CSV. The first line is `#version <v>`. With
+ * `since` set to the version the reader holds, the answer is `#unchanged`
+ * when nothing moved, or `#delta` followed by the added and changed rows and
+ * a `-<uid>` line per removed card. Versions too old to diff against get the
+ * full roster. Lines starting with # are comments to older firmware.
+ * @param {Object} params `since` (optional).
+ * @return {GoogleAppsScript.Content.TextOutput}
+ */
+function handleRosterExport(params) {
+  try {
+    const roster = buildRoster(getSheet(STUDENTS_SHEET_NAME), getCardsSheet());
+    const since = (params.since || "").toString().trim();
+    writeCachedJson(
+      `roster:${roster.version}`,
+      roster.lines,
+      ROSTER_SNAPSHOT_SECONDS
+    );
+
+    const lines = [`#version ${roster.version}`];
+    const previous =
+      since && since !== roster.version
+        ? readCachedJson(`roster:${since}`)
+        : null;
+    if (since === roster.version) {
+      lines.push("#unchanged");
+    } else if (previous) {
+      lines.push("#delta", ROSTER_CSV_HEADER);
+      Object.keys(roster.lines).forEach((uid) => {
+        if (previous[uid] !== roster.lines[uid]) {
+          lines.push(roster.lines[uid]);
+        }
+      });
+      Object.keys(previous).forEach((uid) => {
+        if (!roster.lines[uid]) {
+          lines.push(`-${escapeCsv(uid)}`);
+        }
+      });
+    } else {
+      lines.push(ROSTER_CSV_HEADER);
+      Object.keys(roster.lines).forEach((uid) => lines.push(roster.lines[uid]));
+    }
+
+    const output = ContentService.createTextOutput(
+      `${lines.join("\n")}\n`
+    ).setMimeType(ContentService.MimeType.CSV);
+    return applyCorsHeaders(output);
+  } catch (error) {
+    return jsonResponse({ status: "error", message: error.message }, 500);
+  }
+}
+
+/**
+ * The roster readers cache: one CSV row per active card of an active student
+ * with a first name, from the card index. The version is a hash of the rows,
+ * so it changes exactly when a reader's copy would.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} studentsSheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} cardsSheet
+ * @return {{ version: string, lines: Object<string, string> }} lines maps UID → CSV row.
+ */
+function buildRoster(studentsSheet, cardsSheet) {
+  const index = getCardIndex(studentsSheet, cardsSheet);
+  const lines = {};
+  Object.keys(index)
+    .sort()
+    .forEach((uid) => {
+      const card = index[uid];
+      const student = card.student;
+      if (
+        card.status !== CARD_STATUS_ACTIVE ||
+        !student ||
+        !isStudentActive(student)
+      ) {
+        return;
+      }
+      const firstName = (student.FirstName || "").toString().trim();
+      const lastName = (student.LastName || "").toString().trim();
+      if (firstName) {
+        lines[uid] = `${escapeCsv(uid)},${escapeCsv(firstName)},${escapeCsv(
+          lastName
+        )}`;
+      }
+    });
+
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    Object.keys(lines)
+      .map((uid) => lines[uid])
+      .join("\n")
+  );
+  return {
+    version: bytesToHex(digest).slice(0, ROSTER_VERSION_CHARS),
+    lines,
+  };
+}
+
+/**
+ * Escapes CSV fields when needed.
+ * @param {string} value
+ * @return {string}
+ */
+function escapeCsv(value) {
+  const str = (value || "").toString();
+  if (/[",\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * Verifies dashboard credentials and issues a signed session token.
+ * @param {Object} data
+ * @return {{ success: boolean, message?: string, statusCode?: number, token?: string, expiresAt?: number, user?: { username: string, role: string } }}
+ */
+function handleLogin(data) {
+  const username = (data.username || "").toString().trim().toLowerCase();
+  const password = (data.password || "").toString();
+  if (!username || !password) {
+    return {
+      success: false,
+      message: "username and password are required",
+      statusCode: 400,
+    };
+  }
+
+  const cache = CacheService.getScriptCache();
+  const failureKey = `login-failures:${username}`;
+  const failures = Number(cache.get(failureKey) || 0);
+  if (failures >= LOGIN_MAX_FAILURES) {
+    return {
+      success: false,
+      message: "Too many failed attempts. Try again later.",
+      statusCode: 429,
+    };
+  }
+
+  const user = findUserByUsername(username);
+  const valid =
+    !!user &&
+    user.active &&
+    constantTimeEquals(hashPassword(password, user.salt), user.passwordHash);
+  if (!valid) {
+    cache.put(failureKey, String(failures + 1), LOGIN_LOCKOUT_SECONDS);
+    return {
+      success: false,
+      message: "Invalid username or password",
+      statusCode: 401,
+    };
+  }
+
+  cache.remove(failureKey);
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const token = signSessionToken({
+    sub: user.username,
+    role: user.role,
+    exp: expiresAt,
+  });
+  return {
+    success: true,
+    token,
+    expiresAt,
+    user: { username: user.username, role: user.role },
+  };
+}
+
+/**
+ * Validates a session token and checks the user holds the required role.
+ * Admins satisfy teacher checks. The Users sheet is re-read so deactivated
+ * accounts and role changes apply before the token expires.
+ * @param {any} token
+ * @param {string} requiredRole
+ * @return {{ ok: boolean, code?: number, message?: string, user?: { username: string, role: string } }}
+ */
+function authenticateSession(token, requiredRole) {
+  const claims = verifySessionToken((token || "").toString());
+  if (!claims) {
+    return { ok: false, code: 401, message: "Sign in required" };
+  }
+
+  const user = findUserByUsername(claims.sub);
+  if (!user || !user.active) {
+    return { ok: false, code: 401, message: "Account is not active" };
+  }
+
+  if (requiredRole === ROLE_ADMIN && user.role !== ROLE_ADMIN) {
+    return { ok: false, code: 403, message: "Admin access required" };
+  }
+
+  return { ok: true, user: { username: user.username, role: user.role } };
+}
+
+/**
+ * Builds the JSON error for failed authentication or authorization.
+ * @param {{ code?: number, message?: string }} auth
+ * @return {GoogleAppsScript.Content.TextOutput}
+ */
+function authErrorResponse(auth) {
+  return jsonResponse(
+    { status: "error", code: auth.code || 401, message: auth.message },
+    auth.code || 401
+  );
+}
+
+/**
+ * Signs session claims as `<base64 payload>.<base64 HMAC>`.
+ * @param {{ sub: string, role: string, exp: number }} claims
+ * @return {string}
+ */
+function signSessionToken(claims) {
+  const payload = Utilities.base64EncodeWebSafe(JSON.stringify(claims));
+  const signature = Utilities.base64EncodeWebSafe(
+    Utilities.computeHmacSha256Signature(payload, getSessionSecret())
+  );
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Returns the token claims when the signature is valid and unexpired.
+ * @param {string} token
+ * @return {{ sub: string, role: string, exp: number }|null}
+ */
+function verifySessionToken(token) {
+  const parts = token.split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return null;
+  }
+
+  const expected = Utilities.base64EncodeWebSafe(
+    Utilities.computeHmacSha256Signature(parts[0], getSessionSecret())
+  );
+  if (!constantTimeEquals(expected, parts[1])) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(
+      Utilities.newBlob(
+        Utilities.base64DecodeWebSafe(parts[0])
+      ).getDataAsString()
+    );
+    if (!claims || !claims.sub || !(Number(claims.exp) > Date.now())) {
+      return null;
+    }
+    return claims;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Checks a device HMAC-SHA256 signature (hex) over message.
+ * @param {any} deviceId
+ * @param {any} signature
+ * @param {string} message
+ * @return {{ ok: boolean, code?: number, message?: string, deviceId?: string }}
+ */
+function verifyDeviceSignature(deviceId, signature, message) {
+  const id = (deviceId || "").toString().trim();
+  const provided = (signature || "").toString().trim().toLowerCase();
+  if (!id || !provided) {
+    return { ok: false, code: 401, message: "Device signature required" };
+  }
+
+  const secret = getDeviceSecret(id);
+  if (!secret) {
+    return { ok: false, code: 403, message: "Unknown device" };
+  }
+
+  const expected = bytesToHex(
+    Utilities.computeHmacSha256Signature(message || "", secret)
+  );
+  if (!constantTimeEquals(expected, provided)) {
+    return { ok: false, code: 401, message: "Invalid device signature" };
+  }
+
+  return { ok: true, deviceId: id };
+}
+
+/**
+ * Verifies a device GET signed over `<purpose>|<ts>`, where ts is epoch seconds.
+ * @param {Object} params
+ * @param {string} purpose
+ * @return {{ ok: boolean, code?: number, message?: string, deviceId?: string }}
+ */
+function verifySignedDeviceGet(params, purpose) {
+  const ts = Number(params.ts);
+  if (
+    !isFinite(ts) ||
+    Math.abs(Date.now() - ts * 1000) > DEVICE_REQUEST_MAX_AGE_MS
+  ) {
+    return { ok: false, code: 401, message: "Request timestamp expired" };
+  }
+  return verifyDeviceSignature(
+    params.deviceId,
+    params.signature,
+    `${purpose}|${params.ts}`
+  );
+}
+
+/**
+ * Verifies a device POST signed over its raw body. The body carries `sentAt`
+ * (epoch seconds) so a captured request stops working once it is stale.
+ * @param {GoogleAppsScript.Events.DoPost} e
+ * @param {Object} data Parsed body.
+ * @return {{ ok: boolean, code?: number, message?: string, deviceId?: string }}
+ */
+function verifySignedDevicePost(e, data) {
+  const params = e.parameter || {};
+  const sentAt = Number(data.sentAt);
+  if (
+    !isFinite(sentAt) ||
+    Math.abs(Date.now() - sentAt * 1000) > DEVICE_REQUEST_MAX_AGE_MS
+  ) {
+    return { ok: false, code: 401, message: "Request timestamp expired" };
+  }
+  return verifyDeviceSignature(
+    params.deviceId,
+    params.signature,
+    e.postData.contents
+  );
+}
+
+/**
+ * Looks up a dashboard user by username (case-insensitive).
+ * @param {string} username
+ * @return {{ username: string, role: string, passwordHash: string, salt: string, active: boolean }|null}
+ */
+function findUserByUsername(username) {
+  const target = (username || "").toString().trim().toLowerCase();
+  if (!target) {
+    return null;
+  }
+
+  const sheet = getOrCreateSheet(USERS_SHEET_NAME, USERS_HEADERS);
+  const values = sheet.getDataRange().getValues();
+  if (values.length <= 1) {
+    return null;
+  }
+
+  const headers = values.shift();
+  const idx = USERS_HEADERS.reduce((acc, header) => {
+    acc[header] = headers.indexOf(header);
+    return acc;
+  }, {});
+
+  for (let i = 0; i < values.length; i += 1) {
+    const row = values[i];
+    const rowUser = (row[idx.Username] || "").toString().trim().toLowerCase();
+    if (rowUser !== target) {
+      continue;
+    }
+    const role = (row[idx.Role] || "").toString().trim().toLowerCase();
+    const activeValue = (row[idx.Active] || "").toString().trim().toLowerCase();
+    return {
+      username: rowUser,
+      role: role === ROLE_ADMIN ? ROLE_ADMIN : ROLE_TEACHER,
+      passwordHash: (row[idx.PasswordHash] || "").toString(),
+      salt: (row[idx.Salt] || "").toString(),
+      active: activeValue !== "false" && activeValue !== "no",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Creates or resets a dashboard user. Run from the Apps Script editor, e.g.
+ * `createUser("principal", "a-long-passphrase", "admin")`.
+ * @param {string} username
+ * @param {string} password
+ * @param {string} role "admin" or "teacher"
+ */
+function createUser(username, password, role) {
+  const name = (username || "").toString().trim().toLowerCase();
+  if (!name || !password) {
+    throw new Error("username and password are required");
+  }
+  const normalizedRole = role === ROLE_ADMIN ? ROLE_ADMIN : ROLE_TEACHER;
+  const salt = Utilities.getUuid();
+  const row = [name, normalizedRole, hashPassword(password, salt), salt, true];
+
+  const sheet = getOrCreateSheet(USERS_SHEET_NAME, USERS_HEADERS);
+  const values = sheet.getDataRange().getValues();
+  for (let i = 1; i < values.length; i += 1) {
+    if ((values[i][0] || "").toString().trim().toLowerCase() === name) {
+      sheet.getRange(i + 1, 1, 1, row.length).setValues([row]);
+      return;
+    }
+  }
+  sheet.appendRow(row);
+}
+
+/**
+ * Generates and stores a shared secret for a reader and registers it in the
+ * Devices sheet. Run from the Apps Script editor, e.g.
+ * `createDeviceSecret("reader-02", "Lab door", "Lab 2")`, and copy the logged
+ * secret into the device firmware.
+ * @param {string} deviceId
+ * @param {string} [name]
+ * @param {string} [location]
+ * @return {string}
+ */
+function createDeviceSecret(deviceId, name, location) {
+  const id = (deviceId || "").toString().trim();
+  if (!id) {
+    throw new Error("deviceId is required");
+  }
+  const secret = Utilities.getUuid().replace(/-/g, "");
+  const properties = PropertiesService.getScriptProperties();
+  const secrets = JSON.parse(
+    properties.getProperty(DEVICE_SECRETS_PROPERTY) || "{}"
+  );
+  secrets[id] = secret;
+  properties.setProperty(DEVICE_SECRETS_PROPERTY, JSON.stringify(secrets));
+  const fields = {};
+  if (name) fields.Name = name;
+  if (location) fields.Location = location;
+  upsertDevice(id, fields);
+  Logger.log(`Device ${id} secret: ${secret}`);
+  return secret;
+}
+
+/**
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getDevicesSheet() {
+  return getOrCreateSheet(DEVICES_SHEET_NAME, DEVICES_HEADERS);
+}
+
+/**
+ * Marks a reader as seen now. Readers missing from the Devices sheet are
+ * added with their ID as the name and a blank location.
+ * @param {string} deviceId
+ * @param {Object} [fields] Extra Devices columns to set; blank values are skipped.
+ * @return {Object|null} The reader's Devices row after the update.
+ */
+function touchDevice(deviceId, fields) {
+  const id = (deviceId || "").toString().trim();
+  if (!id) {
+    return null;
+  }
+  const changes = {
+    LastSeen: Utilities.formatDate(
+      new Date(),
+      getTimeZone(),
+      ISO_TIMESTAMP_FORMAT
+    ),
+  };
+  Object.keys(fields || {}).forEach((key) => {
+    const value = (fields[key] || "").toString().trim();
+    if (value) {
+      changes[key] = value;
+    }
+  });
+  return upsertDevice(id, changes);
+}
+
+/**
+ * touchDevice for requests that run outside doPost's lock. Contact is only
+ * bookkeeping, so it is skipped while the lock is busy, as in a scan burst,
+ * instead of failing the request.
+ * @param {string} deviceId
+ * @param {Object} [fields]
+ * @return {Object|null} null when the reader was not recorded.
+ */
+function recordDeviceContact(deviceId, fields) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(DEVICE_CONTACT_LOCK_MS)) {
+    return null;
+  }
+  try {
+    return touchDevice(deviceId, fields);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Inserts or updates a Devices row keyed on DeviceId.
+ * @param {string} deviceId
+ * @param {Object} changes Columns to set; others keep their values.
+ * @return {Object} The merged row as an object keyed by header.
+ */
+function upsertDevice(deviceId, changes) {
+  const sheet = getDevicesSheet();
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+  const idIndex = headers.indexOf("DeviceId");
+  for (let i = 1; i < values.length; i += 1) {
+    if ((values[i][idIndex] || "").toString().trim() !== deviceId) {
+      continue;
+    }
+    const record = {};
+    headers.forEach((header, idx) => {
+      record[header] =
+        changes[header] === undefined ? values[i][idx] : changes[header];
+    });
+    sheet
+      .getRange(i + 1, 1, 1, headers.length)
+      .setValues([headers.map((header) => record[header])]);
+    return record;
+  }
+
+  const record = Object.assign(
+    { DeviceId: deviceId, Name: deviceId, Location: "" },
+    changes
+  );
+  sheet.appendRow(
+    headers.map((header) =>
+      record[header] === undefined ? "" : record[header]
+    )
+  );
+  return record;
+}
+
+/**
+ * Reads the enroll sessions, leaving out any that have gone idle.
+ * @return {Object<string, { deviceId: string, startedBy: string, startedAt: string, expiresAt: string, candidates: Array<{ uid: string, scannedAt: string, linkedSuid: string }> }>}
+ */
+function readEnrollSessions() {
+  const raw = PropertiesService.getScriptProperties().getProperty(
+    ENROLL_SESSIONS_PROPERTY
+  );
+  let stored = {};
+  try {
+    stored = JSON.parse(raw || "{}") || {};
+  } catch (error) {
+    stored = {};
+  }
+  const nowMs = Date.now();
+  const sessions = {};
+  Object.keys(stored).forEach((deviceId) => {
+    const session = stored[deviceId];
+    if (session && new Date(session.expiresAt).getTime() > nowMs) {
+      session.candidates = Array.isArray(session.candidates)
+        ? session.candidates
+        : [];
+      sessions[deviceId] = session;
+    }
+  });
+  return sessions;
+}
+
+/**
+ * Callers must hold the script lock.
+ * @param {Object<string, Object>} sessions
+ */
+function writeEnrollSessions(sessions) {
+  PropertiesService.getScriptProperties().setProperty(
+    ENROLL_SESSIONS_PROPERTY,
+    JSON.stringify(sessions)
+  );
+}
+
+/**
+ * @param {Date} date
+ * @return {string} When enroll mode ends if no card is tapped after `date`.
+ */
+function getEnrollExpiry(date) {
+  return Utilities.formatDate(
+    new Date(date.getTime() + ENROLL_IDLE_MINUTES * 60 * 1000),
+    getTimeZone(),
+    ISO_TIMESTAMP_FORMAT
+  );
+}
+
+/**
+ * @param {string} deviceId
+ * @return {Object|null} The reader's enroll session while it is active.
+ */
+function getActiveEnrollment(deviceId) {
+  const id = (deviceId || "").toString().trim();
+  return (id && readEnrollSessions()[id]) || null;
+}
+
+/**
+ * Turns enroll mode on or off for one reader. While it is on, the reader's
+ * live taps are held as candidates for the link form instead of counting as
+ * attendance. Turning it on again keeps the cards already held.
+ * @param {{ deviceId?: string, enabled?: boolean }} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, session?: Object|null }}
+ */
+function handleEnrollMode(data, editor) {
+  const deviceId = ((data && data.deviceId) || "").toString().trim();
+  if (!deviceId) {
+    return { success: false, message: "deviceId is required", statusCode: 400 };
+  }
+  const known = sheetToObjects(getDevicesSheet()).some(
+    (device) => (device.DeviceId || "").toString().trim() === deviceId
+  );
+  if (!known) {
+    return {
+      success: false,
+      message: `Unknown reader ${deviceId}`,
+      statusCode: 404,
+    };
+  }
+
+  const sessions = readEnrollSessions();
+  if (data.enabled === false) {
+    delete sessions[deviceId];
+    writeEnrollSessions(sessions);
+    return { success: true, session: null };
+  }
+
+  const now = new Date();
+  const existing = sessions[deviceId];
+  sessions[deviceId] = {
+    deviceId,
+    startedBy: existing ? existing.startedBy : editor,
+    startedAt: existing
+      ? existing.startedAt
+      : Utilities.formatDate(now, getTimeZone(), ISO_TIMESTAMP_FORMAT),
+    expiresAt: getEnrollExpiry(now),
+    candidates: existing ? existing.candidates : [],
+  };
+  writeEnrollSessions(sessions);
+  return { success: true, session: sessions[deviceId] };
+}
+
+/**
+ * Holds a live tap on a reader in enroll mode. The card moves to the end of
+ * the candidate list, and cards that are already linked say to whom so the
+ * dashboard can skip them. Each tap keeps the session open for another
+ * ENROLL_IDLE_MINUTES.
+ * @param {{ cardsSheet: GoogleAppsScript.Spreadsheet.Sheet, enrollment: Object }} sheets
+ * @param {{ uid: string, scanDate: Date }} event
+ * @return {Object} Response payload for the device.
+ */
+function holdEnrollCandidate(sheets, event) {
+  const uid = event.uid.toUpperCase();
+  const link = findCardLink(sheets.cardsSheet, uid);
+  const linkedSuid =
+    link && link.Status === CARD_STATUS_ACTIVE ? link.SUID.toString() : "";
+  const timestamp = Utilities.formatDate(
+    event.scanDate,
+    getTimeZone(),
+    ISO_TIMESTAMP_FORMAT
+  );
+
+  const sessions = readEnrollSessions();
+  const deviceId = sheets.enrollment.deviceId;
+  const session = sessions[deviceId] || sheets.enrollment;
+  session.candidates = session.candidates
+    .filter((candidate) => candidate.uid !== uid)
+    .concat([{ uid, scannedAt: timestamp, linkedSuid }])
+    .slice(-MAX_ENROLL_CANDIDATES);
+  session.expiresAt = getEnrollExpiry(new Date());
+  sessions[deviceId] = session;
+  writeEnrollSessions(sessions);
+
+  const result = { status: "ok", action: "enroll", uid, timestamp };
+  if (linkedSuid) {
+    result.linkedSuid = linkedSuid;
+  }
+  return result;
+}
+
+/**
+ * Drops a card from every enroll session once it has been linked.
+ * Callers must hold the script lock.
+ * @param {string} cardUid
+ */
+function releaseEnrollCandidate(cardUid) {
+  const sessions = readEnrollSessions();
+  let changed = false;
+  Object.keys(sessions).forEach((deviceId) => {
+    const candidates = sessions[deviceId].candidates;
+    const remaining = candidates.filter(
+      (candidate) => candidate.uid !== cardUid
+    );
+    if (remaining.length !== candidates.length) {
+      sessions[deviceId].candidates = remaining;
+      changed = true;
+    }
+  });
+  if (changed) {
+    writeEnrollSessions(sessions);
+  }
+}
+
+/**
+ * Reads the Courses, Timetable and Enrollments sheets. Meetings carry
+ * lowercase three-letter weekdays and start/end as minutes after midnight;
+ * a Timetable row may list several weekdays ("Mon,Wed").
+ * @return {{ courses: Array<{ courseId: string, name: string }>, meetings: Array<{ courseId: string, room: string, weekday: string, start: number, end: number }>, enrollments: Object<string, Array<string>> }}
+ */
+function loadCourseSchedule() {
+  const courses = sheetToObjects(
+    getOrCreateSheet(COURSES_SHEET_NAME, COURSES_HEADERS)
+  )
+    .map((row) => ({
+      courseId: (row.CourseId || "").toString().trim(),
+      name: (row.Name || "").toString().trim(),
+    }))
+    .filter((course) => course.courseId);
+
+  const meetings = [];
+  sheetToObjects(
+    getOrCreateSheet(TIMETABLE_SHEET_NAME, TIMETABLE_HEADERS)
+  ).forEach((row) => {
+    const courseId = (row.CourseId || "").toString().trim();
+    const start = normalizeTimeKeyValue(row.Start);
+    const end = normalizeTimeKeyValue(row.End);
+    if (!courseId || !start || !end) {
+      return;
+    }
+    (row.Weekday || "")
+      .toString()
+      .split(",")
+      .map((day) => day.trim())
+      .filter((day) => !!day)
+      .forEach((day) => {
+        meetings.push({
+          courseId,
+          room: (row.Room || "").toString().trim().toLowerCase(),
+          weekday: day.slice(0, 3).toLowerCase(),
+          start: timeKeyToMinutes(start),
+          end: timeKeyToMinutes(end),
+        });
+      });
+  });
+
+  const enrollments = {};
+  sheetToObjects(
+    getOrCreateSheet(ENROLLMENTS_SHEET_NAME, ENROLLMENTS_HEADERS)
+  ).forEach((row) => {
+    const courseId = (row.CourseId || "").toString().trim();
+    const suid = (row.SUID || "").toString().trim();
+    if (courseId && suid) {
+      (enrollments[courseId] = enrollments[courseId] || []).push(suid);
+    }
+  });
+
+  return { courses, meetings, enrollments };
+}
+
+/**
+ * Finds the course meeting on this reader at the scan time. A scan counts
+ * from COURSE_EARLY_MINUTES before Start until End. When meetings overlap,
+ * a course the student is enrolled in wins; courses without enrollments
+ * are open to everyone.
+ * @param {Object} schedule From loadCourseSchedule.
+ * @param {Object|null} device The reader's Devices row.
+ * @param {Date} scanDate
+ * @param {string} suid
+ * @return {string} The CourseId, or "" when no course is running.
+ */
+function findRunningCourse(schedule, device, scanDate, suid) {
+  if (!schedule || !schedule.meetings.length) {
+    return "";
+  }
+  const weekday = Utilities.formatDate(
+    scanDate,
+    getTimeZone(),
+    "EEE"
+  ).toLowerCase();
+  const minutes = timeKeyToMinutes(
+    Utilities.formatDate(scanDate, getTimeZone(), "HH:mm")
+  );
+  const rooms = device
+    ? [device.Location, device.DeviceId]
+        .map((value) => (value || "").toString().trim().toLowerCase())
+        .filter((value) => value)
+    : [];
+  const running = schedule.meetings.filter(
+    (meeting) =>
+      meeting.weekday === weekday &&
+      minutes >= meeting.start - COURSE_EARLY_MINUTES &&
+      minutes < meeting.end &&
+      (!meeting.room || rooms.includes(meeting.room))
+  );
+  const open = running.find((meeting) => {
+    const enrolled = schedule.enrollments[meeting.courseId];
+    return !enrolled || enrolled.includes(suid);
+  });
+  const enrolledMatch = running.find((meeting) => {
+    const enrolled = schedule.enrollments[meeting.courseId];
+    return enrolled && enrolled.includes(suid);
+  });
+  const match = enrolledMatch || open;
+  return match ? match.courseId : "";
+}
+
+/**
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getCalendarSheet() {
+  return getOrCreateSheet(CALENDAR_SHEET_NAME, CALENDAR_HEADERS);
+}
+
+/**
+ * Reads the Calendar sheet alongside the WorkingDays setting. Rows with an
+ * unknown Type or an unreadable Start are ignored.
+ * @param {Object} [settings] From getSettings; read when omitted.
+ * @return {{ workingDays: Array<string>, entries: Array<{ entryId: string, weekday: string, start: string, end: string, type: string, courseId: string, note: string }> }}
+ */
+function loadCalendar(settings) {
+  const entries = sheetToObjects(getCalendarSheet())
+    .map((row) => {
+      const weekday = parseWeekdayKey(row.Start);
+      const start = weekday ? "" : normalizeDateKeyValue(row.Start);
+      return {
+        entryId: (row.EntryId || "").toString().trim(),
+        weekday,
+        start,
+        end: weekday ? "" : normalizeDateKeyValue(row.End) || start,
+        type: matchCalendarType(row.Type),
+        courseId: (row.CourseId || "").toString().trim(),
+        note: (row.Note || "").toString().trim(),
+      };
+    })
+    .filter((entry) => entry.type && (entry.weekday || entry.start));
+  return {
+    workingDays: (settings || getSettings()).workingDays,
+    entries,
+  };
+}
+
+/**
+ * @param {any} value
+ * @return {string} Lowercase three-letter weekday, or "" for anything else.
+ */
+function parseWeekdayKey(value) {
+  if (value instanceof Date) {
+    return "";
+  }
+  const str = (value || "").toString().trim().toLowerCase();
+  const key = str.slice(0, 3);
+  return /^[a-z]+$/.test(str) && WEEKDAY_KEYS.includes(key) ? key : "";
+}
+
+/**
+ * @param {any} value
+ * @return {string} The CALENDAR_TYPES entry, matched case-insensitively, or "".
+ */
+function matchCalendarType(value) {
+  const type = (value || "").toString().trim().toLowerCase();
+  return CALENDAR_TYPES.find((name) => name.toLowerCase() === type) || "";
+}
+
+/**
+ * Works out whether attendance is expected on a day. The base is the
+ * WorkingDays setting, or the course's timetabled weekdays when courseId is
+ * given. Calendar entries then apply in order of precedence: weekly rules
+ * before dated entries, school-wide before course-specific, so the most
+ * specific entry wins. For a course, school-wide entries only cancel or
+ * shorten its meetings.
+ * @param {{ workingDays: Array<string>, entries: Array<Object> }} calendar From loadCalendar.
+ * @param {Object|null} schedule From loadCourseSchedule; only needed with courseId.
+ * @param {string} dateKey yyyy-MM-dd
+ * @param {string} [courseId]
+ * @return {{ type: string, note: string }} type is `working`, `halfDay`,
+ *   `holiday` or `off` (not a working day).
+ */
+function getDayType(calendar, schedule, dateKey, courseId) {
+  const weekday = WEEKDAY_KEYS[new Date(`${dateKey}T12:00:00Z`).getUTCDay()];
+  const isBaseDay = courseId
+    ? schedule.meetings.some(
+        (meeting) =>
+          meeting.courseId === courseId && meeting.weekday === weekday
+      )
+    : calendar.workingDays.includes(weekday);
+  const result = { type: isBaseDay ? "working" : "off", note: "" };
+  const rank = (entry) => (entry.weekday ? 0 : 2) + (entry.courseId ? 1 : 0);
+  calendar.entries
+    .filter(
+      (entry) =>
+        (!entry.courseId || entry.courseId === courseId) &&
+        (entry.weekday
+          ? entry.weekday === weekday
+          : dateKey >= entry.start && dateKey <= entry.end)
+    )
+    .sort((a, b) => rank(a) - rank(b))
+    .forEach((entry) => {
+      // For a course, school-wide entries can cancel or shorten a meeting
+      // but never create one.
+      const schoolWide = courseId && !entry.courseId;
+      if (
+        schoolWide &&
+        entry.type !== "holiday" &&
+        result.type !== "working" &&
+        result.type !== "halfDay"
+      ) {
+        return;
+      }
+      result.type =
+        schoolWide && entry.type === "working" ? result.type : entry.type;
+      result.note = entry.note;
+    });
+  return result;
+}
+
+/**
+ * Lists the days in range on which attendance is expected: working days and
+ * half days, for the whole school or for one course.
+ * @param {Object} calendar From loadCalendar.
+ * @param {Object|null} schedule From loadCourseSchedule; only needed with courseId.
+ * @param {string} from yyyy-MM-dd, inclusive.
+ * @param {string} to yyyy-MM-dd, inclusive.
+ * @param {string} [courseId]
+ * @return {Array<string>}
+ */
+function listExpectedDays(calendar, schedule, from, to, courseId) {
+  const dates = [];
+  const day = new Date(`${from}T12:00:00Z`);
+  if (isNaN(day.getTime())) {
+    return dates;
+  }
+  for (
+    let dateKey = day.toISOString().slice(0, 10);
+    dateKey <= to;
+    dateKey = day.toISOString().slice(0, 10)
+  ) {
+    const type = getDayType(calendar, schedule, dateKey, courseId).type;
+    if (type === "working" || type === "halfDay") {
+      dates.push(dateKey);
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Adds a Calendar entry.
+ * @param {Object} data `{ start, end, type, courseId, note }`; start is
+ *   yyyy-MM-dd or a weekday name for a weekly rule.
+ * @return {{ success: boolean, message?: string, statusCode?: number, entry?: Object }}
+ */
+function handleCalendarEntryAdd(data) {
+  const weekday = parseWeekdayKey(data.start);
+  const start = weekday ? "" : normalizeDateKeyValue(data.start);
+  const end = normalizeDateKeyValue(data.end);
+  const type = matchCalendarType(data.type);
+  const courseId = (data.courseId || "").toString().trim();
+  const note = (data.note || "").toString().trim();
+  if (!weekday && !start) {
+    return {
+      success: false,
+      message: "start must be yyyy-MM-dd or a weekday such as Sun",
+      statusCode: 400,
+    };
+  }
+  if (weekday && end) {
+    return {
+      success: false,
+      message: "Weekly entries cannot have an end date",
+      statusCode: 400,
+    };
+  }
+  if (end && end < start) {
+    return {
+      success: false,
+      message: "end must not be before start",
+      statusCode: 400,
+    };
+  }
+  if (!type) {
+    return {
+      success: false,
+      message: `type must be one of ${CALENDAR_TYPES.join(", ")}`,
+      statusCode: 400,
+    };
+  }
+  if (
+    courseId &&
+    !loadCourseSchedule().courses.some((course) => course.courseId === courseId)
+  ) {
+    return {
+      success: false,
+      message: `Unknown course ${courseId}`,
+      statusCode: 400,
+    };
+  }
+
+  const entry = {
+    EntryId: Utilities.getUuid(),
+    // Weekly rules are stored as the capitalised day name, e.g. "Sun".
+    Start: weekday ? weekday.charAt(0).toUpperCase() + weekday.slice(1) : start,
+    End: end,
+    Type: type,
+    CourseId: courseId,
+    Note: note,
+  };
+  getCalendarSheet().appendRow(CALENDAR_HEADERS.map((header) => entry[header]));
+  return { success: true, entry };
+}
+
+/**
+ * @param {string} entryId
+ * @return {boolean} Whether a row was removed.
+ */
+function deleteCalendarEntry(entryId) {
+  const sheet = getCalendarSheet();
+  const values = sheet.getDataRange().getValues();
+  const idIndex = values[0].indexOf("EntryId");
+  for (let i = values.length - 1; i >= 1; i -= 1) {
+    if ((values[i][idIndex] || "").toString().trim() === entryId) {
+      sheet.deleteRow(i + 1);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {string} deviceId
+ * @return {string}
+ */
+function getDeviceSecret(deviceId) {
+  const raw = PropertiesService.getScriptProperties().getProperty(
+    DEVICE_SECRETS_PROPERTY
+  );
+  if (!raw) {
+    return "";
+  }
+  try {
+    const secrets = JSON.parse(raw);
+    return (secrets && secrets[deviceId]) || "";
+  } catch (_err) {
+    return "";
+  }
+}
+
+/**
+ * Returns the HMAC key for session tokens, generating one on first use.
+ * @return {string}
+ */
+function getSessionSecret() {
+  const properties = PropertiesService.getScriptProperties();
+  let secret = properties.getProperty(SESSION_SECRET_PROPERTY);
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty(SESSION_SECRET_PROPERTY, secret);
+  }
+  return secret;
+}
+
+/**
+ * Derives a password hash by iterating HMAC-SHA256 with the user's salt.
+ * @param {string} password
+ * @param {string} salt
+ * @return {string}
+ */
+function hashPassword(password, salt) {
+  let digest = password;
+  for (let i = 0; i < PASSWORD_HASH_ROUNDS; i += 1) {
+    digest = bytesToHex(Utilities.computeHmacSha256Signature(digest, salt));
+  }
+  return digest;
+}
+
+/**
+ * Converts Apps Script signed byte arrays to lowercase hex.
+ * @param {Array<number>} bytes
+ * @return {string}
+ */
+function bytesToHex(bytes) {
+  return bytes
+    .map((b) => {
+      const value = (b + 256) % 256;
+      return (value < 16 ? "0" : "") + value.toString(16);
+    })
+    .join("");
+}
+
+/**
+ * Compares two strings without returning early on the first mismatch.
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+function constantTimeEquals(a, b) {
+  const left = (a || "").toString();
+  const right = (b || "").toString();
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+    diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Parses the incoming POST payload into an object.
+ * @param {GoogleAppsScript.Events.DoPost} e
+ * @return {{ valid: boolean, data?: Object, message?: string }}
+ */
+function parseRequest(e) {
+  if (!e || !e.postData || !e.postData.contents) {
+    return { valid: false, message: "Missing request body" };
+  }
+
+  try {
+    const data = JSON.parse(e.postData.contents);
+    if (!data || typeof data !== "object") {
+      return { valid: false, message: "Invalid JSON payload" };
+    }
+    if (!data.action) {
+      return { valid: false, message: "Action is required" };
+    }
+    return { valid: true, data };
+  } catch (_err) {
+    return { valid: false, message: "Invalid JSON payload" };
+  }
+}
+
+/**
+ * Opens the CloudAttend_DB spreadsheet named by the CLOUDATTEND_DB_ID script
+ * property, or the spreadsheet the script is bound to.
+ * @return {GoogleAppsScript.Spreadsheet.Spreadsheet}
+ */
+function getDatabase() {
+  const id =
+    PropertiesService.getScriptProperties().getProperty(DB_ID_PROPERTY);
+  const spreadsheet = id
+    ? SpreadsheetApp.openById(id)
+    : SpreadsheetApp.getActiveSpreadsheet();
+  if (!spreadsheet) {
+    throw new Error(
+      `Set the ${DB_ID_PROPERTY} script property to the CloudAttend_DB spreadsheet ID`
+    );
+  }
+  return spreadsheet;
+}
+
+/**
+ * Retrieves the sheet by name within the CloudAttend_DB spreadsheet.
+ * @param {string} name
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getSheet(name) {
+  const spreadsheet = getDatabase();
+  const sheet = spreadsheet.getSheetByName(name);
+  if (!sheet) {
+    throw new Error(`Sheet not found: ${name}`);
+  }
+  return sheet;
+}
+
+/**
+ * Retrieves a sheet by name, creating it with the given headers if missing.
+ * @param {string} name
+ * @param {Array<string>} headers
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getOrCreateSheet(name, headers) {
+  const spreadsheet = getDatabase();
+  let sheet = spreadsheet.getSheetByName(name);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+  }
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  }
+  return sheet;
+}
+
+/**
+ * Finds a student record by SUID, the student's identity across cards.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} suid
+ * @return {Object|null}
+ */
+function findStudentBySuid(sheet, suid) {
+  const values = sheet.getDataRange().getValues();
+  if (values.length <= 1 || !suid) {
+    return null; // No data rows available.
+  }
+
+  const headers = values.shift();
+  const suidIndex = headers.indexOf("SUID");
+  if (suidIndex === -1) {
+    throw new Error("SUID column missing in Students sheet");
+  }
+
+  for (let i = 0; i < values.length; i += 1) {
+    if ((values[i][suidIndex] || "").toString().trim() === suid) {
+      return headers.reduce((acc, header, idx) => {
+        acc[header] = values[i][idx];
+        return acc;
+      }, {});
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Students stay active unless their Active cell says FALSE or "no".
+ * @param {Object} student
+ * @return {boolean}
+ */
+function isStudentActive(student) {
+  const value = (student.Active === undefined ? "" : student.Active)
+    .toString()
+    .trim()
+    .toLowerCase();
+  return value !== "false" && value !== "no";
+}
+
+/**
+ * Works out what a tap of uid means from the card's newest Cards row, as
+ * recorded in the card index.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} studentsSheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} cardsSheet
+ * @param {string} uid
+ * @return {{ state: string, link: Object|null, student: Object|null }}
+ */
+function resolveCard(studentsSheet, cardsSheet, uid) {
+  const target = (uid || "").toString().trim().toUpperCase();
+  const entry = getCardIndex(studentsSheet, cardsSheet)[target];
+  if (!entry) {
+    return { state: "unknown", link: null, student: null };
+  }
+  const link = { CARD_UID: target, SUID: entry.suid, Status: entry.status };
+  if (entry.status !== CARD_STATUS_ACTIVE) {
+    return { state: entry.status, link, student: null };
+  }
+  return { state: CARD_STATUS_ACTIVE, link, student: entry.student };
+}
+
+/**
+ * Maps each card UID to its newest Cards row and, for active cards, the
+ * student's SUID, names and Active flag. The index is kept in CacheService
+ * so a tap doesn't read both sheets. It is rebuilt when the cache has lost
+ * it, when invalidateCardIndex dropped it after a write, or when either
+ * sheet has gained or lost rows since, which catches most hand edits.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} studentsSheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} cardsSheet
+ * @return {Object<string, { suid: string, status: string, student: Object|null }>}
+ */
+function getCardIndex(studentsSheet, cardsSheet) {
+  if (executionCache.cardIndex) {
+    return executionCache.cardIndex;
+  }
+  const fingerprint = `${studentsSheet.getLastRow()}/${cardsSheet.getLastRow()}`;
+  const cached = readCachedJson(CARD_INDEX_CACHE_KEY);
+  const timing = executionCache.timing || (executionCache.timing = {});
+  if (cached && cached.fingerprint === fingerprint) {
+    timing.cardIndex = "cached";
+    executionCache.cardIndex = cached.cards;
+    return cached.cards;
+  }
+
+  const students = {};
+  sheetToObjects(studentsSheet).forEach((student) => {
+    const suid = (student.SUID || "").toString().trim();
+    if (suid && !students[suid]) {
+      students[suid] = {
+        SUID: suid,
+        FirstName: student.FirstName,
+        LastName: student.LastName,
+        Active: student.Active,
+      };
+    }
+  });
+  const cards = {};
+  // Later rows win, so each card ends up with its newest link.
+  sheetToObjects(cardsSheet).forEach((row) => {
+    const uid = (row.CARD_UID || "").toString().trim().toUpperCase();
+    if (!uid) {
+      return;
+    }
+    const suid = (row.SUID || "").toString().trim();
+    const status = (row.Status || "").toString().trim().toLowerCase();
+    cards[uid] = {
+      suid,
+      status,
+      student: status === CARD_STATUS_ACTIVE ? students[suid] || null : null,
+    };
+  });
+
+  writeCachedJson(
+    CARD_INDEX_CACHE_KEY,
+    { fingerprint, cards },
+    SCAN_INDEX_CACHE_SECONDS
+  );
+  timing.cardIndex = "rebuilt";
+  executionCache.cardIndex = cards;
+  return cards;
+}
+
+/**
+ * Drops the card index. Call after any write to Students or Cards.
+ */
+function invalidateCardIndex() {
+  delete executionCache.cardIndex;
+  removeCachedJson(CARD_INDEX_CACHE_KEY);
+}
+
+/**
+ * Reads a value stored by writeCachedJson.
+ * @param {string} key
+ * @return {*} null when any part has expired or been evicted.
+ */
+function readCachedJson(key) {
+  const cache = CacheService.getScriptCache();
+  const count = Number(cache.get(`${key}:parts`)) || 0;
+  if (!count) {
+    return null;
+  }
+  const keys = [];
+  for (let i = 0; i < count; i += 1) {
+    keys.push(`${key}:${i}`);
+  }
+  const parts = cache.getAll(keys);
+  if (keys.some((partKey) => typeof parts[partKey] !== "string")) {
+    return null;
+  }
+  try {
+    return JSON.parse(keys.map((partKey) => parts[partKey]).join(""));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores a value in the script cache as JSON, split into parts that fit
+ * under the per-value size limit.
+ * @param {string} key
+ * @param {*} value
+ * @param {number} seconds
+ */
+function writeCachedJson(key, value, seconds) {
+  const text = JSON.stringify(value);
+  const entries = {};
+  let count = 0;
+  for (let i = 0; i < text.length; i += CACHE_CHUNK_CHARS) {
+    entries[`${key}:${count}`] = text.slice(i, i + CACHE_CHUNK_CHARS);
+    count += 1;
+  }
+  entries[`${key}:parts`] = String(count);
+  CacheService.getScriptCache().putAll(entries, seconds);
+}
+
+/**
+ * @param {string} key
+ */
+function removeCachedJson(key) {
+  CacheService.getScriptCache().remove(`${key}:parts`);
+}
+
+/**
+ * Opens the Cards sheet. The first time it is created every card already in
+ * the Students sheet is linked to its SUID, so existing cards keep working.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getCardsSheet() {
+  const spreadsheet = getDatabase();
+  let sheet = spreadsheet.getSheetByName(CARDS_SHEET_NAME);
+  if (sheet && sheet.getLastRow() > 0) {
+    return sheet;
+  }
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CARDS_SHEET_NAME);
+  }
+
+  const linkedAt = Utilities.formatDate(
+    new Date(),
+    getTimeZone(),
+    ISO_TIMESTAMP_FORMAT
+  );
+  const rows = [CARDS_HEADERS];
+  const seen = new Set();
+  sheetToObjects(getSheet(STUDENTS_SHEET_NAME)).forEach((student) => {
+    const uid = (student.CARD_UID || "").toString().trim().toUpperCase();
+    const suid = (student.SUID || "").toString().trim();
+    if (!uid || !suid || seen.has(uid)) return;
+    seen.add(uid);
+    rows.push([uid, suid, CARD_STATUS_ACTIVE, linkedAt, "", ""]);
+  });
+  sheet.getRange(1, 1, rows.length, CARDS_HEADERS.length).setValues(rows);
+  return sheet;
+}
+
+/**
+ * Finds the newest Cards row for a card UID.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} uid
+ * @return {{ row: number, CARD_UID: string, SUID: string, Status: string }|null}
+ */
+function findCardLink(sheet, uid) {
+  const target = (uid || "").toString().trim().toUpperCase();
+  const values = sheet.getDataRange().getValues();
+  if (values.length <= 1 || !target) {
+    return null;
+  }
+
+  const headers = values.shift();
+  const uidIndex = headers.indexOf("CARD_UID");
+  const suidIndex = headers.indexOf("SUID");
+  const statusIndex = headers.indexOf("Status");
+  for (let i = values.length - 1; i >= 0; i -= 1) {
+    const rowUid = (values[i][uidIndex] || "").toString().trim().toUpperCase();
+    if (rowUid !== target) {
+      continue;
+    }
+    return {
+      row: i + 2,
+      CARD_UID: rowUid,
+      SUID: (values[i][suidIndex] || "").toString().trim(),
+      Status: (values[i][statusIndex] || "").toString().trim().toLowerCase(),
+    };
+  }
+  return null;
+}
+
+/**
+ * Links a card to a student by appending an active Cards row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} uid
+ * @param {string} suid
+ * @return {Object} The new Cards row keyed by header.
+ */
+function appendCardLink(sheet, uid, suid) {
+  const card = {
+    CARD_UID: uid,
+    SUID: suid,
+    Status: CARD_STATUS_ACTIVE,
+    LinkedAt: Utilities.formatDate(
+      new Date(),
+      getTimeZone(),
+      ISO_TIMESTAMP_FORMAT
+    ),
+    ReleasedAt: "",
+    ReleasedBy: "",
+  };
+  sheet.appendRow(CARDS_HEADERS.map((header) => card[header]));
+  invalidateCardIndex();
+  return card;
+}
+
+/**
+ * Ends a card link, keeping the row as history.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {{ row: number }} link
+ * @param {string} status CARD_STATUS_REVOKED or CARD_STATUS_REASSIGNED
+ * @param {string} editor
+ */
+function releaseCardLink(sheet, link, status, editor) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const releasedAt = Utilities.formatDate(
+    new Date(),
+    getTimeZone(),
+    ISO_TIMESTAMP_FORMAT
+  );
+  [
+    ["Status", status],
+    ["ReleasedAt", releasedAt],
+    ["ReleasedBy", editor],
+  ].forEach(([header, value]) => {
+    const index = headers.indexOf(header);
+    if (index !== -1) {
+      sheet.getRange(link.row, index + 1).setValue(value);
+    }
+  });
+  invalidateCardIndex();
+}
+
+/**
+ * Points the student's CARD_UID cell at their newest active card, or clears
+ * it when none is left, so the sheet and roster show the card in use.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} studentsSheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} cardsSheet
+ * @param {string} suid
+ * @param {string} editor
+ */
+function syncStudentCardUid(studentsSheet, cardsSheet, suid, editor) {
+  const cards = sheetToObjects(cardsSheet);
+  // A card's newest row decides its state, so walk from the bottom.
+  const seen = new Set();
+  let current = "";
+  for (let i = cards.length - 1; i >= 0; i -= 1) {
+    const uid = (cards[i].CARD_UID || "").toString().trim().toUpperCase();
+    if (!uid || seen.has(uid)) continue;
+    seen.add(uid);
+    if (
+      (cards[i].SUID || "").toString().trim() === suid &&
+      (cards[i].Status || "").toString().trim().toLowerCase() ===
+        CARD_STATUS_ACTIVE
+    ) {
+      current = uid;
+      break;
+    }
+  }
+  const result = upsertStudent(
+    studentsSheet,
+    { SUID: suid, CARD_UID: current },
+    true
+  );
+  if (result.previous) {
+    appendAuditLog(
+      editor,
+      "cardChange",
+      STUDENTS_SHEET_NAME,
+      suid,
+      result.previous,
+      result.student
+    );
+  }
+}
+
+/**
+ * Moves a card to another student. The old link is kept as `reassigned`.
+ * @param {Object} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, card?: Object }}
+ */
+function handleCardReassign(data, editor) {
+  const cardUid = ((data && data.cardUid) || "")
+    .toString()
+    .trim()
+    .toUpperCase();
+  const suid = ((data && data.suid) || "").toString().trim();
+  if (!cardUid || !suid) {
+    return {
+      success: false,
+      message: "cardUid and suid are required",
+      statusCode: 400,
+    };
+  }
+
+  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
+  const cardsSheet = getCardsSheet();
+  if (!findStudentBySuid(studentsSheet, suid)) {
+    return { success: false, message: "Student not found", statusCode: 404 };
+  }
+  const link = findCardLink(cardsSheet, cardUid);
+  if (!link) {
+    return { success: false, message: "Card not found", statusCode: 404 };
+  }
+  if (link.Status === CARD_STATUS_ACTIVE && link.SUID === suid) {
+    return {
+      success: false,
+      message: "Card is already linked to that student",
+      statusCode: 409,
+    };
+  }
+
+  if (link.Status === CARD_STATUS_ACTIVE) {
+    releaseCardLink(cardsSheet, link, CARD_STATUS_REASSIGNED, editor);
+  }
+  const card = appendCardLink(cardsSheet, cardUid, suid);
+  if (link.SUID && link.SUID !== suid) {
+    syncStudentCardUid(studentsSheet, cardsSheet, link.SUID, editor);
+  }
+  syncStudentCardUid(studentsSheet, cardsSheet, suid, editor);
+  releaseEnrollCandidate(cardUid);
+  return { success: true, card };
+}
+
+/**
+ * Revokes a lost card. Later taps get `revoked` and change nothing.
+ * @param {Object} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, card?: Object }}
+ */
+function handleCardRevoke(data, editor) {
+  const cardUid = ((data && data.cardUid) || "")
+    .toString()
+    .trim()
+    .toUpperCase();
+  if (!cardUid) {
+    return { success: false, message: "cardUid is required", statusCode: 400 };
+  }
+
+  const cardsSheet = getCardsSheet();
+  const link = findCardLink(cardsSheet, cardUid);
+  if (!link || link.Status !== CARD_STATUS_ACTIVE) {
+    return {
+      success: false,
+      message: "Card is not linked to a student",
+      statusCode: 404,
+    };
+  }
+
+  releaseCardLink(cardsSheet, link, CARD_STATUS_REVOKED, editor);
+  syncStudentCardUid(
+    getSheet(STUDENTS_SHEET_NAME),
+    cardsSheet,
+    link.SUID,
+    editor
+  );
+  return {
+    success: true,
+    card: { CARD_UID: cardUid, SUID: link.SUID, Status: CARD_STATUS_REVOKED },
+  };
+}
+
+/**
+ * Deactivates a student who has left, or brings them back. Their attendance
+ * and cards stay; taps of their cards answer `inactive` meanwhile.
+ * @param {Object} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, student?: Object }}
+ */
+function handleStudentActive(data, editor) {
+  const suid = ((data && data.suid) || "").toString().trim();
+  if (!suid || typeof data.active !== "boolean") {
+    return {
+      success: false,
+      message: "suid and a boolean active are required",
+      statusCode: 400,
+    };
+  }
+
+  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
+  if (!findStudentBySuid(studentsSheet, suid)) {
+    return { success: false, message: "Student not found", statusCode: 404 };
+  }
+  const result = upsertStudent(
+    studentsSheet,
+    { SUID: suid, Active: data.active },
+    true
+  );
+  appendAuditLog(
+    editor,
+    data.active ? "reactivate" : "deactivate",
+    STUDENTS_SHEET_NAME,
+    suid,
+    result.previous,
+    result.student
+  );
+  return { success: true, student: result.student };
+}
+
+/**
+ * Edits a student's names and, with `newSuid`, their SUID. A new SUID is
+ * carried over to their cards and to live and archived attendance so their
+ * history stays theirs.
+ * @param {Object} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, student?: Object }}
+ */
+function handleStudentUpdate(data, editor) {
+  const suid = ((data && data.suid) || "").toString().trim();
+  const newSuid = (data.newSuid || suid).toString().trim();
+  const firstName = (data.firstName || "").toString().trim();
+  const lastName = (data.lastName || "").toString().trim();
+  if (!suid || !newSuid || !firstName || !lastName) {
+    return {
+      success: false,
+      message: "suid, firstName and lastName are required",
+      statusCode: 400,
+    };
+  }
+
+  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
+  const previous = findStudentBySuid(studentsSheet, suid);
+  if (!previous) {
+    return { success: false, message: "Student not found", statusCode: 404 };
+  }
+  if (newSuid !== suid && findStudentBySuid(studentsSheet, newSuid)) {
+    return {
+      success: false,
+      message: `SUID ${newSuid} already exists`,
+      statusCode: 409,
+    };
+  }
+
+  upsertStudent(
+    studentsSheet,
+    { SUID: suid, FirstName: firstName, LastName: lastName },
+    true
+  );
+  if (newSuid !== suid) {
+    replaceSuidInColumn(studentsSheet, suid, newSuid);
+    replaceSuidInColumn(getCardsSheet(), suid, newSuid);
+    const attendanceSheet = getSheet(ATTENDANCE_SHEET_NAME);
+    ensureAttendanceHeaders(attendanceSheet);
+    // Archived months are part of the history too.
+    const changed = getArchiveSpreadsheet(getSettings())
+      .getSheets()
+      .filter((sheet) => ARCHIVE_SHEET_PATTERN.test(sheet.getName()))
+      .reduce(
+        (total, sheet) =>
+          total + replaceSuidInColumn(sheet, suid, newSuid, true),
+        replaceSuidInColumn(attendanceSheet, suid, newSuid, true)
+      );
+    if (changed) {
+      // One entry for the whole history rather than one per row.
+      appendAuditLog(
+        editor,
+        "renameSuid",
+        ATTENDANCE_SHEET_NAME,
+        suid,
+        { SUID: suid },
+        { SUID: newSuid }
+      );
+    }
+  }
+  const student = findStudentBySuid(studentsSheet, newSuid);
+  appendAuditLog(editor, "edit", STUDENTS_SHEET_NAME, suid, previous, student);
+  return { success: true, student };
+}
+
+/**
+ * Rewrites every SUID cell equal to `from`. With `stampRevision`, changed
+ * Attendance rows get a new Revision so delta clients pick them up.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} from
+ * @param {string} to
+ * @param {boolean} [stampRevision]
+ * @return {number} Rows changed.
+ */
+function replaceSuidInColumn(sheet, from, to, stampRevision) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return 0;
+  }
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const suidCol = headers.indexOf("SUID") + 1;
+  const revisionCol = headers.indexOf("Revision") + 1;
+  if (!suidCol) {
+    return 0;
+  }
+
+  const suidRange = sheet.getRange(2, suidCol, lastRow - 1, 1);
+  const suids = suidRange.getValues();
+  const revisionRange =
+    stampRevision && revisionCol
+      ? sheet.getRange(2, revisionCol, lastRow - 1, 1)
+      : null;
+  const revisions = revisionRange ? revisionRange.getValues() : null;
+  const revision = revisionRange ? nextAttendanceRevision() : 0;
+  let changed = 0;
+  suids.forEach((cell, i) => {
+    if ((cell[0] || "").toString().trim() !== from) return;
+    cell[0] = to;
+    if (revisions) {
+      revisions[i][0] = revision;
+    }
+    changed += 1;
+  });
+
+  if (changed) {
+    suidRange.setValues(suids);
+    if (revisionRange) {
+      revisionRange.setValues(revisions);
+    }
+    invalidateCardIndex();
+  }
+  return changed;
+}
+
+/**
+ * Removes a student added by mistake. Their attendance stays, and their
+ * active cards are released as `unlinked` so the cards can be linked again.
+ * Use setStudentActive for students who have left.
+ * @param {Object} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, releasedCards?: Array<string> }}
+ */
+function handleStudentDelete(data, editor) {
+  const suid = ((data && data.suid) || "").toString().trim();
+  if (!suid) {
+    return { success: false, message: "suid is required", statusCode: 400 };
+  }
+
+  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
+  const values = studentsSheet.getDataRange().getValues();
+  const suidIndex = values.length ? values[0].indexOf("SUID") : -1;
+  let row = 0;
+  for (let i = 1; i < values.length && suidIndex !== -1; i += 1) {
+    if ((values[i][suidIndex] || "").toString().trim() === suid) {
+      row = i + 1;
+      break;
+    }
+  }
+  if (!row) {
+    return { success: false, message: "Student not found", statusCode: 404 };
+  }
+
+  const cardsSheet = getCardsSheet();
+  const released = [];
+  const seen = new Set();
+  sheetToObjects(cardsSheet)
+    .reverse()
+    .forEach((card) => {
+      const uid = (card.CARD_UID || "").toString().trim().toUpperCase();
+      if (!uid || seen.has(uid)) return;
+      seen.add(uid);
+      if ((card.SUID || "").toString().trim() !== suid) return;
+      const link = findCardLink(cardsSheet, uid);
+      if (link && link.Status === CARD_STATUS_ACTIVE) {
+        releaseCardLink(cardsSheet, link, CARD_STATUS_UNLINKED, editor);
+        released.push(uid);
+      }
+    });
+
+  studentsSheet.deleteRow(row);
+  invalidateCardIndex();
+  appendAuditLog(
+    editor,
+    "delete",
+    STUDENTS_SHEET_NAME,
+    suid,
+    rowToObject(values[0], values[row - 1]),
+    null
+  );
+  return { success: true, releasedCards: released };
+}
+
+/**
+ * Finds the first attendance row for a UID on the given date.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} uid
+ * @param {string} dateKey
+ * @return {{ row: number, headers: Object }|null}
+ */
+function findAttendanceRow(sheet, uid, dateKey) {
+  const values = sheet.getDataRange().getValues();
+  if (values.length <= 1) {
+    return null;
+  }
+
+  const headers = values.shift();
+  const headerMap = headers.reduce((acc, header, idx) => {
+    acc[header] = idx + 1; // Store 1-based column indices for later use.
+    return acc;
+  }, {});
+
+  const uidCol = headerMap.CARD_UID;
+  const dateCol = headerMap.Date;
+
+  if (!uidCol || !dateCol) {
+    throw new Error("Attendance sheet headers must include CARD_UID and Date");
+  }
+
+  for (let i = 0; i < values.length; i += 1) {
+    const rowValues = values[i];
+    const rowUid = rowValues[uidCol - 1];
+    const rowDate = rowValues[dateCol - 1];
+
+    if (rowUid && rowUid.toString() === uid && rowDate === dateKey) {
+      return { row: i + 2, headers: headerMap }; // +2 accounts for header row and 1-based indexing.
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists a student's attendance rows on the dateKey, oldest first; `open` is
+ * true while a row has no checkout. Rows are matched on SUID so a replacement
+ * card can check out a session its predecessor opened; rows without a SUID
+ * fall back to the UID.
+ * Falls back to matching by Date column if legacy rows lack DateKey.
+ * Only rows from the day's first row down are read; see
+ * getAttendanceDayStart.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} uid
+ * @param {string} dateKey
+ * @param {string} [suid]
+ * @return {Array<{ row: number, headers: Object, open: boolean, checkInTime: any, courseId: string, rowId: string }>}
+ */
+function findAttendanceRowsForDate(sheet, uid, dateKey, suid) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow <= 1 || !lastColumn) {
+    return [];
+  }
+
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const headerMap = headers.reduce((acc, header, idx) => {
+    acc[header] = idx + 1; // 1-based
+    return acc;
+  }, {});
+
+  const uidCol = headerMap.CARD_UID;
+  const suidCol = headerMap.SUID;
+  const dateKeyCol = headerMap.DateKey;
+  const dateCol = headerMap.Date;
+  const checkoutCol = headerMap.CheckOutTime;
+
+  if (!uidCol || !dateCol || !checkoutCol) {
+    throw new Error(
+      "Attendance sheet headers must include CARD_UID, Date, and CheckOutTime"
+    );
+  }
+
+  const startRow = getAttendanceDayStart(sheet, headerMap, dateKey, lastRow);
+  if (startRow > lastRow) {
+    return [];
+  }
+  const values = sheet
+    .getRange(startRow, 1, lastRow - startRow + 1, lastColumn)
+    .getValues();
+  const matches = [];
+  for (let i = 0; i < values.length; i += 1) {
+    const rowValues = values[i];
+    const rowUid = (rowValues[uidCol - 1] || "").toString().trim();
+    const rowSuid = suidCol
+      ? (rowValues[suidCol - 1] || "").toString().trim()
+      : "";
+    const sameStudent =
+      suid && rowSuid ? rowSuid === suid : !!rowUid && rowUid === uid;
+    if (!sameStudent) {
+      continue;
+    }
+
+    const primaryKey = dateKeyCol
+      ? normalizeDateKeyValue(rowValues[dateKeyCol - 1])
+      : "";
+    let matchesDate = false;
+    if (primaryKey) {
+      matchesDate = primaryKey === dateKey;
+    }
+
+    if (!matchesDate) {
+      const fallbackKey = normalizeDateKeyValue(rowValues[dateCol - 1]);
+      matchesDate = fallbackKey === dateKey;
+    }
+
+    if (!matchesDate) {
+      continue;
+    }
+
+    const checkoutValue = (rowValues[checkoutCol - 1] || "").toString().trim();
+    matches.push({
+      row: startRow + i,
+      headers: headerMap,
+      open: !checkoutValue,
+      checkInTime: headerMap.CheckInTime
+        ? rowValues[headerMap.CheckInTime - 1]
+        : "",
+      courseId: headerMap.CourseId
+        ? (rowValues[headerMap.CourseId - 1] || "").toString().trim()
+        : "",
+      rowId: headerMap.RowId
+        ? (rowValues[headerMap.RowId - 1] || "").toString()
+        : "",
+    });
+  }
+  return matches;
+}
+
+/**
+ * Finds the first Attendance row dated dateKey, or lastRow + 1 when the day
+ * has none yet. Rows are appended as scans arrive, so every row of the day
+ * sits at or below that row and the scan path can skip older history.
+ * Found rows are kept in the script cache; a cached row is trusted unless
+ * the row above it carries the same date (rows were inserted by hand).
+ * invalidateAttendanceDays drops the cache when rows are deleted or moved
+ * to another date.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Object<string, number>} headerMap 1-based columns.
+ * @param {string} dateKey
+ * @param {number} lastRow
+ * @return {number}
+ */
+function getAttendanceDayStart(sheet, headerMap, dateKey, lastRow) {
+  const days = readCachedJson(ATTENDANCE_DAYS_CACHE_KEY) || {};
+  const readDateKey = (row) => {
+    const keyCell = headerMap.DateKey
+      ? normalizeDateKeyValue(sheet.getRange(row, headerMap.DateKey).getValue())
+      : "";
+    return (
+      keyCell ||
+      normalizeDateKeyValue(sheet.getRange(row, headerMap.Date).getValue())
+    );
+  };
+
+  const cached = Number(days[dateKey]);
+  if (
+    cached >= 2 &&
+    cached <= lastRow + 1 &&
+    (cached === 2 || readDateKey(cached - 1) !== dateKey)
+  ) {
+    return cached;
+  }
+
+  const count = lastRow - 1;
+  const dateKeys = headerMap.DateKey
+    ? sheet.getRange(2, headerMap.DateKey, count, 1).getValues()
+    : [];
+  const dates = sheet.getRange(2, headerMap.Date, count, 1).getValues();
+  let start = lastRow + 1;
+  for (let i = 0; i < count; i += 1) {
+    const key =
+      (dateKeys[i] && normalizeDateKeyValue(dateKeys[i][0])) ||
+      normalizeDateKeyValue(dates[i][0]);
+    if (key === dateKey) {
+      start = i + 2;
+      break;
+    }
+  }
+
+  const updated = {};
+  Object.keys(days)
+    .filter((key) => key !== dateKey)
+    .sort()
+    .slice(-(MAX_CACHED_ATTENDANCE_DAYS - 1))
+    .forEach((key) => {
+      updated[key] = days[key];
+    });
+  updated[dateKey] = start;
+  writeCachedJson(ATTENDANCE_DAYS_CACHE_KEY, updated, SCAN_INDEX_CACHE_SECONDS);
+  return start;
+}
+
+/**
+ * Drops the cached first rows of each day. Call after Attendance rows are
+ * deleted or change date.
+ */
+function invalidateAttendanceDays() {
+  removeCachedJson(ATTENDANCE_DAYS_CACHE_KEY);
+}
+
+/**
+ * Simple trigger: hand edits in the spreadsheet drop the scan indexes so the
+ * next tap sees them. Edits made by the API already do this themselves.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e
+ */
+function onEdit(e) {
+  const name = e && e.range ? e.range.getSheet().getName() : "";
+  if (name === STUDENTS_SHEET_NAME || name === CARDS_SHEET_NAME) {
+    invalidateCardIndex();
+  } else if (name === ATTENDANCE_SHEET_NAME) {
+    invalidateAttendanceDays();
+  }
+}
+
+/**
+ * Normalizes spreadsheet date-like values into ISO yyyy-MM-dd strings.
+ * @param {any} value
+ * @return {string}
+ */
+function normalizeDateKeyValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, getTimeZone(), "yyyy-MM-dd");
+  }
+
+  const str = value.toString().trim();
+  if (!str) {
+    return "";
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    return str;
+  }
+
+  const parsed = new Date(str);
+  if (!isNaN(parsed.getTime())) {
+    return Utilities.formatDate(parsed, getTimeZone(), "yyyy-MM-dd");
+  }
+
+  return "";
+}
+
+/**
+ * Normalizes spreadsheet time-like values into 24-hour HH:mm strings.
+ * Accepts Sheets time cells, ISO timestamps, "h:mm AM/PM" and "HH:mm[:ss]".
+ * @param {any} value
+ * @return {string}
+ */
+function normalizeTimeKeyValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, getTimeZone(), "HH:mm");
+  }
+
+  const str = value.toString().trim();
+  if (!str) {
+    return "";
+  }
+
+  const match = str.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/);
+  if (match) {
+    let hours = parseInt(match[1], 10);
+    const meridiem = (match[3] || "").toUpperCase();
+    if (meridiem) {
+      hours = hours % 12;
+      if (meridiem === "PM") hours += 12;
+    }
+    if (hours > 23) {
+      return "";
+    }
+    return `${hours < 10 ? "0" : ""}${hours}:${match[2]}`;
+  }
+
+  if (str.includes("T")) {
+    const parsed = new Date(str);
+    if (!isNaN(parsed.getTime())) {
+      return Utilities.formatDate(parsed, getTimeZone(), "HH:mm");
+    }
+  }
+
+  return "";
+}
+
+/**
+ * Opens Unregistered_CARDs. A sheet still in the old one-row-per-tap layout
+ * is merged into one row per card the first time it is opened.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getUnregisteredSheet() {
+  const sheet = getOrCreateSheet(UNREGISTERED_SHEET_NAME, UNREGISTERED_HEADERS);
+  const headers = sheet
+    .getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1))
+    .getValues()[0];
+  if (headers.indexOf("TapCount") === -1) {
+    mergeUnregisteredRows(sheet);
+  }
+  return sheet;
+}
+
+/**
+ * Rewrites Unregistered_CARDs with one row per card UID, in order of first
+ * tap. Each card keeps its earliest Date and Time and counts one tap per old
+ * row; it stays Registered if any of its rows was marked so. Old rows carry
+ * no reader, so DeviceId starts blank.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @return {{ rows: number, cards: number }} Rows read and cards written.
+ */
+function mergeUnregisteredRows(sheet) {
+  const records = sheetToObjects(sheet);
+  const timeZone = getTimeZone();
+  const merged = new Map();
+  records.forEach((record) => {
+    const uid = (record.CARD_UID || "").toString().trim().toUpperCase();
+    if (!uid) {
+      return;
+    }
+    const dateKey = normalizeDateKeyValue(record.Date);
+    const timeKey = normalizeTimeKeyValue(record.Time) || "00:00";
+    const seenMs = dateKey
+      ? Utilities.parseDate(
+          `${dateKey} ${timeKey}`,
+          timeZone,
+          "yyyy-MM-dd HH:mm"
+        ).getTime()
+      : NaN;
+    const status = (record.Status || "Pending").toString();
+    const entry = merged.get(uid);
+    if (!entry) {
+      merged.set(uid, {
+        CARD_UID: uid,
+        Date: record.Date,
+        Time: record.Time,
+        Status: status,
+        firstMs: seenMs,
+        lastMs: seenMs,
+        TapCount: 1,
+        DeviceId: "",
+      });
+      return;
+    }
+    entry.TapCount += 1;
+    if (seenMs < entry.firstMs || isNaN(entry.firstMs)) {
+      entry.firstMs = seenMs;
+      entry.Date = record.Date;
+      entry.Time = record.Time;
+    }
+    if (seenMs > entry.lastMs || isNaN(entry.lastMs)) {
+      entry.lastMs = seenMs;
+    }
+    if (status === "Registered") {
+      entry.Status = status;
+    }
+  });
+
+  const formatSeen = (ms) =>
+    isNaN(ms)
+      ? ""
+      : Utilities.formatDate(new Date(ms), timeZone, ISO_TIMESTAMP_FORMAT);
+  const rows = [UNREGISTERED_HEADERS].concat(
+    Array.from(merged.values()).map((entry) => {
+      entry.FirstSeen = formatSeen(entry.firstMs);
+      entry.LastSeen = formatSeen(entry.lastMs);
+      return UNREGISTERED_HEADERS.map((header) => entry[header]);
+    })
+  );
+  const lastRow = sheet.getLastRow();
+  sheet
+    .getRange(1, 1, rows.length, UNREGISTERED_HEADERS.length)
+    .setValues(rows);
+  if (lastRow > rows.length) {
+    sheet.deleteRows(rows.length + 1, lastRow - rows.length);
+  }
+  return { rows: records.length, cards: merged.size };
+}
+
+/**
+ * Counts a tap of an unknown card on its Unregistered_CARDs row, adding the
+ * row on the first tap. A card that was registered and has since become
+ * unknown again goes back to Pending. Only new and reopened rows are audited.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {{ uid: string, timestamp: string, date: string, time: string, deviceId: string }} tap
+ * @param {string} actor Recorded in the AuditLog.
+ */
+function recordUnknownCardTap(sheet, tap, actor) {
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+  const uidIndex = headers.indexOf("CARD_UID");
+  for (let i = 1; i < values.length; i += 1) {
+    const rowUid = (values[i][uidIndex] || "").toString().trim().toUpperCase();
+    if (rowUid !== tap.uid) {
+      continue;
+    }
+    const previous = rowToObject(headers, values[i]);
+    const record = Object.assign({}, previous, {
+      Status: "Pending",
+      LastSeen: tap.timestamp,
+      TapCount: (Number(previous.TapCount) || 0) + 1,
+      DeviceId: tap.deviceId,
+    });
+    sheet
+      .getRange(i + 1, 1, 1, headers.length)
+      .setValues([headers.map((header) => record[header])]);
+    if (previous.Status !== "Pending") {
+      appendAuditLog(
+        actor,
+        "unknownCard",
+        UNREGISTERED_SHEET_NAME,
+        tap.uid,
+        previous,
+        record
+      );
+    }
+    return;
+  }
+
+  const record = {
+    CARD_UID: tap.uid,
+    Date: tap.date,
+    Time: tap.time,
+    Status: "Pending",
+    FirstSeen: tap.timestamp,
+    LastSeen: tap.timestamp,
+    TapCount: 1,
+    DeviceId: tap.deviceId,
+  };
+  sheet.appendRow(
+    headers.map((header) =>
+      record[header] === undefined ? "" : record[header]
+    )
+  );
+  appendAuditLog(
+    actor,
+    "unknownCard",
+    UNREGISTERED_SHEET_NAME,
+    tap.uid,
+    null,
+    record
+  );
+}
+
+/**
+ * Handles registration requests coming from the dashboard.
+ * @param {Object} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, student?: Object }}
+ */
+function handleRegistration(data, editor) {
+  if (!data || typeof data !== "object") {
+    return {
+      success: false,
+      message: "Invalid registration payload",
+      statusCode: 400,
+    };
+  }
+
+  const cardUid = (data.cardUid || data.uid || "")
+    .toString()
+    .trim()
+    .toUpperCase();
+  const suid = (data.suid || "").toString().trim();
+  const firstName = (data.firstName || "").toString().trim();
+  const lastName = (data.lastName || "").toString().trim();
+
+  const missing = [];
+  if (!cardUid) missing.push("cardUid");
+  if (!suid) missing.push("suid");
+  if (!firstName) missing.push("firstName");
+  if (!lastName) missing.push("lastName");
+
+  if (missing.length) {
+    return {
+      success: false,
+      message: `Missing fields: ${missing.join(", ")}`,
+      statusCode: 400,
+    };
+  }
+
+  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
+  const cardsSheet = getCardsSheet();
+  const unregisteredSheet = getUnregisteredSheet();
+
+  // A card in use by someone else has to be reassigned explicitly.
+  const link = findCardLink(cardsSheet, cardUid);
+  if (link && link.Status === CARD_STATUS_ACTIVE && link.SUID !== suid) {
+    return {
+      success: false,
+      message: `Card ${cardUid} is linked to ${link.SUID}; reassign it instead`,
+      statusCode: 409,
+    };
+  }
+
+  const normalizedStudent = {
+    CARD_UID: cardUid,
+    SUID: suid,
+    FirstName: firstName,
+    LastName: lastName,
+    Active: true,
+  };
+
+  const upsertResult = upsertStudent(studentsSheet, normalizedStudent);
+  appendAuditLog(
+    editor,
+    "register",
+    STUDENTS_SHEET_NAME,
+    suid,
+    upsertResult.previous,
+    upsertResult.student
+  );
+  if (!link || link.Status !== CARD_STATUS_ACTIVE) {
+    appendCardLink(cardsSheet, cardUid, suid);
+  }
+  markCardAsRegistered(unregisteredSheet, cardUid, editor);
+  releaseEnrollCandidate(cardUid);
+
+  return {
+    success: true,
+    student: upsertResult.student,
+  };
+}
+
+/**
+ * Imports many students at once. Every row is checked against the sheet and
+ * the rest of the batch, valid rows are written unless `dryRun` is set, and
+ * each row gets a result saying what happened to it.
+ * @param {{ students?: Array<Object>, dryRun?: boolean }} data
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, dryRun?: boolean, results?: Array<{ row: number, suid: string, status: string, message: string }> }}
+ */
+function handleBulkRegistration(data, editor) {
+  const rows = data && data.students;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return {
+      success: false,
+      message: "students must be a non-empty array",
+      statusCode: 400,
+    };
+  }
+  if (rows.length > MAX_BULK_REGISTER_ROWS) {
+    return {
+      success: false,
+      message: `An import can contain at most ${MAX_BULK_REGISTER_ROWS} rows`,
+      statusCode: 400,
+    };
+  }
+
+  const dryRun = data.dryRun === true;
+  const studentsSheet = getSheet(STUDENTS_SHEET_NAME);
+  const cardsSheet = getCardsSheet();
+  const headers = ensureStudentHeaders(studentsSheet);
+  const suidIndex = headers.indexOf("SUID");
+  const lastRow = studentsSheet.getLastRow();
+  const values =
+    lastRow > 1
+      ? studentsSheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+      : [];
+  const existing = new Map();
+  values.forEach((row, i) => {
+    const suid = (row[suidIndex] || "").toString().trim();
+    if (suid && !existing.has(suid)) {
+      existing.set(suid, { row: i + 2, values: row });
+    }
+  });
+
+  // Active owner of each card, from its newest Cards row.
+  const latestCards = new Map();
+  sheetToObjects(cardsSheet).forEach((card) => {
+    const uid = (card.CARD_UID || "").toString().trim().toUpperCase();
+    if (uid) {
+      latestCards.set(uid, card);
+    }
+  });
+  const cardOwner = (uid) => {
+    const card = latestCards.get(uid);
+    return card &&
+      (card.Status || "").toString().trim().toLowerCase() === CARD_STATUS_ACTIVE
+      ? (card.SUID || "").toString().trim()
+      : "";
+  };
+
+  const seenSuids = new Map();
+  const seenCards = new Map();
+  const writes = [];
+  const results = rows.map((raw, index) => {
+    const entry = raw && typeof raw === "object" ? raw : {};
+    const rowNumber = index + 1;
+    const suid = (entry.suid || "").toString().trim();
+    const firstName = (entry.firstName || "").toString().trim();
+    const lastName = (entry.lastName || "").toString().trim();
+    const cardUid = (entry.cardUid || "").toString().trim().toUpperCase();
+    const fail = (message) => ({
+      row: rowNumber,
+      suid,
+      status: "error",
+      message,
+    });
+
+    const missing = [];
+    if (!suid) missing.push("suid");
+    if (!firstName) missing.push("firstName");
+    if (!lastName) missing.push("lastName");
+    if (missing.length) {
+      return fail(`Missing fields: ${missing.join(", ")}`);
+    }
+    if (seenSuids.has(suid)) {
+      return fail(`Duplicate SUID (also on row ${seenSuids.get(suid)})`);
+    }
+    seenSuids.set(suid, rowNumber);
+    if (cardUid && seenCards.has(cardUid)) {
+      return fail(`Card ${cardUid} is also on row ${seenCards.get(cardUid)}`);
+    }
+    const owner = cardUid ? cardOwner(cardUid) : "";
+    if (owner && owner !== suid) {
+      return fail(`Card ${cardUid} is linked to ${owner}`);
+    }
+    if (cardUid) {
+      seenCards.set(cardUid, rowNumber);
+    }
+
+    const current = existing.get(suid);
+    const linkCard = !!cardUid && owner !== suid;
+    const write = { current, suid, firstName, lastName, cardUid: "" };
+    if (linkCard) {
+      write.cardUid = cardUid;
+    }
+    if (!current) {
+      writes.push(write);
+      return {
+        row: rowNumber,
+        suid,
+        status: "created",
+        message: linkCard ? `Added with card ${cardUid}` : "Added",
+      };
+    }
+
+    const stored = current.values;
+    const sameName =
+      (stored[headers.indexOf("FirstName")] || "").toString().trim() ===
+        firstName &&
+      (stored[headers.indexOf("LastName")] || "").toString().trim() ===
+        lastName;
+    if (
+      sameName &&
+      !linkCard &&
+      isStudentActive({ Active: stored[headers.indexOf("Active")] })
+    ) {
+      return {
+        row: rowNumber,
+        suid,
+        status: "unchanged",
+        message: "Already on the roster",
+      };
+    }
+    writes.push(write);
+    return {
+      row: rowNumber,
+      suid,
+      status: "updated",
+      message: linkCard ? `Updated and linked card ${cardUid}` : "Updated",
+    };
+  });
+
+  if (dryRun || writes.length === 0) {
+    return { success: true, dryRun, results };
+  }
+
+  // Imported students are active, including ones who were deactivated before.
+  const linkedAt = Utilities.formatDate(
+    new Date(),
+    getTimeZone(),
+    ISO_TIMESTAMP_FORMAT
+  );
+  const appended = [];
+  const cardRows = [];
+  writes.forEach((write) => {
+    const fields = {
+      SUID: write.suid,
+      FirstName: write.firstName,
+      LastName: write.lastName,
+      Active: true,
+    };
+    if (write.cardUid) {
+      fields.CARD_UID = write.cardUid;
+      cardRows.push([
+        write.cardUid,
+        write.suid,
+        CARD_STATUS_ACTIVE,
+        linkedAt,
+        "",
+        "",
+      ]);
+    }
+    if (write.current) {
+      const merged = headers.map((header, idx) =>
+        fields[header] === undefined
+          ? write.current.values[idx]
+          : fields[header]
+      );
+      studentsSheet
+        .getRange(write.current.row, 1, 1, headers.length)
+        .setValues([merged]);
+      appendAuditLog(
+        editor,
+        "import",
+        STUDENTS_SHEET_NAME,
+        write.suid,
+        rowToObject(headers, write.current.values),
+        rowToObject(headers, merged)
+      );
+    } else {
+      const row = headers.map((header) =>
+        fields[header] === undefined ? "" : fields[header]
+      );
+      appended.push(row);
+      appendAuditLog(
+        editor,
+        "import",
+        STUDENTS_SHEET_NAME,
+        write.suid,
+        null,
+        rowToObject(headers, row)
+      );
+    }
+  });
+
+  if (appended.length) {
+    studentsSheet
+      .getRange(
+        studentsSheet.getLastRow() + 1,
+        1,
+        appended.length,
+        headers.length
+      )
+      .setValues(appended);
+    invalidateCardIndex();
+  }
+  if (cardRows.length) {
+    cardsSheet
+      .getRange(
+        cardsSheet.getLastRow() + 1,
+        1,
+        cardRows.length,
+        CARDS_HEADERS.length
+      )
+      .setValues(cardRows);
+    invalidateCardIndex();
+    const unregisteredSheet = getUnregisteredSheet();
+    cardRows.forEach((row) =>
+      markCardAsRegistered(unregisteredSheet, row[0], editor)
+    );
+  }
+
+  return { success: true, dryRun, results };
+}
+
+/**
+ * Inserts or updates a student in the Students sheet, keyed on SUID.
+ * Fields missing from record keep their current values.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Object} record Must include SUID.
+ * @param {boolean} [updateOnly] Leave the sheet alone when the SUID is new.
+ * @return {{ created: boolean, student: Object|null, previous: Object|null }} previous is the row before the write.
+ */
+function upsertStudent(sheet, record, updateOnly) {
+  const headers = ensureStudentHeaders(sheet);
+  const suidIndex = headers.indexOf("SUID");
+  const suid = (record.SUID || "").toString().trim();
+  const lastColumn = headers.length;
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow > 1) {
+    const dataRange = sheet.getRange(2, 1, lastRow - 1, lastColumn);
+    const values = dataRange.getValues();
+    for (let i = 0; i < values.length; i += 1) {
+      if ((values[i][suidIndex] || "").toString().trim() !== suid) {
+        continue;
+      }
+      const merged = headers.map((header, idx) =>
+        record[header] === undefined ? values[i][idx] : record[header]
+      );
+      sheet.getRange(i + 2, 1, 1, lastColumn).setValues([merged]);
+      invalidateCardIndex();
+      return {
+        created: false,
+        student: rowToObject(headers, merged),
+        previous: rowToObject(headers, values[i]),
+      };
+    }
+  }
+
+  if (updateOnly) {
+    return { created: false, student: null, previous: null };
+  }
+  sheet.appendRow(
+    headers.map((header) =>
+      record[header] === undefined ? "" : record[header]
+    )
+  );
+  invalidateCardIndex();
+  return { created: true, student: record, previous: null };
+}
+
+/**
+ * Ensures the Students sheet has the expected headers and returns them.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @return {Array<string>}
+ */
+function ensureStudentHeaders(sheet) {
+  const expectedHeaders = STUDENTS_HEADERS;
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) {
+    sheet
+      .getRange(1, 1, 1, expectedHeaders.length)
+      .setValues([expectedHeaders]);
+    return expectedHeaders;
+  }
+
+  const lastColumn = Math.max(sheet.getLastColumn(), expectedHeaders.length);
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+
+  for (let i = 0; i < expectedHeaders.length; i += 1) {
+    if (headers[i] !== expectedHeaders[i]) {
+      sheet.getRange(1, i + 1).setValue(expectedHeaders[i]);
+      headers[i] = expectedHeaders[i];
+    }
+  }
+
+  return headers.slice(0, expectedHeaders.length);
+}
+
+/**
+ * Ensures the Unregistered_CARDs sheet contains a Status column.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @return {number} 1-based column index of Status
+ */
+function ensureStatusColumn(sheet) {
+  if (sheet.getLastRow() === 0) {
+    sheet
+      .getRange(1, 1, 1, 4)
+      .setValues([["CARD_UID", "Date", "Time", "Status"]]);
+    return 4;
+  }
+
+  const lastColumn = Math.max(sheet.getLastColumn(), 1);
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  let statusIndex = headers.indexOf("Status");
+  if (statusIndex !== -1) {
+    return statusIndex + 1;
+  }
+
+  const newColumn = lastColumn + 1;
+  sheet.getRange(1, newColumn).setValue("Status");
+  return newColumn;
+}
+
+/**
+ * Marks every Unregistered_CARDs row of a card as registered.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} cardUid
+ * @param {string} editor Recorded in the AuditLog.
+ * @return {boolean} Whether any row changed.
+ */
+function markCardAsRegistered(sheet, cardUid, editor) {
+  const statusColumn = ensureStatusColumn(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return false;
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const uidIndex = headers.indexOf("CARD_UID");
+  if (uidIndex === -1) {
+    return false;
+  }
+
+  const dataRange = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
+  const values = dataRange.getValues();
+  let changed = false;
+  for (let i = 0; i < values.length; i += 1) {
+    const rowUid = values[i][uidIndex];
+    if (
+      rowUid &&
+      rowUid.toString().trim().toUpperCase() === cardUid &&
+      values[i][statusColumn - 1] !== "Registered"
+    ) {
+      sheet.getRange(i + 2, statusColumn).setValue("Registered");
+      appendAuditLog(
+        editor,
+        "markRegistered",
+        UNREGISTERED_SHEET_NAME,
+        cardUid,
+        { Status: values[i][statusColumn - 1] },
+        { Status: "Registered" }
+      );
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Converts a sheet into an array of objects keyed by header names.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @return {Array<Object>}
+ */
+function sheetToObjects(sheet) {
+  const values = sheet.getDataRange().getValues();
+  if (values.length <= 1) {
+    return [];
+  }
+
+  const headers = values.shift();
+  return values
+    .filter((row) => row.some((cell) => cell !== ""))
+    .map((row) =>
+      headers.reduce((acc, header, idx) => {
+        acc[header] = row[idx];
+        return acc;
+      }, {})
+    );
+}
+
+/**
+ * Builds a JSON HTTP response.
+ * @param {Object} payload
+ * @param {number} statusCode
+ * @return {GoogleAppsScript.Content.TextOutput}
+ */
+function jsonResponse(payload, statusCode) {
+  const output = ContentService.createTextOutput(JSON.stringify(payload));
+  output.setMimeType(ContentService.MimeType.JSON);
+  // Apps Script Web Apps do not support setting HTTP status codes on TextOutput.
+  // We encode status in the JSON payload instead.
+  return applyCorsHeaders(output);
+}
+
+/**
+ * Adds CORS headers to the outgoing response.
+ * @param {GoogleAppsScript.Content.TextOutput} output
+ * @return {GoogleAppsScript.Content.TextOutput}
+ */
+function applyCorsHeaders(output) {
+  // Note: Apps Script ContentService.TextOutput doesn't support setting headers.
+  // For Web Apps, responses are same-origin to the web app URL, so CORS headers are not required.
+  // If you need CORS for external origins, consider using HtmlService and returning a templated HTML that fetches internally.
+  return output;
+}
+
+/**
+ * Ensures the Attendance sheet has the expected headers and returns them.
+ * Expected columns (order enforced for new sheets):
+ * CARD_UID | SUID | Date | DateKey | CheckInTime | CheckOutTime | Name | RowId | Revision | Location | CourseId
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @return {Array<string>}
+ */
+function ensureAttendanceHeaders(sheet) {
+  const expected = [
+    "CARD_UID",
+    "SUID",
+    "Date",
+    "DateKey",
+    "CheckInTime",
+    "CheckOutTime",
+    "Name",
+    "RowId",
+    "Revision",
+    "Location",
+    "CourseId",
+  ];
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) {
+    sheet.getRange(1, 1, 1, expected.length).setValues([expected]);
+    return expected;
+  }
+
+  let lastColumn = sheet.getLastColumn();
+  let headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+
+  // Ensure DateKey column exists; if missing, insert after Date and backfill
+  let dateIndex = headers.indexOf("Date");
+  let dateKeyIndex = headers.indexOf("DateKey");
+  if (dateKeyIndex === -1) {
+    if (dateIndex === -1) {
+      // If Date column is missing, append both Date and DateKey at the end.
+      sheet.insertColumnsAfter(lastColumn, 2);
+      sheet.getRange(1, lastColumn + 1).setValue("Date");
+      sheet.getRange(1, lastColumn + 2).setValue("DateKey");
+      // No backfill possible without Date; leave blank.
+      lastColumn += 2;
+    } else {
+      // Insert DateKey right after Date
+      sheet.insertColumnAfter(dateIndex + 1);
+      sheet.getRange(1, dateIndex + 2).setValue("DateKey");
+      lastColumn = sheet.getLastColumn();
+      // Backfill DateKey using Date column values
+      const dataLastRow = sheet.getLastRow();
+      if (dataLastRow > 1) {
+        const dateRange = sheet.getRange(2, dateIndex + 1, dataLastRow - 1, 1);
+        const dateValues = dateRange.getValues();
+        const out = [];
+        for (let i = 0; i < dateValues.length; i++) {
+          const cell = dateValues[i][0];
+          let key = "";
+          if (cell instanceof Date) {
+            key = Utilities.formatDate(cell, getTimeZone(), "yyyy-MM-dd");
+          } else {
+            const str = (cell || "").toString();
+            if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+              key = str;
+            } else {
+              const parsed = new Date(str);
+              if (!isNaN(parsed.getTime())) {
+                key = Utilities.formatDate(parsed, getTimeZone(), "yyyy-MM-dd");
+              }
+            }
+          }
+          out.push([key]);
+        }
+        sheet.getRange(2, dateIndex + 2, out.length, 1).setValues(out);
+      }
+    }
+    headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  }
+
+  // Ensure other expected headers exist; if missing, append new columns with header
+  const headerSet = new Set(headers.filter((h) => !!h));
+  for (let i = 0; i < expected.length; i++) {
+    const name = expected[i];
+    if (!headerSet.has(name)) {
+      // getLastColumn ignores the empty inserted column, so write one past it.
+      const col = sheet.getLastColumn() + 1;
+      sheet.insertColumnAfter(col - 1);
+      sheet.getRange(1, col).setValue(name);
+      headerSet.add(name);
+    }
+  }
+
+  const finalHeaders = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  return finalHeaders;
+}
+
+/**
+ * Deletes unregistered rows by UID (case-insensitive). Returns count deleted.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} uid
+ * @param {string} editor Recorded in the AuditLog.
+ * @return {number}
+ */
+function deleteUnregisteredByUid(sheet, uid, editor) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return 0;
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const uidIndex = headers.indexOf("CARD_UID");
+  if (uidIndex === -1) return 0;
+  const range = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
+  const values = range.getValues();
+  let count = 0;
+  for (let i = values.length - 1; i >= 0; i--) {
+    const v = (values[i][uidIndex] || "").toString().trim().toUpperCase();
+    if (v === uid) {
+      sheet.deleteRow(i + 2);
+      appendAuditLog(
+        editor,
+        "delete",
+        UNREGISTERED_SHEET_NAME,
+        uid,
+        rowToObject(headers, values[i]),
+        null
+      );
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Deletes a single attendance row matching UID + DateKey + CheckInTime, from
+ * the live sheet or its month's archive. Returns true if a row was deleted.
+ * @param {string} uid
+ * @param {string} dateKey
+ * @param {string} checkInTime
+ * @param {string} editor Recorded in the AuditLog, whose entry can restore the row.
+ */
+function deleteAttendanceRow(uid, dateKey, checkInTime, editor) {
+  const found = findAttendanceRowInAnySheet(uid, dateKey, checkInTime);
+  if (!found) return false;
+  const match = found.match;
+  const rowId =
+    match.headerMap.RowId !== undefined
+      ? (match.values[match.headerMap.RowId] || "").toString()
+      : "";
+  found.sheet.deleteRow(match.row);
+  invalidateAttendanceDays();
+  if (rowId) {
+    recordAttendanceDeletion(rowId);
+  }
+  // Logged against the sheet the row left, which is where a restore puts it.
+  appendAuditLog(
+    editor,
+    "delete",
+    found.sheet.getName(),
+    rowId || uid,
+    rowToObject(match.headers, match.values),
+    null
+  );
+  return true;
+}
+
+/**
+ * Reads the uid/dateKey/checkInTime triple that identifies an attendance row.
+ * @param {Object} data
+ * @return {{ uid: string, dateKey: string, checkInTime: string }|null}
+ */
+function parseAttendanceRowKey(data) {
+  const uid = (data.uid || data.cardUid || "").toString().trim().toUpperCase();
+  const dateKey = (data.dateKey || "").toString().trim();
+  const checkInTime = (data.checkInTime || data.checkin || "")
+    .toString()
+    .trim();
+  if (!uid || !dateKey || !checkInTime) {
+    return null;
+  }
+  return { uid, dateKey, checkInTime };
+}
+
+/**
+ * Finds the latest attendance row matching UID + DateKey + CheckInTime.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} uid
+ * @param {string} dateKey
+ * @param {string} checkInTime
+ * @return {{ row: number, headers: Array<string>, headerMap: Object, values: Array<any> }|null}
+ *   row is 1-based; headerMap holds 0-based column indices.
+ */
+function findAttendanceRowByCheckIn(sheet, uid, dateKey, checkInTime) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return null;
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const headerMap = headers.reduce((acc, h, i) => {
+    acc[h] = i;
+    return acc;
+  }, {});
+  const uidIdx = headerMap.CARD_UID;
+  const dateKeyIdx = headerMap.DateKey;
+  const dateIdx = headerMap.Date;
+  const inIdx = headerMap.CheckInTime;
+  if (uidIdx === undefined || inIdx === undefined) return null;
+
+  const targetTime = normalizeTimeKeyValue(checkInTime);
+  if (!targetTime) return null;
+
+  const range = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
+  const values = range.getValues();
+
+  for (let i = values.length - 1; i >= 0; i--) {
+    const row = values[i];
+    const rowUid = (row[uidIdx] || "").toString().trim().toUpperCase();
+    if (rowUid !== uid) continue;
+    // Compare as HH:mm so "1:45 PM", "13:45" and Sheets time cells all match
+    if (normalizeTimeKeyValue(row[inIdx]) !== targetTime) continue;
+
+    // Match DateKey, fallback to parsing Date column
+    let rowDateKey =
+      dateKeyIdx !== undefined ? normalizeDateKeyValue(row[dateKeyIdx]) : "";
+    if (!rowDateKey && dateIdx !== undefined) {
+      rowDateKey = normalizeDateKeyValue(row[dateIdx]);
+    }
+
+    if (rowDateKey === dateKey) {
+      return { row: i + 2, headers, headerMap, values: row };
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies a manual correction to one attendance row.
+ * Accepts `changes.date` (yyyy-MM-dd), `changes.checkInTime` and
+ * `changes.checkOutTime` (HH:mm; an empty checkOutTime reopens the session).
+ * @param {Object} data
+ * @param {string} editor Username recorded with the correction.
+ * @return {{ success: boolean, message?: string, statusCode?: number, record?: Object, changed?: Array<string> }}
+ */
+function handleAttendanceUpdate(data, editor) {
+  const rowKey = parseAttendanceRowKey(data);
+  if (!rowKey) {
+    return {
+      success: false,
+      message: "uid, dateKey and checkInTime are required",
+      statusCode: 400,
+    };
+  }
+
+  const changes =
+    data.changes && typeof data.changes === "object" ? data.changes : {};
+  const found = findAttendanceRowInAnySheet(
+    rowKey.uid,
+    rowKey.dateKey,
+    rowKey.checkInTime
+  );
+  if (!found) {
+    return {
+      success: false,
+      message: "Attendance record not found",
+      statusCode: 404,
+    };
+  }
+  const match = found.match;
+
+  const updates = {};
+  if (changes.date !== undefined) {
+    const dateKey = (changes.date || "").toString().trim();
+    if (!isValidDateKey(dateKey)) {
+      return {
+        success: false,
+        message: "date must be yyyy-MM-dd",
+        statusCode: 400,
+      };
+    }
+    // Archived rows are looked up in their month's sheet, so they stay in it.
+    if (found.archived && dateKey.slice(0, 7) !== rowKey.dateKey.slice(0, 7)) {
+      return {
+        success: false,
+        message: "An archived row can only move within its month",
+        statusCode: 400,
+      };
+    }
+    updates.DateKey = dateKey;
+    updates.Date = formatHumanDateFromKey(dateKey);
+  }
+  if (changes.checkInTime !== undefined) {
+    const checkIn = normalizeTimeKeyValue(changes.checkInTime);
+    if (!checkIn) {
+      return {
+        success: false,
+        message: "checkInTime must be HH:mm",
+        statusCode: 400,
+      };
+    }
+    updates.CheckInTime = formatHumanTimeFromKey(checkIn);
+  }
+  if (changes.checkOutTime !== undefined) {
+    const rawCheckOut = (changes.checkOutTime || "").toString().trim();
+    const checkOut = normalizeTimeKeyValue(rawCheckOut);
+    if (rawCheckOut && !checkOut) {
+      return {
+        success: false,
+        message: "checkOutTime must be HH:mm",
+        statusCode: 400,
+      };
+    }
+    updates.CheckOutTime = checkOut ? formatHumanTimeFromKey(checkOut) : "";
+  }
+
+  const finalCheckIn = normalizeTimeKeyValue(
+    updates.CheckInTime !== undefined
+      ? updates.CheckInTime
+      : match.values[match.headerMap.CheckInTime]
+  );
+  const finalCheckOut = normalizeTimeKeyValue(
+    updates.CheckOutTime !== undefined
+      ? updates.CheckOutTime
+      : match.values[match.headerMap.CheckOutTime]
+  );
+  if (finalCheckIn && finalCheckOut && finalCheckOut < finalCheckIn) {
+    return {
+      success: false,
+      message: "Check-out cannot be earlier than check-in",
+      statusCode: 400,
+    };
+  }
+
+  const changed = applyAttendanceCorrection(
+    found.sheet,
+    match,
+    updates,
+    editor,
+    "edit"
+  );
+  const record = match.headers.reduce((acc, header, idx) => {
+    acc[header] = match.values[idx];
+    return acc;
+  }, {});
+  return { success: true, record, changed };
+}
+
+/**
+ * Closes every open session dated before today at the given time of day.
+ * Sessions whose check-in is later than that time are left open and counted as skipped.
+ * @param {Object} data
+ * @param {string} editor Username recorded with each correction.
+ * @return {{ success: boolean, message?: string, statusCode?: number, closed?: number, skipped?: number }}
+ */
+function handleCloseOverdue(data, editor) {
+  const closeAt = normalizeTimeKeyValue(data.time);
+  if (!closeAt) {
+    return { success: false, message: "time must be HH:mm", statusCode: 400 };
+  }
+  return closeOpenSessions(closeAt, editor, false);
+}
+
+/**
+ * Checks out open sessions at closeAt on their own day. Today's sessions are
+ * only included when includeToday is set (the scheduled auto-checkout).
+ * @param {string} closeAt HH:mm
+ * @param {string} editor
+ * @param {boolean} includeToday
+ * @return {{ success: boolean, closed: number, skipped: number }}
+ */
+function closeOpenSessions(closeAt, editor, includeToday) {
+  const sheet = getSheet(ATTENDANCE_SHEET_NAME);
+  const headers = ensureAttendanceHeaders(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return { success: true, closed: 0, skipped: 0 };
+  }
+
+  const headerMap = headers.reduce((acc, h, i) => {
+    acc[h] = i;
+    return acc;
+  }, {});
+  const todayKey = Utilities.formatDate(
+    new Date(),
+    getTimeZone(),
+    "yyyy-MM-dd"
+  );
+  const values = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+  const checkOutValue = formatHumanTimeFromKey(closeAt);
+  let closed = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < values.length; i += 1) {
+    const row = values[i];
+    const rowUid = (row[headerMap.CARD_UID] || "").toString().trim();
+    const checkIn = normalizeTimeKeyValue(row[headerMap.CheckInTime]);
+    const checkOut = (row[headerMap.CheckOutTime] || "").toString().trim();
+    if (!rowUid || !checkIn || checkOut) {
+      continue;
+    }
+    const rowDateKey =
+      normalizeDateKeyValue(row[headerMap.DateKey]) ||
+      normalizeDateKeyValue(row[headerMap.Date]);
+    if (
+      !rowDateKey ||
+      rowDateKey > todayKey ||
+      (rowDateKey === todayKey && !includeToday)
+    ) {
+      continue;
+    }
+    if (closeAt < checkIn) {
+      skipped += 1;
+      continue;
+    }
+
+    applyAttendanceCorrection(
+      sheet,
+      { row: i + 2, headers, headerMap, values: row },
+      { CheckOutTime: checkOutValue },
+      editor,
+      includeToday ? "autoCheckout" : "closeOverdue"
+    );
+    closed += 1;
+  }
+
+  return { success: true, closed, skipped };
+}
+
+/**
+ * Writes changed cells of an attendance row and logs the original values.
+ * Mutates match.values so callers can return the updated record.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {{ row: number, headerMap: Object, values: Array<any> }} match
+ * @param {Object} updates Header name → new cell value.
+ * @param {string} editor
+ * @param {string} action AuditLog action, e.g. "edit" or "autoCheckout".
+ * @return {Array<string>} Names of the fields that changed.
+ */
+function applyAttendanceCorrection(sheet, match, updates, editor, action) {
+  const correctionsSheet = getOrCreateSheet(
+    CORRECTIONS_SHEET_NAME,
+    CORRECTIONS_HEADERS
+  );
+  const correctedAt = Utilities.formatDate(
+    new Date(),
+    getTimeZone(),
+    ISO_TIMESTAMP_FORMAT
+  );
+  const uid = (match.values[match.headerMap.CARD_UID] || "").toString();
+  const suid = (match.values[match.headerMap.SUID] || "").toString();
+  const originalDateKey =
+    normalizeDateKeyValue(match.values[match.headerMap.DateKey]) ||
+    normalizeDateKeyValue(match.values[match.headerMap.Date]);
+  const changed = [];
+  const before = {};
+  const after = {};
+
+  Object.keys(updates).forEach((field) => {
+    const colIdx = match.headerMap[field];
+    if (colIdx === undefined) {
+      return;
+    }
+    const original = formatCellForLog(match.values[colIdx]);
+    const next = updates[field];
+    if (original === next) {
+      return;
+    }
+    sheet.getRange(match.row, colIdx + 1).setValue(next);
+    match.values[colIdx] = next;
+    correctionsSheet.appendRow([
+      correctedAt,
+      editor,
+      uid,
+      suid,
+      originalDateKey,
+      field,
+      original,
+      next,
+    ]);
+    changed.push(field);
+    before[field] = original;
+    after[field] = next;
+  });
+
+  if (changed.indexOf("DateKey") !== -1) {
+    invalidateAttendanceDays();
+  }
+  if (changed.length && match.headerMap.Revision !== undefined) {
+    const revision = nextAttendanceRevision();
+    sheet.getRange(match.row, match.headerMap.Revision + 1).setValue(revision);
+    match.values[match.headerMap.Revision] = revision;
+  }
+  if (changed.length) {
+    const rowId =
+      match.headerMap.RowId !== undefined
+        ? (match.values[match.headerMap.RowId] || "").toString()
+        : "";
+    appendAuditLog(
+      editor,
+      action,
+      ATTENDANCE_SHEET_NAME,
+      rowId || uid,
+      before,
+      after
+    );
+  }
+
+  return changed;
+}
+
+/**
+ * Converts a cell value into the text stored in correction logs.
+ * @param {any} value
+ * @return {string}
+ */
+function formatCellForLog(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, getTimeZone(), ISO_TIMESTAMP_FORMAT);
+  }
+  return value.toString();
+}
+
+/**
+ * @param {Array<string>} headers
+ * @param {Array<any>} values One sheet row.
+ * @return {Object} The row keyed by header; blank headers are skipped.
+ */
+function rowToObject(headers, values) {
+  return headers.reduce((acc, header, idx) => {
+    if (header) {
+      acc[header] = values[idx] === undefined ? "" : values[idx];
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getAuditLogSheet() {
+  return getOrCreateSheet(AUDIT_LOG_SHEET_NAME, AUDIT_LOG_HEADERS);
+}
+
+/**
+ * Records one write in the AuditLog. With both snapshots only the fields that
+ * differ are kept, and nothing is logged when none do. Revision is left out
+ * since every write bumps it.
+ * @param {string} actor Dashboard username, `device:<DeviceId>` or a rule name.
+ * @param {string} action
+ * @param {string} sheetName
+ * @param {string} targetKey RowId, SUID or CARD_UID of the row written.
+ * @param {Object|null} before The row as it was; null for new rows.
+ * @param {Object|null} after The row as written; null for deletions.
+ * @return {Object|null} The logged entry.
+ */
+function appendAuditLog(actor, action, sheetName, targetKey, before, after) {
+  const fieldsOf = (record) =>
+    Object.keys(record || {}).filter((key) => key && key !== "Revision");
+  const pick = (record, keys) =>
+    keys.reduce((acc, key) => {
+      acc[key] = formatCellForLog(record[key]);
+      return acc;
+    }, {});
+
+  let beforeValues = before ? pick(before, fieldsOf(before)) : null;
+  let afterValues = after ? pick(after, fieldsOf(after)) : null;
+  if (before && after) {
+    const changed = fieldsOf(Object.assign({}, before, after)).filter(
+      (key) => formatCellForLog(before[key]) !== formatCellForLog(after[key])
+    );
+    if (!changed.length) {
+      return null;
+    }
+    beforeValues = pick(before, changed);
+    afterValues = pick(after, changed);
+  }
+
+  const entry = {
+    AuditId: Utilities.getUuid(),
+    Timestamp: Utilities.formatDate(
+      new Date(),
+      getTimeZone(),
+      ISO_TIMESTAMP_FORMAT
+    ),
+    Actor: actor || "",
+    Action: action,
+    Sheet: sheetName,
+    TargetKey: targetKey || "",
+    Before: beforeValues ? JSON.stringify(beforeValues) : "",
+    After: afterValues ? JSON.stringify(afterValues) : "",
+  };
+  getAuditLogSheet().appendRow(
+    AUDIT_LOG_HEADERS.map((header) => entry[header])
+  );
+  return entry;
+}
+
+/**
+ * Lists AuditLog entries newest first for the dashboard. Filters: `sheet`,
+ * `action`, `actor` (substring), `q` (substring of the target key or either
+ * snapshot), `from`/`to` (yyyy-MM-dd) and `limit`/`cursor` paging.
+ * @param {Object} params
+ * @return {GoogleAppsScript.Content.TextOutput}
+ */
+function handleAuditRequest(params) {
+  const text = (value) => (value || "").toString().trim();
+  const from = text(params.from);
+  const to = text(params.to);
+  if ((from && !isValidDateKey(from)) || (to && !isValidDateKey(to))) {
+    return jsonResponse(
+      { status: "error", code: 400, message: "from and to must be yyyy-MM-dd" },
+      400
+    );
+  }
+  const limit = Math.min(
+    Math.max(parseInt(params.limit, 10) || 100, 1),
+    MAX_AUDIT_PAGE_SIZE
+  );
+  const cursor = Math.max(parseInt(params.cursor, 10) || 0, 0);
+  const sheetName = text(params.sheet).toLowerCase();
+  const action = text(params.action).toLowerCase();
+  const actor = text(params.actor).toLowerCase();
+  const q = text(params.q).toLowerCase();
+
+  const matches = sheetToObjects(getAuditLogSheet())
+    .reverse()
+    .filter((entry) => {
+      const day = formatCellForLog(entry.Timestamp).slice(0, 10);
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      // Archive months file under Attendance.
+      const entrySheet = ARCHIVE_SHEET_PATTERN.test(text(entry.Sheet))
+        ? ATTENDANCE_SHEET_NAME
+        : text(entry.Sheet);
+      if (sheetName && entrySheet.toLowerCase() !== sheetName) {
+        return false;
+      }
+      if (action && text(entry.Action).toLowerCase() !== action) return false;
+      if (actor && !text(entry.Actor).toLowerCase().includes(actor)) {
+        return false;
+      }
+      if (
+        q &&
+        ![entry.TargetKey, entry.Before, entry.After].some((value) =>
+          text(value).toLowerCase().includes(q)
+        )
+      ) {
+        return false;
+      }
+      return true;
+    });
+
+  const parseSnapshot = (value) => {
+    try {
+      return text(value) ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  const end = cursor + limit;
+  return jsonResponse(
+    {
+      status: "ok",
+      entries: matches.slice(cursor, end).map((entry) => ({
+        AuditId: text(entry.AuditId),
+        Timestamp: formatCellForLog(entry.Timestamp),
+        Actor: text(entry.Actor),
+        Action: text(entry.Action),
+        Sheet: text(entry.Sheet),
+        TargetKey: text(entry.TargetKey),
+        Before: parseSnapshot(entry.Before),
+        After: parseSnapshot(entry.After),
+      })),
+      page: {
+        total: matches.length,
+        nextCursor: end < matches.length ? String(end) : null,
+      },
+    },
+    200
+  );
+}
+
+/**
+ * Puts a deleted attendance row back from its AuditLog `delete` entry, into
+ * the sheet it was deleted from: Attendance or an archive month. The row
+ * keeps its RowId and gets a new Revision so delta clients pick it up.
+ * @param {Object} data Carries `auditId`.
+ * @param {string} editor
+ * @return {{ success: boolean, message?: string, statusCode?: number, record?: Object }}
+ */
+function handleAttendanceRestore(data, editor) {
+  const auditId = ((data && data.auditId) || "").toString().trim();
+  if (!auditId) {
+    return { success: false, message: "auditId is required", statusCode: 400 };
+  }
+  const entry = sheetToObjects(getAuditLogSheet()).find(
+    (row) => (row.AuditId || "").toString().trim() === auditId
+  );
+  if (!entry) {
+    return {
+      success: false,
+      message: "Audit entry not found",
+      statusCode: 404,
+    };
+  }
+  let before = null;
+  try {
+    before = entry.Before ? JSON.parse(entry.Before) : null;
+  } catch (error) {
+    before = null;
+  }
+  const sourceName = (entry.Sheet || "").toString().trim();
+  const archived = ARCHIVE_SHEET_PATTERN.test(sourceName);
+  if (
+    (sourceName !== ATTENDANCE_SHEET_NAME && !archived) ||
+    entry.Action !== "delete" ||
+    !before
+  ) {
+    return {
+      success: false,
+      message: "Only deleted attendance rows can be restored",
+      statusCode: 400,
+    };
+  }
+
+  const liveSheet = getSheet(ATTENDANCE_SHEET_NAME);
+  const liveHeaders = ensureAttendanceHeaders(liveSheet);
+  const rowId = (before.RowId || "").toString() || Utilities.getUuid();
+  const dateKey =
+    normalizeDateKeyValue(before.DateKey) || normalizeDateKeyValue(before.Date);
+  // The row may have been restored before and archived since.
+  if (findAttendanceRowIdInAnySheet(rowId, dateKey)) {
+    return {
+      success: false,
+      message: "That row is already in the attendance sheets",
+      statusCode: 409,
+    };
+  }
+
+  // A row deleted from an archive month goes back there, so the next archive
+  // run has nothing to move.
+  const sheet = archived
+    ? getArchiveSheet(
+        getArchiveSpreadsheet(getSettings()),
+        sourceName,
+        liveHeaders
+      )
+    : liveSheet;
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const values = headers.map((header) => {
+    if (header === "RowId") return rowId;
+    if (header === "Revision") return nextAttendanceRevision();
+    return before[header] === undefined ? "" : before[header];
+  });
+  sheet.appendRow(values);
+  const record = rowToObject(headers, values);
+  appendAuditLog(editor, "restore", sourceName, rowId, null, record);
+  return { success: true, record };
+}
+
+/**
+ * Formats a yyyy-MM-dd key in the DateFormat setting.
+ * @param {string} dateKey
+ * @return {string}
+ */
+function formatHumanDateFromKey(dateKey) {
+  const date = Utilities.parseDate(dateKey, getTimeZone(), "yyyy-MM-dd");
+  return Utilities.formatDate(date, getTimeZone(), getConfig().dateFormat);
+}
+
+/**
+ * Formats an HH:mm key in the TimeFormat setting.
+ * @param {string} timeKey
+ * @return {string}
+ */
+function formatHumanTimeFromKey(timeKey) {
+  const date = Utilities.parseDate(
+    `1970-01-01 ${timeKey}`,
+    getTimeZone(),
+    "yyyy-MM-dd HH:mm"
+  );
+  return Utilities.formatDate(date, getTimeZone(), getConfig().timeFormat);
+}
+
+/**
+ * Fills in RowId for rows added before the column existed or typed in by hand,
+ * stamping them with a fresh revision so delta clients pick them up.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ */
+function ensureAttendanceRowIds(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return;
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const rowIdCol = headers.indexOf("RowId") + 1;
+  const revisionCol = headers.indexOf("Revision") + 1;
+  if (!rowIdCol || !revisionCol) return;
+
+  const ids = sheet.getRange(2, rowIdCol, lastRow - 1, 1).getValues();
+  if (ids.every((cell) => cell[0] !== "")) return;
+
+  // Skip when a scan holds the lock; the next refresh will backfill instead.
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) return;
+  try {
+    // Re-read under the lock in case rows were added or deleted meanwhile.
+    const rowCount = sheet.getLastRow() - 1;
+    if (rowCount < 1) return;
+    const idRange = sheet.getRange(2, rowIdCol, rowCount, 1);
+    const revisionRange = sheet.getRange(2, revisionCol, rowCount, 1);
+    const currentIds = idRange.getValues();
+    const revisions = revisionRange.getValues();
+    const revision = nextAttendanceRevision();
+    currentIds.forEach((cell, i) => {
+      if (cell[0] === "") {
+        cell[0] = Utilities.getUuid();
+        revisions[i][0] = revision;
+      }
+    });
+    idRange.setValues(currentIds);
+    revisionRange.setValues(revisions);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * @return {number} Revision of the latest attendance write.
+ */
+function getAttendanceRevision() {
+  const stored = PropertiesService.getScriptProperties().getProperty(
+    ATTENDANCE_REVISION_PROPERTY
+  );
+  return Number(stored) || 0;
+}
+
+/**
+ * Bumps the attendance revision. Callers must hold the script lock.
+ * @return {number}
+ */
+function nextAttendanceRevision() {
+  const next = getAttendanceRevision() + 1;
+  PropertiesService.getScriptProperties().setProperty(
+    ATTENDANCE_REVISION_PROPERTY,
+    String(next)
+  );
+  return next;
+}
+
+/**
+ * Reads the recent deletions log. `floor` is the oldest revision still
+ * covered; clients holding an older revision must reload in full.
+ * @return {{ floor: number, entries: Array<Array<any>> }} entries are [rowId, revision].
+ */
+function readAttendanceDeletions() {
+  const raw = PropertiesService.getScriptProperties().getProperty(
+    ATTENDANCE_DELETIONS_PROPERTY
+  );
+  if (!raw) {
+    return { floor: 0, entries: [] };
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return {
+      floor: Number(parsed.floor) || 0,
+      entries: Array.isArray(parsed.entries) ? parsed.entries : [],
+    };
+  } catch (error) {
+    return { floor: getAttendanceRevision(), entries: [] };
+  }
+}
+
+/**
+ * Logs a deleted RowId so delta clients can drop it. Callers must hold the
+ * script lock.
+ * @param {string} rowId
+ */
+function recordAttendanceDeletion(rowId) {
+  const deletions = readAttendanceDeletions();
+  deletions.entries.push([rowId, nextAttendanceRevision()]);
+  if (deletions.entries.length > MAX_ATTENDANCE_DELETIONS) {
+    const dropped = deletions.entries.splice(
+      0,
+      deletions.entries.length - MAX_ATTENDANCE_DELETIONS
+    );
+    deletions.floor = dropped[dropped.length - 1][1];
+  }
+  PropertiesService.getScriptProperties().setProperty(
+    ATTENDANCE_DELETIONS_PROPERTY,
+    JSON.stringify(deletions)
+  );
+}
+
+/**
+ * Reads the Settings sheet over the defaults and lays script properties named
+ * after a setting over both. Read once per execution. Never writes: missing
+ * rows are added by seedSettings.
+ * @return {Object<string, any>} Raw values keyed by setting name.
  */
-function ensureAttendanceHeaders(sheet) {
-  const expected = [
-    "CARD_UID",
-    "SUID",
-    "Date",
-    "DateKey",
-    "CheckInTime",
-    "CheckOutTime",
-    "Name",
-  ];
-  const lastRow = sheet.getLastRow();
-  if (lastRow === 0) {
-    sheet.getRange(1, 1, 1, expected.length).setValues([expected]);
-    return expected;
+function readSettings() {
+  if (executionCache.settings) {
+    return executionCache.settings;
   }
+  const stored = {};
+  SETTINGS_DEFAULTS.forEach((entry) => {
+    stored[entry[0]] = entry[1];
+  });
+  const sheet = getDatabase().getSheetByName(SETTINGS_SHEET_NAME);
+  const values = sheet ? sheet.getDataRange().getValues() : [];
+  values.slice(1).forEach((row) => {
+    const key = (row[0] || "").toString().trim();
+    if (key) {
+      stored[key] = row[1];
+    }
+  });
 
-  let lastColumn = sheet.getLastColumn();
-  let headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  SETTINGS_DEFAULTS.forEach((entry) => {
+    if (Object.prototype.hasOwnProperty.call(properties, entry[0])) {
+      stored[entry[0]] = properties[entry[0]];
+    }
+  });
+  executionCache.settings = stored;
+  return stored;
+}
 
-  // Ensure DateKey column exists; if missing, insert after Date and backfill
-  let dateIndex = headers.indexOf("Date");
-  let dateKeyIndex = headers.indexOf("DateKey");
-  if (dateKeyIndex === -1) {
-    if (dateIndex === -1) {
-      // If Date column is missing, append both Date and DateKey at the end.
-      sheet.insertColumnsAfter(lastColumn, 2);
-      sheet.getRange(1, lastColumn + 1).setValue("Date");
-      sheet.getRange(1, lastColumn + 2).setValue("DateKey");
-      // No backfill possible without Date; leave blank.
-      lastColumn += 2;
-    } else {
-      // Insert DateKey right after Date
-      sheet.insertColumnAfter(dateIndex + 1);
-      sheet.getRange(1, dateIndex + 2).setValue("DateKey");
-      lastColumn = sheet.getLastColumn();
-      // Backfill DateKey using Date column values
-      const dataLastRow = sheet.getLastRow();
-      if (dataLastRow > 1) {
-        const dateRange = sheet.getRange(2, dateIndex + 1, dataLastRow - 1, 1);
-        const dateValues = dateRange.getValues();
-        const out = [];
-        for (let i = 0; i < dateValues.length; i++) {
-          const cell = dateValues[i][0];
-          let key = "";
-          if (cell instanceof Date) {
-            key = Utilities.formatDate(cell, TIME_ZONE, "yyyy-MM-dd");
-          } else {
-            const str = (cell || "").toString();
-            if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
-              key = str;
-            } else {
-              const parsed = new Date(str);
-              if (!isNaN(parsed.getTime())) {
-                key = Utilities.formatDate(parsed, TIME_ZONE, "yyyy-MM-dd");
-              }
-            }
-          }
-          out.push([key]);
-        }
-        sheet.getRange(2, dateIndex + 2, out.length, 1).setValues(out);
+/**
+ * Creates the Settings sheet if needed and appends a default row for every
+ * setting it lacks, so the values can be edited there. Runs from
+ * installRuleTriggers; run it alone after an update adds settings.
+ * @return {Array<string>} Keys of the rows added.
+ */
+function seedSettings() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const sheet = getOrCreateSheet(SETTINGS_SHEET_NAME, SETTINGS_HEADERS);
+    const present = new Set(
+      sheet
+        .getDataRange()
+        .getValues()
+        .slice(1)
+        .map((row) => (row[0] || "").toString().trim())
+    );
+    const missing = SETTINGS_DEFAULTS.filter((entry) => !present.has(entry[0]));
+    if (missing.length) {
+      const range = sheet.getRange(
+        sheet.getLastRow() + 1,
+        1,
+        missing.length,
+        SETTINGS_HEADERS.length
+      );
+      // Plain text keeps "09:00" from turning into a 1899 time cell.
+      range.setNumberFormat("@");
+      range.setValues(missing);
+    }
+    return missing.map((entry) => entry[0]);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deployment-wide formatting and dashboard options, also served by
+ * `?config=1`.
+ * @return {{ timeZone: string, locale: string, dateFormat: string, timeFormat: string, features: Object<string, boolean> }}
+ */
+function getConfig() {
+  if (executionCache.config) {
+    return executionCache.config;
+  }
+  const stored = readSettings();
+  const text = (value) => (value || "").toString().trim();
+  const enabled = text(stored.Features)
+    .split(",")
+    .map((item) => item.trim().toLowerCase());
+  const features = {};
+  DASHBOARD_FEATURES.forEach((feature) => {
+    features[feature] = enabled.includes(feature);
+  });
+
+  executionCache.config = {
+    timeZone: text(stored.TimeZone) || Session.getScriptTimeZone(),
+    locale: text(stored.Locale),
+    dateFormat: text(stored.DateFormat) || "d MMMM yyyy",
+    timeFormat: text(stored.TimeFormat) || "h:mm a",
+    features,
+  };
+  return executionCache.config;
+}
+
+/**
+ * @return {string} IANA time zone all dates and times are read and written in.
+ */
+function getTimeZone() {
+  return getConfig().timeZone;
+}
+
+/**
+ * Reads the Settings sheet as typed rule settings.
+ * @return {{ lateAfter: string, absentAfter: string, autoCheckoutAt: string, digestAt: string, workingDays: Array<string>, notifyMode: string, notifyEmails: Array<string>, webhookUrl: string, sessionPolicy: string, minSessionMinutes: number, scanDebounceSeconds: number, archiveAfterDays: number, archiveSpreadsheetId: string }}
+ */
+function getSettings() {
+  const stored = readSettings();
+  const splitList = (value) =>
+    (value || "")
+      .toString()
+      .split(",")
+      .map((item) => item.trim())
+      .filter((item) => !!item);
+  const mode = (stored.NotifyMode || "").toString().trim().toLowerCase();
+  const policy = (stored.SessionPolicy || "").toString().trim().toLowerCase();
+  const minSessionMinutes = Number(stored.MinSessionMinutes);
+  const scanDebounceSeconds = Number(stored.ScanDebounceSeconds);
+  const archiveAfterDays = Number(stored.ArchiveAfterDays);
+
+  return {
+    lateAfter: normalizeTimeKeyValue(stored.LateAfter) || "09:00",
+    absentAfter: normalizeTimeKeyValue(stored.AbsentAfter),
+    autoCheckoutAt: normalizeTimeKeyValue(stored.AutoCheckoutAt),
+    digestAt: normalizeTimeKeyValue(stored.DigestAt),
+    workingDays: splitList(stored.WorkingDays).map((day) =>
+      day.slice(0, 3).toLowerCase()
+    ),
+    notifyMode: ["digest", "events", "both", "off"].includes(mode)
+      ? mode
+      : "digest",
+    notifyEmails: splitList(stored.NotifyEmails),
+    webhookUrl: (stored.WebhookUrl || "").toString().trim(),
+    sessionPolicy:
+      SESSION_POLICIES.find((name) => name.toLowerCase() === policy) ||
+      "single",
+    minSessionMinutes:
+      minSessionMinutes > 0 ? Math.floor(minSessionMinutes) : 0,
+    scanDebounceSeconds:
+      stored.ScanDebounceSeconds === "" || isNaN(scanDebounceSeconds)
+        ? DEFAULT_SCAN_DEBOUNCE_SECONDS
+        : Math.max(0, scanDebounceSeconds),
+    archiveAfterDays: archiveAfterDays > 0 ? Math.floor(archiveAfterDays) : 0,
+    archiveSpreadsheetId: (stored.ArchiveSpreadsheetId || "").toString().trim(),
+  };
+}
+
+/**
+ * Seeds the Settings sheet and installs the time-driven triggers for
+ * runScheduledRules and runAttendanceArchive. Run once from the Apps Script
+ * editor; running it again replaces the existing triggers.
+ */
+function installRuleTriggers() {
+  seedSettings();
+  const handlers = ["runScheduledRules", "runAttendanceArchive"];
+  ScriptApp.getProjectTriggers().forEach((trigger) => {
+    if (handlers.includes(trigger.getHandlerFunction())) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  ScriptApp.newTrigger("runScheduledRules")
+    .timeBased()
+    .everyMinutes(RULES_TRIGGER_MINUTES)
+    .create();
+  ScriptApp.newTrigger("runAttendanceArchive")
+    .timeBased()
+    .everyDays(1)
+    .atHour(ARCHIVE_TRIGGER_HOUR)
+    .create();
+}
+
+/**
+ * Trigger entry point. Each rule runs at most once per day once its time has
+ * passed, except late alerts, which go out for each new late arrival. Rules
+ * only run on days the calendar expects attendance.
+ */
+function runScheduledRules() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const now = new Date();
+    const settings = getSettings();
+    const todayKey = Utilities.formatDate(now, getTimeZone(), "yyyy-MM-dd");
+    const nowTime = Utilities.formatDate(now, getTimeZone(), "HH:mm");
+    // Weekends, holidays and other days off in the Calendar skip every rule.
+    const dayType = getDayType(loadCalendar(settings), null, todayKey).type;
+    if (dayType !== "working" && dayType !== "halfDay") {
+      return;
+    }
+
+    const rulesState = readRulesState(todayKey);
+    const summary = summarizeDay(todayKey, settings);
+    const sendEvents =
+      settings.notifyMode === "events" || settings.notifyMode === "both";
+    const sendDigest =
+      settings.notifyMode === "digest" || settings.notifyMode === "both";
+
+    if (sendEvents) {
+      summary.late.forEach((entry) => {
+        if (rulesState.lateNotified.includes(entry.key)) return;
+        sendNotification(settings, "late", `Late arrival: ${entry.name}`, [
+          `${entry.name} (${entry.suid}) checked in at ${entry.checkIn}, after ${settings.lateAfter}.`,
+        ]);
+        rulesState.lateNotified.push(entry.key);
+      });
+    }
+
+    if (
+      settings.absentAfter &&
+      nowTime >= settings.absentAfter &&
+      !rulesState.absentSent
+    ) {
+      if (sendEvents && summary.absent.length) {
+        sendNotification(
+          settings,
+          "absent",
+          `${summary.absent.length} absent on ${todayKey}`,
+          summary.absent.map((entry) => `${entry.name} (${entry.suid})`)
+        );
       }
+      rulesState.absentSent = true;
     }
-    headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+    if (
+      settings.autoCheckoutAt &&
+      nowTime >= settings.autoCheckoutAt &&
+      !rulesState.autoCheckoutDone
+    ) {
+      const result = closeOpenSessions(
+        settings.autoCheckoutAt,
+        AUTO_CHECKOUT_EDITOR,
+        true
+      );
+      rulesState.autoCheckedOut = result.closed;
+      rulesState.autoCheckoutDone = true;
+    }
+
+    if (
+      settings.digestAt &&
+      nowTime >= settings.digestAt &&
+      !rulesState.digestSent
+    ) {
+      if (sendDigest) {
+        sendNotification(
+          settings,
+          "digest",
+          `Attendance digest for ${todayKey}`,
+          buildDigestLines(summarizeDay(todayKey, settings), rulesState)
+        );
+      }
+      rulesState.digestSent = true;
+    }
+
+    PropertiesService.getScriptProperties().setProperty(
+      RULES_STATE_PROPERTY,
+      JSON.stringify(rulesState)
+    );
+  } finally {
+    lock.releaseLock();
   }
+}
 
-  // Ensure other expected headers exist; if missing, append new columns with header
-  const headerSet = new Set(headers.filter((h) => !!h));
-  for (let i = 0; i < expected.length; i++) {
-    const name = expected[i];
-    if (!headerSet.has(name)) {
-      sheet.insertColumnAfter(sheet.getLastColumn());
-      const col = sheet.getLastColumn();
-      sheet.getRange(1, col).setValue(name);
-      headerSet.add(name);
+/**
+ * Trigger entry point for the nightly archive.
+ * @return {{ archived: number, sheets: Array<string> }}
+ */
+function runAttendanceArchive() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    return archiveAttendance(new Date());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Moves closed Attendance rows dated more than ArchiveAfterDays before now
+ * into one sheet per month, named Attendance_yyyy_MM, in the archive
+ * spreadsheet. Open sessions and rows without a date stay put. Dashboards
+ * reload in full afterwards, since their cached rows may have moved. Callers
+ * must hold the script lock.
+ * @param {Date} now
+ * @return {{ archived: number, sheets: Array<string> }}
+ */
+function archiveAttendance(now) {
+  const settings = getSettings();
+  if (!settings.archiveAfterDays) {
+    return { archived: 0, sheets: [] };
+  }
+  const cutoffKey = Utilities.formatDate(
+    new Date(now.getTime() - settings.archiveAfterDays * 24 * 60 * 60 * 1000),
+    getTimeZone(),
+    "yyyy-MM-dd"
+  );
+
+  const sheet = getSheet(ATTENDANCE_SHEET_NAME);
+  const headers = ensureAttendanceHeaders(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return { archived: 0, sheets: [] };
+  }
+  const rows = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+  const kept = [];
+  const byMonth = {};
+  rows.forEach((row) => {
+    const record = rowToObject(headers, row);
+    const dateKey = getAttendanceRecordDateKey(record);
+    const closed = !!(record.CheckOutTime || "").toString().trim();
+    if (!dateKey || dateKey >= cutoffKey || !closed) {
+      kept.push(row);
+      return;
     }
+    const name = getArchiveSheetName(dateKey.slice(0, 7));
+    (byMonth[name] = byMonth[name] || []).push(record);
+  });
+  const archived = rows.length - kept.length;
+  if (!archived) {
+    return { archived: 0, sheets: [] };
   }
 
-  const finalHeaders = sheet
+  // Copy first: a failure below leaves rows in both places, never in neither.
+  const archive = getArchiveSpreadsheet(settings);
+  const names = Object.keys(byMonth).sort();
+  names.forEach((name) => {
+    const target = getArchiveSheet(archive, name, headers);
+    const targetHeaders = target
+      .getRange(1, 1, 1, target.getLastColumn())
+      .getValues()[0];
+    const values = byMonth[name].map((record) =>
+      targetHeaders.map((header) =>
+        record[header] === undefined ? "" : record[header]
+      )
+    );
+    target
+      .getRange(target.getLastRow() + 1, 1, values.length, targetHeaders.length)
+      .setValues(values);
+    appendAuditLog(
+      ARCHIVE_EDITOR,
+      "archive",
+      ATTENDANCE_SHEET_NAME,
+      name,
+      null,
+      { Rows: values.length, Before: cutoffKey }
+    );
+  });
+
+  if (kept.length) {
+    sheet.getRange(2, 1, kept.length, headers.length).setValues(kept);
+  }
+  sheet.deleteRows(kept.length + 2, archived);
+  invalidateAttendanceDays();
+  PropertiesService.getScriptProperties().setProperty(
+    ATTENDANCE_DELETIONS_PROPERTY,
+    JSON.stringify({ floor: nextAttendanceRevision(), entries: [] })
+  );
+  return { archived, sheets: names };
+}
+
+/**
+ * @param {string} month yyyy-MM
+ * @return {string} e.g. Attendance_2026_04
+ */
+function getArchiveSheetName(month) {
+  return `${ARCHIVE_SHEET_PREFIX}${month.replace("-", "_")}`;
+}
+
+/**
+ * @param {{ archiveSpreadsheetId: string }} settings
+ * @return {GoogleAppsScript.Spreadsheet.Spreadsheet}
+ */
+function getArchiveSpreadsheet(settings) {
+  return settings.archiveSpreadsheetId
+    ? SpreadsheetApp.openById(settings.archiveSpreadsheetId)
+    : getDatabase();
+}
+
+/**
+ * Opens a monthly archive sheet, creating it with the Attendance headers.
+ * Headers the live sheet gained since the archive sheet was created are
+ * added at the end.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+ * @param {string} name
+ * @param {Array<string>} headers
+ * @return {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getArchiveSheet(spreadsheet, name, headers) {
+  const sheet =
+    spreadsheet.getSheetByName(name) || spreadsheet.insertSheet(name);
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    return sheet;
+  }
+  const existing = sheet
     .getRange(1, 1, 1, sheet.getLastColumn())
     .getValues()[0];
-  return finalHeaders;
+  const missing = headers.filter((header) => !existing.includes(header));
+  if (missing.length) {
+    sheet
+      .getRange(1, existing.length + 1, 1, missing.length)
+      .setValues([missing]);
+  }
+  return sheet;
 }
 
 /**
- * Deletes unregistered rows by UID (case-insensitive). Returns count deleted.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
- * @param {string} uid
- * @return {number}
+ * Attendance rows for a date range: the live sheet plus the archive sheets
+ * of every month from `from` to `to` (today when blank). Without `from` only
+ * the live sheet is read unless `allArchives` asks for every month, so the
+ * dashboard's range-less polls never open the archive. Archived rows come
+ * first, oldest month first. Callers still filter by date.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} attendanceSheet
+ * @param {string} from yyyy-MM-dd or "".
+ * @param {string} to yyyy-MM-dd or "".
+ * @param {boolean=} allArchives Read every archived month when `from` is blank.
+ * @return {Array<Object>}
  */
-function deleteUnregisteredByUid(sheet, uid) {
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) return 0;
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const uidIndex = headers.indexOf("CARD_UID");
-  if (uidIndex === -1) return 0;
-  const range = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
-  const values = range.getValues();
-  let count = 0;
-  for (let i = values.length - 1; i >= 0; i--) {
-    const v = (values[i][uidIndex] || "").toString().trim().toUpperCase();
-    if (v === uid) {
-      sheet.deleteRow(i + 2);
-      count++;
-    }
+function loadAttendanceRecords(attendanceSheet, from, to, allArchives) {
+  const records = sheetToObjects(attendanceSheet);
+  if (!from && !allArchives) {
+    return records;
   }
-  return count;
+  const firstSheet = from ? getArchiveSheetName(from.slice(0, 7)) : "";
+  const lastSheet = getArchiveSheetName(
+    (to || Utilities.formatDate(new Date(), getTimeZone(), "yyyy-MM-dd")).slice(
+      0,
+      7
+    )
+  );
+  // Names sort by month, so the range check can compare them directly.
+  const archived = getArchiveSpreadsheet(getSettings())
+    .getSheets()
+    .filter((sheet) => {
+      const name = sheet.getName();
+      return (
+        ARCHIVE_SHEET_PATTERN.test(name) &&
+        name >= firstSheet &&
+        name <= lastSheet
+      );
+    })
+    .sort((a, b) => (a.getName() < b.getName() ? -1 : 1));
+  return archived
+    .reduce((rows, sheet) => rows.concat(sheetToObjects(sheet)), [])
+    .concat(records);
 }
 
 /**
- * Deletes a single attendance row matching UID + DateKey + CheckInTime.
- * Returns true if a row was deleted.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * Finds an attendance row by UID + DateKey + CheckInTime in the live sheet,
+ * then in the archive sheet for its month.
  * @param {string} uid
  * @param {string} dateKey
  * @param {string} checkInTime
+ * @return {{ sheet: GoogleAppsScript.Spreadsheet.Sheet, match: Object, archived: boolean }|null}
+ *   match is as returned by findAttendanceRowByCheckIn.
  */
-function deleteAttendanceRow(sheet, uid, dateKey, checkInTime) {
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) return false;
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const headerMap = headers.reduce((acc, h, i) => {
-    acc[h] = i;
-    return acc;
-  }, {});
-  const uidIdx = headerMap.CARD_UID;
-  const dateKeyIdx = headerMap.DateKey;
-  const dateIdx = headerMap.Date;
-  const inIdx = headerMap.CheckInTime;
-  if (uidIdx === undefined || inIdx === undefined) return false;
+function findAttendanceRowInAnySheet(uid, dateKey, checkInTime) {
+  const sheet = getSheet(ATTENDANCE_SHEET_NAME);
+  ensureAttendanceHeaders(sheet);
+  const match = findAttendanceRowByCheckIn(sheet, uid, dateKey, checkInTime);
+  if (match) {
+    return { sheet, match, archived: false };
+  }
+  const archiveSheet = getArchiveSpreadsheet(getSettings()).getSheetByName(
+    getArchiveSheetName(dateKey.slice(0, 7))
+  );
+  const archivedMatch =
+    archiveSheet &&
+    findAttendanceRowByCheckIn(archiveSheet, uid, dateKey, checkInTime);
+  return archivedMatch
+    ? { sheet: archiveSheet, match: archivedMatch, archived: true }
+    : null;
+}
 
-  const range = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
-  const values = range.getValues();
+/**
+ * Whether an attendance row with this RowId is in the live sheet or in the
+ * archive sheet for dateKey's month.
+ * @param {string} rowId
+ * @param {string} dateKey yyyy-MM-dd or "".
+ * @return {boolean}
+ */
+function findAttendanceRowIdInAnySheet(rowId, dateKey) {
+  const sheets = [getSheet(ATTENDANCE_SHEET_NAME)];
+  if (dateKey) {
+    const archiveSheet = getArchiveSpreadsheet(getSettings()).getSheetByName(
+      getArchiveSheetName(dateKey.slice(0, 7))
+    );
+    if (archiveSheet) {
+      sheets.push(archiveSheet);
+    }
+  }
+  return sheets.some((sheet) =>
+    sheetToObjects(sheet).some((row) => (row.RowId || "").toString() === rowId)
+  );
+}
 
-  for (let i = values.length - 1; i >= 0; i--) {
-    const row = values[i];
-    const rowUid = (row[uidIdx] || "").toString().trim().toUpperCase();
-    if (rowUid !== uid) continue;
-    const rowCheckIn = (row[inIdx] || "").toString().trim();
-    // Match CheckInTime exactly (human readable or HH:mm)
-    if (rowCheckIn !== checkInTime) continue;
+/**
+ * Loads today's rule progress, starting fresh on a new day.
+ * @param {string} todayKey
+ * @return {{ date: string, lateNotified: Array<string>, absentSent: boolean, autoCheckoutDone: boolean, autoCheckedOut: number, digestSent: boolean }}
+ */
+function readRulesState(todayKey) {
+  const fresh = {
+    date: todayKey,
+    lateNotified: [],
+    absentSent: false,
+    autoCheckoutDone: false,
+    autoCheckedOut: 0,
+    digestSent: false,
+  };
+  const raw =
+    PropertiesService.getScriptProperties().getProperty(RULES_STATE_PROPERTY);
+  if (!raw) {
+    return fresh;
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && parsed.date === todayKey
+      ? Object.assign(fresh, parsed)
+      : fresh;
+  } catch (error) {
+    return fresh;
+  }
+}
 
-    // Match DateKey, fallback to parsing Date column
-    let rowDateKey =
-      dateKeyIdx !== undefined ? (row[dateKeyIdx] || "").toString().trim() : "";
-    if (!rowDateKey && dateIdx !== undefined) {
-      const d = row[dateIdx];
-      if (d instanceof Date) {
-        rowDateKey = Utilities.formatDate(d, TIME_ZONE, "yyyy-MM-dd");
-      } else {
-        const s = (d || "").toString();
-        if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
-          rowDateKey = s;
-        } else {
-          const parsed = new Date(s);
-          if (!isNaN(parsed.getTime())) {
-            rowDateKey = Utilities.formatDate(parsed, TIME_ZONE, "yyyy-MM-dd");
-          }
-        }
-      }
+/**
+ * Works out who arrived, who was late and who is absent so far on dateKey.
+ * @param {string} dateKey
+ * @param {{ lateAfter: string }} settings
+ * @return {{ rosterSize: number, arrived: number, openSessions: number, late: Array<{ key: string, suid: string, name: string, checkIn: string }>, absent: Array<{ suid: string, name: string }> }}
+ */
+function summarizeDay(dateKey, settings) {
+  const roster = sheetToObjects(getSheet(STUDENTS_SHEET_NAME)).filter(
+    isStudentActive
+  );
+  const records = sheetToObjects(getSheet(ATTENDANCE_SHEET_NAME));
+
+  const firstArrivals = new Map();
+  let openSessions = 0;
+  records.forEach((record) => {
+    if (getAttendanceRecordDateKey(record) !== dateKey) return;
+    const suid = (record.SUID || "").toString().trim();
+    const checkIn = normalizeTimeKeyValue(record.CheckInTime);
+    if (!suid || !checkIn) return;
+    if (!(record.CheckOutTime || "").toString().trim()) {
+      openSessions += 1;
+    }
+    const earliest = firstArrivals.get(suid);
+    if (!earliest || checkIn < earliest.checkIn) {
+      firstArrivals.set(suid, {
+        key: (record.RowId || `${suid}|${dateKey}`).toString(),
+        suid,
+        name: (record.Name || suid).toString(),
+        checkIn,
+      });
     }
+  });
 
-    if (rowDateKey === dateKey) {
-      sheet.deleteRow(i + 2);
-      return true;
+  const late = Array.from(firstArrivals.values())
+    .filter((entry) => entry.checkIn > settings.lateAfter)
+    .sort((a, b) => (a.checkIn < b.checkIn ? -1 : 1));
+  const absent = roster
+    .filter((row) => {
+      const suid = (row.SUID || "").toString().trim();
+      return suid && !firstArrivals.has(suid);
+    })
+    .map((row) => ({
+      suid: row.SUID.toString().trim(),
+      name: `${row.FirstName || ""} ${row.LastName || ""}`.trim(),
+    }));
+
+  return {
+    rosterSize: roster.length,
+    arrived: firstArrivals.size,
+    openSessions,
+    late,
+    absent,
+  };
+}
+
+/**
+ * @param {Object} summary Result of summarizeDay.
+ * @param {{ autoCheckedOut: number }} rulesState
+ * @return {Array<string>}
+ */
+function buildDigestLines(summary, rulesState) {
+  const lines = [
+    `Checked in: ${summary.arrived} of ${summary.rosterSize}`,
+    `Late: ${summary.late.length}`,
+    `Absent: ${summary.absent.length}`,
+    `Auto checked out: ${rulesState.autoCheckedOut || 0}`,
+    `Still open: ${summary.openSessions}`,
+  ];
+  if (summary.late.length) {
+    lines.push("", "Late arrivals:");
+    summary.late.forEach((entry) => {
+      lines.push(`- ${entry.name} (${entry.suid}) at ${entry.checkIn}`);
+    });
+  }
+  if (summary.absent.length) {
+    lines.push("", "Absent:");
+    summary.absent.forEach((entry) => {
+      lines.push(`- ${entry.name} (${entry.suid})`);
+    });
+  }
+  return lines;
+}
+
+/**
+ * Sends a notification by email and webhook, whichever are configured.
+ * Delivery failures are logged so one bad channel does not block the other.
+ * @param {{ notifyEmails: Array<string>, webhookUrl: string }} settings
+ * @param {string} event "late", "absent" or "digest".
+ * @param {string} subject
+ * @param {Array<string>} lines
+ */
+function sendNotification(settings, event, subject, lines) {
+  const body = lines.join("\n");
+  if (settings.notifyEmails.length) {
+    try {
+      MailApp.sendEmail(
+        settings.notifyEmails.join(","),
+        `[CloudAttend] ${subject}`,
+        body
+      );
+    } catch (error) {
+      Logger.log(`Email notification failed: ${error.message}`);
+    }
+  }
+  if (settings.webhookUrl) {
+    try {
+      UrlFetchApp.fetch(settings.webhookUrl, {
+        method: "post",
+        contentType: "application/json",
+        payload: JSON.stringify({
+          event,
+          subject,
+          text: body,
+          sentAt: Utilities.formatDate(
+            new Date(),
+            getTimeZone(),
+            ISO_TIMESTAMP_FORMAT
+          ),
+        }),
+        muteHttpExceptions: true,
+      });
+    } catch (error) {
+      Logger.log(`Webhook notification failed: ${error.message}`);
     }
   }
-  return false;
 }
@@ -5,59 +5,241 @@
  * @typedef {Record<string, any>} AnyRecord
  */
 
-const APPS_SCRIPT_BASE_URL = "https://script.google.com/macros/s/";
-const APPS_SCRIPT_DEPLOYMENT_ID =
-  "AKfycbz0F26gZ5EX5VNtZYW2Tr_gyGVgcEMX0LkXSdf4Q64apiLkEBvbplifFICe1TgEHtTo";
-const API_URL = `${APPS_SCRIPT_BASE_URL}${APPS_SCRIPT_DEPLOYMENT_ID}/exec`;
+// Web app URL used until one is saved on the settings panel. Hosts that serve
+// the dashboard next to a fixed API (such as tools/local-server.js) fill it in.
+const DEFAULT_API_URL = "";
+const API_URL_STORAGE_KEY = "cloudattend.apiUrl";
 const LOG_PREFIX = "[CloudAttend]";
-const DISPLAY_TIME_ZONE = "Asia/Kolkata";
+/** Used until `?config=1` answers, and when it cannot be reached. */
+const DEFAULT_CONFIG = {
+  timeZone: "Asia/Kolkata",
+  locale: "",
+  features: { reports: true, courses: true, calendar: true, audit: true },
+};
+/** Feature flag each screen depends on. */
+const SCREEN_FEATURES = { calendar: "calendar", audit: "audit" };
 
-const ATTENDANCE_COLUMN_COUNT = 5;
+const ATTENDANCE_COLUMN_COUNT = 8;
 const AUTO_REFRESH_INTERVAL_MS = 15000;
 const AUTO_REFRESH_ERROR_WINDOW_MS = 30000;
+// How often the link form checks for cards tapped at a reader in enroll mode.
+const ENROLL_POLL_INTERVAL_MS = 2000;
+const UNDO_WINDOW_MS = 5000;
+const TOAST_DURATION_MS = 3200;
+const SESSION_STORAGE_KEY = "cloudattend.session";
+// IndexedDB keeps the last dashboard payload and the offline outbox.
+const OFFLINE_DB_NAME = "cloudattend";
+const OFFLINE_DB_VERSION = 1;
+const SNAPSHOT_STORE = "snapshots";
+const OUTBOX_STORE = "outbox";
+// Admin actions kept in the outbox when the API can't be reached.
+const OUTBOX_ACTIONS = ["register", "delete"];
+const ATTENDANCE_PAGE_SIZE = 25;
+const RANGE_PRESETS = ["all", "today", "week", "month", "custom"];
+const SORT_KEYS = ["suid", "name", "date", "checkIn", "checkOut", "location"];
+const VIEW_TABS = ["table", "report"];
+const VIEW_SCREENS = ["dashboard", "roster", "calendar", "audit"];
+// Hours always shown on the arrivals chart; early or late arrivals widen it.
+const ARRIVALS_CHART_START_HOUR = 8;
+const ARRIVALS_CHART_END_HOUR = 17;
+const REPORT_RELOAD_DELAY_MS = 400;
+const STUDENT_CARD_COLUMN_COUNT = 5;
+const STUDENT_HISTORY_LIMIT = 10;
+const ROSTER_COLUMN_COUNT = 6;
+const MAX_IMPORT_ROWS = 500;
+const DEVICE_COLUMN_COUNT = 6;
+// Readers send a health check every 10 minutes; three missed ones flag them.
+const DEVICE_STALE_MINUTES = 30;
+const CALENDAR_COLUMN_COUNT = 5;
+const AUDIT_COLUMN_COUNT = 7;
+const AUDIT_PAGE_SIZE = 50;
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+/**
+ * Labels for the day types the backend's getDayType returns.
+ * @type {Record<string, string>}
+ */
+const DAY_TYPE_LABELS = {
+  working: "Working day",
+  halfDay: "Half day",
+  holiday: "Holiday",
+  off: "Non-working day",
+};
+/** Table view used when the URL does not say otherwise. */
+const DEFAULT_VIEW = {
+  screen: "dashboard",
+  tab: "table",
+  range: "all",
+  from: "",
+  to: "",
+  sort: "date",
+  dir: "desc",
+  page: 1,
+  q: "",
+  course: "",
+};
 const ADD_STUDENT_LABEL = "Add student";
 const ADD_STUDENT_LOADING_LABEL = "Adding...";
-const DATE_PART_FORMATTER = new Intl.DateTimeFormat("en-CA", {
-  timeZone: DISPLAY_TIME_ZONE,
-  year: "numeric",
-  month: "2-digit",
-  day: "2-digit",
-});
-const HUMAN_DATE_FORMATTER = new Intl.DateTimeFormat(undefined, {
-  timeZone: DISPLAY_TIME_ZONE,
-  day: "numeric",
-  month: "long",
-  year: "numeric",
-});
+// Rebuilt by applyConfig once the deployment's time zone and locale are known.
+let datePartFormatter = createDatePartFormatter(DEFAULT_CONFIG);
+let humanDateFormatter = createHumanDateFormatter(DEFAULT_CONFIG);
+// Date keys are midnight UTC, so they are shown in UTC to keep the same day.
+let dateKeyFormatter = createHumanDateFormatter(DEFAULT_CONFIG, "UTC");
 
 /**
  * @type {{
  *   students: AnyRecord[];
+ *   cards: AnyRecord[];
+ *   devices: AnyRecord[];
+ *   courses: AnyRecord[];
+ *   calendar: { workingDays: string[]; entries: AnyRecord[] } | null;
  *   attendance: AnyRecord[];
  *   unregistered: AnyRecord[];
  *   todayKey: string;
  *   searchTerm: string;
  *   selectedCardUid: string;
  *   loading: boolean;
+ *   pendingDeletions: Set<string>;
+ *   editing: { key: string; draft: { date: string; checkIn: string; checkOut: string } } | null;
+ *   session: { token: string; username: string; role: string; expiresAt: number } | null;
+ *   revision: string;
+ *   view: { screen: string; tab: string; range: string; from: string; to: string; sort: string; dir: string; page: number; q: string; course: string };
+ *   report: { data: AnyRecord | null; requestId: number };
+ *   detailSuid: string;
+ *   rosterSearch: string;
+ *   rosterEditing: { suid: string; draft: { suid: string; firstName: string; lastName: string } } | null;
+ *   rosterImport: { rows: AnyRecord[]; results: AnyRecord[] | null; applied: boolean } | null;
+ *   audit: { entries: AnyRecord[]; total: number; nextCursor: string | null; requestId: number };
+ *   config: typeof DEFAULT_CONFIG;
+ *   settingsOpen: boolean;
+ *   offline: boolean;
+ *   dataSavedAt: number;
+ *   outbox: AnyRecord[];
+ *   outboxConflicts: { label: string; message: string; queuedAt: number }[];
+ *   enroll: { sessions: AnyRecord[]; deviceId: string; offered: Set<string>; requestId: number };
  * }}
  */
 const state = {
   students: [],
+  cards: [],
+  devices: [],
+  courses: [],
+  calendar: null,
   attendance: [],
   unregistered: [],
   todayKey: getTodayKey(),
   searchTerm: "",
   selectedCardUid: "",
   loading: false,
+  pendingDeletions: new Set(),
+  editing: null,
+  session: readStoredSession(),
+  revision: "",
+  view: readViewFromUrl(),
+  report: { data: null, requestId: 0 },
+  detailSuid: "",
+  rosterSearch: "",
+  rosterEditing: null,
+  rosterImport: null,
+  audit: { entries: [], total: 0, nextCursor: null, requestId: 0 },
+  config: DEFAULT_CONFIG,
+  settingsOpen: false,
+  offline: false,
+  dataSavedAt: 0,
+  outbox: [],
+  outboxConflicts: [],
+  enroll: { sessions: [], deviceId: "", offered: new Set(), requestId: 0 },
 };
 
 /** @type {number | undefined} */
 let autoRefreshTimer;
+/** @type {number | undefined} */
+let reportReloadTimer;
+/** @type {number | undefined} */
+let auditReloadTimer;
+/** @type {number | undefined} */
+let enrollPollTimer;
+/** @type {Promise<IDBDatabase> | null} */
+let offlineDbPromise = null;
+let replayingOutbox = false;
 /** @type {{ silent: boolean } | null} */
 let pendingRefreshOptions = null;
 let lastAutoRefreshErrorAt = 0;
+/**
+ * Deletes still inside their undo window, by record key.
+ * @type {Map<string, { timer: number, payload: AnyRecord }>}
+ */
+const waitingDeletions = new Map();
 
 const elements = {
+  loginPanel: /** @type {HTMLElement} */ (
+    document.getElementById("loginPanel")
+  ),
+  loginForm: /** @type {HTMLFormElement} */ (
+    document.getElementById("loginForm")
+  ),
+  loginUsername: /** @type {HTMLInputElement} */ (
+    document.getElementById("loginUsername")
+  ),
+  loginPassword: /** @type {HTMLInputElement} */ (
+    document.getElementById("loginPassword")
+  ),
+  loginSubmitButton: /** @type {HTMLButtonElement} */ (
+    document.querySelector("#loginForm button[type='submit']")
+  ),
+  settingsPanel: /** @type {HTMLElement} */ (
+    document.getElementById("settingsPanel")
+  ),
+  settingsForm: /** @type {HTMLFormElement} */ (
+    document.getElementById("settingsForm")
+  ),
+  settingsApiUrl: /** @type {HTMLInputElement} */ (
+    document.getElementById("settingsApiUrl")
+  ),
+  settingsSummary: /** @type {HTMLElement} */ (
+    document.getElementById("settingsSummary")
+  ),
+  settingsSubmitButton: /** @type {HTMLButtonElement} */ (
+    document.querySelector("#settingsForm button[type='submit']")
+  ),
+  settingsCancelButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("settingsCancelButton")
+  ),
+  settingsButtons: /** @type {NodeListOf<HTMLButtonElement>} */ (
+    document.querySelectorAll("[data-open-settings]")
+  ),
+  dashboardContent: /** @type {HTMLElement} */ (
+    document.getElementById("dashboardContent")
+  ),
+  offlineBanner: /** @type {HTMLElement} */ (
+    document.getElementById("offlineBanner")
+  ),
+  outboxPanel: /** @type {HTMLElement} */ (
+    document.getElementById("outboxPanel")
+  ),
+  outboxList: /** @type {HTMLUListElement} */ (
+    document.getElementById("outboxList")
+  ),
+  outboxRetryButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("outboxRetryButton")
+  ),
+  sessionBar: /** @type {HTMLElement} */ (
+    document.getElementById("sessionBar")
+  ),
+  sessionUser: /** @type {HTMLElement} */ (
+    document.getElementById("sessionUser")
+  ),
+  signOutButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("signOutButton")
+  ),
   lastUpdated: /** @type {HTMLSpanElement | null} */ (
     document.getElementById("lastUpdated")
   ),
@@ -67,6 +249,59 @@ const elements = {
   attendanceBody: /** @type {HTMLTableSectionElement} */ (
     document.getElementById("attendanceBody")
   ),
+  rangePreset: /** @type {HTMLSelectElement} */ (
+    document.getElementById("rangePreset")
+  ),
+  rangeFrom: /** @type {HTMLInputElement} */ (
+    document.getElementById("rangeFrom")
+  ),
+  rangeTo: /** @type {HTMLInputElement} */ (document.getElementById("rangeTo")),
+  courseFilter: /** @type {HTMLSelectElement} */ (
+    document.getElementById("courseFilter")
+  ),
+  sortButtons: /** @type {NodeListOf<HTMLButtonElement>} */ (
+    document.querySelectorAll(".sort-button")
+  ),
+  pageSummary: /** @type {HTMLElement} */ (
+    document.getElementById("pageSummary")
+  ),
+  pageStatus: /** @type {HTMLElement} */ (
+    document.getElementById("pageStatus")
+  ),
+  prevPageButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("prevPageButton")
+  ),
+  nextPageButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("nextPageButton")
+  ),
+  viewTabs: /** @type {NodeListOf<HTMLButtonElement>} */ (
+    document.querySelectorAll(".view-tab")
+  ),
+  tableView: /** @type {HTMLElement} */ (document.getElementById("tableView")),
+  reportView: /** @type {HTMLElement} */ (
+    document.getElementById("reportView")
+  ),
+  reportLateAfter: /** @type {HTMLInputElement} */ (
+    document.getElementById("reportLateAfter")
+  ),
+  reportSummary: /** @type {HTMLElement} */ (
+    document.getElementById("reportSummary")
+  ),
+  reportStudentsBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("reportStudentsBody")
+  ),
+  reportDaysBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("reportDaysBody")
+  ),
+  reportCoursesBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("reportCoursesBody")
+  ),
+  downloadCsvButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("downloadCsvButton")
+  ),
+  downloadXlsButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("downloadXlsButton")
+  ),
   attendanceRegion: /** @type {HTMLElement | null} */ (
     document.querySelector('[data-busy-target="attendance"]')
   ),
@@ -97,12 +332,182 @@ const elements = {
   clearSelectionButton: /** @type {HTMLButtonElement} */ (
     document.getElementById("clearSelectionButton")
   ),
+  enrollDevice: /** @type {HTMLSelectElement} */ (
+    document.getElementById("enrollDevice")
+  ),
+  enrollToggleButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("enrollToggleButton")
+  ),
+  enrollStatus: /** @type {HTMLElement} */ (
+    document.getElementById("enrollStatus")
+  ),
+  enrollSummary: /** @type {HTMLElement} */ (
+    document.getElementById("enrollSummary")
+  ),
+  enrollCandidates: /** @type {HTMLUListElement} */ (
+    document.getElementById("enrollCandidates")
+  ),
+  overdueCloseTime: /** @type {HTMLInputElement} */ (
+    document.getElementById("overdueCloseTime")
+  ),
+  closeOverdueButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("closeOverdueButton")
+  ),
+  metricPresentNow: /** @type {HTMLElement} */ (
+    document.getElementById("metricPresentNow")
+  ),
+  metricCheckedInToday: /** @type {HTMLElement} */ (
+    document.getElementById("metricCheckedInToday")
+  ),
+  metricNotArrived: /** @type {HTMLElement} */ (
+    document.getElementById("metricNotArrived")
+  ),
+  metricOverdue: /** @type {HTMLElement} */ (
+    document.getElementById("metricOverdue")
+  ),
+  presentList: /** @type {HTMLOListElement} */ (
+    document.getElementById("presentList")
+  ),
+  arrivalsChart: /** @type {HTMLElement} */ (
+    document.getElementById("arrivalsChart")
+  ),
+  studentPanel: /** @type {HTMLElement} */ (
+    document.getElementById("studentPanel")
+  ),
+  studentTitle: /** @type {HTMLElement} */ (
+    document.getElementById("student-title")
+  ),
+  studentStatus: /** @type {HTMLElement} */ (
+    document.getElementById("studentStatus")
+  ),
+  studentSummary: /** @type {HTMLElement} */ (
+    document.getElementById("studentSummary")
+  ),
+  studentCardsBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("studentCardsBody")
+  ),
+  devicesBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("devicesBody")
+  ),
+  devicesSummary: /** @type {HTMLElement} */ (
+    document.getElementById("devicesSummary")
+  ),
+  studentHistory: /** @type {HTMLOListElement} */ (
+    document.getElementById("studentHistory")
+  ),
+  studentLinkCardButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("studentLinkCardButton")
+  ),
+  studentActiveButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("studentActiveButton")
+  ),
+  closeStudentButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("closeStudentButton")
+  ),
+  screenTabs: /** @type {NodeListOf<HTMLButtonElement>} */ (
+    document.querySelectorAll(".screen-tab")
+  ),
+  dashboardScreen: /** @type {HTMLElement} */ (
+    document.getElementById("dashboardScreen")
+  ),
+  rosterScreen: /** @type {HTMLElement} */ (
+    document.getElementById("rosterScreen")
+  ),
+  rosterSearch: /** @type {HTMLInputElement} */ (
+    document.getElementById("rosterSearch")
+  ),
+  rosterSummary: /** @type {HTMLElement} */ (
+    document.getElementById("rosterSummary")
+  ),
+  rosterBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("rosterBody")
+  ),
+  importFile: /** @type {HTMLInputElement} */ (
+    document.getElementById("importFile")
+  ),
+  importSummary: /** @type {HTMLElement} */ (
+    document.getElementById("importSummary")
+  ),
+  importApplyButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("importApplyButton")
+  ),
+  importClearButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("importClearButton")
+  ),
+  importPreview: /** @type {HTMLElement} */ (
+    document.getElementById("importPreview")
+  ),
+  importBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("importBody")
+  ),
+  calendarScreen: /** @type {HTMLElement} */ (
+    document.getElementById("calendarScreen")
+  ),
+  calendarSummary: /** @type {HTMLElement} */ (
+    document.getElementById("calendarSummary")
+  ),
+  calendarForm: /** @type {HTMLFormElement} */ (
+    document.getElementById("calendarForm")
+  ),
+  calendarRepeat: /** @type {HTMLSelectElement} */ (
+    document.getElementById("calendarRepeat")
+  ),
+  calendarStart: /** @type {HTMLInputElement} */ (
+    document.getElementById("calendarStart")
+  ),
+  calendarEnd: /** @type {HTMLInputElement} */ (
+    document.getElementById("calendarEnd")
+  ),
+  calendarType: /** @type {HTMLSelectElement} */ (
+    document.getElementById("calendarType")
+  ),
+  calendarCourse: /** @type {HTMLSelectElement} */ (
+    document.getElementById("calendarCourse")
+  ),
+  calendarNote: /** @type {HTMLInputElement} */ (
+    document.getElementById("calendarNote")
+  ),
+  calendarBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("calendarBody")
+  ),
+  auditScreen: /** @type {HTMLElement} */ (
+    document.getElementById("auditScreen")
+  ),
+  auditSummary: /** @type {HTMLElement} */ (
+    document.getElementById("auditSummary")
+  ),
+  auditSheet: /** @type {HTMLSelectElement} */ (
+    document.getElementById("auditSheet")
+  ),
+  auditActor: /** @type {HTMLInputElement} */ (
+    document.getElementById("auditActor")
+  ),
+  auditQuery: /** @type {HTMLInputElement} */ (
+    document.getElementById("auditQuery")
+  ),
+  auditFrom: /** @type {HTMLInputElement} */ (
+    document.getElementById("auditFrom")
+  ),
+  auditTo: /** @type {HTMLInputElement} */ (document.getElementById("auditTo")),
+  auditBody: /** @type {HTMLTableSectionElement} */ (
+    document.getElementById("auditBody")
+  ),
+  auditMoreButton: /** @type {HTMLButtonElement} */ (
+    document.getElementById("auditMoreButton")
+  ),
   toast: /** @type {HTMLElement} */ (document.getElementById("toast")),
 };
 
 document.addEventListener("DOMContentLoaded", async () => {
   try {
     bindEventListeners();
+    registerServiceWorker();
+    applySessionState();
+    await loadConfig();
+    await refreshOutbox();
+    if (state.view.screen === "audit") {
+      void loadAuditLog();
+    }
     await loadDashboard();
   } catch (error) {
     console.error(LOG_PREFIX, "Initialization error:", error);
@@ -112,10 +517,116 @@ document.addEventListener("DOMContentLoaded", async () => {
 });
 
 function bindEventListeners() {
+  elements.loginForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    await submitLogin();
+  });
+
+  elements.signOutButton.addEventListener("click", () => {
+    signOut("Signed out.");
+  });
+
+  elements.settingsButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      openSettings();
+    });
+  });
+
+  elements.settingsForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    await saveSettings();
+  });
+
+  elements.settingsCancelButton.addEventListener("click", () => {
+    state.settingsOpen = false;
+    applySessionState();
+  });
+
+  window.addEventListener("offline", () => {
+    state.offline = true;
+    renderOfflineStatus();
+  });
+
+  window.addEventListener("online", async () => {
+    await replayOutbox();
+    await loadDashboard({ silent: true });
+  });
+
+  // The undo timers die with the page, so waiting deletes go out now. A tab
+  // that is only hidden keeps its timers, its undo and its rollback.
+  window.addEventListener("pagehide", flushWaitingDeletions);
+
+  elements.outboxRetryButton.addEventListener("click", async () => {
+    await replayOutbox();
+    await loadDashboard({ silent: true });
+  });
+
+  // Restore the search box from a bookmarked or shared link.
+  state.searchTerm = state.view.q.toLowerCase().trim();
+  elements.searchInput.value = state.view.q;
   elements.searchInput.addEventListener("input", (event) => {
     const input = /** @type {HTMLInputElement} */ (event.currentTarget);
     state.searchTerm = (input.value || "").toLowerCase().trim();
-    renderAttendance();
+    updateView({ q: (input.value || "").trim() });
+  });
+
+  elements.rangePreset.addEventListener("change", () => {
+    const range = elements.rangePreset.value;
+    // Custom starts from whatever the previous preset covered.
+    updateView(
+      range === "custom"
+        ? { range, ...getRangeBounds(state.view) }
+        : { range, from: "", to: "" }
+    );
+  });
+
+  [elements.rangeFrom, elements.rangeTo].forEach((input) => {
+    input.addEventListener("change", () => {
+      updateView({
+        range: "custom",
+        from: elements.rangeFrom.value,
+        to: elements.rangeTo.value,
+      });
+    });
+  });
+
+  elements.courseFilter.addEventListener("change", () => {
+    updateView({ course: elements.courseFilter.value });
+  });
+
+  elements.sortButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      const sort = button.dataset.sort || DEFAULT_VIEW.sort;
+      const dir =
+        state.view.sort === sort && state.view.dir === "asc" ? "desc" : "asc";
+      updateView({ sort, dir });
+    });
+  });
+
+  elements.prevPageButton.addEventListener("click", () => {
+    updateView({ page: state.view.page - 1 });
+  });
+
+  elements.nextPageButton.addEventListener("click", () => {
+    updateView({ page: state.view.page + 1 });
+  });
+
+  elements.viewTabs.forEach((tab) => {
+    tab.addEventListener("click", () => {
+      updateView({ tab: tab.dataset.tab || DEFAULT_VIEW.tab });
+    });
+  });
+
+  elements.reportLateAfter.addEventListener("change", () => {
+    scheduleReportLoad();
+  });
+
+  elements.downloadCsvButton.addEventListener("click", async () => {
+    await downloadReport("csv");
+  });
+
+  elements.downloadXlsButton.addEventListener("click", async () => {
+    await downloadReport("xls");
   });
 
   elements.form.addEventListener("submit", async (event) => {
@@ -126,6 +637,90 @@ function bindEventListeners() {
   elements.clearSelectionButton.addEventListener("click", () => {
     selectCard("");
   });
+
+  elements.enrollDevice.addEventListener("change", () => {
+    state.enroll.deviceId = elements.enrollDevice.value;
+    renderEnrollStatus();
+    scheduleEnrollPoll();
+  });
+
+  elements.enrollToggleButton.addEventListener("click", async () => {
+    await toggleEnrollMode();
+  });
+
+  elements.closeOverdueButton.addEventListener("click", async () => {
+    await closeOverdueSessions();
+  });
+
+  elements.closeStudentButton.addEventListener("click", () => {
+    closeStudentDetail();
+  });
+
+  elements.studentActiveButton.addEventListener("click", async () => {
+    await toggleStudentActive();
+  });
+
+  elements.studentLinkCardButton.addEventListener("click", () => {
+    prefillCardLink();
+  });
+
+  syncScreen();
+  elements.screenTabs.forEach((tab) => {
+    tab.addEventListener("click", () => {
+      updateView({
+        screen: tab.dataset.screen || DEFAULT_VIEW.screen,
+        page: state.view.page,
+      });
+    });
+  });
+
+  elements.rosterSearch.addEventListener("input", () => {
+    state.rosterSearch = elements.rosterSearch.value.toLowerCase().trim();
+    renderRoster();
+  });
+
+  elements.importFile.addEventListener("change", async () => {
+    const file = elements.importFile.files && elements.importFile.files[0];
+    if (file) {
+      await previewImport(await file.text());
+    }
+  });
+
+  elements.importApplyButton.addEventListener("click", async () => {
+    await applyImport();
+  });
+
+  elements.importClearButton.addEventListener("click", () => {
+    clearImport();
+  });
+
+  elements.calendarRepeat.addEventListener("change", () => {
+    // Weekly rules have no dates.
+    const weekly = !!elements.calendarRepeat.value;
+    elements.calendarStart.disabled = weekly;
+    elements.calendarEnd.disabled = weekly;
+  });
+
+  elements.calendarForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    await submitCalendarEntry();
+  });
+
+  [
+    elements.auditSheet,
+    elements.auditActor,
+    elements.auditQuery,
+    elements.auditFrom,
+    elements.auditTo,
+  ].forEach((input) => {
+    input.addEventListener("input", () => {
+      scheduleAuditLoad();
+    });
+  });
+
+  elements.auditMoreButton.addEventListener("click", async () => {
+    await loadAuditLog(true);
+  });
 }
 
 /**
@@ -137,42 +732,122 @@ async function loadDashboard(options) {
     ...(options || {}),
   };
 
+  if (!state.session || !getApiUrl()) {
+    return;
+  }
+
   if (state.loading) {
     pendingRefreshOptions = config;
     return;
   }
 
+  // Queued changes go first so the reload already reflects them.
+  if (state.outbox.length) {
+    await replayOutbox();
+    if (!state.session) {
+      return;
+    }
+  }
+
   setLoading(true, { silent: config.silent });
   try {
-    const response = await fetch(API_URL);
+    const url = new URL(getApiUrl());
+    url.searchParams.set("token", state.session.token);
+    // Background refreshes only ask for attendance rows changed since the last load.
+    const useDelta = config.silent && !!state.revision;
+    if (useDelta) {
+      url.searchParams.set("since", state.revision);
+    }
+    const response = await fetchApi(url.toString());
 
     if (!response.ok) {
       throw new Error(`Request failed with status ${response.status}`);
     }
 
     const payload = await response.json();
+    if (payload && payload.status === "error" && payload.code === 401) {
+      signOut("Your session has ended. Sign in again.");
+      return;
+    }
     if (!payload || payload.status !== "ok" || !payload.data) {
       throw new Error("Malformed response from API");
     }
 
+    if (payload.user && payload.user.role !== state.session.role) {
+      state.session.role = payload.user.role;
+      storeSession(state.session);
+      applySessionState();
+    }
+
     state.students = Array.isArray(payload.data.students)
       ? payload.data.students
       : [];
-    state.attendance = Array.isArray(payload.data.attendance)
+    state.cards = Array.isArray(payload.data.cards) ? payload.data.cards : [];
+    state.devices = Array.isArray(payload.data.devices)
+      ? payload.data.devices
+      : [];
+    state.courses = Array.isArray(payload.data.courses)
+      ? payload.data.courses
+      : [];
+    state.calendar = payload.data.calendar || null;
+    const attendance = Array.isArray(payload.data.attendance)
       ? payload.data.attendance
       : [];
+    const attendanceChanged = payload.delta
+      ? applyAttendanceDelta(attendance, payload.data.removedAttendanceIds)
+      : true;
+    if (!payload.delta) {
+      state.attendance = attendance;
+    }
+    state.revision = payload.revision ? String(payload.revision) : "";
     state.unregistered = Array.isArray(payload.data.unregisteredCards)
       ? payload.data.unregisteredCards
       : [];
 
-    state.todayKey = getTodayKey();
-    renderAttendance();
+    const todayKey = getTodayKey();
+    // Overdue highlighting depends on the date, so a new day forces a render too.
+    if (attendanceChanged || todayKey !== state.todayKey) {
+      state.todayKey = todayKey;
+      renderAttendance();
+    } else {
+      // The roster may still have changed, which moves "not yet arrived".
+      renderTodaySummary();
+    }
     renderUnregistered();
+    renderDevices();
+    renderStudentDetail();
+    renderRoster();
+    renderCalendar();
     updateTimestamp();
+    state.offline = false;
+    saveSnapshot();
+    renderOfflineStatus();
     if (!config.silent) {
       showToast("Data refreshed.", "success");
+      if (state.view.tab === "report") {
+        void loadReport();
+      }
+      // Picks up enroll mode left on from another tab or an earlier visit.
+      if (isAdmin()) {
+        void loadEnrollSessions();
+      }
     }
   } catch (error) {
+    if (isOfflineError(error)) {
+      const firstOfflineLoad = !state.offline;
+      state.offline = true;
+      // After a reload without a connection, show the last saved payload.
+      if (!state.dataSavedAt) {
+        await restoreSnapshot();
+      }
+      renderOfflineStatus();
+      if (state.dataSavedAt) {
+        if (firstOfflineLoad && !config.silent) {
+          showToast("You're offline. Showing saved data.", "info");
+        }
+        return;
+      }
+    }
     const message = error instanceof Error ? error.message : String(error);
     console.error(LOG_PREFIX, "Dashboard load failed:", error);
     console.error(LOG_PREFIX, "Dashboard load error message:", message);
@@ -201,6 +876,46 @@ async function loadDashboard(options) {
   }
 }
 
+/**
+ * Merges a delta response into state.attendance by RowId.
+ * @param {AnyRecord[]} changed Rows added or modified since the last revision.
+ * @param {unknown} removedIds RowIds deleted or no longer matching.
+ * @return {boolean} Whether anything changed.
+ */
+function applyAttendanceDelta(changed, removedIds) {
+  const removed = new Set(
+    Array.isArray(removedIds) ? removedIds.map((id) => String(id)) : []
+  );
+  if (!changed.length && !removed.size) {
+    return false;
+  }
+
+  /** @type {Map<string, AnyRecord>} */
+  const updates = new Map();
+  changed.forEach((record) => {
+    if (record && record.RowId) {
+      updates.set(String(record.RowId), record);
+    }
+  });
+
+  const merged = [];
+  state.attendance.forEach((record) => {
+    const rowId = record && record.RowId ? String(record.RowId) : "";
+    if (rowId && removed.has(rowId)) {
+      return;
+    }
+    if (rowId && updates.has(rowId)) {
+      merged.push(updates.get(rowId));
+      updates.delete(rowId);
+      return;
+    }
+    merged.push(record);
+  });
+  updates.forEach((record) => merged.push(record));
+  state.attendance = merged;
+  return true;
+}
+
 /**
  * Renders all attendance records and metrics.
  */
@@ -208,229 +923,3636 @@ function renderAttendance() {
   const attendanceBody = elements.attendanceBody;
   attendanceBody.innerHTML = "";
 
-  /** @type {Map<string, AnyRecord>} */
-  const studentLookup = new Map();
-  state.students.forEach((student) => {
-    const entry = /** @type {AnyRecord} */ (student);
-    const key = (entry.CARD_UID || "").toString().trim().toUpperCase();
-    if (key) {
-      studentLookup.set(key, entry);
-    }
-  });
-  const allRecords = state.attendance.filter((record) => !!record);
+  const studentLookup = buildStudentLookup();
+  const allRecords = getVisibleAttendance();
+
+  const overdueCount = allRecords.filter((record) =>
+    isOverdueRecord(record)
+  ).length;
+  renderTodaySummary();
+  elements.closeOverdueButton.disabled = overdueCount === 0;
+  elements.closeOverdueButton.textContent = overdueCount
+    ? `Close overdue (${overdueCount})`
+    : "Close overdue";
+
+  const bounds = getRangeBounds(state.view);
+  syncViewControls(bounds);
 
   const filtered = allRecords.filter((record) => {
+    const recordDate = getRecordDate(record);
+    if (bounds.from && (!recordDate || recordDate < bounds.from)) {
+      return false;
+    }
+    if (bounds.to && (!recordDate || recordDate > bounds.to)) {
+      return false;
+    }
+    if (
+      state.view.course &&
+      (record.CourseId || "").toString() !== state.view.course
+    ) {
+      return false;
+    }
     if (!state.searchTerm) {
       return true;
     }
     const name = getRecordName(record, studentLookup).toLowerCase();
     const suid = (record.SUID || "").toString().toLowerCase();
-    return name.includes(state.searchTerm) || suid.includes(state.searchTerm);
+    const location = (record.Location || "").toString().toLowerCase();
+    return (
+      name.includes(state.searchTerm) ||
+      suid.includes(state.searchTerm) ||
+      location.includes(state.searchTerm)
+    );
+  });
+
+  const direction = state.view.dir === "asc" ? 1 : -1;
+  filtered.sort(
+    (a, b) =>
+      direction * compareAttendance(a, b, state.view.sort, studentLookup)
+  );
+
+  // Pages hold whole student-days so a day's sessions are never split.
+  const groups = groupSessions(filtered);
+  const pageCount = Math.max(
+    1,
+    Math.ceil(groups.length / ATTENDANCE_PAGE_SIZE)
+  );
+  // Clamp here rather than in updateView: deletes and refreshes shrink the list too.
+  const page = Math.min(Math.max(state.view.page, 1), pageCount);
+  const start = (page - 1) * ATTENDANCE_PAGE_SIZE;
+  const pageGroups = groups.slice(start, start + ATTENDANCE_PAGE_SIZE);
+  renderPager(page, pageCount, start, pageGroups.length, groups.length);
+
+  if (filtered.length === 0) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = ATTENDANCE_COLUMN_COUNT;
+    cell.className = "empty";
+    if (!allRecords.length) {
+      cell.textContent = "No attendance records yet.";
+    } else if (state.searchTerm) {
+      cell.textContent = "No matches for that search.";
+    } else if (state.view.course) {
+      cell.textContent = "No attendance for this course in this date range.";
+    } else {
+      cell.textContent = "No attendance records in this date range.";
+    }
+    row.appendChild(cell);
+    attendanceBody.appendChild(row);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  pageGroups.forEach((group) => {
+    if (group.length > 1) {
+      fragment.appendChild(createSessionGroupRow(group, studentLookup));
+    }
+    group.forEach((entry, index) => {
+      fragment.appendChild(
+        createAttendanceRow(
+          entry,
+          studentLookup,
+          group.length > 1 ? index + 1 : 0
+        )
+      );
+    });
+  });
+
+  attendanceBody.appendChild(fragment);
+}
+
+/**
+ * Collects records into one group per student and day, in the order the
+ * groups first appear. Sessions inside a group run by check-in time.
+ * @param {AnyRecord[]} records Already sorted.
+ * @return {AnyRecord[][]}
+ */
+function groupSessions(records) {
+  /** @type {Map<string, AnyRecord[]>} */
+  const groups = new Map();
+  records.forEach((record) => {
+    const key = `${getStudentKey(record)}|${getRecordDate(record)}`;
+    const group = groups.get(key);
+    if (group) {
+      group.push(record);
+    } else {
+      groups.set(key, [record]);
+    }
+  });
+  return Array.from(groups.values()).map((group) =>
+    group.sort(
+      (a, b) =>
+        parseTimeToSortable(getCheckIn(a)) - parseTimeToSortable(getCheckIn(b))
+    )
+  );
+}
+
+/**
+ * Summary row above a student's sessions for one day: first check-in, last
+ * check-out (blank while a session is open) and the session count.
+ * @param {AnyRecord[]} group
+ * @param {Map<string, AnyRecord>} lookup
+ * @return {HTMLTableRowElement}
+ */
+function createSessionGroupRow(group, lookup) {
+  const first = group[0];
+  const last = group[group.length - 1];
+  const name = getDisplayName(first, lookup);
+  const row = document.createElement("tr");
+  row.className = "session-group";
+  row.appendChild(createCell(first.SUID || "--"));
+  row.appendChild(createStudentCell(first, name));
+  row.appendChild(
+    createCell(formatHumanDate(getRecordDate(first), true) || "--")
+  );
+  row.appendChild(createCell(formatTime12(getCheckIn(first)) || "--"));
+  const isOpen = group.some((entry) => !getCheckOut(entry));
+  row.appendChild(
+    createCell(isOpen ? "--" : formatTime12(getCheckOut(last)) || "--")
+  );
+  const locations = new Set(
+    group.map((entry) => (entry.Location || "").toString()).filter(Boolean)
+  );
+  row.appendChild(createCell(Array.from(locations).join(", ")));
+  const courses = new Set(
+    group.map((entry) => (entry.CourseId || "").toString()).filter(Boolean)
+  );
+  row.appendChild(createCell(Array.from(courses).join(", ")));
+  const count = document.createElement("td");
+  count.className = "row-actions";
+  const badge = document.createElement("span");
+  badge.className = "badge";
+  badge.textContent = `${group.length} sessions`;
+  count.appendChild(badge);
+  row.appendChild(count);
+  return row;
+}
+
+/**
+ * @param {AnyRecord} entry
+ * @param {Map<string, AnyRecord>} lookup
+ * @param {number} sessionNumber Position within a grouped day, or 0 when the
+ *   record is the student's only session that day.
+ * @return {HTMLTableRowElement}
+ */
+function createAttendanceRow(entry, lookup, sessionNumber) {
+  const row = document.createElement("tr");
+  const name = getDisplayName(entry, lookup);
+  const suid = entry.SUID || "";
+  const recordDate = getRecordDate(entry);
+  const dateDisplay = formatHumanDate(recordDate, true) || "--";
+  const checkInRaw = getCheckIn(entry);
+  const checkOutRaw = getCheckOut(entry);
+  const checkIn = formatTime12(checkInRaw) || "--";
+  const checkOut = formatTime12(checkOutRaw) || "--";
+  const isPresent = !checkOutRaw;
+  const isOverdue = isOverdueRecord(entry);
+
+  if (isOverdue) {
+    row.classList.add("is-overdue");
+  } else if (isPresent) {
+    row.classList.add("is-present");
+  }
+  if (sessionNumber) {
+    row.classList.add("session-row");
+  }
+
+  const recordKey = getAttendanceRecordKey(entry);
+  if (state.editing && state.editing.key === recordKey) {
+    row.classList.add("is-editing");
+    row.appendChild(createCell(suid || "--"));
+    row.appendChild(createCell(name));
+    appendEditCells(row, state.editing.draft);
+    row.appendChild(createCell((entry.Location || "").toString()));
+    row.appendChild(createCell((entry.CourseId || "").toString()));
+    row.appendChild(createEditActionsCell(entry));
+    return row;
+  }
+
+  if (sessionNumber) {
+    // The group row above already names the student and day.
+    row.appendChild(document.createElement("td"));
+    row.appendChild(createCell(`Session ${sessionNumber}`, "session-label"));
+    row.appendChild(document.createElement("td"));
+  } else {
+    row.appendChild(createCell(suid || "--"));
+    row.appendChild(createStudentCell(entry, name));
+    row.appendChild(createCell(dateDisplay));
+  }
+  row.appendChild(createCell(checkIn));
+  row.appendChild(createCell(checkOut));
+  row.appendChild(createCell((entry.Location || "").toString()));
+  row.appendChild(createCell((entry.CourseId || "").toString()));
+  row.appendChild(createAttendanceActionsCell(entry, name));
+  return row;
+}
+
+/**
+ * @return {Map<string, AnyRecord>} Students keyed by upper-case card UID,
+ * including cards they held before.
+ */
+function buildStudentLookup() {
+  /** @type {Map<string, AnyRecord>} */
+  const studentLookup = new Map();
+  /** @type {Map<string, AnyRecord>} */
+  const bySuid = new Map();
+  state.students.forEach((student) => {
+    const entry = /** @type {AnyRecord} */ (student);
+    const key = (entry.CARD_UID || "").toString().trim().toUpperCase();
+    if (key) {
+      studentLookup.set(key, entry);
+    }
+    bySuid.set((entry.SUID || "").toString().trim(), entry);
+  });
+  state.cards.forEach((card) => {
+    const key = (card.CARD_UID || "").toString().trim().toUpperCase();
+    const student = bySuid.get((card.SUID || "").toString().trim());
+    if (key && student && !studentLookup.has(key)) {
+      studentLookup.set(key, student);
+    }
+  });
+  return studentLookup;
+}
+
+/**
+ * Attendance records minus those hidden while a delete can still be undone.
+ * @return {AnyRecord[]}
+ */
+function getVisibleAttendance() {
+  return state.attendance.filter(
+    (record) =>
+      !!record && !state.pendingDeletions.has(getAttendanceRecordKey(record))
+  );
+}
+
+/**
+ * Fills the metric cards, the present-now list and the arrivals chart from
+ * today's records. Students are counted once however many sessions they have.
+ */
+function renderTodaySummary() {
+  const lookup = buildStudentLookup();
+  const records = getVisibleAttendance();
+  const overdueCount = records.filter((record) =>
+    isOverdueRecord(record)
+  ).length;
+  const todayRecords = records.filter(
+    (record) => getRecordDate(record) === state.todayKey
+  );
+
+  /** @type {Map<string, AnyRecord>} First session per student today. */
+  const arrivals = new Map();
+  /** @type {Map<string, AnyRecord>} */
+  const presentNow = new Map();
+  todayRecords.forEach((record) => {
+    const key = getStudentKey(record);
+    const earliest = arrivals.get(key);
+    if (
+      !earliest ||
+      parseTimeToSortable(getCheckIn(record)) <
+        parseTimeToSortable(getCheckIn(earliest))
+    ) {
+      arrivals.set(key, record);
+    }
+    if (!getCheckOut(record)) {
+      presentNow.set(key, record);
+    }
+  });
+
+  const notArrived = state.students.filter(
+    (student) =>
+      isStudentActive(student) && !arrivals.has(getStudentKey(student))
+  ).length;
+
+  elements.metricPresentNow.textContent = String(presentNow.size);
+  elements.metricCheckedInToday.textContent = String(arrivals.size);
+  elements.metricNotArrived.textContent = String(notArrived);
+  elements.metricOverdue.textContent = String(overdueCount);
+
+  renderPresentList(Array.from(presentNow.values()), lookup);
+  renderArrivalsChart(Array.from(arrivals.values()));
+}
+
+/**
+ * Identifies a student by SUID, falling back to the card UID.
+ * @param {AnyRecord} record
+ * @return {string}
+ */
+function getStudentKey(record) {
+  const suid = (record.SUID || "").toString().trim().toUpperCase();
+  if (suid) {
+    return `suid:${suid}`;
+  }
+  return `card:${(record.CARD_UID || "").toString().trim().toUpperCase()}`;
+}
+
+/**
+ * @param {AnyRecord[]} records Open sessions from today.
+ * @param {Map<string, AnyRecord>} lookup
+ */
+function renderPresentList(records, lookup) {
+  const list = elements.presentList;
+  list.innerHTML = "";
+  if (!records.length) {
+    const item = document.createElement("li");
+    item.className = "placeholder";
+    item.textContent = "Nobody is checked in right now.";
+    list.appendChild(item);
+    return;
+  }
+
+  records.sort(
+    (a, b) =>
+      compareSortable(
+        parseTimeToSortable(getCheckIn(a)),
+        parseTimeToSortable(getCheckIn(b))
+      ) || getDisplayName(a, lookup).localeCompare(getDisplayName(b, lookup))
+  );
+
+  const fragment = document.createDocumentFragment();
+  records.forEach((record) => {
+    const item = document.createElement("li");
+    const name = createStudentButton(
+      (record.SUID || "").toString().trim(),
+      getDisplayName(record, lookup)
+    );
+    const meta = document.createElement("span");
+    meta.className = "present-meta";
+    const suid = (record.SUID || "").toString();
+    const since = formatTime12(getCheckIn(record)) || "--";
+    meta.textContent = suid ? `${suid} · since ${since}` : `since ${since}`;
+    item.appendChild(name);
+    item.appendChild(meta);
+    fragment.appendChild(item);
+  });
+  list.appendChild(fragment);
+}
+
+/**
+ * Draws one bar per hour for today's first check-ins.
+ * @param {AnyRecord[]} arrivals
+ */
+function renderArrivalsChart(arrivals) {
+  /** @type {Map<number, number>} */
+  const counts = new Map();
+  arrivals.forEach((record) => {
+    const minutes = parseTimeToSortable(getCheckIn(record));
+    if (Number.isFinite(minutes)) {
+      const hour = Math.floor(minutes / 60);
+      counts.set(hour, (counts.get(hour) || 0) + 1);
+    }
+  });
+
+  const hours = Array.from(counts.keys());
+  const startHour = Math.min(ARRIVALS_CHART_START_HOUR, ...hours);
+  const endHour = Math.max(ARRIVALS_CHART_END_HOUR, ...hours);
+  const peak = Math.max(1, ...counts.values());
+
+  const chart = elements.arrivalsChart;
+  chart.innerHTML = "";
+  const fragment = document.createDocumentFragment();
+  /** @type {string[]} */
+  const description = [];
+  for (let hour = startHour; hour <= endHour; hour += 1) {
+    const count = counts.get(hour) || 0;
+    const label = formatHourLabel(hour);
+    const bar = document.createElement("div");
+    bar.className = count ? "hour-bar" : "hour-bar is-empty";
+    bar.style.height = `${(count / peak) * 100}%`;
+    bar.title = `${label}: ${count} arrival${count === 1 ? "" : "s"}`;
+
+    const countLabel = document.createElement("span");
+    countLabel.className = "hour-count";
+    countLabel.textContent = count ? String(count) : "";
+    const hourLabel = document.createElement("span");
+    hourLabel.className = "hour-label";
+    hourLabel.textContent = label;
+    bar.appendChild(countLabel);
+    bar.appendChild(hourLabel);
+    fragment.appendChild(bar);
+
+    if (count) {
+      description.push(`${label} ${count}`);
+    }
+  }
+  chart.appendChild(fragment);
+  chart.setAttribute(
+    "aria-label",
+    description.length
+      ? `Arrivals by hour today: ${description.join(", ")}`
+      : "No arrivals yet today"
+  );
+}
+
+/**
+ * @param {number} hour 0–23
+ * @return {string} e.g. "9a", "12p"
+ */
+function formatHourLabel(hour) {
+  const suffix = hour < 12 ? "a" : "p";
+  return `${hour % 12 || 12}${suffix}`;
+}
+
+/**
+ * Orders two attendance records by a column key, ascending. Ties fall back to
+ * date, then check-in, so equal names or times stay chronological.
+ * @param {AnyRecord} a
+ * @param {AnyRecord} b
+ * @param {string} key
+ * @param {Map<string, AnyRecord>} lookup
+ * @return {number}
+ */
+function compareAttendance(a, b, key, lookup) {
+  let result = 0;
+  if (key === "suid") {
+    result = (a.SUID || "")
+      .toString()
+      .localeCompare((b.SUID || "").toString(), undefined, { numeric: true });
+  } else if (key === "name") {
+    result = getDisplayName(a, lookup).localeCompare(
+      getDisplayName(b, lookup),
+      undefined,
+      { sensitivity: "base" }
+    );
+  } else if (key === "checkIn") {
+    result = compareSortable(
+      parseTimeToSortable(getCheckIn(a)),
+      parseTimeToSortable(getCheckIn(b))
+    );
+  } else if (key === "checkOut") {
+    result = compareSortable(
+      parseTimeToSortable(getCheckOut(a)),
+      parseTimeToSortable(getCheckOut(b))
+    );
+  } else if (key === "location") {
+    result = (a.Location || "")
+      .toString()
+      .localeCompare((b.Location || "").toString(), undefined, {
+        sensitivity: "base",
+      });
+  }
+  if (result) {
+    return result;
+  }
+
+  const dateResult = compareSortable(
+    parseDateToSortable(getSortableDateKey(a)),
+    parseDateToSortable(getSortableDateKey(b))
+  );
+  if (dateResult) {
+    return dateResult;
+  }
+  return compareSortable(
+    parseTimeToSortable(getCheckIn(a)),
+    parseTimeToSortable(getCheckIn(b))
+  );
+}
+
+/**
+ * Subtracts sortable numbers without producing NaN for two Infinity values.
+ * @param {number} a
+ * @param {number} b
+ * @return {number}
+ */
+function compareSortable(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * @param {number} page
+ * @param {number} pageCount
+ * @param {number} start
+ * @param {number} shown
+ * @param {number} total
+ */
+function renderPager(page, pageCount, start, shown, total) {
+  elements.pageSummary.textContent = total
+    ? `Showing ${start + 1}–${start + shown} of ${total}`
+    : "";
+  elements.pageStatus.textContent = `Page ${page} of ${pageCount}`;
+  elements.prevPageButton.disabled = page <= 1;
+  elements.nextPageButton.disabled = page >= pageCount;
+}
+
+/**
+ * Shows the screen named in the view and marks its tab as current.
+ */
+function syncScreen() {
+  elements.dashboardScreen.hidden = state.view.screen !== "dashboard";
+  elements.rosterScreen.hidden = state.view.screen !== "roster";
+  elements.calendarScreen.hidden = state.view.screen !== "calendar";
+  elements.auditScreen.hidden = state.view.screen !== "audit";
+  elements.screenTabs.forEach((tab) => {
+    if (tab.dataset.screen === state.view.screen) {
+      tab.setAttribute("aria-current", "page");
+    } else {
+      tab.removeAttribute("aria-current");
+    }
+  });
+}
+
+/**
+ * Mirrors the view state into the filter inputs and sortable headers.
+ * @param {{ from: string, to: string }} bounds
+ */
+function syncViewControls(bounds) {
+  syncScreen();
+  const showReport = state.view.tab === "report";
+  elements.tableView.hidden = showReport;
+  elements.reportView.hidden = !showReport;
+  elements.viewTabs.forEach((tab) => {
+    tab.setAttribute(
+      "aria-selected",
+      String(tab.dataset.tab === state.view.tab)
+    );
+  });
+  elements.rangePreset.value = state.view.range;
+  elements.rangeFrom.value = bounds.from;
+  elements.rangeTo.value = bounds.to;
+  syncCourseFilter();
+  elements.sortButtons.forEach((button) => {
+    const header = button.closest("th");
+    if (!header) {
+      return;
+    }
+    const active = button.dataset.sort === state.view.sort;
+    header.setAttribute(
+      "aria-sort",
+      active ? (state.view.dir === "asc" ? "ascending" : "descending") : "none"
+    );
+  });
+}
+
+/**
+ * Rebuilds the course options from the Courses sheet. A course from a
+ * bookmarked link that no longer exists stays selectable so it can be cleared.
+ */
+function syncCourseFilter() {
+  const select = elements.courseFilter;
+  const selected = state.view.course;
+  const courses = state.courses
+    .map((course) => ({
+      id: (course.courseId || "").toString(),
+      name: (course.name || "").toString(),
+    }))
+    .filter((course) => course.id);
+  if (selected && !courses.some((course) => course.id === selected)) {
+    courses.push({ id: selected, name: "" });
+  }
+  select.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = "All courses";
+  select.appendChild(all);
+  courses.forEach((course) => {
+    const option = document.createElement("option");
+    option.value = course.id;
+    option.textContent = course.name
+      ? `${course.id} – ${course.name}`
+      : course.id;
+    select.appendChild(option);
+  });
+  select.value = selected;
+  select.disabled = !courses.length;
+}
+
+/**
+ * Applies a change to the table view, writes it to the URL and re-renders.
+ * Any change other than paging returns to the first page.
+ * @param {Partial<typeof DEFAULT_VIEW>} patch
+ */
+function updateView(patch) {
+  state.view = {
+    ...state.view,
+    ...("page" in patch ? {} : { page: 1 }),
+    ...patch,
+  };
+  writeViewToUrl(state.view);
+  renderAttendance();
+  // Sorting and paging only affect the records table.
+  const affectsReport = ["tab", "range", "from", "to", "q", "course"].some(
+    (key) => key in patch
+  );
+  if (state.view.tab === "report" && affectsReport) {
+    scheduleReportLoad();
+  }
+  // The audit log is fetched when its screen opens, not on every refresh.
+  if ("screen" in patch && state.view.screen === "audit") {
+    void loadAuditLog();
+  }
+}
+
+/**
+ * Reads the table view from the query string, ignoring unknown values.
+ * @return {typeof DEFAULT_VIEW}
+ */
+function readViewFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const isDateKey = (/** @type {string | null} */ value) =>
+    !!value && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const range = params.get("range") || "";
+  const sort = params.get("sort") || "";
+  const page = Number(params.get("page"));
+  const from = params.get("from");
+  const to = params.get("to");
+  const tab = params.get("tab") || "";
+  const screen = params.get("screen") || "";
+  return {
+    screen: VIEW_SCREENS.includes(screen) ? screen : DEFAULT_VIEW.screen,
+    tab: VIEW_TABS.includes(tab) ? tab : DEFAULT_VIEW.tab,
+    range: RANGE_PRESETS.includes(range) ? range : DEFAULT_VIEW.range,
+    from: isDateKey(from) ? /** @type {string} */ (from) : "",
+    to: isDateKey(to) ? /** @type {string} */ (to) : "",
+    sort: SORT_KEYS.includes(sort) ? sort : DEFAULT_VIEW.sort,
+    dir: params.get("dir") === "asc" ? "asc" : DEFAULT_VIEW.dir,
+    page: Number.isInteger(page) && page > 0 ? page : DEFAULT_VIEW.page,
+    q: params.get("q") || "",
+    course: params.get("course") || "",
+  };
+}
+
+/**
+ * Stores non-default view settings in the query string so the view can be
+ * bookmarked. Presets are kept by name, so "this week" stays current.
+ * @param {typeof DEFAULT_VIEW} view
+ */
+function writeViewToUrl(view) {
+  const url = new URL(window.location.href);
+  /** @type {Array<keyof typeof DEFAULT_VIEW>} */
+  const keys = [
+    "screen",
+    "tab",
+    "range",
+    "from",
+    "to",
+    "sort",
+    "dir",
+    "page",
+    "q",
+    "course",
+  ];
+  keys.forEach((key) => {
+    const value = view[key];
+    const isCustomBound =
+      (key === "from" || key === "to") && view.range === "custom";
+    if (
+      value === DEFAULT_VIEW[key] ||
+      ((key === "from" || key === "to") && !isCustomBound)
+    ) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, String(value));
+    }
+  });
+  window.history.replaceState(null, "", url.toString());
+}
+
+/**
+ * Debounces report reloads so typing in the search box sends one request.
+ */
+function scheduleReportLoad() {
+  if (reportReloadTimer !== undefined) {
+    window.clearTimeout(reportReloadTimer);
+  }
+  reportReloadTimer = window.setTimeout(() => {
+    reportReloadTimer = undefined;
+    void loadReport();
+  }, REPORT_RELOAD_DELAY_MS);
+}
+
+/**
+ * Builds the report URL for the current date range and search.
+ * @param {"json" | "csv" | "xls"} format
+ * @return {string}
+ */
+function buildReportUrl(format) {
+  const url = new URL(getApiUrl());
+  const bounds = getRangeBounds(state.view);
+  url.searchParams.set("token", state.session ? state.session.token : "");
+  url.searchParams.set("report", "1");
+  url.searchParams.set("format", format);
+  if (bounds.from) {
+    url.searchParams.set("from", bounds.from);
+  }
+  if (bounds.to) {
+    url.searchParams.set("to", bounds.to);
+  }
+  if (state.view.q) {
+    url.searchParams.set("q", state.view.q);
+  }
+  if (state.view.course) {
+    url.searchParams.set("course", state.view.course);
+  }
+  if (elements.reportLateAfter.value) {
+    url.searchParams.set("lateAfter", elements.reportLateAfter.value);
+  }
+  return url.toString();
+}
+
+async function loadReport() {
+  if (!state.session) {
+    return;
+  }
+  // Responses for superseded filters are dropped.
+  const requestId = ++state.report.requestId;
+  elements.reportSummary.textContent = "Loading report…";
+  try {
+    const response = await fetch(buildReportUrl("json"));
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+    const payload = await response.json();
+    if (requestId !== state.report.requestId) {
+      return;
+    }
+    if (payload && payload.status === "error" && payload.code === 401) {
+      signOut("Your session has ended. Sign in again.");
+      return;
+    }
+    if (!payload || payload.status !== "ok" || !payload.report) {
+      throw new Error((payload && payload.message) || "Malformed report");
+    }
+    state.report.data = payload.report;
+    renderReport();
+  } catch (error) {
+    if (requestId !== state.report.requestId) {
+      return;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Report load failed:", message);
+    elements.reportSummary.textContent = "";
+    showToast("We can't build the report right now.", "error");
+  }
+}
+
+function renderReport() {
+  const report = state.report.data;
+  if (!report) {
+    return;
+  }
+  // Until the user picks a time, show the LateAfter setting the server used.
+  if (!elements.reportLateAfter.value && report.lateAfter) {
+    elements.reportLateAfter.value = report.lateAfter;
+  }
+  const classDays = Number(report.classDays) || 0;
+  elements.reportSummary.textContent = `${
+    report.course ? `${report.course} · ` : ""
+  }${formatHumanDate(report.from)} – ${formatHumanDate(
+    report.to
+  )} · ${classDays} class day${classDays === 1 ? "" : "s"}`;
+
+  /** @type {AnyRecord[]} */
+  const students = Array.isArray(report.students) ? report.students : [];
+  renderReportRows(
+    elements.reportStudentsBody,
+    students.map((row) => [
+      row.suid,
+      row.name,
+      row.daysPresent,
+      row.daysAbsent,
+      row.lateArrivals,
+      row.totalHours,
+      row.averageHours,
+      formatPercent(row.attendancePercent),
+    ]),
+    8,
+    "No students match these filters."
+  );
+
+  /** @type {AnyRecord[]} */
+  const days = Array.isArray(report.days) ? report.days : [];
+  renderReportRows(
+    elements.reportDaysBody,
+    days.map((row) => [
+      formatHumanDate(row.date) || row.date,
+      DAY_TYPE_LABELS[row.dayType] || "",
+      row.present,
+      row.absent,
+      row.late,
+      row.totalHours,
+    ]),
+    6,
+    "No class days in this range."
+  );
+
+  /** @type {AnyRecord[]} */
+  const courses = Array.isArray(report.courses) ? report.courses : [];
+  renderReportRows(
+    elements.reportCoursesBody,
+    courses.map((row) => [
+      row.courseId,
+      row.name,
+      row.meetings,
+      row.enrolled,
+      row.attended,
+      formatPercent(row.attendancePercent),
+    ]),
+    6,
+    "No courses in the timetable."
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @return {string}
+ */
+function formatPercent(value) {
+  return `${Number(value) || 0}%`;
+}
+
+/**
+ * @param {HTMLTableSectionElement} body
+ * @param {Array<Array<unknown>>} rows
+ * @param {number} columnCount
+ * @param {string} emptyMessage
+ */
+function renderReportRows(body, rows, columnCount, emptyMessage) {
+  body.innerHTML = "";
+  if (!rows.length) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = columnCount;
+    cell.className = "empty";
+    cell.textContent = emptyMessage;
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  rows.forEach((values) => {
+    const row = document.createElement("tr");
+    values.forEach((value) => {
+      row.appendChild(createCell(String(value)));
+    });
+    fragment.appendChild(row);
+  });
+  body.appendChild(fragment);
+}
+
+/**
+ * Fetches the export for the current filters and saves it as a file.
+ * @param {"csv" | "xls"} format
+ */
+async function downloadReport(format) {
+  const button =
+    format === "csv" ? elements.downloadCsvButton : elements.downloadXlsButton;
+  button.disabled = true;
+  button.classList.add("is-loading");
+  try {
+    const response = await fetch(buildReportUrl(format));
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+    const text = await response.text();
+    // Errors come back as JSON even when a file was requested.
+    if (text.startsWith("{")) {
+      const payload = JSON.parse(text);
+      if (payload.code === 401) {
+        signOut("Your session has ended. Sign in again.");
+        return;
+      }
+      throw new Error(payload.message || "Export failed");
+    }
+    const bounds = getRangeBounds(state.view);
+    const span = [bounds.from || "start", bounds.to || getTodayKey()].join("_");
+    const blob = new Blob([text], {
+      type:
+        format === "csv"
+          ? "text/csv;charset=utf-8"
+          : "application/vnd.ms-excel",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `attendance-report_${span}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Report download failed:", message);
+    showToast("We can't export the report right now.", "error");
+  } finally {
+    button.disabled = false;
+    button.classList.remove("is-loading");
+  }
+}
+
+/**
+ * Resolves the view's date preset into inclusive yyyy-MM-dd bounds.
+ * Weeks start on Monday. Empty strings mean unbounded.
+ * @param {{ range: string, from: string, to: string }} view
+ * @return {{ from: string, to: string }}
+ */
+function getRangeBounds(view) {
+  const todayKey = getTodayKey();
+  const [year, month, day] = todayKey.split("-").map(Number);
+  if (view.range === "today") {
+    return { from: todayKey, to: todayKey };
+  }
+  if (view.range === "week") {
+    const today = new Date(year, month - 1, day);
+    const offset = (today.getDay() + 6) % 7;
+    const monday = new Date(year, month - 1, day - offset);
+    const sunday = new Date(year, month - 1, day - offset + 6);
+    return { from: toLocalDateKey(monday), to: toLocalDateKey(sunday) };
+  }
+  if (view.range === "month") {
+    return {
+      from: toLocalDateKey(new Date(year, month - 1, 1)),
+      to: toLocalDateKey(new Date(year, month, 0)),
+    };
+  }
+  if (view.range === "custom") {
+    return { from: view.from, to: view.to };
+  }
+  return { from: "", to: "" };
+}
+
+/**
+ * Formats a local Date as yyyy-MM-dd without time zone conversion.
+ * @param {Date} date
+ * @return {string}
+ */
+function toLocalDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Wraps a student name in a button that opens their detail view.
+ * @param {string} suid
+ * @param {string} label
+ * @return {HTMLElement}
+ */
+function createStudentButton(suid, label) {
+  if (!suid) {
+    const text = document.createElement("span");
+    text.textContent = label;
+    return text;
+  }
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "link-button";
+  button.textContent = label;
+  button.setAttribute("aria-label", `Show details for ${label}`);
+  button.addEventListener("click", () => {
+    openStudentDetail(suid);
+  });
+  return button;
+}
+
+/**
+ * @param {AnyRecord} entry
+ * @param {string} name
+ * @return {HTMLTableCellElement}
+ */
+function createStudentCell(entry, name) {
+  const cell = document.createElement("td");
+  cell.appendChild(
+    createStudentButton((entry.SUID || "").toString().trim(), name)
+  );
+  return cell;
+}
+
+/**
+ * @param {string} suid
+ * @return {AnyRecord | null}
+ */
+function findStudent(suid) {
+  return (
+    state.students.find(
+      (student) => (student.SUID || "").toString().trim() === suid
+    ) || null
+  );
+}
+
+/**
+ * Students stay active unless their Active cell says FALSE or "no".
+ * @param {AnyRecord} student
+ * @return {boolean}
+ */
+function isStudentActive(student) {
+  const value = (student.Active === undefined ? "" : student.Active)
+    .toString()
+    .trim()
+    .toLowerCase();
+  return value !== "false" && value !== "no";
+}
+
+/**
+ * @param {string} suid
+ */
+function openStudentDetail(suid) {
+  state.detailSuid = suid;
+  if (state.view.screen !== "dashboard") {
+    updateView({ screen: "dashboard", page: state.view.page });
+  }
+  renderStudentDetail();
+  elements.studentPanel.scrollIntoView({ behavior: "smooth", block: "start" });
+  elements.studentTitle.focus({ preventScroll: true });
+}
+
+function closeStudentDetail() {
+  state.detailSuid = "";
+  elements.studentPanel.hidden = true;
+}
+
+/**
+ * Shows the selected student's status, card history and latest sessions.
+ */
+function renderStudentDetail() {
+  const suid = state.detailSuid;
+  elements.studentPanel.hidden = !suid;
+  if (!suid) {
+    return;
+  }
+
+  const lookup = buildStudentLookup();
+  const student = findStudent(suid);
+  const records = getVisibleAttendance()
+    .filter((record) => (record.SUID || "").toString().trim() === suid)
+    .sort((a, b) => compareAttendance(b, a, "date", lookup));
+  const name = student
+    ? `${student.FirstName || ""} ${student.LastName || ""}`.trim()
+    : records.length
+    ? getDisplayName(records[0], lookup)
+    : "";
+  const active = !!student && isStudentActive(student);
+
+  elements.studentTitle.textContent = name || suid;
+  elements.studentStatus.textContent = !student
+    ? "Not on roster"
+    : active
+    ? "Active"
+    : "Inactive";
+  elements.studentActiveButton.textContent = active
+    ? "Deactivate"
+    : "Reactivate";
+  elements.studentActiveButton.disabled = !student;
+  elements.studentLinkCardButton.disabled = !student;
+
+  const sessions = `${records.length} session${
+    records.length === 1 ? "" : "s"
+  }`;
+  const lastSeen = records.length
+    ? ` · last seen ${formatHumanDate(getRecordDate(records[0]))}`
+    : "";
+  elements.studentSummary.textContent = `SUID ${suid} · ${sessions}${lastSeen}`;
+
+  renderStudentCards(suid);
+  renderStudentHistory(records.slice(0, STUDENT_HISTORY_LIMIT));
+}
+
+/**
+ * Lists every card linked to the student, newest first.
+ * @param {string} suid
+ */
+function renderStudentCards(suid) {
+  const body = elements.studentCardsBody;
+  body.innerHTML = "";
+  const cards = state.cards
+    .filter((card) => (card.SUID || "").toString().trim() === suid)
+    .reverse();
+
+  if (!cards.length) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = STUDENT_CARD_COLUMN_COUNT;
+    cell.className = "empty";
+    cell.textContent = "No cards linked yet.";
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  cards.forEach((card) => {
+    const uid = (card.CARD_UID || "").toString().trim().toUpperCase();
+    const status = (card.Status || "").toString().trim().toLowerCase();
+    const row = document.createElement("tr");
+    row.appendChild(createCell(uid));
+    row.appendChild(
+      createCell(status ? status[0].toUpperCase() + status.slice(1) : "")
+    );
+    row.appendChild(
+      createCell(formatHumanDate(coerceDateToYmd(card.LinkedAt)))
+    );
+    row.appendChild(
+      createCell(formatHumanDate(coerceDateToYmd(card.ReleasedAt)))
+    );
+
+    const actions = document.createElement("td");
+    actions.className = "row-actions";
+    if (isAdmin() && status === "active") {
+      const reassignBtn = document.createElement("button");
+      reassignBtn.type = "button";
+      reassignBtn.className = "small";
+      reassignBtn.textContent = "Reassign";
+      reassignBtn.setAttribute("aria-label", `Reassign card ${uid}`);
+      reassignBtn.addEventListener("click", async () => {
+        await reassignCard(uid);
+      });
+      const revokeBtn = document.createElement("button");
+      revokeBtn.type = "button";
+      revokeBtn.className = "small";
+      revokeBtn.textContent = "Revoke";
+      revokeBtn.setAttribute("aria-label", `Revoke card ${uid}`);
+      revokeBtn.addEventListener("click", async () => {
+        await revokeCard(uid);
+      });
+      actions.appendChild(reassignBtn);
+      actions.appendChild(revokeBtn);
+    }
+    row.appendChild(actions);
+    fragment.appendChild(row);
+  });
+  body.appendChild(fragment);
+}
+
+/**
+ * @param {AnyRecord[]} records Newest first.
+ */
+function renderStudentHistory(records) {
+  const list = elements.studentHistory;
+  list.innerHTML = "";
+  if (!records.length) {
+    const item = document.createElement("li");
+    item.className = "placeholder";
+    item.textContent = "No attendance yet.";
+    list.appendChild(item);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  records.forEach((record) => {
+    const item = document.createElement("li");
+    const date = document.createElement("span");
+    date.textContent = formatHumanDate(getRecordDate(record));
+    const meta = document.createElement("span");
+    meta.className = "present-meta";
+    const checkIn = formatTime12(getCheckIn(record)) || "--";
+    const checkOut = formatTime12(getCheckOut(record)) || "still in";
+    meta.textContent = `${checkIn} – ${checkOut}`;
+    item.appendChild(date);
+    item.appendChild(meta);
+    fragment.appendChild(item);
+  });
+  list.appendChild(fragment);
+}
+
+async function toggleStudentActive() {
+  const student = findStudent(state.detailSuid);
+  if (!student) {
+    return;
+  }
+  const active = !isStudentActive(student);
+  const name = elements.studentTitle.textContent;
+  const confirmed = window.confirm(
+    active
+      ? `Reactivate ${name}?`
+      : `Deactivate ${name}? Their cards stop working; attendance history is kept.`
+  );
+  if (!confirmed) {
+    return;
+  }
+  elements.studentActiveButton.disabled = true;
+  await submitStudentAction(
+    { action: "setStudentActive", suid: state.detailSuid, active },
+    active ? "Student reactivated." : "Student deactivated."
+  );
+  renderStudentDetail();
+}
+
+/**
+ * @param {string} cardUid
+ */
+async function revokeCard(cardUid) {
+  const confirmed = window.confirm(
+    `Revoke card ${cardUid}? Taps with it will be refused.`
+  );
+  if (!confirmed) {
+    return;
+  }
+  await submitStudentAction({ action: "revokeCard", cardUid }, "Card revoked.");
+}
+
+/**
+ * @param {string} cardUid
+ */
+async function reassignCard(cardUid) {
+  const target = (
+    window.prompt(`Move card ${cardUid} to which SUID?`, "") || ""
+  ).trim();
+  if (!target || target === state.detailSuid) {
+    return;
+  }
+  await submitStudentAction(
+    { action: "reassignCard", cardUid, suid: target },
+    `Card moved to ${target}.`
+  );
+}
+
+/**
+ * Sends a card or student change, then refreshes the dashboard.
+ * @param {AnyRecord} payload
+ * @param {string} successMessage
+ */
+async function submitStudentAction(payload, successMessage) {
+  try {
+    await postToApi(payload);
+    showToast(successMessage, "success");
+    await loadDashboard({ silent: true });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Student update failed:", message);
+    showToast(`We can't save that change: ${message}`, "error");
+  }
+}
+
+/**
+ * Fills the link form with the open student so the next unknown card picked
+ * is added to them.
+ */
+function prefillCardLink() {
+  const student = findStudent(state.detailSuid);
+  if (!student) {
+    return;
+  }
+  selectCard("");
+  elements.formSuid.value = state.detailSuid;
+  elements.formFirstName.value = (student.FirstName || "").toString();
+  elements.formLastName.value = (student.LastName || "").toString();
+  elements.unregisteredList.scrollIntoView({
+    behavior: "smooth",
+    block: "center",
+  });
+  showToast("Pick the new card under Unknown Cards.", "info");
+}
+
+/**
+ * Renders the roster screen, filtered by the roster search box.
+ */
+function renderRoster() {
+  const body = elements.rosterBody;
+  body.innerHTML = "";
+  const search = state.rosterSearch;
+  const students = state.students.filter((student) => {
+    if (state.pendingDeletions.has(getRosterDeletionKey(student))) {
+      return false;
+    }
+    if (!search) {
+      return true;
+    }
+    return [student.SUID, student.FirstName, student.LastName, student.CARD_UID]
+      .map((value) => (value || "").toString().toLowerCase())
+      .some((value) => value.includes(search));
+  });
+
+  const activeCount = state.students.filter(isStudentActive).length;
+  elements.rosterSummary.textContent = `${state.students.length} students, ${activeCount} active.`;
+
+  if (!students.length) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = ROSTER_COLUMN_COUNT;
+    cell.className = "empty";
+    cell.textContent = search
+      ? "No students match your search."
+      : "No students yet.";
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  students.forEach((student) => {
+    const suid = (student.SUID || "").toString().trim();
+    const row = document.createElement("tr");
+    const editing = state.rosterEditing;
+    if (editing && editing.suid === suid) {
+      appendRosterEditCells(row, editing.draft);
+      row.appendChild(
+        createCell((student.CARD_UID || "").toString().trim().toUpperCase())
+      );
+      row.appendChild(
+        createCell(isStudentActive(student) ? "Active" : "Inactive")
+      );
+      row.appendChild(createRosterEditActionsCell(suid));
+      fragment.appendChild(row);
+      return;
+    }
+
+    const name = `${student.FirstName || ""} ${student.LastName || ""}`.trim();
+    const suidCell = document.createElement("td");
+    suidCell.appendChild(createStudentButton(suid, suid));
+    row.appendChild(suidCell);
+    row.appendChild(createCell((student.FirstName || "").toString()));
+    row.appendChild(createCell((student.LastName || "").toString()));
+    row.appendChild(
+      createCell((student.CARD_UID || "").toString().trim().toUpperCase())
+    );
+    row.appendChild(
+      createCell(isStudentActive(student) ? "Active" : "Inactive")
+    );
+
+    const actions = document.createElement("td");
+    actions.className = "row-actions";
+    if (isAdmin()) {
+      const editBtn = document.createElement("button");
+      editBtn.type = "button";
+      editBtn.className = "small";
+      editBtn.textContent = "Edit";
+      editBtn.setAttribute("aria-label", `Edit ${name || suid}`);
+      editBtn.addEventListener("click", () => {
+        state.rosterEditing = {
+          suid,
+          draft: {
+            suid,
+            firstName: (student.FirstName || "").toString(),
+            lastName: (student.LastName || "").toString(),
+          },
+        };
+        renderRoster();
+      });
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "small";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.setAttribute("aria-label", `Delete ${name || suid}`);
+      deleteBtn.addEventListener("click", () => {
+        confirmDeleteStudent(student, name || suid);
+      });
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+    }
+    row.appendChild(actions);
+    fragment.appendChild(row);
+  });
+  body.appendChild(fragment);
+}
+
+/**
+ * Text inputs for an inline roster edit, bound to the draft so auto refresh
+ * keeps typed values.
+ * @param {HTMLTableRowElement} row
+ * @param {{ suid: string; firstName: string; lastName: string }} draft
+ */
+function appendRosterEditCells(row, draft) {
+  /** @type {Array<[keyof typeof draft, string]>} */
+  const fields = [
+    ["suid", "SUID"],
+    ["firstName", "First name"],
+    ["lastName", "Last name"],
+  ];
+  fields.forEach(([field, label]) => {
+    const cell = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "cell-input";
+    input.value = draft[field];
+    input.setAttribute("aria-label", label);
+    input.addEventListener("input", () => {
+      draft[field] = input.value;
+    });
+    cell.appendChild(input);
+    row.appendChild(cell);
+  });
+}
+
+/**
+ * @param {string} suid
+ * @return {HTMLTableCellElement}
+ */
+function createRosterEditActionsCell(suid) {
+  const cell = document.createElement("td");
+  cell.className = "row-actions";
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "primary small";
+  saveBtn.textContent = "Save";
+  saveBtn.addEventListener("click", async () => {
+    saveBtn.disabled = true;
+    saveBtn.classList.add("is-loading");
+    await saveRosterEdit(suid);
+  });
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.className = "small";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.addEventListener("click", () => {
+    state.rosterEditing = null;
+    renderRoster();
+  });
+  cell.appendChild(saveBtn);
+  cell.appendChild(cancelBtn);
+  return cell;
+}
+
+/**
+ * Saves an inline roster edit. A new SUID is renamed across Students, Cards
+ * and Attendance on the server.
+ * @param {string} suid
+ */
+async function saveRosterEdit(suid) {
+  if (!state.rosterEditing) {
+    return;
+  }
+  const draft = state.rosterEditing.draft;
+  const newSuid = draft.suid.trim();
+  const firstName = draft.firstName.trim();
+  const lastName = draft.lastName.trim();
+  if (!newSuid || !firstName || !lastName) {
+    showToast("SUID, first name and last name are required.", "error");
+    renderRoster();
+    return;
+  }
+
+  try {
+    await postToApi({
+      action: "update",
+      type: "student",
+      suid,
+      newSuid: newSuid === suid ? undefined : newSuid,
+      firstName,
+      lastName,
+    });
+    state.rosterEditing = null;
+    if (state.detailSuid === suid) {
+      state.detailSuid = newSuid;
+    }
+    showToast("Student updated.", "success");
+    await loadDashboard({ silent: true });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Student update failed:", message);
+    showToast(`We can't save that change: ${message}`, "error");
+    renderRoster();
+  }
+}
+
+/**
+ * @param {AnyRecord} student
+ * @param {string} name
+ */
+function confirmDeleteStudent(student, name) {
+  const confirmed = window.confirm(
+    `Delete ${name} from the roster? Their cards are unlinked and attendance history is kept.`
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  const suid = (student.SUID || "").toString().trim();
+  if (state.detailSuid === suid) {
+    closeStudentDetail();
+  }
+  scheduleDeletion(getRosterDeletionKey(student), "Student deleted.", {
+    action: "delete",
+    type: "student",
+    suid,
+  });
+}
+
+/**
+ * @param {AnyRecord} student
+ * @return {string}
+ */
+function getRosterDeletionKey(student) {
+  return `student:${(student.SUID || "").toString().trim()}`;
+}
+
+/**
+ * Splits CSV text into rows of trimmed cells. Handles quoted cells, doubled
+ * quotes, CRLF line endings and a leading byte order mark.
+ * @param {string} text
+ * @return {string[][]}
+ */
+function parseCsv(text) {
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+}
+
+/**
+ * Maps parsed CSV rows to bulk registration entries. A header row is used
+ * when it names a SUID column; otherwise columns are read in the order
+ * SUID, FirstName, LastName, CARD_UID.
+ * @param {string[][]} rows
+ * @return {Array<{ suid: string; firstName: string; lastName: string; cardUid: string }>}
+ */
+function toImportRows(rows) {
+  const normalize = (/** @type {string} */ value) =>
+    value.toLowerCase().replace(/[\s_]/g, "");
+  let columns = { suid: 0, firstName: 1, lastName: 2, cardUid: 3 };
+  let data = rows;
+  const header = rows.length ? rows[0].map(normalize) : [];
+  if (header.includes("suid")) {
+    columns = {
+      suid: header.indexOf("suid"),
+      firstName: header.indexOf("firstname"),
+      lastName: header.indexOf("lastname"),
+      cardUid: header.indexOf("carduid"),
+    };
+    data = rows.slice(1);
+  }
+  const pick = (/** @type {string[]} */ cells, /** @type {number} */ index) =>
+    index >= 0 ? cells[index] || "" : "";
+  return data.map((cells) => ({
+    suid: pick(cells, columns.suid),
+    firstName: pick(cells, columns.firstName),
+    lastName: pick(cells, columns.lastName),
+    cardUid: pick(cells, columns.cardUid).toUpperCase(),
+  }));
+}
+
+/**
+ * Parses a CSV file and asks the API what importing it would do, without
+ * saving anything.
+ * @param {string} text
+ */
+async function previewImport(text) {
+  const rows = toImportRows(parseCsv(text));
+  if (!rows.length) {
+    clearImport();
+    showToast("That file has no student rows.", "error");
+    return;
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    clearImport();
+    showToast(
+      `Import at most ${MAX_IMPORT_ROWS} students at a time. Split the file and try again.`,
+      "error"
+    );
+    return;
+  }
+
+  state.rosterImport = { rows, results: null, applied: false };
+  renderImport();
+  try {
+    const result = await postToApi({
+      action: "bulkRegister",
+      students: rows,
+      dryRun: true,
+    });
+    if (!state.rosterImport || state.rosterImport.rows !== rows) {
+      return;
+    }
+    state.rosterImport.results = result.results || [];
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Import preview failed:", message);
+    showToast(`We can't check that file: ${message}`, "error");
+    clearImport();
+    return;
+  }
+  renderImport();
+}
+
+async function applyImport() {
+  const pending = state.rosterImport;
+  if (!pending || !pending.results || pending.applied) {
+    return;
+  }
+  elements.importApplyButton.disabled = true;
+  elements.importApplyButton.classList.add("is-loading");
+  try {
+    const result = await postToApi({
+      action: "bulkRegister",
+      students: pending.rows,
+    });
+    pending.results = result.results || [];
+    pending.applied = true;
+    showToast("Import finished.", "success");
+    await loadDashboard({ silent: true });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Import failed:", message);
+    showToast(`We can't import that file: ${message}`, "error");
+  } finally {
+    elements.importApplyButton.classList.remove("is-loading");
+    renderImport();
+  }
+}
+
+function clearImport() {
+  state.rosterImport = null;
+  elements.importFile.value = "";
+  renderImport();
+}
+
+function renderImport() {
+  const pending = state.rosterImport;
+  const body = elements.importBody;
+  body.innerHTML = "";
+  elements.importPreview.hidden = !pending;
+  elements.importApplyButton.disabled = true;
+
+  if (!pending) {
+    elements.importSummary.textContent = "";
+    return;
+  }
+  if (!pending.results) {
+    elements.importSummary.textContent = `Checking ${pending.rows.length} rows…`;
+    return;
+  }
+
+  /** @type {Record<string, number>} */
+  const counts = { created: 0, updated: 0, unchanged: 0, error: 0 };
+  const fragment = document.createDocumentFragment();
+  pending.results.forEach((result) => {
+    const status = (result.status || "").toString();
+    counts[status] = (counts[status] || 0) + 1;
+    const entry = pending.rows[Number(result.row) - 1] || {};
+    const row = document.createElement("tr");
+    row.appendChild(createCell(String(result.row)));
+    row.appendChild(createCell(entry.suid || ""));
+    row.appendChild(
+      createCell(`${entry.firstName || ""} ${entry.lastName || ""}`.trim())
+    );
+    row.appendChild(createCell(entry.cardUid || ""));
+    row.appendChild(
+      createCell(
+        (result.message || status).toString(),
+        `import-result is-${status}`
+      )
+    );
+    fragment.appendChild(row);
+  });
+  body.appendChild(fragment);
+
+  const verb = pending.applied ? "" : "will be ";
+  const parts = [
+    `${counts.created} ${verb}added`,
+    `${counts.updated} ${verb}updated`,
+    `${counts.unchanged} unchanged`,
+  ];
+  if (counts.error) {
+    parts.push(
+      `${counts.error} with errors ${
+        pending.applied ? "skipped" : "will be skipped"
+      }`
+    );
+  }
+  elements.importSummary.textContent = `${
+    pending.applied ? "Imported" : "Preview"
+  }: ${parts.join(", ")}.`;
+  elements.importApplyButton.disabled =
+    pending.applied || counts.created + counts.updated === 0;
+}
+
+/**
+ * Lists the readers from the Devices sheet and flags any that have not
+ * reached the server within DEVICE_STALE_MINUTES.
+ */
+function renderDevices() {
+  renderEnrollDevices();
+  const body = elements.devicesBody;
+  body.innerHTML = "";
+
+  if (!state.devices.length) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = DEVICE_COLUMN_COUNT;
+    cell.className = "empty";
+    cell.textContent = "No readers have checked in yet.";
+    row.appendChild(cell);
+    body.appendChild(row);
+    elements.devicesSummary.textContent = "";
+    return;
+  }
+
+  let staleCount = 0;
+  const fragment = document.createDocumentFragment();
+  state.devices.forEach((device) => {
+    const deviceId = (device.DeviceId || "").toString();
+    const name = (device.Name || "").toString().trim() || deviceId;
+    const minutesAgo = getMinutesSince(device.LastSeen);
+    const isStale = minutesAgo === null || minutesAgo > DEVICE_STALE_MINUTES;
+    if (isStale) {
+      staleCount += 1;
+    }
+
+    const row = document.createElement("tr");
+    const nameCell = createCell(name);
+    nameCell.title = deviceId;
+    row.appendChild(nameCell);
+    row.appendChild(createCell((device.Location || "").toString()));
+    row.appendChild(createCell(formatDeviceTime(device.LastSeen)));
+    row.appendChild(createCell(formatDeviceTime(device.LastHealthCheck)));
+    row.appendChild(createCell((device.FirmwareVersion || "").toString()));
+    let status = "Online";
+    if (minutesAgo === null) {
+      status = "Never seen";
+    } else if (isStale) {
+      status = `Not seen for ${formatDuration(minutesAgo)}`;
+    }
+    row.appendChild(
+      createCell(status, `device-status ${isStale ? "is-stale" : "is-online"}`)
+    );
+    fragment.appendChild(row);
+  });
+  body.appendChild(fragment);
+
+  elements.devicesSummary.textContent = staleCount
+    ? `${staleCount} of ${state.devices.length} need attention`
+    : `All ${state.devices.length} online`;
+}
+
+/**
+ * @param {unknown} value ISO timestamp from the Devices sheet.
+ * @return {number | null} Whole minutes since value, or null when unset.
+ */
+function getMinutesSince(value) {
+  const time = value ? new Date(String(value)).getTime() : NaN;
+  if (isNaN(time)) {
+    return null;
+  }
+  return Math.max(0, Math.floor((Date.now() - time) / 60000));
+}
+
+/**
+ * @param {unknown} value ISO timestamp, e.g. from the Devices sheet.
+ * @return {string}
+ */
+function formatDeviceTime(value) {
+  if (!value) {
+    return "";
+  }
+  const date = formatHumanDate(coerceDateToYmd(value));
+  const time = formatTime12(value);
+  return [date, time].filter(Boolean).join(", ");
+}
+
+/**
+ * @param {number} minutes
+ * @return {string} e.g. "45 min", "3 h" or "2 days".
+ */
+function formatDuration(minutes) {
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  if (minutes < 48 * 60) {
+    return `${Math.floor(minutes / 60)} h`;
+  }
+  return `${Math.floor(minutes / (24 * 60))} days`;
+}
+
+/**
+ * School-wide day type for a date, worked out like the backend's getDayType:
+ * the WorkingDays setting, then weekly Calendar rules, then dated entries.
+ * Everything counts as a working day until the calendar has loaded.
+ * @param {string} dateKey yyyy-MM-dd
+ * @return {{ type: string; note: string }}
+ */
+function getDayType(dateKey) {
+  const result = { type: "working", note: "" };
+  const calendar = state.calendar;
+  if (!calendar) {
+    return result;
+  }
+  const weekday = WEEKDAY_KEYS[new Date(`${dateKey}T12:00:00Z`).getUTCDay()];
+  if (!calendar.workingDays.includes(weekday)) {
+    result.type = "off";
+  }
+  calendar.entries
+    .filter(
+      (entry) =>
+        !entry.courseId &&
+        (entry.weekday
+          ? entry.weekday === weekday
+          : dateKey >= entry.start && dateKey <= entry.end)
+    )
+    .sort((a, b) => (a.weekday ? 0 : 1) - (b.weekday ? 0 : 1))
+    .forEach((entry) => {
+      result.type = entry.type;
+      result.note = entry.note;
+    });
+  return result;
+}
+
+/**
+ * @param {AnyRecord} entry
+ * @return {string}
+ */
+function getCalendarDeletionKey(entry) {
+  return `calendar:${entry.entryId}`;
+}
+
+/**
+ * Lists Calendar entries, weekly rules first and then by date. Admins get
+ * the add form and a delete button per entry.
+ */
+function renderCalendar() {
+  const body = elements.calendarBody;
+  body.innerHTML = "";
+
+  const courseSelect = elements.calendarCourse;
+  const selectedCourse = courseSelect.value;
+  courseSelect.innerHTML = "";
+  const allCourses = document.createElement("option");
+  allCourses.value = "";
+  allCourses.textContent = "All courses";
+  courseSelect.appendChild(allCourses);
+  state.courses.forEach((course) => {
+    const option = document.createElement("option");
+    option.value = (course.courseId || "").toString();
+    option.textContent = option.value;
+    courseSelect.appendChild(option);
+  });
+  courseSelect.value = selectedCourse;
+
+  if (!state.calendar) {
+    elements.calendarSummary.textContent = "";
+    return;
+  }
+  const workingDays = state.calendar.workingDays
+    .map((day) => WEEKDAY_NAMES[WEEKDAY_KEYS.indexOf(day)])
+    .filter(Boolean);
+  elements.calendarSummary.textContent = `Working days: ${
+    workingDays.length ? workingDays.join(", ") : "none"
+  } (the WorkingDays setting). Entries below override it.`;
+
+  const entries = state.calendar.entries
+    .filter(
+      (entry) => !state.pendingDeletions.has(getCalendarDeletionKey(entry))
+    )
+    .sort((a, b) => {
+      if (!!a.weekday !== !!b.weekday) {
+        return a.weekday ? -1 : 1;
+      }
+      if (a.weekday) {
+        return (
+          WEEKDAY_KEYS.indexOf(a.weekday) - WEEKDAY_KEYS.indexOf(b.weekday)
+        );
+      }
+      return a.start < b.start ? -1 : a.start > b.start ? 1 : 0;
+    });
+
+  if (!entries.length) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = CALENDAR_COLUMN_COUNT;
+    cell.className = "empty";
+    cell.textContent = "No holidays or exceptions yet.";
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  entries.forEach((entry) => {
+    const row = document.createElement("tr");
+    let when = `Every ${WEEKDAY_NAMES[WEEKDAY_KEYS.indexOf(entry.weekday)]}`;
+    if (!entry.weekday) {
+      when =
+        entry.end && entry.end !== entry.start
+          ? `${formatHumanDate(entry.start)} – ${formatHumanDate(entry.end)}`
+          : formatHumanDate(entry.start);
+    }
+    row.appendChild(createCell(when));
+    row.appendChild(createCell(DAY_TYPE_LABELS[entry.type]));
+    row.appendChild(createCell(entry.courseId || "All courses"));
+    row.appendChild(createCell(entry.note || ""));
+
+    const actions = document.createElement("td");
+    actions.className = "row-actions";
+    if (isAdmin()) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "small";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.setAttribute("aria-label", `Delete ${when}`);
+      deleteBtn.addEventListener("click", () => {
+        scheduleDeletion(getCalendarDeletionKey(entry), "Entry removed.", {
+          action: "delete",
+          type: "calendar",
+          entryId: entry.entryId,
+        });
+      });
+      actions.appendChild(deleteBtn);
+    }
+    row.appendChild(actions);
+    fragment.appendChild(row);
+  });
+  body.appendChild(fragment);
+}
+
+async function submitCalendarEntry() {
+  const weekday = elements.calendarRepeat.value;
+  const start = elements.calendarStart.value;
+  if (!weekday && !start) {
+    showToast("Pick a date or a weekly day.", "error");
+    return;
+  }
+
+  try {
+    await postToApi({
+      action: "addCalendarEntry",
+      start: weekday || start,
+      end: weekday ? "" : elements.calendarEnd.value,
+      type: elements.calendarType.value,
+      courseId: elements.calendarCourse.value,
+      note: elements.calendarNote.value.trim(),
+    });
+    elements.calendarForm.reset();
+    elements.calendarStart.disabled = false;
+    elements.calendarEnd.disabled = false;
+    showToast("Calendar entry added.", "success");
+    await loadDashboard({ silent: true });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Calendar entry failed:", message);
+    showToast(`We can't add that entry: ${message}`, "error");
+  }
+}
+
+/**
+ * Debounces audit reloads so typing in the filters sends one request.
+ */
+function scheduleAuditLoad() {
+  if (auditReloadTimer !== undefined) {
+    window.clearTimeout(auditReloadTimer);
+  }
+  auditReloadTimer = window.setTimeout(() => {
+    auditReloadTimer = undefined;
+    void loadAuditLog();
+  }, REPORT_RELOAD_DELAY_MS);
+}
+
+/**
+ * @param {string} cursor Offset of the first entry to fetch.
+ * @return {string}
+ */
+function buildAuditUrl(cursor) {
+  const url = new URL(getApiUrl());
+  url.searchParams.set("token", state.session ? state.session.token : "");
+  url.searchParams.set("audit", "1");
+  url.searchParams.set("limit", String(AUDIT_PAGE_SIZE));
+  url.searchParams.set("cursor", cursor);
+  [
+    ["sheet", elements.auditSheet.value],
+    ["actor", elements.auditActor.value.trim()],
+    ["q", elements.auditQuery.value.trim()],
+    ["from", elements.auditFrom.value],
+    ["to", elements.auditTo.value],
+  ].forEach(([key, value]) => {
+    if (value) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+}
+
+/**
+ * Fetches the newest audit entries for the current filters, or with `more`
+ * the next page after the ones already shown. Admins only.
+ * @param {boolean} [more]
+ */
+async function loadAuditLog(more) {
+  if (!isAdmin()) {
+    elements.auditSummary.textContent = "Only admins can see the audit log.";
+    return;
+  }
+  // Responses for superseded filters are dropped.
+  const requestId = ++state.audit.requestId;
+  const cursor = more && state.audit.nextCursor ? state.audit.nextCursor : "0";
+  elements.auditSummary.textContent = "Loading audit log…";
+  try {
+    const response = await fetch(buildAuditUrl(cursor));
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+    const payload = await response.json();
+    if (requestId !== state.audit.requestId) {
+      return;
+    }
+    if (payload && payload.status === "error" && payload.code === 401) {
+      signOut("Your session has ended. Sign in again.");
+      return;
+    }
+    if (
+      !payload ||
+      payload.status !== "ok" ||
+      !Array.isArray(payload.entries)
+    ) {
+      throw new Error((payload && payload.message) || "Malformed audit log");
+    }
+    state.audit.entries =
+      cursor === "0"
+        ? payload.entries
+        : state.audit.entries.concat(payload.entries);
+    state.audit.total = payload.page ? Number(payload.page.total) || 0 : 0;
+    state.audit.nextCursor = payload.page ? payload.page.nextCursor : null;
+    renderAuditLog();
+  } catch (error) {
+    if (requestId !== state.audit.requestId) {
+      return;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Audit log load failed:", message);
+    elements.auditSummary.textContent = "";
+    showToast("We can't load the audit log right now.", "error");
+  }
+}
+
+/**
+ * Summarises an entry's snapshots: the changed fields of an edit, or the
+ * values of a row that was added or removed.
+ * @param {AnyRecord} entry
+ * @return {string}
+ */
+function describeAuditChange(entry) {
+  const before = entry.Before || {};
+  const after = entry.After || {};
+  if (entry.Before && entry.After) {
+    return Object.keys(after)
+      .map((key) => `${key}: ${before[key] || "—"} → ${after[key] || "—"}`)
+      .join("; ");
+  }
+  const snapshot = entry.After ? after : before;
+  const values = Object.keys(snapshot)
+    .filter((key) => key !== "RowId" && snapshot[key] !== "")
+    .map((key) => `${key} ${snapshot[key]}`)
+    .join(", ");
+  return `${entry.After ? "Added" : "Removed"}: ${values}`;
+}
+
+function renderAuditLog() {
+  const body = elements.auditBody;
+  body.innerHTML = "";
+  const { entries, total, nextCursor } = state.audit;
+  elements.auditSummary.textContent = total
+    ? `Showing ${entries.length} of ${total} entries, newest first.`
+    : "";
+  elements.auditMoreButton.hidden = !nextCursor;
+
+  if (!entries.length) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = AUDIT_COLUMN_COUNT;
+    cell.className = "empty";
+    cell.textContent = "No changes match these filters.";
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  entries.forEach((entry) => {
+    const row = document.createElement("tr");
+    row.appendChild(createCell(formatDeviceTime(entry.Timestamp)));
+    row.appendChild(createCell(entry.Actor || ""));
+    row.appendChild(createCell(entry.Action || ""));
+    row.appendChild(createCell(entry.Sheet || ""));
+    row.appendChild(createCell(entry.TargetKey || ""));
+    row.appendChild(createCell(describeAuditChange(entry)));
+
+    const actions = document.createElement("td");
+    actions.className = "row-actions";
+    // Rows deleted from an archive month are logged against that sheet.
+    if (
+      /^Attendance(_\d{4}_\d{2})?$/.test(entry.Sheet || "") &&
+      entry.Action === "delete"
+    ) {
+      const restoreBtn = document.createElement("button");
+      restoreBtn.type = "button";
+      restoreBtn.className = "small";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.setAttribute(
+        "aria-label",
+        `Restore attendance row ${entry.TargetKey || ""}`
+      );
+      restoreBtn.addEventListener("click", async () => {
+        await restoreAttendanceRow(entry, restoreBtn);
+      });
+      actions.appendChild(restoreBtn);
+    }
+    row.appendChild(actions);
+    fragment.appendChild(row);
+  });
+  body.appendChild(fragment);
+}
+
+/**
+ * Puts a deleted attendance row back from its audit entry.
+ * @param {AnyRecord} entry
+ * @param {HTMLButtonElement} button
+ */
+async function restoreAttendanceRow(entry, button) {
+  button.disabled = true;
+  try {
+    await postToApi({ action: "restoreAttendance", auditId: entry.AuditId });
+    showToast("Attendance row restored.", "success");
+    await Promise.all([loadDashboard({ silent: true }), loadAuditLog()]);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Restore failed:", message);
+    showToast(`We can't restore that row: ${message}`, "error");
+    button.disabled = false;
+  }
+}
+
+function renderUnregistered() {
+  const list = elements.unregisteredList;
+  list.innerHTML = "";
+
+  const pendingCards = state.unregistered.filter((rawEntry) => {
+    const entry = /** @type {AnyRecord} */ (rawEntry);
+    if (state.pendingDeletions.has(getUnregisteredDeletionKey(entry))) {
+      return false;
+    }
+    const status = (entry.Status || entry.status || "Pending")
+      .toString()
+      .toLowerCase();
+    return status === "pending" || !entry.Status;
+  });
+  // Most recent tap first; rows without LastSeen keep their sheet order.
+  const lastSeenMs = (/** @type {AnyRecord} */ entry) =>
+    new Date(String(entry.LastSeen || "")).getTime() || 0;
+  pendingCards.sort((a, b) => lastSeenMs(b) - lastSeenMs(a));
+
+  if (pendingCards.length === 0) {
+    const message = document.createElement("p");
+    message.className = "placeholder";
+    message.textContent = "All cards are set up.";
+    list.appendChild(message);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  pendingCards.forEach((rawEntry) => {
+    const entry = /** @type {AnyRecord} */ (rawEntry);
+    const cardUid = (entry.CARD_UID || "").toString().trim().toUpperCase();
+    const card = document.createElement("article");
+    card.className = "pending-card";
+    if (cardUid === state.selectedCardUid) {
+      card.classList.add("is-selected");
+    }
+
+    const header = document.createElement("header");
+    const title = document.createElement("strong");
+    title.textContent = cardUid || "Unknown card";
+    const status = document.createElement("span");
+    status.textContent = "Pending";
+    status.className = "badge";
+    header.appendChild(title);
+    header.appendChild(status);
+
+    const meta = document.createElement("div");
+    meta.className = "pending-meta";
+    const addMeta = (/** @type {string} */ text) => {
+      const item = document.createElement("span");
+      item.textContent = text;
+      meta.appendChild(item);
+    };
+    if (entry.LastSeen) {
+      addMeta(`Last seen ${formatDeviceTime(entry.LastSeen)}`);
+      const taps = Number(entry.TapCount) || 1;
+      addMeta(`${taps} tap${taps === 1 ? "" : "s"}`);
+      const deviceId = (entry.DeviceId || "").toString();
+      const device = state.devices.find(
+        (candidate) => (candidate.DeviceId || "").toString() === deviceId
+      );
+      if (deviceId) {
+        addMeta(
+          device ? (device.Name || "").toString().trim() || deviceId : deviceId
+        );
+      }
+      if (entry.FirstSeen && taps > 1) {
+        meta.title = `First seen ${formatDeviceTime(entry.FirstSeen)}`;
+      }
+    } else {
+      const dateValue = formatHumanDate(entry.Date);
+      if (dateValue) {
+        addMeta(dateValue);
+      }
+      const timeValue = formatTime12(entry.Time);
+      if (timeValue) {
+        addMeta(timeValue);
+      }
+    }
+
+    const linkBtn = document.createElement("button");
+    linkBtn.className = "primary small";
+    linkBtn.type = "button";
+    linkBtn.textContent = "Link student";
+    linkBtn.setAttribute(
+      "aria-pressed",
+      cardUid === state.selectedCardUid ? "true" : "false"
+    );
+    linkBtn.addEventListener("click", () => {
+      selectCard(cardUid);
+      elements.formSuid.focus();
+    });
+
+    const dismissBtn = document.createElement("button");
+    dismissBtn.className = "small";
+    dismissBtn.type = "button";
+    dismissBtn.textContent = "Dismiss";
+    dismissBtn.setAttribute("aria-label", `Dismiss card ${cardUid}`);
+    dismissBtn.addEventListener("click", () => {
+      confirmDismissCard(entry);
+    });
+
+    card.appendChild(header);
+    if (meta.childElementCount > 0) {
+      card.appendChild(meta);
+    }
+    if (isAdmin()) {
+      const actions = document.createElement("div");
+      actions.className = "card-actions";
+      actions.appendChild(linkBtn);
+      actions.appendChild(dismissBtn);
+      card.appendChild(actions);
+    }
+    fragment.appendChild(card);
+  });
+
+  list.appendChild(fragment);
+}
+
+/**
+ * @param {string} cardUid
+ */
+function selectCard(cardUid) {
+  state.selectedCardUid = cardUid;
+  elements.formCardUid.value = cardUid || "";
+  refreshPendingSelection();
+}
+
+function refreshPendingSelection() {
+  const cards = elements.unregisteredList.querySelectorAll(".pending-card");
+  cards.forEach((card) => {
+    const title = card.querySelector("strong");
+    const isSelected =
+      title && title.textContent.trim().toUpperCase() === state.selectedCardUid;
+    card.classList.toggle("is-selected", !!isSelected);
+    const action = card.querySelector("button.primary");
+    if (action) {
+      action.setAttribute("aria-pressed", isSelected ? "true" : "false");
+    }
+  });
+}
+
+/**
+ * Fills the enroll mode reader picker from the Devices list. Until a reader
+ * is picked, one that is already enrolling is preferred.
+ */
+function renderEnrollDevices() {
+  const select = elements.enrollDevice;
+  const active = state.enroll.sessions[0];
+  const selected =
+    state.enroll.deviceId || (active ? active.deviceId : select.value);
+  select.innerHTML = "";
+  state.devices.forEach((device) => {
+    const deviceId = (device.DeviceId || "").toString();
+    if (!deviceId) {
+      return;
+    }
+    const option = document.createElement("option");
+    option.value = deviceId;
+    option.textContent = (device.Name || "").toString().trim() || deviceId;
+    select.appendChild(option);
+  });
+  select.value = selected;
+  if (!select.value && select.options.length) {
+    select.selectedIndex = 0;
+  }
+  renderEnrollStatus();
+}
+
+/**
+ * @return {AnyRecord | undefined} The selected reader's enroll session.
+ */
+function getSelectedEnrollSession() {
+  const deviceId = elements.enrollDevice.value;
+  return state.enroll.sessions.find((session) => session.deviceId === deviceId);
+}
+
+/**
+ * Shows whether the selected reader is enrolling and the cards it holds.
+ * Cards that are already linked are listed with their student but can't be
+ * used.
+ */
+function renderEnrollStatus() {
+  const session = getSelectedEnrollSession();
+  elements.enrollToggleButton.textContent = session
+    ? "Stop enrolling"
+    : "Start enrolling";
+  elements.enrollToggleButton.disabled = !elements.enrollDevice.value;
+  elements.enrollStatus.hidden = !session;
+  const list = elements.enrollCandidates;
+  list.innerHTML = "";
+  if (!session) {
+    elements.enrollSummary.textContent = "";
+    return;
+  }
+
+  const candidates = Array.isArray(session.candidates)
+    ? session.candidates
+    : [];
+  const open = candidates.filter((candidate) => !candidate.linkedSuid);
+  elements.enrollSummary.textContent = open.length
+    ? `${open.length} new card${
+        open.length === 1 ? "" : "s"
+      } waiting. Taps at this reader are not counted as attendance.`
+    : "Tap a card at the reader. Taps there are not counted as attendance.";
+
+  const fragment = document.createDocumentFragment();
+  candidates.forEach((candidate) => {
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    const linkedSuid = (candidate.linkedSuid || "").toString();
+    if (linkedSuid) {
+      const student = findStudent(linkedSuid);
+      const name = student
+        ? `${student.FirstName || ""} ${student.LastName || ""}`.trim()
+        : "";
+      label.textContent = `${candidate.uid} is already linked to ${
+        name ? `${name} (${linkedSuid})` : linkedSuid
+      }`;
+    } else {
+      label.textContent = candidate.uid;
+    }
+    item.appendChild(label);
+    if (!linkedSuid) {
+      const useBtn = document.createElement("button");
+      useBtn.type = "button";
+      useBtn.className = "small";
+      useBtn.textContent = "Use";
+      useBtn.setAttribute("aria-label", `Use card ${candidate.uid}`);
+      useBtn.addEventListener("click", () => {
+        selectCard(candidate.uid);
+        elements.formSuid.focus();
+      });
+      item.appendChild(useBtn);
+    }
+    fragment.appendChild(item);
+  });
+  list.appendChild(fragment);
+}
+
+/**
+ * Puts the oldest new card into the link form when the form has no card yet.
+ * Each card is offered once, so clearing the selection doesn't bring it back.
+ */
+function offerEnrollCandidate() {
+  const session = getSelectedEnrollSession();
+  if (!session || elements.formCardUid.value) {
+    return;
+  }
+  const next = (session.candidates || []).find(
+    (candidate) =>
+      !candidate.linkedSuid && !state.enroll.offered.has(candidate.uid)
+  );
+  if (next) {
+    state.enroll.offered.add(next.uid);
+    selectCard(next.uid);
+    elements.formSuid.focus();
+  }
+}
+
+/**
+ * @param {AnyRecord[]} sessions
+ */
+function setEnrollSessions(sessions) {
+  state.enroll.sessions = sessions;
+  renderEnrollDevices();
+  offerEnrollCandidate();
+  scheduleEnrollPoll();
+}
+
+/**
+ * Checks again after ENROLL_POLL_INTERVAL_MS while the selected reader is
+ * enrolling. The next check is only set once the last one has answered.
+ */
+function scheduleEnrollPoll() {
+  window.clearTimeout(enrollPollTimer);
+  enrollPollTimer = undefined;
+  if (!state.session || !getSelectedEnrollSession()) {
+    return;
+  }
+  enrollPollTimer = window.setTimeout(() => {
+    enrollPollTimer = undefined;
+    void loadEnrollSessions();
+  }, ENROLL_POLL_INTERVAL_MS);
+}
+
+/**
+ * Fetches the readers in enroll mode and the cards they hold. Admins only.
+ */
+async function loadEnrollSessions() {
+  if (!isAdmin() || !getApiUrl()) {
+    return;
+  }
+  // Answers that arrive after a newer request or a toggle are dropped.
+  const requestId = ++state.enroll.requestId;
+  try {
+    const url = new URL(getApiUrl());
+    url.searchParams.set("token", state.session ? state.session.token : "");
+    url.searchParams.set("enroll", "1");
+    const response = await fetchApi(url.toString());
+    const payload = await response.json().catch(() => null);
+    if (requestId !== state.enroll.requestId) {
+      return;
+    }
+    if (payload && payload.status === "error" && payload.code === 401) {
+      signOut("Your session has ended. Sign in again.");
+      return;
+    }
+    if (
+      !payload ||
+      payload.status !== "ok" ||
+      !Array.isArray(payload.sessions)
+    ) {
+      throw new Error(
+        (payload && payload.message) || "Malformed enroll sessions"
+      );
+    }
+    setEnrollSessions(payload.sessions);
+  } catch (error) {
+    if (requestId !== state.enroll.requestId) {
+      return;
+    }
+    // Polling keeps going; a toast every two seconds would drown the page.
+    console.warn(LOG_PREFIX, "Enroll status load failed:", error);
+    scheduleEnrollPoll();
+  }
+}
+
+/**
+ * Turns enroll mode on or off for the selected reader.
+ */
+async function toggleEnrollMode() {
+  const deviceId = elements.enrollDevice.value;
+  if (!deviceId) {
+    return;
+  }
+  const enabled = !getSelectedEnrollSession();
+  state.enroll.deviceId = deviceId;
+  state.enroll.requestId++;
+  elements.enrollToggleButton.disabled = true;
+  try {
+    const result = await postToApi({ action: "enrollMode", deviceId, enabled });
+    const others = state.enroll.sessions.filter(
+      (session) => session.deviceId !== deviceId
+    );
+    setEnrollSessions(
+      result.session ? others.concat([result.session]) : others
+    );
+    showToast(
+      enabled
+        ? "Enroll mode is on. Tap new cards at the reader."
+        : "Enroll mode is off.",
+      "success"
+    );
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Enroll mode change failed:", message);
+    showToast(
+      isOfflineError(error)
+        ? "You're offline. Enroll mode needs a connection."
+        : "We can't change enroll mode right now.",
+      "error"
+    );
+    renderEnrollStatus();
+  }
+}
+
+async function submitRegistration() {
+  if (!elements.form.checkValidity()) {
+    elements.form.reportValidity();
+    return;
+  }
+
+  const payload = {
+    action: "register",
+    data: {
+      cardUid: elements.formCardUid.value.trim(),
+      suid: elements.formSuid.value.trim(),
+      firstName: elements.formFirstName.value.trim(),
+      lastName: elements.formLastName.value.trim(),
+    },
+  };
+
+  try {
+    setSubmitLoading(true);
+    setFormDisabled(true);
+    const result = await postOrQueue(payload);
+    elements.form.reset();
+    selectCard("");
+    if (!result) {
+      showToast("You're offline. The link will be sent when you reconnect.");
+      return;
+    }
+
+    showToast("Student linked.", "success");
+    await loadDashboard();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Registration request failed:", message);
+    showToast("We can't link that student right now.", "error");
+  } finally {
+    setFormDisabled(false);
+    setSubmitLoading(false);
+  }
+}
+
+/**
+ * Sends an action to the Apps Script endpoint and returns the parsed result.
+ * Throws when the request fails or the API reports an error.
+ * @param {AnyRecord} payload
+ * @return {Promise<AnyRecord>}
+ */
+async function postToApi(payload) {
+  const body = state.session
+    ? { ...payload, token: state.session.token }
+    : payload;
+  // Skip setting Content-Type so the browser treats this as a simple POST and avoids a failing CORS preflight.
+  const response = await fetchApi(getApiUrl(), {
+    method: "POST",
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (result && result.code === 401 && state.session) {
+    signOut("Your session has ended. Sign in again.");
+  }
+  if (!response.ok || !result || result.status !== "ok") {
+    throw new Error(result.message || `Request failed (${payload.action})`);
+  }
+  return result;
+}
+
+/**
+ * fetch() for API calls. It only rejects when the API can't be reached, and
+ * the error it throws then is marked for isOfflineError.
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @return {Promise<Response>}
+ */
+async function fetchApi(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    console.warn(LOG_PREFIX, "API unreachable:", error);
+    throw Object.assign(new Error("No connection to the API."), {
+      offline: true,
+    });
+  }
+}
+
+/**
+ * @param {unknown} error
+ * @return {boolean} Whether the request never reached the API.
+ */
+function isOfflineError(error) {
+  return !!error && /** @type {AnyRecord} */ (error).offline === true;
+}
+
+/**
+ * Posts an admin action. Without a connection, register and delete actions
+ * are kept in the outbox and sent by replayOutbox later.
+ * @param {AnyRecord} payload
+ * @return {Promise<AnyRecord | null>} The API result, or null when queued.
+ */
+async function postOrQueue(payload) {
+  try {
+    return await postToApi(payload);
+  } catch (error) {
+    if (!isOfflineError(error) || !OUTBOX_ACTIONS.includes(payload.action)) {
+      throw error;
+    }
+    await runOfflineStore(OUTBOX_STORE, "readwrite", (store) =>
+      store.add({
+        key: getOfflineKey(),
+        queuedAt: Date.now(),
+        label: describeOutboxAction(payload),
+        payload,
+      })
+    );
+    state.offline = true;
+    await refreshOutbox();
+    return null;
+  }
+}
+
+/**
+ * Sends queued actions in the order they were made. An action the API
+ * refuses is dropped from the outbox and listed as a conflict; a lost
+ * connection or session stops the replay and keeps the rest.
+ */
+async function replayOutbox() {
+  if (replayingOutbox || !state.session || !state.outbox.length) {
+    return;
+  }
+  replayingOutbox = true;
+  let sent = 0;
+  let refused = 0;
+  try {
+    for (const entry of state.outbox.slice()) {
+      try {
+        await postToApi(entry.payload);
+        sent++;
+      } catch (error) {
+        if (isOfflineError(error) || !state.session) {
+          break;
+        }
+        refused++;
+        state.outboxConflicts.push({
+          label: entry.label,
+          message: error instanceof Error ? error.message : String(error),
+          queuedAt: entry.queuedAt,
+        });
+      }
+      await runOfflineStore(OUTBOX_STORE, "readwrite", (store) =>
+        store.delete(entry.id)
+      );
+    }
+  } catch (error) {
+    console.error(LOG_PREFIX, "Outbox replay failed:", error);
+  } finally {
+    replayingOutbox = false;
+    await refreshOutbox();
+  }
+
+  if (refused) {
+    showToast(
+      `${refused} offline change${
+        refused === 1 ? " was" : "s were"
+      } not applied. See Offline changes.`,
+      "error"
+    );
+  } else if (sent) {
+    showToast(
+      `${sent} offline change${sent === 1 ? "" : "s"} sent.`,
+      "success"
+    );
+  }
+}
+
+/**
+ * Reloads the signed-in user's queued actions from IndexedDB.
+ */
+async function refreshOutbox() {
+  if (!state.session) {
+    return;
+  }
+  try {
+    const key = getOfflineKey();
+    /** @type {AnyRecord[]} */
+    const entries = await runOfflineStore(OUTBOX_STORE, "readonly", (store) =>
+      store.getAll()
+    );
+    state.outbox = entries.filter((entry) => entry.key === key);
+  } catch (error) {
+    console.warn(LOG_PREFIX, "Outbox unavailable:", error);
+  }
+  renderOfflineStatus();
+}
+
+/**
+ * @param {AnyRecord} payload
+ * @return {string} What a queued action does, for the outbox list.
+ */
+function describeOutboxAction(payload) {
+  if (payload.action === "register") {
+    return `Link card ${payload.data.cardUid} to ${payload.data.suid}`;
+  }
+  switch (payload.type) {
+    case "attendance":
+      return `Delete ${payload.uid}'s record from ${formatHumanDate(
+        payload.dateKey
+      )}`;
+    case "unregistered":
+      return `Dismiss unknown card ${payload.uid}`;
+    case "student":
+      return `Delete student ${payload.suid}`;
+    case "calendar":
+      return `Delete calendar entry ${payload.entryId}`;
+    default:
+      return payload.action;
+  }
+}
+
+/**
+ * Saves what the dashboard shows so it can be viewed offline.
+ */
+function saveSnapshot() {
+  if (!state.session) {
+    return;
+  }
+  state.dataSavedAt = Date.now();
+  const snapshot = {
+    key: getOfflineKey(),
+    savedAt: state.dataSavedAt,
+    data: {
+      students: state.students,
+      cards: state.cards,
+      devices: state.devices,
+      courses: state.courses,
+      calendar: state.calendar,
+      attendance: state.attendance,
+      unregistered: state.unregistered,
+    },
+  };
+  runOfflineStore(SNAPSHOT_STORE, "readwrite", (store) =>
+    store.put(snapshot)
+  ).catch((error) => {
+    console.warn(LOG_PREFIX, "Could not save data for offline use:", error);
+  });
+}
+
+/**
+ * Shows the last saved payload. The revision is left empty, so the next
+ * online load fetches everything.
+ */
+async function restoreSnapshot() {
+  try {
+    const snapshot = await runOfflineStore(
+      SNAPSHOT_STORE,
+      "readonly",
+      (store) => store.get(getOfflineKey())
+    );
+    if (!snapshot) {
+      return;
+    }
+    Object.assign(state, snapshot.data);
+    state.revision = "";
+    state.dataSavedAt = Number(snapshot.savedAt) || 0;
+    renderAttendance();
+    renderUnregistered();
+    renderDevices();
+    renderStudentDetail();
+    renderRoster();
+    renderCalendar();
+  } catch (error) {
+    console.warn(LOG_PREFIX, "No saved data available:", error);
+  }
+}
+
+/**
+ * Shows the offline banner with the age of the data on screen, and lists
+ * queued and refused actions for admins.
+ */
+function renderOfflineStatus() {
+  const pending = state.outbox.length;
+  elements.offlineBanner.hidden = !state.offline;
+  if (state.offline) {
+    const parts = [
+      state.dataSavedAt
+        ? `Offline. Showing data from ${formatSavedAt(state.dataSavedAt)}.`
+        : "Offline.",
+    ];
+    if (pending) {
+      parts.push(
+        `${pending} change${
+          pending === 1 ? "" : "s"
+        } will be sent when you reconnect.`
+      );
+    }
+    elements.offlineBanner.textContent = parts.join(" ");
+  }
+
+  elements.outboxPanel.hidden =
+    !isAdmin() || (!pending && !state.outboxConflicts.length);
+  elements.outboxRetryButton.disabled = !pending;
+  const list = elements.outboxList;
+  list.innerHTML = "";
+  state.outbox.forEach((entry) => {
+    const item = document.createElement("li");
+    item.textContent = `${entry.label} · queued ${formatSavedAt(
+      entry.queuedAt
+    )}`;
+    list.appendChild(item);
+  });
+  state.outboxConflicts.forEach((conflict, index) => {
+    const item = document.createElement("li");
+    item.className = "is-conflict";
+    const text = document.createElement("span");
+    text.textContent = `Not applied: ${conflict.label} (${conflict.message})`;
+    item.appendChild(text);
+    const dismiss = document.createElement("button");
+    dismiss.type = "button";
+    dismiss.className = "small";
+    dismiss.textContent = "Dismiss";
+    dismiss.addEventListener("click", () => {
+      state.outboxConflicts.splice(index, 1);
+      renderOfflineStatus();
+    });
+    item.appendChild(dismiss);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * @param {number} ms
+ * @return {string} Day and time in the deployment's time zone.
+ */
+function formatSavedAt(ms) {
+  return new Intl.DateTimeFormat(state.config.locale || undefined, {
+    timeZone: state.config.timeZone,
+    day: "numeric",
+    month: "long",
+    hour: "numeric",
+    minute: "2-digit",
+  }).format(new Date(ms));
+}
+
+/**
+ * @return {string} Key of the signed-in user's snapshot and outbox entries.
+ */
+function getOfflineKey() {
+  const username = state.session ? state.session.username : "";
+  return `${getApiUrl()}|${username}`;
+}
+
+/**
+ * @return {Promise<IDBDatabase>}
+ */
+function openOfflineDb() {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = window.indexedDB.open(
+        OFFLINE_DB_NAME,
+        OFFLINE_DB_VERSION
+      );
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: "key" });
+        request.result.createObjectStore(OUTBOX_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return offlineDbPromise;
+}
+
+/**
+ * Runs one request in its own transaction and resolves once it commits.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ * @return {Promise<any>} The request's result.
+ */
+async function runOfflineStore(storeName, mode, action) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Lets the browser install the dashboard and open it without a connection.
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+  navigator.serviceWorker.register("sw.js").catch((error) => {
+    console.warn(LOG_PREFIX, "Service worker registration failed:", error);
+  });
+}
+
+async function submitLogin() {
+  if (!elements.loginForm.checkValidity()) {
+    elements.loginForm.reportValidity();
+    return;
+  }
+
+  const submitButton = elements.loginSubmitButton;
+  submitButton.disabled = true;
+  submitButton.classList.add("is-loading");
+  try {
+    const result = await postToApi({
+      action: "login",
+      username: elements.loginUsername.value.trim(),
+      password: elements.loginPassword.value,
+    });
+    state.session = {
+      token: result.token,
+      username: result.user.username,
+      role: result.user.role,
+      expiresAt: Number(result.expiresAt) || 0,
+    };
+    storeSession(state.session);
+    elements.loginForm.reset();
+    applySessionState();
+    await refreshOutbox();
+    await loadDashboard();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Sign-in failed:", message);
+    showToast(message || "We can't sign you in right now.", "error");
+  } finally {
+    submitButton.disabled = false;
+    submitButton.classList.remove("is-loading");
+  }
+}
+
+/**
+ * Clears the session and cached data, then shows the sign-in form.
+ * @param {string} [message]
+ */
+function signOut(message) {
+  // Saved data stays on this device only while someone is signed in.
+  if (state.session) {
+    void runOfflineStore(SNAPSHOT_STORE, "readwrite", (store) =>
+      store.delete(getOfflineKey())
+    ).catch((error) => {
+      console.warn(LOG_PREFIX, "Could not clear saved data:", error);
+    });
+  }
+  state.session = null;
+  storeSession(null);
+  state.dataSavedAt = 0;
+  state.outbox = [];
+  state.outboxConflicts = [];
+  window.clearTimeout(enrollPollTimer);
+  enrollPollTimer = undefined;
+  state.enroll = {
+    sessions: [],
+    deviceId: "",
+    offered: new Set(),
+    requestId: state.enroll.requestId + 1,
+  };
+  state.students = [];
+  state.cards = [];
+  state.devices = [];
+  state.courses = [];
+  state.calendar = null;
+  state.attendance = [];
+  state.unregistered = [];
+  state.editing = null;
+  state.revision = "";
+  state.rosterEditing = null;
+  closeStudentDetail();
+  clearImport();
+  applySessionState();
+  if (message) {
+    showToast(message, "info");
+  }
+}
+
+/**
+ * Shows either the sign-in form or the dashboard, and hides admin-only
+ * controls from teachers.
+ */
+function applySessionState() {
+  const session = state.session;
+  // Nothing works without an API URL, so the settings panel comes first.
+  const showSettings = state.settingsOpen || !getApiUrl();
+  elements.settingsPanel.hidden = !showSettings;
+  elements.settingsCancelButton.hidden = !getApiUrl();
+  elements.loginPanel.hidden = !!session || showSettings;
+  elements.dashboardContent.hidden = !session || showSettings;
+  elements.sessionBar.hidden = !session;
+  document.body.classList.toggle("is-readonly", !isAdmin());
+  document
+    .querySelectorAll("[data-admin-only], [data-feature]")
+    .forEach((node) => {
+      const element = /** @type {HTMLElement} */ (node);
+      element.hidden =
+        (element.hasAttribute("data-admin-only") && !isAdmin()) ||
+        !isFeatureEnabled(element.dataset.feature);
+    });
+  if (session) {
+    elements.sessionUser.textContent = `${session.username} (${session.role})`;
+  }
+  if (showSettings) {
+    elements.settingsApiUrl.focus();
+  } else if (!session) {
+    elements.loginUsername.focus();
+  }
+  renderOfflineStatus();
+}
+
+/**
+ * @return {boolean}
+ */
+function isAdmin() {
+  return !!state.session && state.session.role === "admin";
+}
+
+/**
+ * @return {{ token: string; username: string; role: string; expiresAt: number } | null}
+ */
+function readStoredSession() {
+  try {
+    const raw = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+    const session = raw ? JSON.parse(raw) : null;
+    if (!session || !session.token || session.expiresAt <= Date.now()) {
+      return null;
+    }
+    return session;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * @param {{ token: string; username: string; role: string; expiresAt: number } | null} session
+ */
+function storeSession(session) {
+  if (session) {
+    window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } else {
+    window.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+}
+
+/**
+ * @return {string} The web app URL saved on the settings panel, or
+ *   DEFAULT_API_URL when none is saved.
+ */
+function getApiUrl() {
+  try {
+    return window.localStorage.getItem(API_URL_STORAGE_KEY) || DEFAULT_API_URL;
+  } catch (_error) {
+    return DEFAULT_API_URL;
+  }
+}
+
+/**
+ * Reads the deployment's time zone, locale and features from `?config=1`.
+ * @param {string} apiUrl
+ * @return {Promise<AnyRecord>}
+ */
+async function fetchConfig(apiUrl) {
+  const url = new URL(apiUrl);
+  url.searchParams.set("config", "1");
+  const response = await fetch(url.toString());
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  const payload = await response.json();
+  if (!payload || payload.status !== "ok" || !payload.config) {
+    throw new Error("Malformed response from API");
+  }
+  return payload.config;
+}
+
+/**
+ * Applies the deployment config, keeping the defaults when it can't be read.
+ */
+async function loadConfig() {
+  if (!getApiUrl()) {
+    return;
+  }
+  try {
+    applyConfig(await fetchConfig(getApiUrl()));
+  } catch (error) {
+    console.warn(LOG_PREFIX, "Using default settings:", error);
+  }
+}
+
+/**
+ * Rebuilds the date formatters for the deployment's time zone and locale,
+ * hides disabled features and leaves a screen or tab that was switched off.
+ * @param {AnyRecord} config From `?config=1`.
+ */
+function applyConfig(config) {
+  /** @type {typeof DEFAULT_CONFIG} */
+  const next = {
+    timeZone: config.timeZone || DEFAULT_CONFIG.timeZone,
+    locale: config.locale || "",
+    features: { ...DEFAULT_CONFIG.features, ...(config.features || {}) },
+  };
+  try {
+    datePartFormatter = createDatePartFormatter(next);
+    humanDateFormatter = createHumanDateFormatter(next);
+    dateKeyFormatter = createHumanDateFormatter(next, "UTC");
+  } catch (error) {
+    // Intl rejects unknown time zones and locales; keep what works.
+    console.warn(LOG_PREFIX, "Ignoring invalid config:", error);
+    return;
+  }
+  state.config = next;
+  applySessionState();
+
+  /** @type {Partial<typeof DEFAULT_VIEW>} */
+  const patch = {};
+  if (!isFeatureEnabled(SCREEN_FEATURES[state.view.screen])) {
+    patch.screen = DEFAULT_VIEW.screen;
+  }
+  if (state.view.tab === "report" && !isFeatureEnabled("reports")) {
+    patch.tab = DEFAULT_VIEW.tab;
+  }
+  if (state.view.course && !isFeatureEnabled("courses")) {
+    patch.course = "";
+  }
+  if (Object.keys(patch).length) {
+    updateView(patch);
+    syncScreen();
+  }
+}
+
+/**
+ * @param {string | undefined} feature A `data-feature` value; none means always on.
+ * @return {boolean}
+ */
+function isFeatureEnabled(feature) {
+  return !feature || state.config.features[feature] !== false;
+}
+
+/**
+ * Opens the settings panel with the saved API URL filled in.
+ */
+function openSettings() {
+  state.settingsOpen = true;
+  elements.settingsApiUrl.value = getApiUrl();
+  const locale = state.config.locale || "browser default";
+  elements.settingsSummary.textContent = `Time zone: ${state.config.timeZone} · Locale: ${locale}`;
+  applySessionState();
+}
+
+/**
+ * Saves the API URL once its `?config=1` answers. Moving to another
+ * deployment ends the session, whose token that deployment can't verify.
+ */
+async function saveSettings() {
+  if (!elements.settingsForm.checkValidity()) {
+    elements.settingsForm.reportValidity();
+    return;
+  }
+
+  const apiUrl = elements.settingsApiUrl.value.trim();
+  const submitButton = elements.settingsSubmitButton;
+  submitButton.disabled = true;
+  submitButton.classList.add("is-loading");
+  try {
+    const config = await fetchConfig(apiUrl);
+    const changed = apiUrl !== getApiUrl();
+    window.localStorage.setItem(API_URL_STORAGE_KEY, apiUrl);
+    state.settingsOpen = false;
+    applyConfig(config);
+    if (changed && state.session) {
+      signOut("Settings saved. Sign in to the new deployment.");
+      return;
+    }
+    showToast("Settings saved.", "success");
+    await loadDashboard();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Settings check failed:", message);
+    showToast(`Can't reach that API URL: ${message}`, "error");
+  } finally {
+    submitButton.disabled = false;
+    submitButton.classList.remove("is-loading");
+  }
+}
+
+/**
+ * @param {AnyRecord} entry
+ * @param {string} name
+ * @return {HTMLTableCellElement}
+ */
+function createAttendanceActionsCell(entry, name) {
+  const cell = document.createElement("td");
+  cell.className = "row-actions";
+  if (!isAdmin()) {
+    return cell;
+  }
+  const editBtn = document.createElement("button");
+  editBtn.type = "button";
+  editBtn.className = "small";
+  editBtn.textContent = "Edit";
+  editBtn.setAttribute("aria-label", `Edit record for ${name}`);
+  editBtn.addEventListener("click", () => {
+    startAttendanceEdit(entry);
   });
+  cell.appendChild(editBtn);
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.className = "small";
+  deleteBtn.textContent = "Delete";
+  deleteBtn.setAttribute("aria-label", `Delete record for ${name}`);
+  deleteBtn.addEventListener("click", () => {
+    confirmDeleteAttendance(entry, name);
+  });
+  cell.appendChild(deleteBtn);
+  return cell;
+}
 
-  // Sort by date (newest first), then by check-in time
-  filtered.sort((a, b) => {
-    const aDateValue = parseDateToSortable(getSortableDateKey(a));
-    const bDateValue = parseDateToSortable(getSortableDateKey(b));
-    if (aDateValue !== bDateValue) {
-      return aDateValue - bDateValue; // oldest dates first
-    }
+/**
+ * @param {AnyRecord} entry
+ */
+function startAttendanceEdit(entry) {
+  state.editing = {
+    key: getAttendanceRecordKey(entry),
+    draft: {
+      date: getRecordDate(entry),
+      checkIn: toTimeInputValue(getCheckIn(entry)),
+      checkOut: toTimeInputValue(getCheckOut(entry)),
+    },
+  };
+  renderAttendance();
+}
 
-    const aTimeKey = parseTimeToSortable(getCheckIn(a));
-    const bTimeKey = parseTimeToSortable(getCheckIn(b));
-    return aTimeKey - bTimeKey;
-  });
+function cancelAttendanceEdit() {
+  state.editing = null;
+  renderAttendance();
+}
 
-  if (filtered.length === 0) {
-    const row = document.createElement("tr");
+/**
+ * Adds date/time inputs bound to the edit draft so auto refresh keeps typed values.
+ * @param {HTMLTableRowElement} row
+ * @param {{ date: string; checkIn: string; checkOut: string }} draft
+ */
+function appendEditCells(row, draft) {
+  /** @type {Array<[keyof typeof draft, string, string]>} */
+  const fields = [
+    ["date", "date", "Date"],
+    ["checkIn", "time", "Check-in time"],
+    ["checkOut", "time", "Check-out time"],
+  ];
+  fields.forEach(([field, type, label]) => {
     const cell = document.createElement("td");
-    cell.colSpan = ATTENDANCE_COLUMN_COUNT;
-    cell.className = "empty";
-    cell.textContent = allRecords.length
-      ? "No matches for that search."
-      : "No attendance records yet.";
+    const input = document.createElement("input");
+    input.type = type;
+    input.className = "cell-input";
+    input.value = draft[field];
+    input.setAttribute("aria-label", label);
+    input.addEventListener("input", () => {
+      draft[field] = input.value;
+    });
+    cell.appendChild(input);
     row.appendChild(cell);
-    attendanceBody.appendChild(row);
+  });
+}
+
+/**
+ * @param {AnyRecord} entry
+ * @return {HTMLTableCellElement}
+ */
+function createEditActionsCell(entry) {
+  const cell = document.createElement("td");
+  cell.className = "row-actions";
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "primary small";
+  saveBtn.textContent = "Save";
+  saveBtn.addEventListener("click", async () => {
+    saveBtn.disabled = true;
+    saveBtn.classList.add("is-loading");
+    await saveAttendanceEdit(entry);
+  });
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.className = "small";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.addEventListener("click", cancelAttendanceEdit);
+  cell.appendChild(saveBtn);
+  cell.appendChild(cancelBtn);
+  return cell;
+}
+
+/**
+ * Sends only the fields that differ from the stored record.
+ * @param {AnyRecord} entry
+ */
+async function saveAttendanceEdit(entry) {
+  if (!state.editing) {
+    return;
+  }
+  const draft = state.editing.draft;
+  if (!draft.date || !draft.checkIn) {
+    showToast("Date and check-in are required.", "error");
+    renderAttendance();
+    return;
+  }
+  if (draft.checkOut && draft.checkOut < draft.checkIn) {
+    showToast("Check-out can't be before check-in.", "error");
+    renderAttendance();
     return;
   }
 
-  const fragment = document.createDocumentFragment();
-  filtered.forEach((record) => {
-    const entry = /** @type {AnyRecord} */ (record);
-    const row = document.createElement("tr");
-    const name = getDisplayName(entry, studentLookup);
-    const suid = entry.SUID || "";
-    const recordDate = getRecordDate(entry);
-    const dateDisplay = formatHumanDate(recordDate) || "--";
-    const checkInRaw = getCheckIn(entry);
-    const checkOutRaw = getCheckOut(entry);
-    const checkIn = formatTime12(checkInRaw) || "--";
-    const checkOut = formatTime12(checkOutRaw) || "--";
-    const isPresent = !checkOutRaw;
-    const isOverdue = isPresent && !!recordDate && recordDate < state.todayKey;
-
-    if (isOverdue) {
-      row.classList.add("is-overdue");
-    } else if (isPresent) {
-      row.classList.add("is-present");
-    }
-
-    [suid || "--", name, dateDisplay, checkIn, checkOut].forEach((value) => {
-      row.appendChild(createCell(value));
+  /** @type {AnyRecord} */
+  const changes = {};
+  if (draft.date !== getRecordDate(entry)) {
+    changes.date = draft.date;
+  }
+  if (draft.checkIn !== toTimeInputValue(getCheckIn(entry))) {
+    changes.checkInTime = draft.checkIn;
+  }
+  if (draft.checkOut !== toTimeInputValue(getCheckOut(entry))) {
+    changes.checkOutTime = draft.checkOut;
+  }
+  if (Object.keys(changes).length === 0) {
+    cancelAttendanceEdit();
+    return;
+  }
+
+  try {
+    const result = await postToApi({
+      action: "update",
+      type: "attendance",
+      uid: (entry.CARD_UID || "").toString().trim().toUpperCase(),
+      dateKey: getRecordDate(entry),
+      checkInTime: getRawCheckIn(entry),
+      changes,
     });
+    const index = state.attendance.indexOf(entry);
+    if (index !== -1 && result.record) {
+      state.attendance[index] = { ...entry, ...result.record };
+    }
+    state.editing = null;
+    renderAttendance();
+    showToast("Attendance updated.", "success");
+    await loadDashboard({ silent: true });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Attendance update failed:", message);
+    showToast(`We can't save that change: ${message}`, "error");
+    renderAttendance();
+  }
+}
 
-    fragment.appendChild(row);
-  });
+async function closeOverdueSessions() {
+  const time = elements.overdueCloseTime.value;
+  if (!time) {
+    showToast("Pick a check-out time first.", "error");
+    elements.overdueCloseTime.focus();
+    return;
+  }
+  const count = state.attendance.filter(
+    (record) => !!record && isOverdueRecord(record)
+  ).length;
+  const confirmed = window.confirm(
+    `Check out ${count} overdue session${
+      count === 1 ? "" : "s"
+    } at ${formatTime12(time)} on their own day?`
+  );
+  if (!confirmed) {
+    return;
+  }
+  elements.closeOverdueButton.disabled = true;
+  try {
+    const result = await postToApi({ action: "closeOverdue", time });
+    const skipped = result.skipped
+      ? ` ${result.skipped} checked in after that time and stay open.`
+      : "";
+    showToast(`Closed ${result.closed} sessions.${skipped}`, "success");
+    await loadDashboard({ silent: true });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(LOG_PREFIX, "Closing overdue sessions failed:", message);
+    showToast("We can't close overdue sessions right now.", "error");
+    renderAttendance();
+  }
+}
 
-  attendanceBody.appendChild(fragment);
+/**
+ * An overdue record is a session from an earlier day that never checked out.
+ * @param {AnyRecord} entry
+ * @return {boolean}
+ */
+function isOverdueRecord(entry) {
+  const recordDate = getRecordDate(entry);
+  return !getCheckOut(entry) && !!recordDate && recordDate < state.todayKey;
 }
 
-function renderUnregistered() {
-  const list = elements.unregisteredList;
-  list.innerHTML = "";
+/**
+ * @param {AnyRecord} entry
+ * @param {string} name
+ */
+function confirmDeleteAttendance(entry, name) {
+  const dateLabel = formatHumanDate(getRecordDate(entry));
+  const checkInLabel = formatTime12(getCheckIn(entry)) || "--";
+  const confirmed = window.confirm(
+    `Delete ${name}'s record from ${dateLabel} (check-in ${checkInLabel})?`
+  );
+  if (!confirmed) {
+    return;
+  }
 
-  const pendingCards = state.unregistered.filter((rawEntry) => {
-    const entry = /** @type {AnyRecord} */ (rawEntry);
-    const status = (entry.Status || entry.status || "Pending")
-      .toString()
-      .toLowerCase();
-    return status === "pending" || !entry.Status;
-  });
+  scheduleDeletion(
+    getAttendanceRecordKey(entry),
+    "Attendance record deleted.",
+    {
+      action: "delete",
+      type: "attendance",
+      uid: (entry.CARD_UID || "").toString().trim().toUpperCase(),
+      dateKey: getRecordDate(entry),
+      checkInTime: getRawCheckIn(entry),
+    }
+  );
+}
 
-  if (pendingCards.length === 0) {
-    const message = document.createElement("p");
-    message.className = "placeholder";
-    message.textContent = "All cards are set up.";
-    list.appendChild(message);
+/**
+ * @param {AnyRecord} entry
+ */
+function confirmDismissCard(entry) {
+  const cardUid = (entry.CARD_UID || "").toString().trim().toUpperCase();
+  const confirmed = window.confirm(`Dismiss unknown card ${cardUid}?`);
+  if (!confirmed) {
     return;
   }
 
-  const fragment = document.createDocumentFragment();
-  pendingCards.forEach((rawEntry) => {
-    const entry = /** @type {AnyRecord} */ (rawEntry);
-    const cardUid = (entry.CARD_UID || "").toString().trim().toUpperCase();
-    const card = document.createElement("article");
-    card.className = "pending-card";
-    if (cardUid === state.selectedCardUid) {
-      card.classList.add("is-selected");
-    }
+  if (state.selectedCardUid === cardUid) {
+    selectCard("");
+  }
+  scheduleDeletion(getUnregisteredDeletionKey(entry), "Card dismissed.", {
+    action: "delete",
+    type: "unregistered",
+    uid: cardUid,
+  });
+}
 
-    const header = document.createElement("header");
-    const title = document.createElement("strong");
-    title.textContent = cardUid || "Unknown card";
-    const status = document.createElement("span");
-    status.textContent = "Pending";
-    status.className = "badge";
-    header.appendChild(title);
-    header.appendChild(status);
+/**
+ * Hides a record immediately and only sends the delete once the undo window
+ * has passed, or sooner if the page is closed (see flushWaitingDeletions).
+ * The record reappears if the user undoes or the API fails.
+ * @param {string} key
+ * @param {string} message
+ * @param {AnyRecord} payload
+ */
+function scheduleDeletion(key, message, payload) {
+  state.pendingDeletions.add(key);
+  renderPendingDeletions();
 
-    const meta = document.createElement("div");
-    meta.className = "pending-meta";
-    const dateValue = formatHumanDate(entry.Date);
-    if (dateValue) {
-      const date = document.createElement("span");
-      date.textContent = dateValue;
-      meta.appendChild(date);
+  const timer = window.setTimeout(async () => {
+    if (!waitingDeletions.delete(key)) {
+      return;
     }
-    const timeValue = formatTime12(entry.Time);
-    if (timeValue) {
-      const time = document.createElement("span");
-      time.textContent = timeValue;
-      meta.appendChild(time);
+    try {
+      const result = await postOrQueue(payload);
+      if (!result) {
+        showToast(
+          "You're offline. The delete will be sent when you reconnect."
+        );
+      }
+      dropDeletedRecord(key);
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : String(error);
+      console.error(LOG_PREFIX, "Delete request failed:", reason);
+      showToast("We couldn't delete that. It has been restored.", "error");
+    } finally {
+      state.pendingDeletions.delete(key);
+      renderPendingDeletions();
     }
+  }, UNDO_WINDOW_MS);
+  waitingDeletions.set(key, { timer, payload });
 
-    const linkBtn = document.createElement("button");
-    linkBtn.className = "primary small";
-    linkBtn.type = "button";
-    linkBtn.textContent = "Link student";
-    linkBtn.setAttribute(
-      "aria-pressed",
-      cardUid === state.selectedCardUid ? "true" : "false"
-    );
-    linkBtn.addEventListener("click", () => {
-      selectCard(cardUid);
-      elements.formSuid.focus();
-    });
-
-    card.appendChild(header);
-    if (meta.childElementCount > 0) {
-      card.appendChild(meta);
-    }
-    const actions = document.createElement("div");
-    actions.className = "card-actions";
-    actions.appendChild(linkBtn);
-    card.appendChild(actions);
-    fragment.appendChild(card);
+  showToast(message, "info", {
+    label: "Undo",
+    duration: UNDO_WINDOW_MS,
+    onClick: () => {
+      if (!waitingDeletions.delete(key)) {
+        showToast("That delete was already sent.", "error");
+        return;
+      }
+      window.clearTimeout(timer);
+      state.pendingDeletions.delete(key);
+      renderPendingDeletions();
+      showToast("Restored.", "success");
+    },
   });
-
-  list.appendChild(fragment);
 }
 
 /**
- * @param {string} cardUid
+ * Sends every delete still waiting out its undo window. Runs when the page is
+ * closed, where a timer or an ordinary fetch may never complete: sendBeacon
+ * (or a keepalive fetch) outlives the page. Offline deletes go to the outbox.
  */
-function selectCard(cardUid) {
-  state.selectedCardUid = cardUid;
-  elements.formCardUid.value = cardUid || "";
-  refreshPendingSelection();
-}
-
-function refreshPendingSelection() {
-  const cards = elements.unregisteredList.querySelectorAll(".pending-card");
-  cards.forEach((card) => {
-    const title = card.querySelector("strong");
-    const isSelected =
-      title && title.textContent.trim().toUpperCase() === state.selectedCardUid;
-    card.classList.toggle("is-selected", !!isSelected);
-    const action = card.querySelector("button.primary");
-    if (action) {
-      action.setAttribute("aria-pressed", isSelected ? "true" : "false");
+function flushWaitingDeletions() {
+  if (!waitingDeletions.size) {
+    return;
+  }
+  const url = getApiUrl();
+  const token = state.session ? state.session.token : "";
+  waitingDeletions.forEach((waiting, key) => {
+    window.clearTimeout(waiting.timer);
+    const body = JSON.stringify({ ...waiting.payload, token });
+    let sent = false;
+    if (!state.offline && typeof navigator.sendBeacon === "function") {
+      sent = navigator.sendBeacon(url, body);
+    } else if (!state.offline) {
+      void fetch(url, { method: "POST", body, keepalive: true }).catch(
+        () => undefined
+      );
+      sent = true;
+    }
+    if (!sent) {
+      // pagehide also fires when the page goes into the back/forward cache,
+      // and the outbox badge should show the queued delete on return.
+      void runOfflineStore(OUTBOX_STORE, "readwrite", (store) =>
+        store.add({
+          key: getOfflineKey(),
+          queuedAt: Date.now(),
+          label: describeOutboxAction(waiting.payload),
+          payload: waiting.payload,
+        })
+      ).then(refreshOutbox, () => undefined);
     }
+    state.pendingDeletions.delete(key);
+    dropDeletedRecord(key);
   });
+  waitingDeletions.clear();
+  renderPendingDeletions();
 }
 
-async function submitRegistration() {
-  if (!elements.form.checkValidity()) {
-    elements.form.reportValidity();
-    return;
+/**
+ * Removes a deleted record from the loaded data.
+ * @param {string} key
+ */
+function dropDeletedRecord(key) {
+  state.attendance = state.attendance.filter(
+    (record) => !record || getAttendanceRecordKey(record) !== key
+  );
+  state.unregistered = state.unregistered.filter(
+    (record) => !record || getUnregisteredDeletionKey(record) !== key
+  );
+  state.students = state.students.filter(
+    (student) => getRosterDeletionKey(student) !== key
+  );
+  if (state.calendar) {
+    state.calendar.entries = state.calendar.entries.filter(
+      (entry) => getCalendarDeletionKey(entry) !== key
+    );
   }
+}
 
-  const payload = {
-    action: "register",
-    data: {
-      cardUid: elements.formCardUid.value.trim(),
-      suid: elements.formSuid.value.trim(),
-      firstName: elements.formFirstName.value.trim(),
-      lastName: elements.formLastName.value.trim(),
-    },
-  };
-
-  try {
-    setSubmitLoading(true);
-    setFormDisabled(true);
-    // Skip setting Content-Type so the browser treats this as a simple POST and avoids a failing CORS preflight.
-    const response = await fetch(API_URL, {
-      method: "POST",
-      body: JSON.stringify(payload),
-    });
-
-    const result = await response.json().catch(() => ({}));
-    if (!response.ok || !result || result.status !== "ok") {
-      throw new Error(result.message || "Registration failed");
-    }
+/**
+ * Re-renders the lists that hide pending deletions.
+ */
+function renderPendingDeletions() {
+  renderAttendance();
+  renderUnregistered();
+  renderRoster();
+  renderCalendar();
+}
 
-    showToast("Student linked.", "success");
-    elements.form.reset();
-    selectCard("");
-    await loadDashboard();
-  } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
-    console.error(LOG_PREFIX, "Registration request failed:", message);
-    showToast("We can't link that student right now.", "error");
-  } finally {
-    setFormDisabled(false);
-    setSubmitLoading(false);
+/**
+ * @param {AnyRecord} entry
+ * @return {string}
+ */
+function getAttendanceRecordKey(entry) {
+  if (entry.RowId) {
+    return `attendance:${entry.RowId}`;
   }
+  const uid = (entry.CARD_UID || "").toString().trim().toUpperCase();
+  return `attendance:${uid}|${getRecordDate(entry)}|${getRawCheckIn(entry)}`;
+}
+
+/**
+ * @param {AnyRecord} entry
+ * @return {string}
+ */
+function getUnregisteredDeletionKey(entry) {
+  const uid = (entry.CARD_UID || "").toString().trim().toUpperCase();
+  return `unregistered:${uid}`;
 }
 
 /**
@@ -501,7 +4623,8 @@ function setSubmitLoading(isLoading) {
 
 function updateTimestamp() {
   const now = new Date();
-  const formatter = new Intl.DateTimeFormat(undefined, {
+  const formatter = new Intl.DateTimeFormat(state.config.locale || undefined, {
+    timeZone: state.config.timeZone,
     hour: "2-digit",
     minute: "2-digit",
   });
@@ -559,6 +4682,22 @@ function getRecordName(record, lookup) {
 }
 
 // Attendance field fallbacks to handle header mismatches
+/**
+ * Returns the check-in value exactly as stored, for identifying the row.
+ * @param {AnyRecord} entry
+ * @return {string}
+ */
+function getRawCheckIn(entry) {
+  const value =
+    entry.CheckInTime ||
+    entry["Check In Time"] ||
+    entry["Check-in"] ||
+    entry.checkIn ||
+    entry.checkin ||
+    "";
+  return value instanceof Date ? value.toISOString() : value.toString().trim();
+}
+
 /**
  * @param {AnyRecord} entry
  */
@@ -700,13 +4839,40 @@ function coerceDateToYmd(value) {
   return "";
 }
 
+/**
+ * @param {typeof DEFAULT_CONFIG} config
+ * @return {Intl.DateTimeFormat} Year, month and day parts in the deployment's time zone.
+ */
+function createDatePartFormatter(config) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: config.timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  });
+}
+
+/**
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {string} [timeZone] Overrides the deployment's time zone.
+ * @return {Intl.DateTimeFormat} Long dates such as "17 October 2025".
+ */
+function createHumanDateFormatter(config, timeZone) {
+  return new Intl.DateTimeFormat(config.locale || undefined, {
+    timeZone: timeZone || config.timeZone,
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
 /**
  * Formats a Date into YYYY-MM-DD.
  * @param {Date} date
  * @return {string}
  */
 function formatDateYmd(date) {
-  const parts = DATE_PART_FORMATTER.formatToParts(date);
+  const parts = datePartFormatter.formatToParts(date);
   let year = "";
   let month = "";
   let day = "";
@@ -722,15 +4888,11 @@ function formatDateYmd(date) {
   if (year && month && day) {
     return `${year}-${month}-${day}`;
   }
-  return DATE_PART_FORMATTER.format(date);
+  return datePartFormatter.format(date);
 }
 
 function getTodayKey() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, "0");
-  const day = String(today.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
+  return toLocalDateKey(new Date());
 }
 
 /** @type {number | undefined} */
@@ -739,13 +4901,31 @@ let toastTimeout;
 /**
  * @param {string} message
  * @param {"info" | "success" | "error"} [type]
+ * @param {{ label: string, onClick: () => void, duration?: number }} [action]
  */
-function showToast(message, type = "info") {
+function showToast(message, type = "info", action) {
   if (!elements.toast) {
     return;
   }
   elements.toast.textContent = message;
-  elements.toast.classList.remove("is-visible", "is-error", "is-success");
+  elements.toast.classList.remove(
+    "is-visible",
+    "is-error",
+    "is-success",
+    "has-action"
+  );
+  if (action) {
+    const actionBtn = document.createElement("button");
+    actionBtn.type = "button";
+    actionBtn.className = "small toast-action";
+    actionBtn.textContent = action.label;
+    actionBtn.addEventListener("click", () => {
+      elements.toast.classList.remove("is-visible");
+      action.onClick();
+    });
+    elements.toast.appendChild(actionBtn);
+    elements.toast.classList.add("has-action");
+  }
   if (type === "error") {
     elements.toast.classList.add("is-error");
   } else if (type === "success") {
@@ -760,15 +4940,17 @@ function showToast(message, type = "info") {
   }
   toastTimeout = setTimeout(() => {
     elements.toast.classList.remove("is-visible");
-  }, 3200);
+  }, (action && action.duration) || TOAST_DURATION_MS);
 }
 
 /**
  * Converts a date string to human-readable form if possible.
  * Accepts already human-readable strings and returns them unchanged.
  * @param {string} value
+ * @param {boolean} [markDayType] Append the day type and calendar note to
+ *   yyyy-MM-dd dates that are not regular working days.
  */
-function formatHumanDate(value) {
+function formatHumanDate(value, markDayType) {
   const raw = (value || "").toString().trim();
   if (!raw) {
     return "--";
@@ -778,13 +4960,19 @@ function formatHumanDate(value) {
   if (isoMatch) {
     const dt = new Date(`${isoMatch[1]}T00:00:00Z`);
     if (!isNaN(dt.getTime())) {
-      return HUMAN_DATE_FORMATTER.format(dt);
+      const formatted = dateKeyFormatter.format(dt);
+      const day = markDayType ? getDayType(isoMatch[1]) : null;
+      if (!day || day.type === "working") {
+        return formatted;
+      }
+      const label = DAY_TYPE_LABELS[day.type];
+      return `${formatted} · ${day.note ? `${label}: ${day.note}` : label}`;
     }
   }
 
   const parsed = new Date(raw);
   if (!isNaN(parsed.getTime())) {
-    return HUMAN_DATE_FORMATTER.format(parsed);
+    return humanDateFormatter.format(parsed);
   }
 
   return raw;
@@ -797,7 +4985,8 @@ function formatHumanDate(value) {
  */
 function formatTime12(value) {
   if (value instanceof Date) {
-    return value.toLocaleTimeString(undefined, {
+    return value.toLocaleTimeString(state.config.locale || undefined, {
+      timeZone: state.config.timeZone,
       hour: "numeric",
       minute: "2-digit",
       hour12: true,
@@ -809,7 +4998,8 @@ function formatTime12(value) {
   if (raw.includes("T") || raw.includes("Z")) {
     const parsed = new Date(raw);
     if (!isNaN(parsed.getTime())) {
-      return parsed.toLocaleTimeString(undefined, {
+      return parsed.toLocaleTimeString(state.config.locale || undefined, {
+        timeZone: state.config.timeZone,
         hour: "numeric",
         minute: "2-digit",
         hour12: true,
@@ -859,6 +5049,20 @@ function parseTimeToSortable(value) {
   return Number.POSITIVE_INFINITY;
 }
 
+/**
+ * Converts a displayable time into the HH:mm value used by time inputs.
+ * @param {string | Date} value
+ * @return {string}
+ */
+function toTimeInputValue(value) {
+  const minutes = parseTimeToSortable(formatTime12(value));
+  if (!Number.isFinite(minutes)) {
+    return "";
+  }
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
 /**
  * Returns the best available date-like string for sorting.
  * @param {AnyRecord} entry
@@ -0,0 +1,73 @@
+// CloudAttend service worker: keeps the dashboard shell available offline.
+// API responses are not cached here; script.js keeps the last dashboard
+// payload in IndexedDB so it can label it with its age.
+
+const SHELL_CACHE = "cloudattend-shell-v1";
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./script.js",
+  "./style.css",
+  "./manifest.webmanifest",
+  "./icon.svg",
+];
+
+const SHELL_PATHS = SHELL_FILES.map(
+  (file) => new URL(file, self.location.href).pathname
+);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, so a new deployment shows up on the next online load; the
+// cached copy is only used when the network fails. Anything outside the shell,
+// such as an API served from the same origin, passes straight through.
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (
+    request.method !== "GET" ||
+    url.origin !== self.location.origin ||
+    !SHELL_PATHS.includes(url.pathname)
+  ) {
+    return;
+  }
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          void caches
+            .open(SHELL_CACHE)
+            .then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(request, { ignoreSearch: true })
+          .then((cached) => cached || Response.error())
+      )
+  );
+});
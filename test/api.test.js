@@ -0,0 +1,1151 @@
+// Runs cloudattend_api.gs against in-memory fakes. Run with `node --test test/*.test.js`.
+
+"use strict";
+
+const assert = require("assert/strict");
+const { describe, it } = require("node:test");
+const { loadApi } = require("./gas-fakes");
+
+/**
+ * A fresh API with two students, a signed-in admin and one reader.
+ * @param {string} [now] Starting clock; defaults to a Monday morning in IST.
+ * @param {{ settings?: Array<Array<string>>, properties?: Object<string, string>, timeZone?: string }} [options]
+ *   `settings` are Key/Value rows for the Settings sheet; `timeZone` is the
+ *   Apps Script project's zone.
+ */
+function setup(now, options) {
+  const extra = options || {};
+  const sheets = {
+    Students: [
+      ["CARD_UID", "SUID", "FirstName", "LastName", "Active"],
+      ["A1B2C3D4", "S001", "Asha", "Patel", true],
+      ["E5F6A7B8", "S002", "Ravi", "Shah", true],
+    ],
+    Attendance: [],
+    Unregistered_CARDs: [["CARD_UID", "Date", "Time", "Status"]],
+  };
+  if (extra.settings) {
+    sheets.Settings = [["Key", "Value", "Description"]].concat(
+      extra.settings.map((row) => [row[0], row[1], ""])
+    );
+  }
+  const harness = loadApi({
+    sheets,
+    properties: extra.properties,
+    timeZone: extra.timeZone,
+    now: now || "2026-10-19T09:00:00+05:30",
+  });
+  harness.addDevice("reader-01", "Main door", "Lobby");
+  const token = harness.signIn("admin", "admin");
+  return Object.assign(harness, {
+    token,
+    scan: (uid, extra) =>
+      harness.devicePost(
+        "reader-01",
+        Object.assign({ action: "scan", uid }, extra || {})
+      ),
+    // Read `token` at call time so a test can sign in again after a day.
+    admin: (body) =>
+      harness.post(Object.assign({ token: harness.token }, body)),
+    dashboard: (params) =>
+      harness.get(Object.assign({ token: harness.token }, params || {})),
+  });
+}
+
+const MINUTE = 60 * 1000;
+
+describe("check-in and check-out", () => {
+  it("checks in on the first tap and out on the next", () => {
+    const t = setup();
+    const checkin = t.scan("A1B2C3D4");
+    assert.equal(checkin.action, "checkin");
+    assert.equal(checkin.firstName, "Asha");
+
+    t.advance(120 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "checkout");
+
+    const rows = t.records("Attendance");
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].SUID, "S001");
+    assert.equal(rows[0].DateKey, "2026-10-19");
+    assert.equal(rows[0].Date, "19 October 2026");
+    assert.equal(rows[0].CheckInTime, "9:00 AM");
+    assert.equal(rows[0].CheckOutTime, "11:00 AM");
+    assert.equal(rows[0].Location, "Lobby");
+    assert.ok(rows[0].RowId);
+  });
+
+  it("refuses a second session under the single policy", () => {
+    const t = setup();
+    t.scan("A1B2C3D4");
+    t.advance(60 * MINUTE);
+    t.scan("A1B2C3D4");
+    t.advance(60 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "alreadyCheckedOut");
+    assert.equal(t.records("Attendance").length, 1);
+  });
+
+  it("replays the first answer for a retried scanId", () => {
+    const t = setup();
+    assert.equal(t.scan("A1B2C3D4", { scanId: "scan-1" }).action, "checkin");
+    t.advance(5 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4", { scanId: "scan-1" }).action, "checkin");
+    assert.equal(t.records("Attendance").length, 1);
+  });
+
+  it("treats a repeat tap inside the debounce window as a duplicate", () => {
+    const t = setup();
+    t.scan("A1B2C3D4");
+    t.advance(10 * 1000);
+    assert.equal(t.scan("A1B2C3D4").action, "duplicate");
+    assert.equal(t.records("Attendance")[0].CheckOutTime, "");
+  });
+
+  it("takes the debounce window from the ScanDebounceSeconds setting", () => {
+    const t = setup(undefined, { settings: [["ScanDebounceSeconds", "120"]] });
+    t.scan("A1B2C3D4");
+    t.advance(90 * 1000);
+    assert.equal(t.scan("A1B2C3D4").action, "duplicate");
+    t.advance(60 * 1000);
+    assert.equal(t.scan("A1B2C3D4").action, "checkout");
+  });
+
+  it("rejects unsigned scans", () => {
+    const t = setup();
+    const result = t.post({ action: "scan", uid: "A1B2C3D4" });
+    assert.equal(result.status, "error");
+    assert.equal(t.records("Attendance").length, 0);
+  });
+
+  it("rejects a signed scan replayed after it went stale", () => {
+    const t = setup();
+    const body = {
+      action: "scan",
+      uid: "A1B2C3D4",
+      scanId: "replay-1",
+      sentAt: Math.floor(t.now().getTime() / 1000),
+    };
+    assert.equal(t.devicePost("reader-01", body).action, "checkin");
+
+    t.advance(10 * 60 * 1000);
+    const replayed = t.devicePost("reader-01", body);
+    assert.equal(replayed.status, "error");
+    assert.equal(replayed.code, 401);
+    assert.equal(t.records("Attendance")[0].CheckOutTime, "");
+
+    const unstamped = t.devicePost("reader-01", {
+      action: "scan",
+      uid: "A1B2C3D4",
+      sentAt: undefined,
+    });
+    assert.equal(unstamped.code, 401);
+  });
+});
+
+describe("session policies", () => {
+  it("opens a new session after each check-out under multi", () => {
+    const t = setup(undefined, { settings: [["SessionPolicy", "multi"]] });
+    assert.equal(t.scan("A1B2C3D4").action, "checkin");
+    t.advance(60 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "checkout");
+    t.advance(60 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "checkin");
+    assert.deepEqual(
+      t.records("Attendance").map((row) => [row.CheckInTime, row.CheckOutTime]),
+      [
+        ["9:00 AM", "10:00 AM"],
+        ["11:00 AM", ""],
+      ]
+    );
+  });
+
+  it("never checks out under checkinOnly", () => {
+    const t = setup(undefined, {
+      settings: [["SessionPolicy", "checkinOnly"]],
+    });
+    assert.equal(t.scan("A1B2C3D4").action, "checkin");
+    t.advance(60 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "alreadyCheckedIn");
+    const rows = t.records("Attendance");
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].CheckOutTime, "");
+  });
+
+  it("answers tooSoon to a check-out inside MinSessionMinutes", () => {
+    const t = setup(undefined, { settings: [["MinSessionMinutes", "45"]] });
+    t.scan("A1B2C3D4");
+    t.advance(30 * MINUTE);
+    const early = t.scan("A1B2C3D4");
+    assert.equal(early.action, "tooSoon");
+    assert.equal(early.minutesLeft, 15);
+    assert.equal(t.records("Attendance")[0].CheckOutTime, "");
+    t.advance(15 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "checkout");
+  });
+});
+
+describe("offline batches", () => {
+  /** Sends queued scans as one scanBatch; `at` is an IST wall time on 19 Oct. */
+  function batch(t, events) {
+    return t.devicePost("reader-01", {
+      action: "scanBatch",
+      events: events.map((event) =>
+        Object.assign(
+          { timestamp: new Date(`2026-10-19T${event.at}:00+05:30`) },
+          event
+        )
+      ),
+    });
+  }
+
+  it("replays a backlog in time order and answers per event", () => {
+    const t = setup();
+    const result = batch(t, [
+      { uid: "A1B2C3D4", at: "08:00", scanId: "b" },
+      { uid: "A1B2C3D4", at: "07:00", scanId: "a" },
+      { uid: "E5F6A7B8", at: "07:30", scanId: "c" },
+    ]);
+    assert.equal(result.status, "ok");
+    assert.equal(result.processed, 3);
+    assert.deepEqual(
+      result.results.map((entry) => [entry.scanId, entry.action]),
+      [
+        ["b", "checkout"],
+        ["a", "checkin"],
+        ["c", "checkin"],
+      ]
+    );
+    const asha = t.records("Attendance").find((row) => row.SUID === "S001");
+    assert.equal(asha.CheckInTime, "7:00 AM");
+    assert.equal(asha.CheckOutTime, "8:00 AM");
+  });
+
+  it("refuses events outside the accepted window and keeps the rest", () => {
+    const t = setup();
+    const result = t.devicePost("reader-01", {
+      action: "scanBatch",
+      events: [
+        { uid: "A1B2C3D4", scanId: "old", timestamp: "2026-10-11T09:00:00Z" },
+        {
+          uid: "A1B2C3D4",
+          scanId: "ahead",
+          timestamp: new Date(t.now().getTime() + 10 * MINUTE),
+        },
+        { uid: "A1B2C3D4", scanId: "blank" },
+        {
+          uid: "E5F6A7B8",
+          scanId: "ok",
+          timestamp: new Date(t.now().getTime() - 30 * MINUTE),
+        },
+      ],
+    });
+    assert.deepEqual(
+      result.results.map((entry) => entry.status),
+      ["error", "error", "error", "ok"]
+    );
+    assert.match(result.results[0].message, /outside the accepted window/);
+    assert.match(result.results[1].message, /outside the accepted window/);
+    assert.deepEqual(
+      t.records("Attendance").map((row) => row.SUID),
+      ["S002"]
+    );
+  });
+
+  it("records a scanId repeated inside a batch once", () => {
+    const t = setup();
+    const result = batch(t, [
+      { uid: "A1B2C3D4", at: "07:00", scanId: "same" },
+      { uid: "A1B2C3D4", at: "08:00", scanId: "same" },
+    ]);
+    assert.deepEqual(
+      result.results.map((entry) => entry.action),
+      ["checkin", "checkin"]
+    );
+    const rows = t.records("Attendance");
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].CheckOutTime, "");
+  });
+});
+
+describe("unregistered cards", () => {
+  it("logs an unknown card as pending without touching attendance", () => {
+    const t = setup();
+    assert.equal(t.scan("DEADBEEF").action, "unregistered");
+    assert.deepEqual(t.records("Unregistered_CARDs"), [
+      {
+        CARD_UID: "DEADBEEF",
+        Date: "19 October 2026",
+        Time: "9:00 AM",
+        Status: "Pending",
+        FirstSeen: "2026-10-19T09:00:00+05:30",
+        LastSeen: "2026-10-19T09:00:00+05:30",
+        TapCount: 1,
+        DeviceId: "reader-01",
+      },
+    ]);
+    assert.equal(t.records("Attendance").length, 0);
+  });
+
+  it("counts repeat taps on the card's one row", () => {
+    const t = setup();
+    t.scan("DEADBEEF");
+    t.advance(5 * MINUTE);
+    t.scan("deadbeef");
+    const rows = t.records("Unregistered_CARDs");
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].TapCount, 2);
+    assert.equal(rows[0].Time, "9:00 AM");
+    assert.equal(rows[0].LastSeen, "2026-10-19T09:05:00+05:30");
+  });
+
+  it("merges rows left by the one-row-per-tap layout", () => {
+    const t = setup();
+    t.sheet("Unregistered_CARDs").rows = [
+      ["CARD_UID", "Date", "Time", "Status"],
+      ["DEADBEEF", "19 October 2026", "9:10 AM", "Pending"],
+      ["CAFEF00D", "19 October 2026", "9:05 AM", "Pending"],
+      ["deadbeef", "18 October 2026", "4:30 PM", "Registered"],
+      ["DEADBEEF", "19 October 2026", "9:20 AM", "Pending"],
+    ];
+    const { data } = t.dashboard();
+    assert.deepEqual(
+      data.unregisteredCards.map((card) => [
+        card.CARD_UID,
+        card.Date,
+        card.Status,
+        card.FirstSeen,
+        card.LastSeen,
+        card.TapCount,
+      ]),
+      [
+        [
+          "DEADBEEF",
+          "18 October 2026",
+          "Registered",
+          "2026-10-18T16:30:00+05:30",
+          "2026-10-19T09:20:00+05:30",
+          3,
+        ],
+        [
+          "CAFEF00D",
+          "19 October 2026",
+          "Pending",
+          "2026-10-19T09:05:00+05:30",
+          "2026-10-19T09:05:00+05:30",
+          1,
+        ],
+      ]
+    );
+    assert.equal(t.sheet("Unregistered_CARDs").getLastRow(), 3);
+  });
+
+  it("checks the card in once it is registered", () => {
+    const t = setup();
+    t.scan("DEADBEEF");
+    const result = t.admin({
+      action: "register",
+      cardUid: "deadbeef",
+      suid: "S003",
+      firstName: "Meera",
+      lastName: "Iyer",
+    });
+    assert.equal(result.status, "ok", result.message);
+    assert.equal(t.records("Unregistered_CARDs")[0].Status, "Registered");
+    assert.equal(
+      t.records("Students").find((student) => student.SUID === "S003").CARD_UID,
+      "DEADBEEF"
+    );
+
+    t.advance(MINUTE);
+    const scan = t.scan("DEADBEEF");
+    assert.equal(scan.action, "checkin");
+    assert.equal(scan.fullName, "Meera Iyer");
+  });
+});
+
+describe("registration", () => {
+  it("updates an existing SUID instead of adding a row", () => {
+    const t = setup();
+    const result = t.admin({
+      action: "register",
+      cardUid: "A1B2C3D4",
+      suid: "S001",
+      firstName: "Asha",
+      lastName: "Mehta",
+    });
+    assert.equal(result.status, "ok", result.message);
+    const students = t.records("Students");
+    assert.equal(students.length, 2);
+    assert.equal(students[0].LastName, "Mehta");
+  });
+
+  it("lists the missing fields", () => {
+    const t = setup();
+    const result = t.admin({ action: "register", cardUid: "CAFE0001" });
+    assert.equal(result.status, "error");
+    assert.equal(result.message, "Missing fields: suid, firstName, lastName");
+  });
+
+  it("refuses a card that belongs to another student", () => {
+    const t = setup();
+    const result = t.admin({
+      action: "register",
+      cardUid: "A1B2C3D4",
+      suid: "S009",
+      firstName: "New",
+      lastName: "Student",
+    });
+    assert.equal(result.status, "error");
+    assert.match(result.message, /linked to S001/);
+    assert.equal(t.records("Students").length, 2);
+  });
+
+  it("needs an admin session", () => {
+    const t = setup();
+    const token = t.signIn("teacher", "teacher");
+    const result = t.post({
+      action: "register",
+      token,
+      cardUid: "CAFE0001",
+      suid: "S010",
+      firstName: "A",
+      lastName: "B",
+    });
+    assert.equal(result.status, "error");
+    assert.equal(t.records("Students").length, 2);
+  });
+});
+
+describe("deletes", () => {
+  it("removes an attendance row and reports it to delta clients", () => {
+    const t = setup();
+    t.scan("A1B2C3D4");
+    const before = t.dashboard();
+    const rowId = t.records("Attendance")[0].RowId;
+
+    const result = t.admin({
+      action: "delete",
+      type: "attendance",
+      uid: "A1B2C3D4",
+      dateKey: "2026-10-19",
+      checkInTime: "09:00",
+    });
+    assert.equal(result.removed, true);
+    assert.equal(t.records("Attendance").length, 0);
+
+    const delta = t.dashboard({ since: before.revision });
+    assert.deepEqual(delta.data.removedAttendanceIds, [rowId]);
+  });
+
+  it("restores a deleted row once from its audit entry", () => {
+    const t = setup();
+    t.scan("A1B2C3D4");
+    const rowId = t.records("Attendance")[0].RowId;
+    t.admin({
+      action: "delete",
+      type: "attendance",
+      uid: "A1B2C3D4",
+      dateKey: "2026-10-19",
+      checkInTime: "09:00",
+    });
+    const auditId = t
+      .records("AuditLog")
+      .find((entry) => entry.Action === "delete").AuditId;
+
+    const restored = t.admin({ action: "restoreAttendance", auditId });
+    assert.equal(restored.status, "ok");
+    assert.deepEqual(
+      t.records("Attendance").map((row) => row.RowId),
+      [rowId]
+    );
+    const again = t.admin({ action: "restoreAttendance", auditId });
+    assert.equal(again.status, "error");
+    assert.match(again.message, /already in the attendance sheets/);
+    assert.equal(t.records("Attendance").length, 1);
+  });
+
+  it("answers 404 when no row matches", () => {
+    const t = setup();
+    const result = t.admin({
+      action: "delete",
+      type: "attendance",
+      uid: "A1B2C3D4",
+      dateKey: "2026-10-19",
+      checkInTime: "09:00",
+    });
+    assert.equal(result.status, "error");
+    assert.equal(result.removed, false);
+  });
+
+  it("dismisses an unknown card with all its taps", () => {
+    const t = setup();
+    t.scan("DEADBEEF");
+    t.advance(MINUTE);
+    t.scan("DEADBEEF");
+    assert.equal(t.records("Unregistered_CARDs")[0].TapCount, 2);
+
+    const result = t.admin({
+      action: "delete",
+      type: "unregistered",
+      uid: "deadbeef",
+    });
+    assert.equal(result.deleted, 1);
+    assert.equal(t.records("Unregistered_CARDs").length, 0);
+  });
+
+  it("releases a deleted student's cards", () => {
+    const t = setup();
+    const result = t.admin({ action: "delete", type: "student", suid: "S002" });
+    assert.deepEqual(result.releasedCards, ["E5F6A7B8"]);
+    assert.equal(t.scan("E5F6A7B8").action, "unregistered");
+  });
+});
+
+describe("scan indexes", () => {
+  it("answers later taps from the cached card index and reports timing", () => {
+    const t = setup();
+    const first = t.scan("A1B2C3D4");
+    assert.equal(first.timing.cardIndex, "rebuilt");
+    assert.equal(typeof first.timing.totalMs, "number");
+    assert.equal(typeof first.timing.attendanceMs, "number");
+
+    t.advance(MINUTE);
+    const second = t.scan("E5F6A7B8");
+    assert.equal(second.action, "checkin");
+    assert.equal(second.timing.cardIndex, "cached");
+  });
+
+  it("sees hand edits to Students once onEdit drops the index", () => {
+    const t = setup();
+    t.scan("A1B2C3D4");
+    t.sheet("Students").rows[1][2] = "Ashwini";
+    t.execute("onEdit", { range: t.sheet("Students").getRange(2, 3) });
+
+    t.advance(MINUTE);
+    const scan = t.scan("A1B2C3D4");
+    assert.equal(scan.timing.cardIndex, "rebuilt");
+    assert.equal(scan.firstName, "Ashwini");
+  });
+
+  it("finds today's rows below earlier days after a row is deleted", () => {
+    const t = setup();
+    t.scan("A1B2C3D4");
+    t.scan("E5F6A7B8");
+    t.setNow("2026-10-20T09:00:00+05:30");
+    t.scan("A1B2C3D4");
+    t.scan("E5F6A7B8");
+
+    // The morning's session token has expired by now.
+    t.token = t.signIn("admin", "admin");
+    t.admin({
+      action: "delete",
+      type: "attendance",
+      uid: "A1B2C3D4",
+      dateKey: "2026-10-19",
+      checkInTime: "09:00",
+    });
+    t.advance(60 * MINUTE);
+    assert.equal(t.scan("E5F6A7B8").action, "checkout");
+    const rows = t.records("Attendance");
+    assert.equal(rows.length, 3);
+    assert.equal(rows[2].DateKey, "2026-10-20");
+    assert.equal(rows[2].CheckOutTime, "10:00 AM");
+  });
+});
+
+describe("attendance report", () => {
+  it("averages hours over closed days and expects only current students", () => {
+    const t = setup();
+    t.sheet("Students").rows.push(["C9D8E7F6", "S003", "Meera", "Rao", true]);
+    t.scan("A1B2C3D4");
+    t.scan("E5F6A7B8");
+    t.scan("C9D8E7F6");
+    t.advance(120 * MINUTE);
+    t.scan("A1B2C3D4");
+    t.setNow("2026-10-20T09:00:00+05:30");
+    t.token = t.signIn("admin", "admin");
+    t.scan("A1B2C3D4");
+    t.sheet("Students").rows[3][4] = false;
+
+    const report = t.dashboard({
+      report: "1",
+      from: "2026-10-19",
+      to: "2026-10-20",
+    }).report;
+    const asha = report.students.find((row) => row.suid === "S001");
+    assert.equal(asha.totalHours, 2);
+    assert.equal(asha.averageHours, 2);
+
+    const tuesday = report.days.find((row) => row.date === "2026-10-20");
+    assert.equal(tuesday.present, 1);
+    assert.equal(tuesday.absent, 1);
+  });
+
+  it("only counts absences between a student joining and leaving", () => {
+    const t = setup();
+    t.sheet("Students").rows.push(["C9D8E7F6", "S003", "Meera", "Rao", true]);
+    t.scan("A1B2C3D4");
+    t.scan("C9D8E7F6");
+    t.setNow("2026-10-20T09:00:00+05:30");
+    t.scan("A1B2C3D4");
+    t.scan("C9D8E7F6");
+    // Meera leaves after Tuesday; Kiran joins on Wednesday and never taps.
+    t.sheet("Students").rows[3][4] = false;
+    t.setNow("2026-10-21T09:00:00+05:30");
+    t.token = t.signIn("admin", "admin");
+    t.scan("A1B2C3D4");
+    t.admin({
+      action: "register",
+      cardUid: "0A0B0C0D",
+      suid: "S004",
+      firstName: "Kiran",
+      lastName: "Rao",
+    });
+    t.setNow("2026-10-22T09:00:00+05:30");
+    t.token = t.signIn("admin", "admin");
+    t.scan("A1B2C3D4");
+
+    const report = t.dashboard({
+      report: "1",
+      from: "2026-10-19",
+      to: "2026-10-22",
+    }).report;
+    const bySuid = (suid) => report.students.find((row) => row.suid === suid);
+    assert.deepEqual(
+      ["S001", "S002", "S003", "S004"].map((suid) => [
+        bySuid(suid).daysPresent,
+        bySuid(suid).daysAbsent,
+      ]),
+      [
+        [4, 0],
+        [0, 4],
+        [2, 0],
+        [0, 2],
+      ]
+    );
+    assert.equal(bySuid("S003").attendancePercent, 100);
+    assert.deepEqual(
+      report.days.map((row) => row.absent),
+      [1, 1, 2, 2]
+    );
+  });
+});
+
+describe("attendance archive", () => {
+  /**
+   * Closed sessions on 3 Aug and 1 Sep, a session left open on 4 Aug and
+   * one today, 19 Oct, archived 30 days back.
+   */
+  function archived() {
+    const t = setup("2026-08-03T09:00:00+05:30", {
+      settings: [["ArchiveAfterDays", "30"]],
+    });
+    t.scan("A1B2C3D4");
+    t.advance(120 * MINUTE);
+    t.scan("A1B2C3D4");
+    t.setNow("2026-08-04T09:00:00+05:30");
+    t.scan("A1B2C3D4");
+    t.setNow("2026-09-01T09:00:00+05:30");
+    t.scan("E5F6A7B8");
+    t.advance(60 * MINUTE);
+    t.scan("E5F6A7B8");
+    t.setNow("2026-10-19T09:00:00+05:30");
+    t.scan("A1B2C3D4");
+    // The morning's session token has expired by now.
+    t.token = t.signIn("admin", "admin");
+    return t;
+  }
+
+  it("moves closed rows past the cutoff into monthly sheets", () => {
+    const t = archived();
+    const liveHeaders = t.sheet("Attendance").rows[0];
+    const result = t.execute("runAttendanceArchive");
+    assert.equal(result.archived, 2);
+    assert.deepEqual(
+      [...result.sheets],
+      ["Attendance_2026_08", "Attendance_2026_09"]
+    );
+
+    assert.deepEqual(t.sheet("Attendance_2026_08").rows[0], liveHeaders);
+    assert.equal(t.records("Attendance_2026_08")[0].CheckOutTime, "11:00 AM");
+    assert.equal(t.records("Attendance_2026_09")[0].SUID, "S002");
+    assert.deepEqual(
+      t.records("Attendance").map((row) => row.DateKey),
+      ["2026-08-04", "2026-10-19"]
+    );
+    assert.equal(t.execute("runAttendanceArchive").archived, 0);
+
+    t.advance(60 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "checkout");
+  });
+
+  it("reads archived months when the date range reaches them", () => {
+    const t = archived();
+    t.execute("runAttendanceArchive");
+
+    const august = t.dashboard({ from: "2026-08-01", to: "2026-08-31" });
+    assert.deepEqual(
+      august.data.attendance.map((row) => row.DateKey),
+      ["2026-08-04", "2026-08-03"]
+    );
+    assert.equal(t.dashboard().data.attendance.length, 2);
+
+    const report = t.dashboard({
+      report: "1",
+      from: "2026-09-01",
+      to: "2026-09-30",
+    }).report;
+    const ravi = report.students.find((row) => row.suid === "S002");
+    assert.equal(ravi.totalHours, 1);
+  });
+
+  it("sends delta clients back to a full load", () => {
+    const t = archived();
+    const before = t.dashboard();
+    t.execute("runAttendanceArchive");
+    const after = t.dashboard({ since: before.revision });
+    assert.equal(after.delta, false);
+    assert.equal(after.data.attendance.length, 2);
+  });
+
+  it("keeps range-less dashboard reads off the archive sheets", () => {
+    const t = archived();
+    t.execute("runAttendanceArchive");
+    const opened = [];
+    const { getSheets, getSheetByName } = t.spreadsheet;
+    t.spreadsheet.getSheets = function () {
+      opened.push("*");
+      return getSheets.call(this);
+    };
+    t.spreadsheet.getSheetByName = function (name) {
+      opened.push(name);
+      return getSheetByName.call(this, name);
+    };
+
+    const full = t.dashboard();
+    t.dashboard({ since: full.revision });
+    assert.deepEqual(
+      opened.filter((name) => name === "*" || /^Attendance_/.test(name)),
+      []
+    );
+
+    const all = t.dashboard({ report: "1" }).report;
+    assert.equal(all.students.find((row) => row.suid === "S002").totalHours, 1);
+  });
+
+  it("edits and deletes archived rows in their month's sheet", () => {
+    const t = archived();
+    t.execute("runAttendanceArchive");
+    const key = { type: "attendance", checkInTime: "09:00" };
+
+    const edited = t.admin(
+      Object.assign({}, key, {
+        action: "update",
+        uid: "A1B2C3D4",
+        dateKey: "2026-08-03",
+        changes: { checkOutTime: "12:00" },
+      })
+    );
+    assert.equal(edited.status, "ok");
+    assert.equal(t.records("Attendance_2026_08")[0].CheckOutTime, "12:00 PM");
+
+    const moved = t.admin(
+      Object.assign({}, key, {
+        action: "update",
+        uid: "A1B2C3D4",
+        dateKey: "2026-08-03",
+        changes: { date: "2026-09-03" },
+      })
+    );
+    assert.equal(moved.status, "error");
+    assert.match(moved.message, /within its month/);
+
+    const removed = t.admin(
+      Object.assign({}, key, {
+        action: "delete",
+        uid: "E5F6A7B8",
+        dateKey: "2026-09-01",
+      })
+    );
+    assert.equal(removed.removed, true);
+    assert.equal(t.records("Attendance_2026_09").length, 0);
+  });
+
+  it("carries a SUID change into the archived months", () => {
+    const t = archived();
+    t.execute("runAttendanceArchive");
+    const before = t.records("Attendance_2026_08")[0].Revision;
+
+    const result = t.admin({
+      action: "update",
+      type: "student",
+      suid: "S001",
+      newSuid: "S101",
+      firstName: "Asha",
+      lastName: "Patel",
+    });
+    assert.equal(result.status, "ok");
+
+    const august = t.records("Attendance_2026_08")[0];
+    assert.equal(august.SUID, "S101");
+    assert.ok(august.Revision > before);
+    assert.equal(t.records("Attendance_2026_09")[0].SUID, "S002");
+    assert.ok(t.records("Attendance").every((row) => row.SUID === "S101"));
+    const renames = t
+      .records("AuditLog")
+      .filter((row) => row.Action === "renameSuid");
+    assert.equal(renames.length, 1);
+  });
+
+  it("restores a row deleted from an archive month into that month", () => {
+    const t = archived();
+    t.execute("runAttendanceArchive");
+    t.admin({
+      action: "delete",
+      type: "attendance",
+      uid: "E5F6A7B8",
+      dateKey: "2026-09-01",
+      checkInTime: "09:00",
+    });
+    const entry = t.records("AuditLog").find((row) => row.Action === "delete");
+    assert.equal(entry.Sheet, "Attendance_2026_09");
+    const listed = t.dashboard({ audit: "1", sheet: "attendance" }).entries;
+    assert.ok(listed.some((row) => row.AuditId === entry.AuditId));
+
+    const live = t.records("Attendance").length;
+    const restored = t.admin({
+      action: "restoreAttendance",
+      auditId: entry.AuditId,
+    });
+    assert.equal(restored.status, "ok");
+    assert.equal(t.records("Attendance_2026_09")[0].SUID, "S002");
+    assert.equal(t.records("Attendance").length, live);
+    assert.equal(t.execute("runAttendanceArchive").archived, 0);
+
+    const again = t.admin({
+      action: "restoreAttendance",
+      auditId: entry.AuditId,
+    });
+    assert.equal(again.status, "error");
+    assert.match(again.message, /already in the attendance sheets/);
+    assert.equal(t.records("Attendance_2026_09").length, 1);
+  });
+
+  it("is off unless ArchiveAfterDays is set", () => {
+    const t = setup("2026-01-05T09:00:00+05:30");
+    t.scan("A1B2C3D4");
+    t.advance(60 * MINUTE);
+    t.scan("A1B2C3D4");
+    t.setNow("2026-10-19T09:00:00+05:30");
+    assert.equal(t.execute("runAttendanceArchive").archived, 0);
+    assert.equal(t.records("Attendance").length, 1);
+  });
+});
+
+describe("roster sync", () => {
+  const roster = (t, since) =>
+    t
+      .deviceGet(
+        "reader-01",
+        "registry",
+        Object.assign({ registry: "1" }, since ? { since } : {})
+      )
+      .trim()
+      .split("\n");
+  const rosterVersion = (t) =>
+    JSON.parse(
+      t.deviceGet("reader-01", "rosterVersion", { rosterVersion: "1" })
+    ).version;
+
+  it("versions the roster and answers unchanged for the same version", () => {
+    const t = setup();
+    const lines = roster(t);
+    const version = rosterVersion(t);
+    assert.deepEqual(lines, [
+      `#version ${version}`,
+      "CARD_UID,FirstName,LastName",
+      "A1B2C3D4,Asha,Patel",
+      "E5F6A7B8,Ravi,Shah",
+    ]);
+    assert.deepEqual(roster(t, version), [`#version ${version}`, "#unchanged"]);
+  });
+
+  it("sends only the changes since an older version", () => {
+    const t = setup();
+    roster(t);
+    const before = rosterVersion(t);
+    t.admin({
+      action: "register",
+      cardUid: "DEADBEEF",
+      suid: "S003",
+      firstName: "Meera",
+      lastName: "Iyer",
+    });
+    t.admin({ action: "delete", type: "student", suid: "S002" });
+
+    const after = rosterVersion(t);
+    assert.notEqual(after, before);
+    assert.deepEqual(roster(t, before), [
+      `#version ${after}`,
+      "#delta",
+      "CARD_UID,FirstName,LastName",
+      "DEADBEEF,Meera,Iyer",
+      "-E5F6A7B8",
+    ]);
+  });
+
+  it("sends the full roster for a version it no longer holds", () => {
+    const t = setup();
+    const lines = roster(t, "0123456789abcdef");
+    assert.equal(lines[1], "CARD_UID,FirstName,LastName");
+    assert.equal(lines.length, 4);
+
+    const unsigned = t.get({ rosterVersion: "1", deviceId: "reader-01" });
+    assert.equal(unsigned.status, "error");
+  });
+
+  it("still serves the roster and health check while the lock is busy", () => {
+    const t = setup();
+    roster(t);
+    const seen = t.records("Devices")[0].LastSeen;
+    t.advance(MINUTE);
+    t.lock.busy = true;
+
+    assert.equal(roster(t)[1], "CARD_UID,FirstName,LastName");
+    const health = JSON.parse(
+      t.deviceGet("reader-01", "health", { health: "1" })
+    );
+    assert.equal(health.status, "ok");
+    assert.equal(health.device.location, "Lobby");
+    assert.equal(t.records("Devices")[0].LastSeen, seen);
+  });
+});
+
+describe("time zones around midnight", () => {
+  it("opens a new session for a tap just after midnight IST", () => {
+    const t = setup("2026-10-19T23:55:00+05:30");
+    assert.equal(t.scan("A1B2C3D4").action, "checkin");
+    t.setNow("2026-10-20T00:05:00+05:30");
+    assert.equal(t.scan("A1B2C3D4").action, "checkin");
+
+    const rows = t.records("Attendance");
+    assert.deepEqual(
+      rows.map((row) => [row.DateKey, row.CheckInTime, row.CheckOutTime]),
+      [
+        ["2026-10-19", "11:55 PM", ""],
+        ["2026-10-20", "12:05 AM", ""],
+      ]
+    );
+  });
+
+  it("dates scans in IST while UTC is still on the previous day", () => {
+    const t = setup("2026-10-19T18:45:00Z");
+    t.scan("A1B2C3D4");
+    const row = t.records("Attendance")[0];
+    assert.equal(row.DateKey, "2026-10-20");
+    assert.equal(row.Date, "20 October 2026");
+    assert.equal(row.CheckInTime, "12:15 AM");
+  });
+
+  it("filters the dashboard on IST date keys", () => {
+    const t = setup("2026-10-19T23:55:00+05:30");
+    t.scan("A1B2C3D4");
+    t.setNow("2026-10-20T00:05:00+05:30");
+    t.scan("E5F6A7B8");
+
+    const result = t.dashboard({ from: "2026-10-20", to: "2026-10-20" });
+    assert.deepEqual(
+      result.data.attendance.map((row) => row.SUID),
+      ["S002"]
+    );
+  });
+
+  it("rejects impossible dates in the range", () => {
+    const t = setup();
+    for (const params of [
+      { from: "2024-02-31" },
+      { to: "2026-13-01" },
+      { from: "2026-10-01", to: "2026-09-31", report: "1" },
+    ]) {
+      const result = t.dashboard(params);
+      assert.equal(result.status, "error");
+      assert.equal(result.code, 400);
+    }
+    assert.equal(t.dashboard({ from: "2024-02-29" }).status, "ok");
+  });
+
+  it("reads limit=0 as unpaged and says so when a limit is refused", () => {
+    const t = setup();
+    assert.equal(t.dashboard({ limit: "0" }).status, "ok");
+    assert.match(t.dashboard({ limit: "501" }).message, /0 \(unpaged\)/);
+  });
+
+  it("normalizes sheet dates in the API time zone", () => {
+    const { api } = setup();
+    assert.equal(
+      api.normalizeDateKeyValue(new Date("2026-10-19T18:30:00Z")),
+      "2026-10-20"
+    );
+    assert.equal(
+      api.normalizeDateKeyValue(new Date("2026-10-19T18:29:00Z")),
+      "2026-10-19"
+    );
+    assert.equal(api.normalizeDateKeyValue("2026-10-20"), "2026-10-20");
+    assert.equal(api.normalizeDateKeyValue(""), "");
+    assert.equal(api.normalizeDateKeyValue("not a date"), "");
+  });
+
+  it("normalizes 12-hour, 24-hour and sheet time values", () => {
+    const { api } = setup();
+    assert.equal(api.normalizeTimeKeyValue("12:15 AM"), "00:15");
+    assert.equal(api.normalizeTimeKeyValue("12:15 PM"), "12:15");
+    assert.equal(api.normalizeTimeKeyValue("9:05 pm"), "21:05");
+    assert.equal(api.normalizeTimeKeyValue("07:30:00"), "07:30");
+    assert.equal(
+      api.normalizeTimeKeyValue(new Date("2026-10-19T18:40:00Z")),
+      "00:10"
+    );
+    assert.equal(api.normalizeTimeKeyValue("25:00"), "");
+  });
+});
+
+describe("deployment config", () => {
+  it("serves the defaults without a session", () => {
+    // The default zone applies even when the project is set to another one.
+    const t = setup(undefined, { timeZone: "UTC" });
+    const result = t.get({ config: "1" });
+    assert.equal(result.status, "ok");
+    assert.deepEqual(result.config, {
+      timeZone: "Asia/Kolkata",
+      locale: "",
+      dateFormat: "d MMMM yyyy",
+      timeFormat: "h:mm a",
+      features: { reports: true, courses: true, calendar: true, audit: true },
+    });
+    assert.equal(t.sheet("Settings"), null);
+  });
+
+  it("seeds missing Settings rows only when the triggers are installed", () => {
+    const t = setup(undefined, { settings: [["TimeZone", "Asia/Tokyo"]] });
+    t.get({ config: "1" });
+    assert.equal(t.records("Settings").length, 1);
+
+    t.execute("installRuleTriggers");
+    t.execute("installRuleTriggers");
+    const keys = t.records("Settings").map((row) => row.Key);
+    assert.equal(keys.length, new Set(keys).size);
+    assert.ok(keys.includes("LateAfter") && keys.includes("Features"));
+    assert.equal(t.records("Settings")[0].Value, "Asia/Tokyo");
+  });
+
+  it("dates and formats scans with the Settings sheet values", () => {
+    const t = setup("2026-10-19T02:30:00Z", {
+      settings: [
+        ["TimeZone", "America/New_York"],
+        ["DateFormat", "yyyy-MM-dd"],
+        ["TimeFormat", "HH:mm"],
+        ["Features", "reports, audit"],
+      ],
+    });
+    t.scan("A1B2C3D4");
+    const row = t.records("Attendance")[0];
+    assert.equal(row.DateKey, "2026-10-18");
+    assert.equal(row.Date, "2026-10-18");
+    assert.equal(row.CheckInTime, "22:30");
+
+    const { config } = t.get({ config: "1" });
+    assert.equal(config.timeZone, "America/New_York");
+    assert.deepEqual(config.features, {
+      reports: true,
+      courses: false,
+      calendar: false,
+      audit: true,
+    });
+  });
+
+  it("lets a script property override the sheet", () => {
+    const t = setup("2026-10-19T20:00:00Z", {
+      settings: [["TimeZone", "America/New_York"]],
+      properties: { TimeZone: "Asia/Tokyo", Locale: "ja-JP" },
+    });
+    t.scan("A1B2C3D4");
+    assert.equal(t.records("Attendance")[0].DateKey, "2026-10-20");
+    const { config } = t.get({ config: "1" });
+    assert.equal(config.timeZone, "Asia/Tokyo");
+    assert.equal(config.locale, "ja-JP");
+  });
+});
+
+describe("enroll mode", () => {
+  it("holds taps for the link form instead of recording them", () => {
+    const t = setup();
+    const started = t.admin({
+      action: "enrollMode",
+      deviceId: "reader-01",
+      enabled: true,
+    });
+    assert.equal(started.status, "ok", started.message);
+    assert.equal(started.session.startedBy, "admin");
+
+    const fresh = t.scan("DEADBEEF");
+    assert.equal(fresh.action, "enroll");
+    assert.equal(fresh.linkedSuid, undefined);
+    assert.equal(t.scan("A1B2C3D4").linkedSuid, "S001");
+    assert.equal(t.records("Attendance").length, 0);
+    assert.equal(t.records("Unregistered_CARDs").length, 0);
+
+    const { sessions } = t.dashboard({ enroll: "1" });
+    assert.equal(sessions.length, 1);
+    assert.deepEqual(
+      sessions[0].candidates.map((candidate) => [
+        candidate.uid,
+        candidate.linkedSuid,
+      ]),
+      [
+        ["DEADBEEF", ""],
+        ["A1B2C3D4", "S001"],
+      ]
+    );
+  });
+
+  it("drops a card once it is linked and counts taps again when stopped", () => {
+    const t = setup();
+    t.admin({ action: "enrollMode", deviceId: "reader-01", enabled: true });
+    t.scan("DEADBEEF");
+    t.scan("A1B2C3D4");
+    t.admin({
+      action: "register",
+      cardUid: "DEADBEEF",
+      suid: "S003",
+      firstName: "Meera",
+      lastName: "Iyer",
+    });
+    const { sessions } = t.dashboard({ enroll: "1" });
+    assert.deepEqual(
+      sessions[0].candidates.map((candidate) => candidate.uid),
+      ["A1B2C3D4"]
+    );
+
+    t.admin({ action: "enrollMode", deviceId: "reader-01", enabled: false });
+    assert.deepEqual(t.dashboard({ enroll: "1" }).sessions, []);
+    // The enroll tap a moment ago doesn't make this one a duplicate.
+    assert.equal(t.scan("A1B2C3D4").action, "checkin");
+  });
+
+  it("ends after a quiet spell and refuses unknown readers", () => {
+    const t = setup();
+    const unknown = t.admin({
+      action: "enrollMode",
+      deviceId: "reader-99",
+      enabled: true,
+    });
+    assert.equal(unknown.status, "error");
+    assert.equal(unknown.message, "Unknown reader reader-99");
+
+    t.admin({ action: "enrollMode", deviceId: "reader-01", enabled: true });
+    t.advance(10 * MINUTE);
+    assert.equal(t.scan("DEADBEEF").action, "enroll");
+    t.advance(16 * MINUTE);
+    assert.equal(t.scan("A1B2C3D4").action, "checkin");
+  });
+});
@@ -0,0 +1,675 @@
+// In-memory stand-ins for the Apps Script services used by cloudattend_api.gs.
+// The .gs file is loaded unchanged into a vm context whose globals are these
+// fakes, so tests and the local server call the real doGet/doPost.
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const API_FILE = path.join(__dirname, "..", "cloudattend_api.gs");
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Wall-clock fields of date in an IANA time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @return {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = Number(part.value);
+    });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timeZone
+ * @return {number} Minutes the zone is ahead of UTC at date.
+ */
+function zoneOffsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Utilities.formatDate for the SimpleDateFormat letters the API uses.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {string} pattern
+ * @return {string}
+ */
+function formatDate(date, timeZone, pattern) {
+  const p = zonedParts(date, timeZone);
+  const tokens = /'([^']*)'|yyyy|EEE|MMMM|MM|dd|d|HH|H|hh|h|mm|ss|a|XXX/g;
+  return pattern.replace(tokens, (token, literal) => {
+    if (literal !== undefined) return literal;
+    switch (token) {
+      case "yyyy":
+        return String(p.year);
+      case "EEE":
+        return WEEKDAY_NAMES[
+          new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay()
+        ];
+      case "MMMM":
+        return MONTH_NAMES[p.month - 1];
+      case "MM":
+        return pad(p.month);
+      case "dd":
+        return pad(p.day);
+      case "d":
+        return String(p.day);
+      case "HH":
+        return pad(p.hour);
+      case "H":
+        return String(p.hour);
+      case "hh":
+        return pad(p.hour % 12 || 12);
+      case "h":
+        return String(p.hour % 12 || 12);
+      case "mm":
+        return pad(p.minute);
+      case "ss":
+        return pad(p.second);
+      case "a":
+        return p.hour < 12 ? "AM" : "PM";
+      default: {
+        const offset = zoneOffsetMinutes(date, timeZone);
+        if (offset === 0) return "Z";
+        const abs = Math.abs(offset);
+        return `${offset < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}:${pad(
+          abs % 60
+        )}`;
+      }
+    }
+  });
+}
+
+/**
+ * Utilities.parseDate for "yyyy-MM-dd" and "yyyy-MM-dd HH:mm".
+ * @param {string} text
+ * @param {string} timeZone
+ * @return {Date}
+ */
+function parseDate(text, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{1,2}):(\d{2}))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Unparseable date: ${text}`);
+  }
+  const guess = new Date(
+    Date.UTC(
+      Number(match[1]),
+      Number(match[2]) - 1,
+      Number(match[3]),
+      Number(match[4] || 0),
+      Number(match[5] || 0)
+    )
+  );
+  return new Date(guess.getTime() - zoneOffsetMinutes(guess, timeZone) * 60000);
+}
+
+const blank = (value) => value === "" || value === undefined || value === null;
+
+class FakeRange {
+  /**
+   * @param {FakeSheet} sheet
+   * @param {number} row 1-based.
+   * @param {number} column 1-based.
+   * @param {number} rows
+   * @param {number} columns
+   */
+  constructor(sheet, row, column, rows, columns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.rows = rows;
+    this.columns = columns;
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.rows; r += 1) {
+      const source = this.sheet.rows[this.row - 1 + r] || [];
+      const line = [];
+      for (let c = 0; c < this.columns; c += 1) {
+        const value = source[this.column - 1 + c];
+        line.push(blank(value) ? "" : value);
+      }
+      values.push(line);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  getSheet() {
+    return this.sheet;
+  }
+
+  /** @param {Array<Array<any>>} values */
+  setValues(values) {
+    if (
+      values.length !== this.rows ||
+      values.some((line) => line.length !== this.columns)
+    ) {
+      throw new Error(
+        `The data has ${values.length} rows but the range has ${this.rows}.`
+      );
+    }
+    values.forEach((line, r) =>
+      line.forEach((value, c) =>
+        this.sheet.setCell(this.row + r, this.column + c, value)
+      )
+    );
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.column, value);
+    return this;
+  }
+
+  setNumberFormat() {
+    return this;
+  }
+}
+
+class FakeSheet {
+  /**
+   * @param {string} name
+   * @param {Array<Array<any>>} [rows]
+   */
+  constructor(name, rows) {
+    this.name = name;
+    this.rows = (rows || []).map((row) => row.slice());
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const line = this.rows[row - 1];
+    while (line.length < column - 1) line.push("");
+    line[column - 1] = blank(value) ? "" : value;
+  }
+
+  getLastRow() {
+    let last = this.rows.length;
+    while (last > 0 && this.rows[last - 1].every(blank)) last -= 1;
+    return last;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((width, line) => {
+      for (let i = line.length - 1; i >= 0; i -= 1) {
+        if (!blank(line[i])) return Math.max(width, i + 1);
+      }
+      return width;
+    }, 0);
+  }
+
+  getRange(row, column, rows, columns) {
+    if (typeof row !== "number") {
+      throw new Error("A1 notation is not supported by the fake");
+    }
+    const height = rows === undefined ? 1 : rows;
+    const width = columns === undefined ? 1 : columns;
+    if (row < 1 || column < 1 || height < 1 || width < 1) {
+      throw new Error(
+        "The number of rows and columns in the range must be at least 1."
+      );
+    }
+    return new FakeRange(this, row, column, height, width);
+  }
+
+  getDataRange() {
+    return new FakeRange(
+      this,
+      1,
+      1,
+      Math.max(this.getLastRow(), 1),
+      Math.max(this.getLastColumn(), 1)
+    );
+  }
+
+  appendRow(values) {
+    this.rows.length = this.getLastRow();
+    this.rows.push(Array.from(values, (value) => (blank(value) ? "" : value)));
+    return this;
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+  }
+
+  deleteRows(row, count) {
+    this.rows.splice(row - 1, count);
+  }
+
+  insertColumnAfter(column) {
+    return this.insertColumnsAfter(column, 1);
+  }
+
+  insertColumnsAfter(column, count) {
+    this.rows.forEach((line) => {
+      while (line.length < column) line.push("");
+      line.splice(column, 0, ...Array(count).fill(""));
+    });
+    return this;
+  }
+}
+
+class FakeSpreadsheet {
+  /** @param {Object<string, Array<Array<any>>>} [sheets] */
+  constructor(sheets) {
+    this.sheets = new Map();
+    Object.keys(sheets || {}).forEach((name) => {
+      this.sheets.set(name, new FakeSheet(name, sheets[name]));
+    });
+  }
+
+  getSheetByName(name) {
+    return this.sheets.get(name) || null;
+  }
+
+  getSheets() {
+    return Array.from(this.sheets.values());
+  }
+
+  insertSheet(name) {
+    const sheet = new FakeSheet(name, []);
+    this.sheets.set(name, sheet);
+    return sheet;
+  }
+}
+
+/** @param {Buffer} buffer @return {Array<number>} Signed bytes, as Apps Script returns them. */
+const toSignedBytes = (buffer) =>
+  Array.from(buffer, (byte) => (byte > 127 ? byte - 256 : byte));
+/** @param {string|Array<number>} value */
+const toBuffer = (value) =>
+  Array.isArray(value)
+    ? Buffer.from(value.map((byte) => byte & 255))
+    : Buffer.from(String(value), "utf8");
+
+/**
+ * Loads cloudattend_api.gs against fresh fakes.
+ * @param {{ sheets?: Object<string, Array<Array<any>>>, properties?: Object<string, string>, now?: Date|string|number, timeZone?: string }} [options]
+ *   `sheets` seeds the spreadsheet by name (header row first); `now` pins the
+ *   clock, which then only moves through setNow/advance. Without it the clock
+ *   follows real time. `timeZone` is the project time zone (Asia/Kolkata).
+ * @return {Object} The harness; see the returned object for its helpers.
+ */
+function loadApi(options) {
+  const config = options || {};
+  const spreadsheet = new FakeSpreadsheet(config.sheets);
+  const properties = new Map(Object.entries(config.properties || {}));
+  const cache = new Map();
+  const sent = { mails: [], fetches: [], logs: [] };
+  const triggers = [];
+  // Set `busy` to act as if another execution holds the script lock.
+  const lock = { busy: false };
+  /** @type {number|null} */
+  let pinnedMs =
+    config.now === undefined ? null : new Date(config.now).getTime();
+  const nowMs = () => (pinnedMs === null ? Date.now() : pinnedMs);
+  let uuid = 0;
+
+  // `new Date()` and Date.now() inside the API read the pinned clock; dates
+  // built by tests still pass `instanceof Date` checks.
+  const RealDate = Date;
+  class ClockDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [nowMs()]));
+    }
+
+    static now() {
+      return nowMs();
+    }
+
+    static [Symbol.hasInstance](value) {
+      return value instanceof RealDate;
+    }
+  }
+
+  const textOutput = (text) => ({
+    text,
+    mimeType: "TEXT",
+    setMimeType(mimeType) {
+      this.mimeType = mimeType;
+      return this;
+    },
+    getMimeType() {
+      return this.mimeType;
+    },
+    getContent() {
+      return this.text;
+    },
+  });
+
+  const globals = {
+    console,
+    Date: ClockDate,
+    SpreadsheetApp: {
+      openById: () => spreadsheet,
+      getActiveSpreadsheet: () => spreadsheet,
+    },
+    Session: {
+      getScriptTimeZone: () => config.timeZone || "Asia/Kolkata",
+    },
+    LockService: {
+      getScriptLock: () => ({
+        waitLock() {
+          if (lock.busy) throw new Error("Lock timeout");
+        },
+        tryLock: () => !lock.busy,
+        releaseLock() {},
+        hasLock: () => true,
+      }),
+    },
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: (key) =>
+          properties.has(key) ? properties.get(key) : null,
+        getProperties: () => Object.fromEntries(properties),
+        setProperty(key, value) {
+          properties.set(key, String(value));
+          return this;
+        },
+        deleteProperty(key) {
+          properties.delete(key);
+          return this;
+        },
+      }),
+    },
+    CacheService: {
+      getScriptCache: () => ({
+        get(key) {
+          const entry = cache.get(key);
+          return entry && entry.expiresAt > nowMs() ? entry.value : null;
+        },
+        put(key, value, seconds) {
+          cache.set(key, {
+            value: String(value),
+            expiresAt: nowMs() + (seconds || 600) * 1000,
+          });
+        },
+        getAll(keys) {
+          const found = {};
+          keys.forEach((key) => {
+            const value = this.get(key);
+            if (value !== null) {
+              found[key] = value;
+            }
+          });
+          return found;
+        },
+        putAll(values, seconds) {
+          Object.keys(values).forEach((key) =>
+            this.put(key, values[key], seconds)
+          );
+        },
+        remove(key) {
+          cache.delete(key);
+        },
+      }),
+    },
+    ContentService: {
+      MimeType: { JSON: "JSON", TEXT: "TEXT", CSV: "CSV", XML: "XML" },
+      createTextOutput: textOutput,
+    },
+    Utilities: {
+      formatDate,
+      parseDate,
+      getUuid: () =>
+        `00000000-0000-4000-8000-${String(++uuid).padStart(12, "0")}`,
+      DigestAlgorithm: { MD5: "md5", SHA_1: "sha1", SHA_256: "sha256" },
+      computeDigest: (algorithm, value) =>
+        toSignedBytes(
+          crypto.createHash(algorithm).update(toBuffer(value)).digest()
+        ),
+      computeHmacSha256Signature: (message, key) =>
+        toSignedBytes(
+          crypto
+            .createHmac("sha256", toBuffer(key))
+            .update(toBuffer(message))
+            .digest()
+        ),
+      base64EncodeWebSafe: (value) =>
+        toBuffer(value)
+          .toString("base64")
+          .replace(/\+/g, "-")
+          .replace(/\//g, "_"),
+      base64DecodeWebSafe: (text) =>
+        toSignedBytes(
+          Buffer.from(
+            String(text).replace(/-/g, "+").replace(/_/g, "/"),
+            "base64"
+          )
+        ),
+      newBlob: (data) => ({
+        getDataAsString: () => toBuffer(data).toString("utf8"),
+      }),
+    },
+    MailApp: {
+      sendEmail: (...args) => sent.mails.push(args),
+    },
+    UrlFetchApp: {
+      fetch(url, params) {
+        sent.fetches.push({ url, params });
+        return { getResponseCode: () => 200, getContentText: () => "" };
+      },
+    },
+    ScriptApp: {
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger(trigger) {
+        triggers.splice(triggers.indexOf(trigger), 1);
+      },
+      newTrigger(handler) {
+        const builder = {
+          timeBased: () => builder,
+          everyMinutes: () => builder,
+          everyDays: () => builder,
+          atHour: () => builder,
+          create() {
+            const trigger = { getHandlerFunction: () => handler };
+            triggers.push(trigger);
+            return trigger;
+          },
+        };
+        return builder;
+      },
+    },
+    Logger: {
+      log: (...args) => sent.logs.push(args.join(" ")),
+    },
+  };
+
+  const api = vm.createContext(globals);
+  vm.runInContext(fs.readFileSync(API_FILE, "utf8"), api, {
+    filename: "cloudattend_api.gs",
+  });
+
+  const parse = (output) => JSON.parse(output.getContent());
+  // Apps Script reloads globals per request, dropping memoised settings.
+  const execute = (entryPoint, event) => {
+    vm.runInContext("executionCache = {};", api);
+    return api[entryPoint](event);
+  };
+  const harness = {
+    /** Every top-level function and constant of the API. */
+    api,
+    spreadsheet,
+    properties,
+    sent,
+    triggers,
+    lock,
+    /** @param {Date|string|number} value */
+    setNow(value) {
+      pinnedMs = new RealDate(value).getTime();
+    },
+    /** @param {number} ms */
+    advance(ms) {
+      pinnedMs = nowMs() + ms;
+    },
+    now: () => new RealDate(nowMs()),
+    /** @param {string} name */
+    sheet: (name) => spreadsheet.getSheetByName(name),
+    /**
+     * Data rows of a sheet as objects keyed by header.
+     * @param {string} name
+     * @return {Array<Object>}
+     */
+    records(name) {
+      const sheet = spreadsheet.getSheetByName(name);
+      if (!sheet || sheet.getLastRow() < 2) return [];
+      const [headers, ...rows] = sheet.getDataRange().getValues();
+      return rows.map((row) =>
+        headers.reduce((acc, header, idx) => {
+          acc[header] = row[idx];
+          return acc;
+        }, {})
+      );
+    },
+    /**
+     * Calls doGet or doPost as a new execution.
+     * @param {string} entryPoint
+     * @param {Object} event
+     */
+    execute,
+    /** @param {Object} [params] Query parameters. */
+    get: (params) => parse(execute("doGet", { parameter: params || {} })),
+    /** Raw doGet output, for CSV and XML exports. */
+    getOutput: (params) => execute("doGet", { parameter: params || {} }),
+    /**
+     * @param {Object} body JSON body.
+     * @param {Object} [params] Query parameters.
+     */
+    post: (body, params) =>
+      parse(
+        execute("doPost", {
+          parameter: params || {},
+          postData: { contents: JSON.stringify(body) },
+        })
+      ),
+    /**
+     * Registers a reader and returns its secret.
+     * @param {string} deviceId
+     * @param {string} [name]
+     * @param {string} [location]
+     */
+    addDevice: (deviceId, name, location) =>
+      api.createDeviceSecret(deviceId, name, location),
+    /**
+     * Posts a body signed the way the firmware signs it, stamped with the
+     * current `sentAt` unless the body carries one.
+     * @param {string} deviceId
+     * @param {Object} body
+     */
+    devicePost(deviceId, body) {
+      const contents = JSON.stringify(
+        Object.assign({ sentAt: Math.floor(nowMs() / 1000) }, body)
+      );
+      const secrets = JSON.parse(properties.get("DEVICE_SECRETS") || "{}");
+      const signature = crypto
+        .createHmac("sha256", secrets[deviceId] || "")
+        .update(contents)
+        .digest("hex");
+      return parse(
+        execute("doPost", {
+          parameter: { deviceId, signature },
+          postData: { contents },
+        })
+      );
+    },
+    /**
+     * Calls doGet the way the firmware signs roster and health requests:
+     * over `<purpose>|<epoch seconds>`.
+     * @param {string} deviceId
+     * @param {string} purpose e.g. "registry".
+     * @param {Object} params Query parameters, including the purpose flag.
+     * @return {string} Raw response body.
+     */
+    deviceGet(deviceId, purpose, params) {
+      const ts = String(Math.floor(nowMs() / 1000));
+      const secrets = JSON.parse(properties.get("DEVICE_SECRETS") || "{}");
+      const signature = crypto
+        .createHmac("sha256", secrets[deviceId] || "")
+        .update(`${purpose}|${ts}`)
+        .digest("hex");
+      return execute("doGet", {
+        parameter: Object.assign({ deviceId, ts, signature }, params),
+      }).getContent();
+    },
+    /**
+     * Creates a user and signs them in.
+     * @param {string} username
+     * @param {string} role "admin" or "teacher"
+     * @return {string} Session token.
+     */
+    signIn(username, role) {
+      const password = `${username}-password`;
+      if (!api.findUserByUsername(username)) {
+        api.createUser(username, password, role);
+      }
+      const result = harness.post({ action: "login", username, password });
+      if (result.status !== "ok") {
+        throw new Error(result.message);
+      }
+      return result.token;
+    },
+  };
+  return harness;
+}
+
+module.exports = { loadApi, formatDate, parseDate, FakeSheet };
@@ -0,0 +1,116 @@
+// Serves the dashboard and an in-memory copy of the Apps Script API for
+// offline work: `node tools/local-server.js [port]`, then open the printed URL.
+// Data lives only as long as the process.
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { loadApi } = require("../test/gas-fakes");
+
+const ROOT = path.join(__dirname, "..");
+const PORT = Number(process.argv[2]) || 8787;
+const API_PATH = "/exec";
+const STATIC_FILES = {
+  "/": ["index.html", "text/html; charset=utf-8"],
+  "/index.html": ["index.html", "text/html; charset=utf-8"],
+  "/script.js": ["script.js", "text/javascript; charset=utf-8"],
+  "/style.css": ["style.css", "text/css; charset=utf-8"],
+  "/sw.js": ["sw.js", "text/javascript; charset=utf-8"],
+  "/manifest.webmanifest": [
+    "manifest.webmanifest",
+    "application/manifest+json; charset=utf-8",
+  ],
+  "/icon.svg": ["icon.svg", "image/svg+xml"],
+};
+const CONTENT_TYPES = {
+  JSON: "application/json; charset=utf-8",
+  CSV: "text/csv; charset=utf-8",
+  XML: "application/xml; charset=utf-8",
+  TEXT: "text/plain; charset=utf-8",
+};
+
+const harness = loadApi({
+  sheets: {
+    Students: [
+      ["CARD_UID", "SUID", "FirstName", "LastName", "Active"],
+      ["A1B2C3D4", "S001", "Asha", "Patel", true],
+      ["E5F6A7B8", "S002", "Ravi", "Shah", true],
+    ],
+    Attendance: [],
+    Unregistered_CARDs: [["CARD_UID", "Date", "Time", "Status"]],
+  },
+});
+harness.api.createUser("admin", "admin", "admin");
+harness.api.createUser("teacher", "teacher", "teacher");
+const deviceSecret = harness.addDevice("reader-01", "Main door", "Lobby");
+
+/**
+ * Runs doGet/doPost and copies the TextOutput into the HTTP response.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {URL} url
+ * @param {string} body
+ */
+function handleApi(request, response, url, body) {
+  const parameter = Object.fromEntries(url.searchParams);
+  const output =
+    request.method === "POST"
+      ? harness.execute("doPost", { parameter, postData: { contents: body } })
+      : harness.execute("doGet", { parameter });
+  response.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[output.getMimeType()] || CONTENT_TYPES.TEXT,
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(output.getContent());
+}
+
+/**
+ * Sends a dashboard file. script.js is pointed at this server's API.
+ * @param {http.ServerResponse} response
+ * @param {string} pathname
+ */
+function handleStatic(response, pathname) {
+  const [file, type] = STATIC_FILES[pathname];
+  let content = fs.readFileSync(path.join(ROOT, file), "utf8");
+  if (file === "script.js") {
+    content = content.replace(
+      /^const DEFAULT_API_URL = .*$/m,
+      `const DEFAULT_API_URL = "http://localhost:${PORT}${API_PATH}";`
+    );
+  }
+  response.writeHead(200, { "Content-Type": type });
+  response.end(content);
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url || "/", `http://localhost:${PORT}`);
+  let body = "";
+  request.on("data", (chunk) => {
+    body += chunk;
+  });
+  request.on("end", () => {
+    try {
+      if (url.pathname === API_PATH) {
+        handleApi(request, response, url, body);
+      } else if (request.method === "GET" && STATIC_FILES[url.pathname]) {
+        handleStatic(response, url.pathname);
+      } else {
+        response.writeHead(404, { "Content-Type": CONTENT_TYPES.TEXT });
+        response.end("Not found");
+      }
+    } catch (error) {
+      console.error(error);
+      response.writeHead(500, { "Content-Type": CONTENT_TYPES.TEXT });
+      response.end(String(error && error.message));
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Dashboard: http://localhost:${PORT}/`);
+  console.log(`API:       http://localhost:${PORT}${API_PATH}`);
+  console.log("Sign in as admin/admin or teacher/teacher.");
+  console.log(`Reader reader-01 secret: ${deviceSecret}`);
+});